@@ -0,0 +1,57 @@
+const database = require('../../lib/database');
+const auth = require('../../lib/auth');
+const api = require('../../lib/api');
+const security = require('../../lib/security');
+const userSettings = require('../../lib/user-settings');
+const ical = require('../../lib/ical');
+
+const METHODS = ['GET', 'HEAD'];
+
+// GET /api/calendar/<token>.ics: read-only iCalendar feed of the token owner's tasks, for
+// subscribing from a calendar app. Calendar apps can't send headers, so the API token is part
+// of the URL, and it has to be a read-only one ("token new read"). Errors are answered like
+// the REST API's (lib/api.js).
+module.exports = async (req, res) => {
+  // The URL holds the token, so it isn't logged
+  console.log('🔍 Calendar feed endpoint accessed:', {
+    method: req.method,
+    timestamp: new Date().toISOString()
+  });
+
+  // Set security headers
+  security.setSecurityHeaders(res);
+
+  try {
+    const rateLimit = security.checkRateLimit(req, res);
+    if (!rateLimit.allowed) {
+      res.setHeader('Retry-After', rateLimit.retryAfter);
+      throw api.error(429, 'rate_limited', 'Rate limit exceeded. Please try again later.', { retryAfter: rateLimit.retryAfter });
+    }
+
+    if (!METHODS.includes(req.method)) {
+      res.setHeader('Allow', METHODS.join(', '));
+      throw api.error(405, 'method_not_allowed', `Method ${req.method} not allowed`, { allowedMethods: METHODS });
+    }
+
+    // Refuse to build the feed from a database that is behind the code
+    await api.ensureSchema();
+
+    const token = String(req.query.token || '').replace(/\.ics$/i, '');
+    const { userId } = await auth.authenticateRequest(req, { scope: 'read', endpoint: 'calendar', token });
+
+    const settings = await userSettings.getSettings(userId);
+    const tasks = await database.getTasks(userId);
+    const exceptions = await database.getTaskExceptions(tasks.filter(task => task.is_recurring).map(task => task.id));
+
+    const calendar = ical.buildCalendar(tasks, exceptions, settings);
+
+    console.log('✅ Calendar feed built:', { userId, tasks: tasks.length });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="tasks.ics"');
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.status(200).send(calendar);
+  } catch (error) {
+    api.sendError(res, error, 'Calendar feed');
+  }
+};
@@ -1,4 +1,4 @@
-const reminderScheduler = require('../../lib/reminder-scheduler');
+const cronJobs = require('../../lib/cron-jobs');
 const auth = require('../../lib/auth');
 const security = require('../../lib/security');
 
@@ -13,17 +13,9 @@ module.exports = async (req, res) => {
   }
 
   // Authenticate the request
-  if (!auth.validateCronApiKey(req)) {
+  if (!await auth.requireAuth(req, res, { scope: 'cron', endpoint: 'cleanup' })) {
     console.error('❌ Unauthorized access to cleanup endpoint');
-    security.logSecurityEvent('unauthorized_cron_access', {
-      endpoint: 'cleanup',
-      clientIP: security.getClientIP(req)
-    });
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Invalid or missing API key',
-      timestamp: new Date().toISOString()
-    });
+    return;
   }
 
   const startTime = new Date();
@@ -34,35 +26,22 @@ module.exports = async (req, res) => {
   });
 
   try {
-    // Get user ID from environment
-    const userId = process.env.USER_LINE_ID;
-    if (!userId) {
-      console.error('❌ USER_LINE_ID environment variable not set');
-      throw new Error('USER_LINE_ID environment variable not set');
-    }
-
-    console.log('🔍 Processing cleanup for user:', userId);
-
-    // Run cleanup process
-    console.log('🧹 Cleaning up old tasks...');
-    const cleanupResult = await reminderScheduler.cleanup();
-    
-    // Generate recurring task instances (in case they weren't generated)
-    console.log('🔄 Generating recurring task instances...');
-    await reminderScheduler.generateRecurringInstances();
+    const result = await cronJobs.runCleanup();
 
     const endTime = new Date();
     const duration = endTime - startTime;
     
     console.log('✅ Cleanup process completed successfully:', {
       duration: `${duration}ms`,
-      cleanupResult: cleanupResult,
+      users: result.users,
+      succeeded: result.succeeded,
+      failed: result.failed,
       timestamp: endTime.toISOString()
     });
     
     res.status(200).json({ 
       success: true,
-      cleanupResult: cleanupResult,
+      ...result,
       duration: `${duration}ms`,
       timestamp: endTime.toISOString()
     });
@@ -0,0 +1,47 @@
+const cronJobs = require('../../lib/cron-jobs');
+const auth = require('../../lib/auth');
+const security = require('../../lib/security');
+
+module.exports = async (req, res) => {
+  // Set security headers
+  security.setSecurityHeaders(res);
+  
+  // Only allow GET requests (for cron jobs)
+  if (req.method !== 'GET') {
+    console.log('❌ Invalid request method for scheduled messages:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Authenticate the request
+  if (!await auth.requireAuth(req, res, { scope: 'cron', endpoint: 'scheduled-messages' })) {
+    console.error('❌ Unauthorized access to scheduled messages endpoint');
+    return;
+  }
+
+  try {
+    console.log('💬 Starting scheduled messages process...');
+    console.log('🔍 Request details:', {
+      method: req.method,
+      headers: req.headers,
+      timestamp: new Date().toISOString()
+    });
+    
+    const result = await cronJobs.runScheduledMessages();
+    
+    res.status(200).json({ 
+      success: true, 
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Scheduled messages process failed:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+    res.status(500).json({ 
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
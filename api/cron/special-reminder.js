@@ -1,4 +1,4 @@
-const reminderScheduler = require('../../lib/reminder-scheduler');
+const cronJobs = require('../../lib/cron-jobs');
 const auth = require('../../lib/auth');
 const security = require('../../lib/security');
 
@@ -13,17 +13,9 @@ module.exports = async (req, res) => {
   }
 
   // Authenticate the request
-  if (!auth.validateCronApiKey(req)) {
+  if (!await auth.requireAuth(req, res, { scope: 'cron', endpoint: 'special-reminder' })) {
     console.error('❌ Unauthorized access to special reminder endpoint');
-    security.logSecurityEvent('unauthorized_cron_access', {
-      endpoint: 'special-reminder',
-      clientIP: security.getClientIP(req)
-    });
-    return res.status(401).json({ 
-      error: 'Unauthorized',
-      message: 'Invalid or missing API key',
-      timestamp: new Date().toISOString()
-    });
+    return;
   }
 
   try {
@@ -34,18 +26,11 @@ module.exports = async (req, res) => {
       timestamp: new Date().toISOString()
     });
     
-    // Process pending reminders (special day-before and day-of reminders)
-    console.log('🔍 Processing pending special reminders...');
-    const processedCount = await reminderScheduler.processPendingReminders();
-    
-    console.log('✅ Special reminder process completed successfully:', {
-      remindersProcessed: processedCount,
-      timestamp: new Date().toISOString()
-    });
+    const result = await cronJobs.runSpecialReminder();
     
     res.status(200).json({ 
       success: true, 
-      remindersProcessed: processedCount,
+      ...result,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -0,0 +1,27 @@
+const backup = require('../lib/backup');
+const api = require('../lib/api');
+
+// GET /api/export: a backup of all the user's data as a JSON file (restore it with
+// POST /api/restore), or with ?format=csv their pending tasks in the CSV import layout
+async function exportData(req, res, { userId, settings }) {
+  const format = req.query.format || 'json';
+  if (!['json', 'csv'].includes(format)) {
+    throw api.error(400, 'invalid_parameter', 'format must be json or csv');
+  }
+
+  const data = await backup.exportData(userId);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Cache-Control', 'no-store');
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="tasks-${date}.csv"`);
+    res.status(200).send(backup.tasksToCsv(data.tasks, settings));
+    return;
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="backup-${date}.json"`);
+  res.status(200).json(data);
+}
+
+module.exports = api.handler('Export', ['GET'], exportData);
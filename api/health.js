@@ -1,3 +1,5 @@
+const database = require('../lib/database');
+
 module.exports = async (req, res) => {
   console.log('🔍 Health check endpoint accessed:', {
     method: req.method,
@@ -5,8 +7,24 @@ module.exports = async (req, res) => {
     timestamp: new Date().toISOString()
   });
 
-  res.status(200).json({
-    status: 'healthy',
+  // Unhealthy while the database is behind the code (or can't be reached)
+  let schema;
+  try {
+    const status = await database.checkSchema();
+    schema = { status: 'up to date', version: status.current };
+  } catch (error) {
+    console.error('❌ Schema check failed:', error.message);
+    schema = {
+      status: error.code === 'SCHEMA_OUT_OF_DATE' ? 'out of date' : 'unavailable',
+      error: error.message
+    };
+  }
+
+  const healthy = schema.status === 'up to date';
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'healthy' : 'unhealthy',
+    schema,
     timestamp: new Date().toISOString(),
     environment: process.env.NODE_ENV || 'development'
   });
@@ -0,0 +1,38 @@
+const importer = require('../lib/importer');
+const api = require('../lib/api');
+
+// POST /api/import: create tasks from an iCalendar or CSV file
+// ({ format: 'ics' | 'csv', content: "<file contents>", dryRun: true }). The format can be
+// left out when content is an iCalendar file. Answers with what was imported and what wasn't.
+async function importTasks(req, res, { userId, settings }) {
+  const body = api.getBody(req);
+
+  if (typeof body.content !== 'string' || !body.content.trim()) {
+    throw api.error(400, 'invalid_field', 'content must be the text of an .ics or .csv file');
+  }
+
+  const format = body.format === undefined
+    ? (/^\s*BEGIN:VCALENDAR/i.test(body.content) ? 'ics' : 'csv')
+    : body.format;
+  if (!importer.formats.includes(format)) {
+    throw api.error(400, 'invalid_field', `format must be one of: ${importer.formats.join(', ')}`);
+  }
+
+  if (body.dryRun !== undefined && typeof body.dryRun !== 'boolean') {
+    throw api.error(400, 'invalid_field', 'dryRun must be a boolean');
+  }
+
+  let report;
+  try {
+    report = await importer.importFile(userId, settings, format, body.content, { dryRun: body.dryRun === true });
+  } catch (error) {
+    if (error.code === 'invalid_import_file') {
+      throw api.error(400, 'invalid_file', error.message);
+    }
+    throw error;
+  }
+
+  api.send(res, body.dryRun ? 200 : 201, { format, dryRun: body.dryRun === true, ...report });
+}
+
+module.exports = api.handler('Import', ['POST'], importTasks);
@@ -0,0 +1,22 @@
+const backup = require('../lib/backup');
+const api = require('../lib/api');
+
+// POST /api/restore: restore a backup from GET /api/export (the file as the request body).
+// Tasks and completions that already exist are left alone, so restoring twice is harmless.
+async function restoreData(req, res, { userId }) {
+  const body = api.getBody(req);
+
+  let report;
+  try {
+    report = await backup.restore(userId, body);
+  } catch (error) {
+    if (error.code === 'invalid_backup') {
+      throw api.error(400, 'invalid_backup', error.message);
+    }
+    throw error;
+  }
+
+  api.send(res, 200, report);
+}
+
+module.exports = api.handler('Restore', ['POST'], restoreData);
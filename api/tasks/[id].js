@@ -1,213 +1,62 @@
 const database = require('../../lib/database');
-const security = require('../../lib/security');
 const reminderScheduler = require('../../lib/reminder-scheduler');
+const api = require('../../lib/api');
 
-module.exports = async (req, res) => {
-  console.log('🔍 Task update endpoint accessed:', {
-    method: req.method,
-    url: req.url,
-    taskId: req.query.id,
-    headers: req.headers,
-    timestamp: new Date().toISOString()
-  });
+// GET /api/tasks/:id
+async function getTask(req, res, { userId }) {
+  const task = await api.getTask(api.getTaskId(req), userId);
+  api.send(res, 200, { task });
+}
 
-  // Set security headers
-  security.setSecurityHeaders(res);
-  
-  // Apply rate limiting
-  const rateLimitResult = security.rateLimit(req, res);
-  if (rateLimitResult === false) {
-    return; // Response already sent by rate limiting
-  }
+// PUT/PATCH /api/tasks/:id: change some of the task's fields
+async function updateTask(req, res, { userId, settings }) {
+  const taskId = api.getTaskId(req);
+  const updates = api.validateTaskFields(api.getBody(req));
 
-  // Only allow PUT and PATCH requests
-  if (!['PUT', 'PATCH'].includes(req.method)) {
-    console.log('❌ Invalid request method for task update:', req.method);
-    return res.status(405).json({ 
-      error: 'Method not allowed',
-      allowedMethods: ['PUT', 'PATCH']
-    });
+  if (Object.keys(updates).length === 0) {
+    throw api.error(400, 'invalid_body', 'No valid update fields provided');
   }
 
-  try {
-    // Validate request size
-    security.validateRequestSize(req, 1024 * 1024); // 1MB limit
-    
-    const taskId = req.query.id;
-    if (!taskId) {
-      return res.status(400).json({ error: 'Task ID is required' });
-    }
-
-    // Validate task ID format (UUID)
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(taskId)) {
-      return res.status(400).json({ error: 'Invalid task ID format' });
-    }
-
-    // Get user ID from headers (you may need to implement authentication)
-    const userId = req.headers['x-user-id'];
-    if (!userId) {
-      return res.status(401).json({ error: 'User ID is required in x-user-id header' });
-    }
-
-    // Validate user ID format
-    if (!database.isValidUserId(userId)) {
-      return res.status(400).json({ error: 'Invalid user ID format' });
-    }
-
-    // Parse and validate update data
-    const updateData = req.body;
-    if (!updateData || typeof updateData !== 'object') {
-      return res.status(400).json({ error: 'Update data is required' });
-    }
-
-    // Validate and sanitize update fields
-    const validatedUpdates = {};
-    const allowedFields = [
-      'title', 'description', 'notes', 'scheduled_time', 
-      'is_special', 'is_recurring', 'recurrence_pattern'
-    ];
-
-    for (const [key, value] of Object.entries(updateData)) {
-      if (!allowedFields.includes(key)) {
-        return res.status(400).json({ 
-          error: `Field '${key}' is not allowed for updates`,
-          allowedFields 
-        });
-      }
-
-      // Validate field values
-      switch (key) {
-        case 'title':
-          if (typeof value !== 'string' || value.trim().length === 0) {
-            return res.status(400).json({ error: 'Title must be a non-empty string' });
-          }
-          if (value.length > 200) {
-            return res.status(400).json({ error: 'Title must be 200 characters or less' });
-          }
-          validatedUpdates[key] = security.sanitizeInput(value.trim());
-          break;
-
-        case 'description':
-        case 'notes':
-          if (value !== null && value !== undefined) {
-            if (typeof value !== 'string') {
-              return res.status(400).json({ error: `${key} must be a string` });
-            }
-            if (value.length > 1000) {
-              return res.status(400).json({ error: `${key} must be 1000 characters or less` });
-            }
-            validatedUpdates[key] = value.trim() || null;
-          } else {
-            validatedUpdates[key] = null;
-          }
-          break;
-
-        case 'scheduled_time':
-          if (typeof value !== 'string') {
-            return res.status(400).json({ error: 'scheduled_time must be a string' });
-          }
-          // Validate ISO date format
-          const date = new Date(value);
-          if (isNaN(date.getTime())) {
-            return res.status(400).json({ error: 'scheduled_time must be a valid ISO date string' });
-          }
-          validatedUpdates[key] = date.toISOString();
-          break;
-
-        case 'is_special':
-        case 'is_recurring':
-          if (typeof value !== 'boolean') {
-            return res.status(400).json({ error: `${key} must be a boolean` });
-          }
-          validatedUpdates[key] = value;
-          break;
+  console.log('🔍 Validated update data:', { taskId, userId, updates });
 
-        case 'recurrence_pattern':
-          if (value !== null && value !== undefined) {
-            if (typeof value !== 'string') {
-              return res.status(400).json({ error: 'recurrence_pattern must be a string' });
-            }
-            // Validate JSON format
-            try {
-              JSON.parse(value);
-              validatedUpdates[key] = value;
-            } catch (e) {
-              return res.status(400).json({ error: 'recurrence_pattern must be valid JSON' });
-            }
-          } else {
-            validatedUpdates[key] = null;
-          }
-          break;
-      }
-    }
+  // Check if task exists and belongs to user (taskId may be its short code)
+  const task = await api.getTask(taskId, userId);
 
-    if (Object.keys(validatedUpdates).length === 0) {
-      return res.status(400).json({ error: 'No valid update fields provided' });
-    }
-
-    console.log('🔍 Validated update data:', { taskId, userId, updates: validatedUpdates });
-
-    // Check if task exists and belongs to user
-    const existingTask = await database.getTaskById(taskId, userId);
-    if (!existingTask) {
-      return res.status(404).json({ error: 'Task not found or access denied' });
-    }
-
-    // Store original scheduled time for reminder rescheduling
-    const originalScheduledTime = existingTask.scheduled_time;
-    const timeChanged = validatedUpdates.scheduled_time && 
-                       validatedUpdates.scheduled_time !== originalScheduledTime;
+  // As on create, a rule given without is_recurring decides it; the two must agree
+  if (updates.is_recurring === undefined && 'recurrence_rule' in updates) {
+    updates.is_recurring = Boolean(updates.recurrence_rule);
+  }
+  try {
+    database.validateRecurrence({ ...task, ...updates });
+  } catch (error) {
+    throw api.error(400, 'invalid_field', error.message);
+  }
 
-    // Update the task
-    const updatedTask = await database.updateTask(taskId, validatedUpdates, userId);
+  const updatedTask = await database.updateTask(task.id, updates, userId);
 
-    // Reschedule reminders if time changed
-    if (timeChanged) {
-      try {
-        console.log('🔄 Rescheduling reminders for task:', taskId);
-        await reminderScheduler.rescheduleRemindersForTask(updatedTask);
-        console.log('✅ Successfully rescheduled reminders for task:', taskId);
-      } catch (schedulerError) {
-        console.error('⚠️ Failed to reschedule reminders for task:', taskId, schedulerError);
-        // Don't fail the entire operation if reminder rescheduling fails
-      }
-    }
+  // Rebuild the reminders when the timing changed, as the chat "update" does
+  try {
+    await reminderScheduler.forUser(settings).rescheduleAfterUpdate(updatedTask, updates);
+  } catch (schedulerError) {
+    console.error('⚠️ Failed to reschedule reminders for task:', task.id, schedulerError);
+    // Don't fail the entire operation if reminder rescheduling fails
+  }
 
-    console.log('✅ Task updated successfully:', { 
-      taskId, 
-      userId, 
-      updatedFields: Object.keys(validatedUpdates),
-      timestamp: new Date().toISOString()
-    });
+  console.log('✅ Task updated successfully:', { taskId: task.id, userId, updatedFields: Object.keys(updates) });
+  api.send(res, 200, { task: updatedTask, updatedFields: Object.keys(updates) });
+}
 
-    // Return updated task
-    res.status(200).json({
-      success: true,
-      task: updatedTask,
-      updatedFields: Object.keys(validatedUpdates),
-      timestamp: new Date().toISOString()
-    });
+// DELETE /api/tasks/:id: delete the task and cancel its pending reminders
+async function deleteTask(req, res, { userId, settings }) {
+  const task = await api.getTask(api.getTaskId(req), userId);
+  await reminderScheduler.forUser(settings).deleteTask(task, userId);
 
-  } catch (error) {
-    console.error('❌ Task update failed:', {
-      error: error.message,
-      stack: error.stack,
-      taskId: req.query.id,
-      timestamp: new Date().toISOString()
-    });
+  console.log('✅ Task deleted through the API:', { taskId: task.id, userId });
+  api.send(res, 200, { deleted: task.id });
+}
 
-    // Handle specific database errors
-    if (error.code === 'PGRST116') {
-      return res.status(404).json({ 
-        error: 'Task not found or access denied',
-        timestamp: new Date().toISOString()
-      });
-    }
+const HANDLERS = { GET: getTask, PUT: updateTask, PATCH: updateTask, DELETE: deleteTask };
 
-    res.status(500).json({ 
-      error: 'Internal server error',
-      timestamp: new Date().toISOString()
-    });
-  }
-};
+module.exports = api.handler('Task', Object.keys(HANDLERS), (req, res, context) =>
+  HANDLERS[req.method](req, res, context)
+);
@@ -0,0 +1,43 @@
+const database = require('../../../lib/database');
+const reminderScheduler = require('../../../lib/reminder-scheduler');
+const api = require('../../../lib/api');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+// GET /api/tasks/:id/reminders: the task's reminders, optionally only those with ?status=
+async function listReminders(req, res, { userId }) {
+  const task = await api.getTask(api.getTaskId(req), userId);
+  const status = req.query.status;
+
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw api.error(400, 'invalid_parameter', `status must be one of: ${STATUSES.join(', ')}`);
+  }
+
+  const reminders = await database.getTaskReminders(task.id);
+  api.send(res, 200, {
+    reminders: status ? reminders.filter(reminder => reminder.status === status) : reminders
+  });
+}
+
+// POST /api/tasks/:id/reminders: rebuild the pending reminders for the task's current occurrence
+async function rescheduleReminders(req, res, { userId, settings }) {
+  const task = await api.getTask(api.getTaskId(req), userId);
+  await reminderScheduler.forUser(settings).rescheduleRemindersForOccurrence(task);
+
+  const reminders = await database.getTaskReminders(task.id);
+  api.send(res, 200, { reminders: reminders.filter(reminder => reminder.status === 'pending') });
+}
+
+// DELETE /api/tasks/:id/reminders: cancel the reminders that haven't gone out yet
+async function cancelReminders(req, res, { userId, settings }) {
+  const task = await api.getTask(api.getTaskId(req), userId);
+  await reminderScheduler.forUser(settings).cancelRemindersForTask(task.id);
+
+  api.send(res, 200, { cancelled: task.id });
+}
+
+const HANDLERS = { GET: listReminders, POST: rescheduleReminders, DELETE: cancelReminders };
+
+module.exports = api.handler('Task reminders', Object.keys(HANDLERS), (req, res, context) =>
+  HANDLERS[req.method](req, res, context)
+);
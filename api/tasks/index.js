@@ -0,0 +1,147 @@
+const database = require('../../lib/database');
+const nlpParser = require('../../lib/nlp-parser');
+const reminderScheduler = require('../../lib/reminder-scheduler');
+const api = require('../../lib/api');
+
+// GET /api/tasks: the user's pending tasks, filtered and paged. With q= they are searched
+// (title, description and notes) and come best match first instead of in time order.
+async function listTasks(req, res, { userId, settings }) {
+  const query = req.query;
+  const limit = api.parseInteger(query.limit, 'limit', { min: 1, max: api.maxPageSize, fallback: api.defaultPageSize });
+  const offset = api.parseInteger(query.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+  const from = api.parseDate(query.from, 'from', settings.timezone);
+  const to = api.parseDate(query.to, 'to', settings.timezone, { endOfDay: true });
+  const filters = {
+    isSpecial: api.parseBoolean(query.special, 'special'),
+    isRecurring: api.parseBoolean(query.recurring, 'recurring'),
+    tags: api.parseTags(query.tag, 'tag')
+  };
+
+  // Fetch one extra row to tell whether there is another page
+  let tasks;
+  if (typeof query.q === 'string' && query.q.trim()) {
+    const search = parseSearch(nlpParser.forUser(settings), query.q.trim());
+    tasks = await database.searchTasks(userId, {
+      ...filters,
+      scheduledTo: to,
+      ...search.filters,
+      // Tags from tag= and from #words in q both have to be on the task
+      tags: [...new Set([...(filters.tags || []), ...(search.filters.tags || [])])],
+      // Both from= and after: apply, so the later one wins
+      scheduledFrom: [from, search.filters.scheduledFrom].filter(Boolean).sort().pop(),
+      terms: search.terms,
+      limit: limit + 1,
+      offset
+    });
+  } else {
+    tasks = await database.getTasks(userId, {
+      ...filters,
+      dateRange: from || to ? { start: from, end: to } : undefined,
+      limit: limit + 1,
+      offset
+    });
+  }
+
+  const hasMore = tasks.length > limit;
+  api.send(res, 200, {
+    tasks: tasks.slice(0, limit),
+    pagination: { limit, offset, hasMore, nextOffset: hasMore ? offset + limit : null }
+  });
+}
+
+// q: search words plus #tags and special:, recurring:, before: and after: filters, as in the chat "find"
+function parseSearch(parser, q) {
+  try {
+    return parser.parseSearchQuery(q);
+  } catch (error) {
+    throw api.error(400, 'invalid_parameter', `q: ${error.message}`);
+  }
+}
+
+// POST /api/tasks: create a task from a chat-style command ({ text: "Dentist tomorrow 3pm" })
+// or from task fields, with the same validation and reminders as the chat "add"
+async function createTask(req, res, { userId, settings }) {
+  const body = api.getBody(req);
+  const parser = nlpParser.forUser(settings);
+
+  let taskData;
+  try {
+    taskData = body.text !== undefined ? parseText(parser, body.text) : fromFields(body);
+    parser.validateTaskData(taskData);
+  } catch (error) {
+    if (error.expose) throw error;
+    throw api.error(400, 'validation_failed', error.message);
+  }
+
+  const task = await database.createTask({
+    user_id: userId,
+    title: taskData.title,
+    description: taskData.description,
+    notes: taskData.notes,
+    scheduled_time: taskData.scheduledTime,
+    is_special: taskData.isSpecial,
+    priority: taskData.priority,
+    is_recurring: taskData.isRecurring,
+    recurrence_rule: taskData.recurrenceRule,
+    reminder_offsets: taskData.reminderOffsets,
+    tags: taskData.tags,
+    is_active: true
+  });
+
+  // As in the chat, the task is kept even when its reminders can't be scheduled
+  let remindersScheduled = 0;
+  try {
+    const reminders = await reminderScheduler.forUser(settings).scheduleRemindersForTask(task);
+    remindersScheduled = reminders.length;
+  } catch (schedulerError) {
+    console.error('⚠️ Failed to schedule reminders for task:', task.id, schedulerError);
+  }
+
+  console.log('✅ Task created through the API:', { taskId: task.id, userId });
+  api.send(res, 201, { task, remindersScheduled });
+}
+
+// "Dentist tomorrow 3pm", with or without the chat's "add" / "新增"
+function parseText(parser, text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw api.error(400, 'invalid_field', 'text must be a non-empty string');
+  }
+
+  const command = text.trim();
+  return parser.parseAddCommand(/^(add\s|新增)/i.test(command) ? command : `add ${command}`);
+}
+
+function fromFields(body) {
+  const fields = api.validateTaskFields(body);
+  if (!fields.title || !fields.scheduled_time) {
+    throw api.error(400, 'invalid_field', 'Either text, or title and scheduled_time, are required');
+  }
+
+  const recurrenceRule = fields.recurrence_rule || null;
+  if (fields.is_recurring !== undefined && fields.is_recurring !== Boolean(recurrenceRule)) {
+    throw api.error(400, 'invalid_field', 'Recurring tasks need a recurrence_rule, and only recurring tasks can have one');
+  }
+
+  // Special tasks are the high priority ones
+  const priority = fields.priority || (fields.is_special ? 1 : 2);
+  if (fields.is_special !== undefined && fields.is_special !== (priority === 1)) {
+    throw api.error(400, 'invalid_field', 'is_special and priority disagree: special tasks have priority 1');
+  }
+
+  return {
+    title: fields.title,
+    description: fields.description || null,
+    notes: fields.notes || null,
+    scheduledTime: fields.scheduled_time,
+    isSpecial: priority === 1,
+    priority,
+    isRecurring: Boolean(recurrenceRule),
+    recurrenceRule,
+    reminderOffsets: fields.reminder_offsets,
+    tags: fields.tags || []
+  };
+}
+
+module.exports = api.handler('Tasks', ['GET', 'POST'], (req, res, context) =>
+  req.method === 'POST' ? createTask(req, res, context) : listTasks(req, res, context)
+);
@@ -1,5 +1,6 @@
 const line = require('@line/bot-sdk');
 const lineBot = require('../lib/line-bot');
+const database = require('../lib/database');
 const security = require('../lib/security');
 
 const config = {
@@ -54,7 +55,8 @@ module.exports = async (req, res) => {
 
     // Verify signature using LINE middleware
     try {
-      const body = JSON.stringify(req.body || {});
+      // The signature covers the raw body; the Express server keeps it, Vercel only hands over the parsed JSON
+      const body = req.rawBody || JSON.stringify(req.body || {});
       const isValid = line.validateSignature(body, config.channelSecret, signature);
       
       if (!isValid) {
@@ -81,6 +83,9 @@ module.exports = async (req, res) => {
       })));
     }
 
+    // Refuse to handle events against a database that is behind the code
+    await database.ensureSchema();
+
     // Handle events
     await lineBot.handleWebhook(events);
 
@@ -0,0 +1,152 @@
+// Self-hosted entrypoint: serves the api/* handlers with Express and runs the cron jobs
+// in-process with node-cron, so no external cron service is needed.
+const express = require('express');
+const cron = require('node-cron');
+const cronJobs = require('./lib/cron-jobs');
+const database = require('./lib/database');
+
+const webhook = require('./api/webhook');
+const health = require('./api/health');
+const tasks = require('./api/tasks');
+const task = require('./api/tasks/[id]');
+const taskReminders = require('./api/tasks/[id]/reminders');
+const calendar = require('./api/calendar/[token]');
+const importTasks = require('./api/import');
+const exportData = require('./api/export');
+const restoreData = require('./api/restore');
+const dailyReminder = require('./api/cron/daily-reminder');
+const hourlyReminder = require('./api/cron/hourly-reminder');
+const specialReminder = require('./api/cron/special-reminder');
+const scheduledMessages = require('./api/cron/scheduled-messages');
+const cleanup = require('./api/cron/cleanup');
+
+// Jobs and their default schedules (the ones suggested for cron-job.org in the README).
+// Override with a cron expression in the environment variable, or set it to "off".
+const JOBS = [
+  { name: 'daily-reminder', env: 'CRON_DAILY_REMINDER', schedule: '30 5 * * *', run: () => cronJobs.runDailyReminder() },
+  { name: 'hourly-reminder', env: 'CRON_HOURLY_REMINDER', schedule: '0 * * * *', run: () => cronJobs.runHourlyReminder() },
+  { name: 'special-reminder', env: 'CRON_SPECIAL_REMINDER', schedule: '0 6 * * *', run: () => cronJobs.runSpecialReminder() },
+  { name: 'scheduled-messages', env: 'CRON_SCHEDULED_MESSAGES', schedule: '* * * * *', run: () => cronJobs.runScheduledMessages() },
+  { name: 'cleanup', env: 'CRON_CLEANUP', schedule: '0 7 * * *', run: () => cronJobs.runCleanup() }
+];
+
+// Adapt a Vercel-style handler to Express: route params arrive in req.query, as on Vercel
+function mount(handler) {
+  return (req, res, next) => {
+    Object.assign(req.query, req.params);
+    Promise.resolve(handler(req, res)).catch(next);
+  };
+}
+
+function createApp() {
+  const app = express();
+
+  // Keep the raw body for LINE signature verification
+  app.use(express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+
+  app.all('/api/webhook', mount(webhook));
+  app.all('/api/health', mount(health));
+  app.all('/api/tasks', mount(tasks));
+  app.all('/api/tasks/:id', mount(task));
+  app.all('/api/tasks/:id/reminders', mount(taskReminders));
+  app.all('/api/calendar/:token.ics', mount(calendar));
+  app.all('/api/import', mount(importTasks));
+  app.all('/api/export', mount(exportData));
+  app.all('/api/restore', mount(restoreData));
+  app.all('/api/cron/daily-reminder', mount(dailyReminder));
+  app.all('/api/cron/hourly-reminder', mount(hourlyReminder));
+  app.all('/api/cron/special-reminder', mount(specialReminder));
+  app.all('/api/cron/scheduled-messages', mount(scheduledMessages));
+  app.all('/api/cron/cleanup', mount(cleanup));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  app.use((error, req, res, next) => {
+    console.error('❌ Unhandled request error:', {
+      method: req.method,
+      url: req.url,
+      error: error.message
+    });
+    res.status(error.status || 500).json({
+      error: error.expose ? error.message : 'Internal server error',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return app;
+}
+
+// Schedule the cron jobs in the default timezone. A run is skipped while the previous
+// run of the same job is still going.
+function scheduleJobs() {
+  const timezone = process.env.TIMEZONE || 'Asia/Taipei';
+  const scheduled = [];
+
+  for (const job of JOBS) {
+    const schedule = (process.env[job.env] || job.schedule).trim();
+    if (schedule === 'off') {
+      console.log('⚠️ Cron job disabled:', { job: job.name });
+      continue;
+    }
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for ${job.env}: "${schedule}"`);
+    }
+
+    let running = false;
+    scheduled.push(cron.schedule(schedule, async () => {
+      if (running) {
+        console.log('⚠️ Previous run still in progress, skipping:', { job: job.name });
+        return;
+      }
+
+      running = true;
+      const startTime = Date.now();
+      console.log('🔄 Running cron job:', { job: job.name, timestamp: new Date().toISOString() });
+
+      try {
+        await job.run();
+        console.log('✅ Cron job completed:', { job: job.name, duration: `${Date.now() - startTime}ms` });
+      } catch (error) {
+        console.error('❌ Cron job failed:', { job: job.name, error: error.message, stack: error.stack });
+      } finally {
+        running = false;
+      }
+    }, { timezone }));
+
+    console.log('✅ Scheduled cron job:', { job: job.name, schedule, timezone });
+  }
+
+  return scheduled;
+}
+
+// Refuses to start while the database is missing migrations
+async function start() {
+  const port = parseInt(process.env.PORT || '3000', 10);
+
+  try {
+    await database.ensureSchema();
+  } catch (error) {
+    console.error('❌ Not starting:', error.message);
+    process.exit(1);
+  }
+
+  const app = createApp();
+  scheduleJobs();
+
+  app.listen(port, () => {
+    console.log(`🚀 Mark's Assistant listening on port ${port}`);
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { createApp, scheduleJobs, start };
@@ -0,0 +1,356 @@
+// Shared plumbing for the REST API handlers in api/tasks/: request checks, authentication
+// with personal access tokens (lib/auth.js), field validation and the response envelopes.
+//
+//   success  { success: true, ...body, timestamp }
+//   error    { success: false, error: { code, message, ...details }, timestamp }
+//
+// Handlers throw errors made with api.error(); anything else is logged and answered with a
+// 500, except a missing row ('PGRST116'), which is a 404.
+const moment = require('moment-timezone');
+const database = require('./database');
+const security = require('./security');
+const auth = require('./auth');
+const userSettings = require('./user-settings');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const taskCodes = require('./task-codes');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Task fields a client may set, on create and update
+const TASK_FIELDS = [
+  'title', 'description', 'notes', 'scheduled_time',
+  'is_special', 'is_recurring', 'recurrence_pattern', 'recurrence_rule', 'reminder_offsets', 'tags', 'priority'
+];
+
+// An error the client gets to see: HTTP status, machine-readable code and message
+function apiError(status, code, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  error.expose = true;
+  return error;
+}
+
+class ApiService {
+  constructor() {
+    this.maxRequestSize = 1024 * 1024; // 1MB
+    this.defaultPageSize = 50;
+    this.maxPageSize = 100;
+  }
+
+  // For handlers: a client error to throw (see apiError)
+  error(status, code, message, details = {}) {
+    return apiError(status, code, message, details);
+  }
+
+  // Wrap a handler with the checks every endpoint makes. The handler gets
+  // (req, res, { userId, settings }) and may throw api.error()s.
+  handler(name, methods, handle) {
+    return async (req, res) => {
+      console.log(`🔍 ${name} endpoint accessed:`, {
+        method: req.method,
+        url: req.url,
+        query: req.query,
+        timestamp: new Date().toISOString()
+      });
+
+      security.setSecurityHeaders(res);
+
+      try {
+        const rateLimit = security.checkRateLimit(req, res);
+        if (!rateLimit.allowed) {
+          res.setHeader('Retry-After', rateLimit.retryAfter);
+          throw apiError(429, 'rate_limited', 'Rate limit exceeded. Please try again later.', { retryAfter: rateLimit.retryAfter });
+        }
+
+        if (!methods.includes(req.method)) {
+          res.setHeader('Allow', methods.join(', '));
+          throw apiError(405, 'method_not_allowed', `Method ${req.method} not allowed`, { allowedMethods: methods });
+        }
+
+        const contentLength = parseInt(req.headers['content-length'] || '0');
+        if (contentLength > this.maxRequestSize) {
+          throw apiError(413, 'payload_too_large', `Request too large. Maximum size is ${this.maxRequestSize} bytes.`);
+        }
+
+        await this.ensureSchema();
+
+        // Reading needs a token with the 'read' scope, anything else 'write'
+        const { userId } = await auth.authenticateRequest(req, { scope: auth.scopeForMethod(req.method), endpoint: name });
+        const settings = await userSettings.getSettings(userId);
+
+        await handle(req, res, { userId, settings });
+      } catch (error) {
+        this.sendError(res, error, name);
+      }
+    };
+  }
+
+  // Nothing runs against a database that is behind the code: a 503 until the migrations have run
+  async ensureSchema() {
+    try {
+      await database.ensureSchema();
+    } catch (error) {
+      if (error.code !== 'SCHEMA_OUT_OF_DATE') throw error;
+      throw apiError(503, 'schema_out_of_date', 'The database is being upgraded. Please try again later.');
+    }
+  }
+
+  send(res, status, body) {
+    res.status(status).json({
+      success: true,
+      ...body,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  sendError(res, error, name = 'API') {
+    let status = error.status || 500;
+    let code = error.code;
+    let message = error.message;
+
+    if (!error.expose) {
+      if (error.code === 'PGRST116') {
+        status = 404;
+        code = 'not_found';
+        message = 'Task not found or access denied';
+      } else {
+        status = 500;
+        code = 'internal_error';
+        message = 'Internal server error';
+      }
+    }
+
+    if (status >= 500) {
+      console.error(`❌ ${name} request failed:`, { error: error.message, stack: error.stack });
+    } else {
+      console.log(`❌ ${name} request rejected:`, { status, code, message: error.message });
+    }
+
+    res.status(status).json({
+      success: false,
+      error: { code, message, ...(error.expose ? error.details : {}) },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // The :id route parameter, checked to be a task ID or a task's short code (T7K)
+  getTaskId(req) {
+    const taskId = req.query.id;
+    if (!taskId) {
+      throw apiError(400, 'invalid_task_id', 'Task ID is required');
+    }
+
+    if (UUID_PATTERN.test(taskId)) {
+      return taskId;
+    }
+    if (taskCodes.isCode(taskId)) {
+      return taskCodes.normalize(taskId);
+    }
+    throw apiError(400, 'invalid_task_id', 'Invalid task ID format: expected a task ID or short code');
+  }
+
+  // Load a task of the user by ID or short code, or fail with a 404
+  async getTask(taskId, userId) {
+    try {
+      return UUID_PATTERN.test(taskId)
+        ? await database.getTaskById(taskId, userId)
+        : await database.getTaskByShortCode(taskId, userId);
+    } catch (error) {
+      if (error.code === 'PGRST116') {
+        throw apiError(404, 'not_found', 'Task not found or access denied');
+      }
+      throw error;
+    }
+  }
+
+  getBody(req) {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw apiError(400, 'invalid_body', 'A JSON object body is required');
+    }
+    return body;
+  }
+
+  // Query parameters
+
+  parseBoolean(value, name) {
+    if (value === undefined || value === '') return undefined;
+    if (value === 'true' || value === '1') return true;
+    if (value === 'false' || value === '0') return false;
+    throw apiError(400, 'invalid_parameter', `${name} must be true or false`);
+  }
+
+  // "work,home" (or ?tag=work&tag=home) as ['work', 'home'], or undefined when absent
+  parseTags(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const words = [].concat(value).flatMap(item => String(item).split(',')).filter(word => word.trim());
+    try {
+      return taskTags.normalizeList(words);
+    } catch (e) {
+      throw apiError(400, 'invalid_parameter', `${name}: ${e.message}`);
+    }
+  }
+
+  parseInteger(value, name, { min, max, fallback }) {
+    if (value === undefined || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw apiError(400, 'invalid_parameter', `${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+  }
+
+  // A date or date-time; a bare date is the start (or with endOfDay, the end) of that
+  // day in the user's timezone
+  parseDate(value, name, timezone, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+
+    const date = DATE_PATTERN.test(value)
+      ? moment.tz(value, 'YYYY-MM-DD', true, timezone)
+      : moment(value, moment.ISO_8601, true);
+
+    if (!date.isValid()) {
+      throw apiError(400, 'invalid_parameter', `${name} must be an ISO date (YYYY-MM-DD) or date-time`);
+    }
+
+    if (DATE_PATTERN.test(value) && endOfDay) {
+      date.endOf('day');
+    }
+    return date.toISOString();
+  }
+
+  // Task fields
+
+  // Check and normalize the task fields in a request body; unknown fields are rejected
+  validateTaskFields(body) {
+    const fields = {};
+
+    for (const [key, value] of Object.entries(body)) {
+      if (!TASK_FIELDS.includes(key)) {
+        throw apiError(400, 'invalid_field', `Field '${key}' is not allowed`, { allowedFields: TASK_FIELDS });
+      }
+
+      switch (key) {
+        case 'title':
+          if (typeof value !== 'string' || value.trim().length === 0) {
+            throw apiError(400, 'invalid_field', 'Title must be a non-empty string');
+          }
+          if (value.length > 200) {
+            throw apiError(400, 'invalid_field', 'Title must be 200 characters or less');
+          }
+          fields[key] = auth.sanitizeInput(value.trim());
+          break;
+
+        case 'description':
+        case 'notes':
+          if (value !== null && value !== undefined) {
+            if (typeof value !== 'string') {
+              throw apiError(400, 'invalid_field', `${key} must be a string`);
+            }
+            if (value.length > 1000) {
+              throw apiError(400, 'invalid_field', `${key} must be 1000 characters or less`);
+            }
+            fields[key] = value.trim() || null;
+          } else {
+            fields[key] = null;
+          }
+          break;
+
+        case 'scheduled_time': {
+          if (typeof value !== 'string') {
+            throw apiError(400, 'invalid_field', 'scheduled_time must be a string');
+          }
+          // Validate ISO date format
+          const date = new Date(value);
+          if (isNaN(date.getTime())) {
+            throw apiError(400, 'invalid_field', 'scheduled_time must be a valid ISO date string');
+          }
+          fields[key] = date.toISOString();
+          break;
+        }
+
+        case 'is_special':
+        case 'is_recurring':
+          if (typeof value !== 'boolean') {
+            throw apiError(400, 'invalid_field', `${key} must be a boolean`);
+          }
+          fields[key] = value;
+          break;
+
+        case 'recurrence_pattern':
+          // Legacy JSON patterns are converted to an RRULE
+          if (value !== null && value !== undefined) {
+            if (typeof value !== 'string') {
+              throw apiError(400, 'invalid_field', 'recurrence_pattern must be a string');
+            }
+            try {
+              fields.recurrence_rule = recurrence.fromLegacyPattern(value);
+            } catch (e) {
+              throw apiError(400, 'invalid_field', `recurrence_pattern is invalid: ${e.message}`);
+            }
+          } else {
+            fields.recurrence_rule = null;
+          }
+          break;
+
+        case 'recurrence_rule':
+          if (value !== null && value !== undefined) {
+            if (typeof value !== 'string') {
+              throw apiError(400, 'invalid_field', 'recurrence_rule must be a string');
+            }
+            // Validate RRULE format (e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR")
+            try {
+              fields[key] = recurrence.normalize(value);
+            } catch (e) {
+              throw apiError(400, 'invalid_field', `recurrence_rule is invalid: ${e.message}`);
+            }
+          } else {
+            fields[key] = null;
+          }
+          break;
+
+        case 'reminder_offsets':
+          // Minutes before the task, e.g. [15, 120, 1440]; null restores the default reminders
+          if (value !== null && value !== undefined) {
+            try {
+              fields[key] = reminderOffsets.normalize(value);
+            } catch (e) {
+              throw apiError(400, 'invalid_field', `reminder_offsets is invalid: ${e.message}`);
+            }
+          } else {
+            fields[key] = null;
+          }
+          break;
+
+        case 'tags':
+          // ["work", "home"]; null or [] removes them all
+          try {
+            fields[key] = value === null ? [] : taskTags.normalizeList(value);
+          } catch (e) {
+            throw apiError(400, 'invalid_field', `tags is invalid: ${e.message}`);
+          }
+          break;
+
+        case 'priority':
+          // 1-3, or "high", "medium", "low"
+          try {
+            fields[key] = taskPriority.normalize(value);
+          } catch (e) {
+            throw apiError(400, 'invalid_field', e.message);
+          }
+          break;
+      }
+    }
+
+    return fields;
+  }
+}
+
+module.exports = new ApiService();
@@ -1,8 +1,137 @@
 // Authentication utilities for Mark's Assistant
+const crypto = require('crypto');
+const database = require('./database');
+const security = require('./security');
+
+// Personal access tokens look like "mka_<43 random characters>"
+const TOKEN_PREFIX = 'mka_';
+const SCOPES = ['read', 'write'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A failed authentication, with the HTTP status and error code to answer it with
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = status === 403 ? 'forbidden' : 'unauthorized';
+  error.expose = true;
+  return error;
+}
 
 class AuthService {
   constructor() {
     this.cronApiKey = process.env.CRON_API_KEY;
+
+    // Personal access tokens for the REST API
+    this.scopes = SCOPES;
+    this.defaultTokenDays = 90;
+    this.maxTokenDays = 365;
+    this.maxTokensPerUser = 10;
+  }
+
+  // Authenticate a request to any endpoint but the webhook. Cron endpoints (scope 'cron')
+  // take CRON_API_KEY; the REST API takes a personal access token with the given scope
+  // ('read' or 'write') in "Authorization: Bearer <token>", or passed as token by endpoints
+  // that take it in the URL (read-only tokens only). Returns { userId, token } for a token, { cron: true } for the
+  // cron key, or throws an error with .status 401/403. Every denial is logged as a security event.
+  async authenticateRequest(req, { scope, endpoint, token: urlToken = null }) {
+    const deny = (status, reason, message, details = {}) => {
+      security.logSecurityEvent(scope === 'cron' ? 'unauthorized_cron_access' : 'api_access_denied', {
+        endpoint,
+        reason,
+        scope,
+        clientIP: security.getClientIP(req),
+        ...details
+      });
+      return authError(status, message);
+    };
+
+    if (scope === 'cron') {
+      if (!this.validateCronApiKey(req)) {
+        throw deny(401, 'invalid_cron_key', 'Invalid or missing API key');
+      }
+      return { cron: true };
+    }
+
+    const match = (req.headers['authorization'] || '').match(/^Bearer\s+(\S+)$/i);
+    const presented = urlToken || (match && match[1]);
+    if (!presented) {
+      throw deny(401, 'missing_token', 'An API token is required in the header "Authorization: Bearer <token>". Send "token new" to the bot to create one.');
+    }
+
+    const token = await database.getApiTokenByHash(this.hashToken(presented));
+    if (!token) {
+      throw deny(401, 'unknown_token', 'Invalid API token');
+    }
+
+    if (token.revoked_at) {
+      throw deny(401, 'revoked_token', 'This API token has been revoked', { tokenId: token.id });
+    }
+
+    if (new Date(token.expires_at) <= new Date()) {
+      throw deny(401, 'expired_token', 'This API token has expired', { tokenId: token.id });
+    }
+
+    if (!token.scopes.includes(scope)) {
+      throw deny(403, 'insufficient_scope', `This API token doesn't allow ${scope} access`, { tokenId: token.id });
+    }
+
+    // URLs end up in logs, proxies and calendar subscriptions, so a token sent in one must not
+    // be able to change anything
+    if (urlToken && token.scopes.includes('write')) {
+      throw deny(403, 'write_token_in_url', 'This URL takes a read-only API token. Create one with "token new read" and revoke this one, as it has been sent in a URL.', { tokenId: token.id });
+    }
+
+    try {
+      await database.touchApiToken(token);
+    } catch (error) {
+      console.warn('⚠️ Could not record API token use:', { tokenId: token.id, error: error.message });
+    }
+
+    return { userId: token.user_id, token };
+  }
+
+  // Middleware form of authenticateRequest: answers a denied request itself
+  // ({ error, message, timestamp }) and returns null, else returns what it authenticated
+  async requireAuth(req, res, options) {
+    try {
+      return await this.authenticateRequest(req, options);
+    } catch (error) {
+      if (!error.expose) throw error;
+
+      res.status(error.status).json({
+        error: error.status === 403 ? 'Forbidden' : 'Unauthorized',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+      return null;
+    }
+  }
+
+  // The scope an API request needs: 'read' to look, 'write' to change anything
+  scopeForMethod(method) {
+    return ['GET', 'HEAD'].includes(method) ? 'read' : 'write';
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Issue a personal access token. The token itself is only returned here; just its hash is stored.
+  async issueApiToken(userId, { scopes = SCOPES, expiresInDays = this.defaultTokenDays } = {}) {
+    const active = (await database.getApiTokens(userId)).filter(token => new Date(token.expires_at) > new Date());
+    if (active.length >= this.maxTokensPerUser) {
+      throw new Error(`You can have at most ${this.maxTokensPerUser} API tokens. Revoke one first.`);
+    }
+
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = await database.createApiToken(userId, {
+      token_hash: this.hashToken(token),
+      token_prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+      scopes,
+      expires_at: new Date(Date.now() + expiresInDays * DAY_MS).toISOString()
+    });
+
+    return { token, record };
   }
 
   // Validate cron API key (supports cron-job.org and other external cron services)
@@ -0,0 +1,307 @@
+// Backups of a user's data: the export behind GET /api/export and the "export" command, and
+// the restore behind POST /api/restore and backup files sent in chat.
+//
+// A backup is one JSON document: the user's settings, every task (completed and cancelled
+// ones too) with its skipped/moved occurrences and checklist items, the completion history and
+// the reminder history. Restoring is idempotent by id: tasks and completions that already exist are left
+// alone, so a backup can be restored twice, or onto a deployment that has some of the data.
+// Reminders aren't restored; pending tasks get theirs scheduled again instead.
+const moment = require('moment-timezone');
+const database = require('./database');
+const userSettings = require('./user-settings');
+const importer = require('./importer');
+const reminderScheduler = require('./reminder-scheduler');
+const taskCodes = require('./task-codes');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+
+const BACKUP_FORMAT = 'marks-assistant-backup';
+const BACKUP_VERSION = 1;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Task columns a backup restores; user_id is always the restoring user
+const TASK_COLUMNS = [
+  'id', 'short_code', 'title', 'description', 'notes', 'scheduled_time', 'is_special', 'priority', 'is_recurring',
+  'recurrence_rule', 'recurrence_pattern', 'reminder_offsets', 'tags', 'status', 'completed_at',
+  'snooze_count', 'is_active', 'created_at'
+];
+const COMPLETION_COLUMNS = ['id', 'task_id', 'title', 'is_recurring', 'occurrence_time', 'completed_at'];
+const ITEM_COLUMNS = ['id', 'position', 'text', 'checked', 'checked_at', 'created_at'];
+const SETTINGS_KEYS = ['timezone', 'digestTime', 'reminderOffsets', 'timeFormat', 'language', 'digestMutedTags'];
+
+// The backup itself is unusable (not a backup, a newer version, no tasks list)
+function backupError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_backup';
+  return error;
+}
+
+class BackupService {
+  // Everything of a user's that a backup holds
+  async exportData(userId) {
+    const settings = await userSettings.getSettings(userId);
+    const tasks = await database.getAllTasks(userId);
+    const taskIds = tasks.map(task => task.id);
+
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      userId,
+      settings: Object.fromEntries(SETTINGS_KEYS.map(key => [key, settings[key]])),
+      tasks,
+      taskExceptions: await database.getTaskExceptions(taskIds),
+      taskItems: await database.getTaskItems(taskIds),
+      completions: await database.getAllCompletions(userId),
+      reminders: await database.getRemindersForTasks(taskIds)
+    };
+
+    console.log('📦 Exported user data:', { userId, ...this.summarize(backup) });
+    return backup;
+  }
+
+  // Counts for a backup, for logs and the "export" reply
+  summarize(backup) {
+    return {
+      tasks: backup.tasks.length,
+      pendingTasks: backup.tasks.filter(task => task.is_active && task.status === 'pending').length,
+      completions: backup.completions.length,
+      reminders: backup.reminders.length
+    };
+  }
+
+  // The pending tasks as CSV in the layout lib/importer.js reads, so the file can be imported
+  // again (or opened in a spreadsheet)
+  tasksToCsv(tasks, settings) {
+    const rows = tasks
+      .filter(task => task.is_active && task.status === 'pending')
+      .map(task => {
+        const time = moment(task.scheduled_time).tz(settings.timezone);
+        return {
+          title: task.title,
+          date: time.format('YYYY-MM-DD'),
+          time: time.format('HH:mm'),
+          recurrence: task.is_recurring ? task.recurrence_rule || '' : '',
+          special: task.is_special ? 'yes' : 'no',
+          reminders: this.formatOffsets(task.reminder_offsets),
+          description: task.description || '',
+          notes: task.notes || '',
+          tags: (task.tags || []).join(', '),
+          priority: taskPriority.name(taskPriority.of(task))
+        };
+      });
+
+    const columns = importer.csvColumns;
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+      lines.push(columns.map(column => this.csvCell(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  // [1440, 60] as "1d, 1h"; [] as "none", no offsets as empty (the default reminders)
+  formatOffsets(offsets) {
+    if (!Array.isArray(offsets)) {
+      return '';
+    }
+    if (offsets.length === 0) {
+      return 'none';
+    }
+
+    return offsets.map(minutes => {
+      if (minutes > 0 && minutes % 10080 === 0) return `${minutes / 10080}w`;
+      if (minutes > 0 && minutes % 1440 === 0) return `${minutes / 1440}d`;
+      if (minutes > 0 && minutes % 60 === 0) return `${minutes / 60}h`;
+      return `${minutes}m`;
+    }).join(', ');
+  }
+
+  csvCell(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Restore a backup (made by exportData, possibly for another user ID) into a user's data.
+  // Returns { tasks: { restored, existing, failed: [{ id, title, reason }] }, exceptions, items,
+  // completions: { restored, existing }, settings, remindersScheduled }.
+  async restore(userId, backup) {
+    this.validate(backup);
+
+    const report = {
+      tasks: { restored: 0, existing: 0, failed: [] },
+      exceptions: 0,
+      items: 0,
+      completions: { restored: 0, existing: 0 },
+      settings: false,
+      remindersScheduled: 0
+    };
+
+    // Settings first, so reminders are scheduled in the restored timezone
+    if (backup.settings && typeof backup.settings === 'object') {
+      const changes = Object.fromEntries(SETTINGS_KEYS
+        .filter(key => backup.settings[key] !== undefined)
+        .map(key => [key, backup.settings[key]]));
+      try {
+        await userSettings.updateSettings(userId, changes);
+      } catch (error) {
+        throw backupError(`The backup's settings are invalid: ${error.message}`);
+      }
+      report.settings = true;
+    }
+    const settings = await userSettings.getSettings(userId);
+
+    const existingTasks = await database.getAllTasks(userId);
+    const taskIds = new Set(existingTasks.map(task => task.id));
+    const shortCodes = new Set(existingTasks.map(task => task.short_code));
+    const restored = [];
+
+    for (const taskData of backup.tasks) {
+      const reason = this.checkTask(taskData);
+      if (reason) {
+        report.tasks.failed.push({ id: taskData && taskData.id, title: taskData && taskData.title, reason });
+        continue;
+      }
+      if (taskIds.has(taskData.id)) {
+        report.tasks.existing++;
+        continue;
+      }
+
+      try {
+        const row = Object.fromEntries(TASK_COLUMNS.filter(column => taskData[column] !== undefined).map(column => [column, taskData[column]]));
+        // Keep the task's short code unless another task of the user has it by now
+        if (!taskCodes.isCode(row.short_code) || shortCodes.has(taskCodes.normalize(row.short_code))) {
+          delete row.short_code;
+        }
+        // Tags that aren't valid are dropped rather than failing the task
+        if (row.tags !== undefined) {
+          try {
+            row.tags = taskTags.normalizeList(row.tags);
+          } catch (error) {
+            delete row.tags;
+          }
+        }
+        // Backups from before priorities go by is_special
+        if (row.priority !== undefined && ![1, 2, 3].includes(row.priority)) {
+          delete row.priority;
+        }
+        const task = await database.createTask({ ...row, user_id: userId });
+        restored.push(task);
+        taskIds.add(task.id);
+        shortCodes.add(task.short_code);
+        report.tasks.restored++;
+      } catch (error) {
+        // '23505': the id belongs to someone else's task
+        report.tasks.failed.push({
+          id: taskData.id,
+          title: taskData.title,
+          reason: error.code === '23505' ? 'the task id is already taken' : error.message
+        });
+      }
+    }
+
+    // Skipped and moved occurrences of the restored tasks
+    const restoredTasks = new Map(restored.map(task => [task.id, task]));
+    for (const exception of backup.taskExceptions || []) {
+      const task = restoredTasks.get(exception.task_id);
+      if (!task) continue;
+
+      await database.createTaskException(task, userId, {
+        action: exception.action,
+        occurrence_time: exception.occurrence_time,
+        new_time: exception.new_time || null
+      });
+      report.exceptions++;
+    }
+
+    // Checklists of the restored tasks; an item that isn't valid is left out
+    for (const item of backup.taskItems || []) {
+      const task = restoredTasks.get(item && item.task_id);
+      if (!task || !Number.isInteger(item.position) || typeof item.text !== 'string') continue;
+
+      const row = Object.fromEntries(ITEM_COLUMNS.filter(column => item[column] !== undefined).map(column => [column, item[column]]));
+      try {
+        await database.createTaskItem(task, userId, row);
+      } catch (error) {
+        console.warn('⚠️ Skipped a checklist item that could not be restored:', { taskId: task.id, error: error.message });
+        continue;
+      }
+      report.items++;
+    }
+
+    const completionIds = new Set((await database.getAllCompletions(userId)).map(completion => completion.id));
+    for (const completion of backup.completions || []) {
+      if (completionIds.has(completion.id)) {
+        report.completions.existing++;
+        continue;
+      }
+
+      const row = Object.fromEntries(COMPLETION_COLUMNS.filter(column => completion[column] !== undefined).map(column => [column, completion[column]]));
+      try {
+        await database.createCompletion({
+          ...row,
+          // The task may be gone (cleaned up) while its completions stay
+          task_id: taskIds.has(completion.task_id) ? completion.task_id : null,
+          user_id: userId
+        });
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+        report.completions.existing++;
+        continue;
+      }
+      completionIds.add(completion.id);
+      report.completions.restored++;
+    }
+
+    // Reminders for the restored tasks that are still to come
+    const scheduler = reminderScheduler.forUser(settings);
+    for (const task of restored.filter(task => task.is_active && task.status === 'pending')) {
+      try {
+        await scheduler.rescheduleRemindersForOccurrence(task);
+        const reminders = await database.getTaskReminders(task.id);
+        report.remindersScheduled += reminders.filter(reminder => reminder.status === 'pending').length;
+      } catch (schedulerError) {
+        console.error('⚠️ Failed to schedule reminders for restored task:', task.id, schedulerError);
+      }
+    }
+
+    console.log('📦 Restored user data:', {
+      userId,
+      fromUserId: backup.userId,
+      tasks: report.tasks.restored,
+      existing: report.tasks.existing,
+      failed: report.tasks.failed.length,
+      completions: report.completions.restored
+    });
+
+    return report;
+  }
+
+  validate(backup) {
+    if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+      throw backupError(`Not a backup: expected an object with format "${BACKUP_FORMAT}" (from GET /api/export)`);
+    }
+    if (backup.version !== BACKUP_VERSION) {
+      throw backupError(`Unsupported backup version ${backup.version}; this deployment reads version ${BACKUP_VERSION}`);
+    }
+    if (!Array.isArray(backup.tasks)) {
+      throw backupError('The backup has no tasks list');
+    }
+    for (const key of ['taskExceptions', 'taskItems', 'completions']) {
+      if (backup[key] !== undefined && !Array.isArray(backup[key])) {
+        throw backupError(`${key} must be a list`);
+      }
+    }
+  }
+
+  // Why a backed-up task can't be restored, or null
+  checkTask(task) {
+    if (!task || typeof task !== 'object') return 'not a task';
+    if (typeof task.id !== 'string' || !UUID_PATTERN.test(task.id)) return 'missing or invalid id';
+    if (typeof task.title !== 'string' || !task.title.trim()) return 'missing title';
+    if (!task.scheduled_time || !moment(task.scheduled_time).isValid()) return 'missing or invalid scheduled_time';
+    return null;
+  }
+}
+
+module.exports = new BackupService();
@@ -0,0 +1,130 @@
+// The scheduled jobs. They run from the api/cron/* endpoints (hit by an external cron service)
+// or from the in-process scheduler when the bot is self-hosted with index.js.
+const database = require('./database');
+const reminderScheduler = require('./reminder-scheduler');
+
+class CronJobService {
+  // Morning digest for every user, then due reminders and recurring task instances
+  async runDailyReminder() {
+    await database.ensureSchema();
+
+    // Send each user today's tasks, unless their digest time hasn't come yet (the hourly job picks it up then)
+    const digests = await reminderScheduler.forEachUser('Daily digest', async (userId) => {
+      const tasksCount = await reminderScheduler.sendDigestIfDue(userId);
+      return { digestSent: tasksCount !== null, tasksCount };
+    });
+
+    // Process any pending reminders
+    console.log('🔍 Processing pending reminders...');
+    const processedCount = await reminderScheduler.processPendingReminders();
+
+    // Generate recurring task instances
+    console.log('🔍 Generating recurring task instances...');
+    await reminderScheduler.generateRecurringInstances();
+
+    console.log('✅ Daily reminder process completed successfully:', {
+      users: digests.users,
+      succeeded: digests.succeeded,
+      failed: digests.failed,
+      remindersProcessed: processedCount
+    });
+
+    return {
+      users: digests.users,
+      succeeded: digests.succeeded,
+      failed: digests.failed,
+      results: digests.results,
+      remindersProcessed: processedCount
+    };
+  }
+
+  // Due reminders (before-task reminders and snoozes), and digests for later digest times
+  async runHourlyReminder() {
+    await database.ensureSchema();
+
+    console.log('🔍 Processing pending hourly reminders...');
+    const processedCount = await reminderScheduler.processPendingReminders();
+
+    // Messages the scheduled-messages job hasn't sent (or all of them, when it isn't set up)
+    console.log('🔍 Processing scheduled messages...');
+    const messagesSent = await reminderScheduler.processScheduledMessages();
+
+    // Morning digest for users whose digest time is later than the daily job
+    const digests = await reminderScheduler.forEachUser('Hourly digest check', async (userId) => {
+      const tasksCount = await reminderScheduler.sendDigestIfDue(userId);
+      return { digestSent: tasksCount !== null, tasksCount };
+    });
+
+    console.log('✅ Hourly reminder process completed successfully:', {
+      remindersProcessed: processedCount,
+      messagesSent,
+      users: digests.users,
+      failed: digests.failed,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      remindersProcessed: processedCount,
+      messagesSent,
+      users: digests.users,
+      succeeded: digests.succeeded,
+      failed: digests.failed,
+      results: digests.results
+    };
+  }
+
+  // Special day-before and day-of reminders
+  async runSpecialReminder() {
+    await database.ensureSchema();
+
+    console.log('🔍 Processing pending special reminders...');
+    const processedCount = await reminderScheduler.processPendingReminders();
+
+    console.log('✅ Special reminder process completed successfully:', {
+      remindersProcessed: processedCount,
+      timestamp: new Date().toISOString()
+    });
+
+    return { remindersProcessed: processedCount };
+  }
+
+  // Scheduled messages ("say ... at ..."), run often so they go out close to their time
+  async runScheduledMessages() {
+    await database.ensureSchema();
+
+    console.log('🔍 Processing scheduled messages...');
+    const messagesSent = await reminderScheduler.processScheduledMessages();
+
+    console.log('✅ Scheduled message process completed successfully:', {
+      messagesSent,
+      timestamp: new Date().toISOString()
+    });
+
+    return { messagesSent };
+  }
+
+  // Every user's passed tasks, old reminders, and recurring instances that weren't generated
+  async runCleanup() {
+    await database.ensureSchema();
+
+    console.log('🧹 Cleaning up old tasks...');
+    const cleanup = await reminderScheduler.forEachUser('Cleanup', userId => reminderScheduler.cleanup(userId));
+
+    // Old sent reminders aren't tied to a user
+    console.log('🧹 Cleaning up old reminders...');
+    await reminderScheduler.cleanupReminders();
+
+    // Generate recurring task instances (in case they weren't generated)
+    console.log('🔄 Generating recurring task instances...');
+    await reminderScheduler.generateRecurringInstances();
+
+    return {
+      users: cleanup.users,
+      succeeded: cleanup.succeeded,
+      failed: cleanup.failed,
+      results: cleanup.results
+    };
+  }
+}
+
+module.exports = new CronJobService();
@@ -1,19 +1,65 @@
-const { createClient } = require('@supabase/supabase-js');
 const moment = require('moment-timezone');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+const taskItems = require('./task-items');
+const migrations = require('./migrations');
+const { createStorage } = require('./storage');
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
+// Created on first use, so requiring this module doesn't need a database configured
+let storage = null;
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables');
-}
-
-const supabase = createClient(supabaseUrl, supabaseKey);
+// The schema check of this process (see ensureSchema)
+let schemaCheck = null;
 
 class DatabaseService {
   constructor() {
-    this.supabase = supabase;
     this.timezone = process.env.TIMEZONE || 'Asia/Taipei';
+    this.recurrence = recurrence;
+  }
+
+  // The storage backend (lib/storage.js), shared by every per-user view
+  get storage() {
+    if (!storage) {
+      storage = createStorage();
+      console.log('✅ Storage backend ready:', { backend: storage.name });
+    }
+    return storage;
+  }
+
+  // Use a specific storage backend, e.g. a fresh MemoryStorage
+  useStorage(backend) {
+    storage = backend;
+    schemaCheck = null;
+  }
+
+  // Make sure every migration in migrations/ has been applied; throws (code 'SCHEMA_OUT_OF_DATE') if not
+  async checkSchema() {
+    const status = await migrations.checkSchema(this.storage);
+    console.log('✅ Database schema is up to date:', { version: status.current });
+    return status;
+  }
+
+  // checkSchema, once per process: every entry point (API, webhook, cron, calendar feed) awaits
+  // this before using the database, and only the first call of a warm instance queries it. A
+  // failed check isn't kept, so the instance recovers once the migrations have run.
+  async ensureSchema() {
+    if (!schemaCheck) {
+      schemaCheck = this.checkSchema().catch(error => {
+        schemaCheck = null;
+        throw error;
+      });
+    }
+    return schemaCheck;
+  }
+
+  // A view of the service whose day/week/month boundaries follow a user's timezone setting
+  forUser(settings) {
+    const view = Object.create(this);
+    view.timezone = settings.timezone;
+    view.recurrence = recurrence.withTimezone(settings.timezone);
+    return view;
   }
 
   // Validate LINE user ID format
@@ -25,28 +71,17 @@ class DatabaseService {
   // Set user context for RLS
   async setUserContext(userId) {
     this.currentUserId = userId;
-    
-    // Set the user context in Supabase for RLS
-    try {
-      await this.supabase.rpc('set_user_context', { user_id: userId });
-      console.log('✅ User context set for RLS:', userId);
-    } catch (error) {
-      console.warn('⚠️ Could not set user context for RLS:', error.message);
-      // Continue without RLS - application layer filtering will handle it
-    }
+    await this.storage.setUserContext(userId);
   }
 
   // Task CRUD operations
   async createTask(taskData) {
     console.log('🔍 Creating task:', { title: taskData.title, scheduled_time: taskData.scheduled_time });
     
-    const { data, error } = await this.supabase
-      .from('tasks')
-      .insert([taskData])
-      .select()
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.createTask(taskData);
+    } catch (error) {
       console.error('❌ Error creating task:', error);
       throw error;
     }
@@ -60,28 +95,30 @@ class DatabaseService {
     
     console.log('🔍 Fetching tasks for user:', { userId, filters });
     
-    let query = this.supabase
-      .from('tasks')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('is_active', true)
-      .order('scheduled_time', { ascending: true });
-
-    if (filters.dateRange) {
-      const { start, end } = filters.dateRange;
-      query = query.gte('scheduled_time', start).lte('scheduled_time', end);
-    }
+    const criteria = {
+      userId,
+      isActive: true,
+      isSpecial: filters.isSpecial,
+      isRecurring: filters.isRecurring,
+      tags: filters.tags && filters.tags.length ? filters.tags : undefined,
+      limit: filters.limit,
+      offset: filters.offset
+    };
 
-    if (filters.isSpecial !== undefined) {
-      query = query.eq('is_special', filters.isSpecial);
+    // Completed tasks only show up in the completion history, cancelled series not at all
+    if (!filters.includeCompleted) {
+      criteria.status = 'pending';
     }
 
-    if (filters.isRecurring !== undefined) {
-      query = query.eq('is_recurring', filters.isRecurring);
+    if (filters.dateRange) {
+      criteria.scheduledFrom = filters.dateRange.start;
+      criteria.scheduledTo = filters.dateRange.end;
     }
 
-    const { data, error } = await query;
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.listTasks(criteria);
+    } catch (error) {
       console.error('❌ Error getting tasks:', error);
       throw error;
     }
@@ -90,45 +127,98 @@ class DatabaseService {
     return data;
   }
 
-  async getTaskById(taskId, userId) {
+  // Pending tasks as they will happen, for the lists: a recurring task whose current occurrence
+  // was moved is at its new time (original_time keeping the slot), as in the today/week views
+  async getUpcomingTasks(userId, filters = {}) {
+    const tasks = await this.getTasks(userId, filters);
+    const recurringTasks = tasks.filter(task => task.is_recurring);
+    if (recurringTasks.length === 0) {
+      return tasks;
+    }
+
+    const exceptions = await this.getTaskExceptions(recurringTasks.map(task => task.id));
+    return tasks
+      .map(task => {
+        if (!task.is_recurring) return task;
+        const taskExceptions = exceptions.filter(exception => exception.task_id === task.id);
+        const time = this.recurrence.effectiveTime(task.scheduled_time, taskExceptions);
+        if (time.isSame(moment(task.scheduled_time))) return task;
+        return { ...task, scheduled_time: time.toISOString(), original_time: task.scheduled_time };
+      })
+      .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time));
+  }
+
+  // Pending tasks matching search terms, best match first (see searchTasks in lib/storage.js)
+  async searchTasks(userId, { terms = [], isSpecial, isRecurring, scheduledFrom, scheduledTo, scheduledBefore, tags, limit, offset } = {}) {
     await this.setUserContext(userId);
-    
-    const { data, error } = await this.supabase
-      .from('tasks')
-      .select('*')
-      .eq('id', taskId)
-      .eq('user_id', userId)
-      .eq('is_active', true)
-      .single();
-
-    if (error) throw error;
+
+    console.log('🔍 Searching tasks for user:', { userId, terms });
+
+    let data;
+    try {
+      data = await this.storage.searchTasks({
+        userId, terms, isSpecial, isRecurring, scheduledFrom, scheduledTo, scheduledBefore,
+        tags: tags && tags.length ? tags : undefined,
+        limit, offset
+      });
+    } catch (error) {
+      console.error('❌ Error searching tasks:', error);
+      throw error;
+    }
+
+    console.log('✅ Found tasks:', { count: data.length, userId });
     return data;
   }
 
+  // Every task of a user, whatever its state (completed, cancelled), for backups
+  async getAllTasks(userId) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.listTasks({ userId });
+    } catch (error) {
+      console.error('❌ Error getting all tasks:', error);
+      throw error;
+    }
+  }
+
+  async getTaskById(taskId, userId) {
+    await this.setUserContext(userId);
+    return await this.storage.getTask(taskId, userId);
+  }
+
+  // An active task of the user by its short code ("T7K"); codes are stored upper case
+  async getTaskByShortCode(shortCode, userId) {
+    await this.setUserContext(userId);
+    return await this.storage.getTaskByShortCode(shortCode.toUpperCase(), userId);
+  }
+
   async updateTask(taskId, updates, userId) {
     await this.setUserContext(userId);
     
     // Validate update data
     this.validateUpdateData(updates);
+    if (['is_recurring', 'recurrence_rule', 'recurrence_pattern'].some(key => key in updates)) {
+      this.validateRecurrence({ ...(await this.storage.getTask(taskId, userId)), ...updates });
+    }
     
-    const { data, error } = await this.supabase
-      .from('tasks')
-      .update(updates)
-      .eq('id', taskId)
-      .eq('user_id', userId)
-      .eq('is_active', true)
-      .select()
-      .single();
-
-    if (error) throw error;
-    return data;
+    return await this.storage.updateTask(taskId, userId, updates);
+  }
+
+  // A recurring task needs a rule the recurrence engine can expand, and only recurring tasks have
+  // one; task is the task as an update would leave it
+  validateRecurrence(task) {
+    const hasRule = Boolean(task.recurrence_rule || task.recurrence_pattern);
+    if (Boolean(task.is_recurring) !== hasRule) {
+      throw new Error('Recurring tasks need a recurrence_rule, and only recurring tasks can have one');
+    }
   }
 
   // Validate update data
   validateUpdateData(updates) {
     const allowedFields = [
       'title', 'description', 'notes', 'scheduled_time', 
-      'is_special', 'is_recurring', 'recurrence_pattern'
+      'is_special', 'is_recurring', 'recurrence_pattern', 'recurrence_rule', 'reminder_offsets', 'tags', 'priority'
     ];
 
     for (const [key, value] of Object.entries(updates)) {
@@ -185,67 +275,363 @@ class DatabaseService {
             }
           }
           break;
+
+        case 'recurrence_rule':
+          if (value !== null && value !== undefined) {
+            if (typeof value !== 'string') {
+              throw new Error('recurrence_rule must be a string');
+            }
+            try {
+              recurrence.parse(value);
+            } catch (e) {
+              throw new Error(`recurrence_rule is invalid: ${e.message}`);
+            }
+          }
+          break;
+
+        case 'reminder_offsets':
+          // null falls back to the default reminder plan
+          if (value !== null) {
+            reminderOffsets.normalize(value);
+          }
+          break;
+
+        case 'tags':
+          taskTags.normalizeList(value);
+          break;
+
+        case 'priority':
+          if (!Number.isInteger(value) || taskPriority.normalize(value) !== value) {
+            throw new Error('priority must be 1 (high), 2 (medium) or 3 (low)');
+          }
+          break;
       }
     }
   }
 
   async deleteTask(taskId, userId) {
     await this.setUserContext(userId);
-    
-    const { data, error } = await this.supabase
-      .from('tasks')
-      .update({ is_active: false })
-      .eq('id', taskId)
-      .eq('user_id', userId)
-      .select()
-      .single();
-
-    if (error) throw error;
+    return await this.storage.updateTask(taskId, userId, { is_active: false }, { activeOnly: false });
+  }
+
+  // Mark a one-off task as completed
+  async completeTask(taskId, userId) {
+    await this.setUserContext(userId);
+
+    console.log('🔍 Completing task:', { taskId, userId });
+
+    let data;
+    try {
+      data = await this.storage.updateTask(taskId, userId, {
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error completing task:', error);
+      throw error;
+    }
+
+    console.log('✅ Successfully completed task:', { id: data.id, title: data.title });
     return data;
   }
 
-  // Get recurring task instances
+  // Record a completed task or recurring occurrence in the completion history
+  async createCompletion(completionData) {
+    try {
+      return await this.storage.createCompletion(completionData);
+    } catch (error) {
+      console.error('❌ Error recording task completion:', error);
+      throw error;
+    }
+  }
+
+  // Get completion history, most recent first
+  async getCompletionHistory(userId, limit = 20) {
+    await this.setUserContext(userId);
+
+    let data;
+    try {
+      data = await this.storage.listCompletions(userId, limit);
+    } catch (error) {
+      console.error('❌ Error getting completion history:', error);
+      throw error;
+    }
+
+    console.log('✅ Fetched completion history:', { count: data.length, userId });
+    return data;
+  }
+
+  // The whole completion history, most recent first
+  async getAllCompletions(userId) {
+    return await this.getCompletionHistory(userId, null);
+  }
+
+  // Stop a recurring series for good; its past completions stay in the history
+  async cancelTaskSeries(taskId, userId) {
+    await this.setUserContext(userId);
+
+    console.log('🔍 Cancelling task series:', { taskId, userId });
+
+    let data;
+    try {
+      data = await this.storage.updateTask(taskId, userId, { status: 'cancelled' });
+    } catch (error) {
+      console.error('❌ Error cancelling task series:', error);
+      throw error;
+    }
+
+    console.log('✅ Successfully cancelled task series:', { id: data.id, title: data.title });
+    return data;
+  }
+
+  // Skip or move a single occurrence of a recurring task (replaces any earlier exception for it)
+  async createTaskException(task, userId, exceptionData) {
+    await this.setUserContext(userId);
+
+    let data;
+    try {
+      data = await this.storage.saveTaskException({
+        task_id: task.id,
+        user_id: userId,
+        ...exceptionData
+      });
+    } catch (error) {
+      console.error('❌ Error recording task exception:', error);
+      throw error;
+    }
+
+    console.log('✅ Recorded task exception:', { taskId: task.id, action: exceptionData.action, occurrence: exceptionData.occurrence_time });
+    return data;
+  }
+
+  // Get the skipped/moved occurrences for a set of tasks
+  async getTaskExceptions(taskIds) {
+    if (!taskIds || taskIds.length === 0) return [];
+
+    try {
+      return await this.storage.listTaskExceptions(taskIds);
+    } catch (error) {
+      console.error('❌ Error getting task exceptions:', error);
+      throw error;
+    }
+  }
+
+  // The checklist items of a set of tasks, in position order
+  async getTaskItems(taskIds) {
+    if (!taskIds || taskIds.length === 0) return [];
+
+    try {
+      return await this.storage.listTaskItems(taskIds);
+    } catch (error) {
+      console.error('❌ Error getting task items:', error);
+      throw error;
+    }
+  }
+
+  async getTaskItem(itemId, userId) {
+    await this.setUserContext(userId);
+    return await this.storage.getTaskItem(itemId, userId);
+  }
+
+  // Save one checklist item of a task (itemData has position and text, and an id when restoring)
+  async createTaskItem(task, userId, itemData) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.createTaskItem({
+        task_id: task.id,
+        user_id: userId,
+        ...itemData,
+        text: taskItems.normalizeText(itemData.text)
+      });
+    } catch (error) {
+      console.error('❌ Error creating task item:', error);
+      throw error;
+    }
+  }
+
+  // Add items to the end of a task's checklist; returns the whole checklist
+  async addTaskItems(task, userId, texts) {
+    const items = await this.getTaskItems([task.id]);
+    if (items.length + texts.length > taskItems.maxItems) {
+      throw new Error(`A task can have at most ${taskItems.maxItems} checklist items`);
+    }
+
+    let position = items.reduce((max, item) => Math.max(max, item.position), 0);
+    for (const text of texts) {
+      items.push(await this.createTaskItem(task, userId, { position: ++position, text }));
+    }
+
+    console.log('✅ Added task items:', { taskId: task.id, added: texts.length, total: items.length });
+    return items;
+  }
+
+  // Check or uncheck a checklist item
+  async setTaskItemChecked(itemId, userId, checked) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.updateTaskItem(itemId, userId, {
+        checked,
+        checked_at: checked ? new Date().toISOString() : null
+      });
+    } catch (error) {
+      console.error('❌ Error updating task item:', error);
+      throw error;
+    }
+  }
+
+  async deleteTaskItem(itemId, userId) {
+    await this.setUserContext(userId);
+
+    try {
+      await this.storage.deleteTaskItem(itemId, userId);
+    } catch (error) {
+      console.error('❌ Error deleting task item:', error);
+      throw error;
+    }
+  }
+
+  // Uncheck every item of a task's checklist, for the next occurrence of a recurring task
+  async resetTaskItems(taskId, userId) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.updateTaskItems(taskId, userId, { checked: false, checked_at: null });
+    } catch (error) {
+      console.error('❌ Error resetting task items:', error);
+      throw error;
+    }
+  }
+
+  // Get the occurrences of recurring tasks between two dates, with skipped and moved occurrences applied
   async getRecurringTaskInstances(userId, startDate, endDate) {
+    const recurringTasks = await this.getTasks(userId, { isRecurring: true });
+    const exceptions = await this.getTaskExceptions(recurringTasks.map(task => task.id));
+    const instances = [];
+
+    for (const task of recurringTasks) {
+      try {
+        const rule = this.recurrence.getTaskRule(task);
+        if (!rule) continue;
+
+        const taskExceptions = exceptions.filter(exception => exception.task_id === task.id);
+        for (const occurrence of this.recurrence.occurrencesBetween(rule, task.scheduled_time, startDate, endDate, taskExceptions)) {
+          instances.push({
+            ...task,
+            scheduled_time: occurrence.time.toISOString(),
+            original_time: occurrence.originalTime.toISOString()
+          });
+        }
+      } catch (error) {
+        console.error('❌ Error expanding recurring task:', { taskId: task.id, error: error.message });
+      }
+    }
+
+    return instances;
+  }
+
+  // Get one-off tasks and recurring occurrences between two dates, in time order
+  async getTasksInRange(userId, startDate, endDate, { byPriority = false } = {}) {
+    const oneOffTasks = await this.getTasks(userId, {
+      isRecurring: false,
+      dateRange: {
+        start: startDate.toISOString(),
+        end: endDate.toISOString()
+      }
+    });
+    const occurrences = await this.getRecurringTaskInstances(userId, startDate, endDate);
+
+    if (byPriority) {
+      return [...oneOffTasks, ...occurrences].sort((a, b) => taskPriority.compare(a, b));
+    }
+    return [...oneOffTasks, ...occurrences].sort((a, b) =>
+      new Date(a.scheduled_time) - new Date(b.scheduled_time)
+    );
+  }
+
+  // Get a user's saved settings row, or null when they haven't changed anything
+  async getUserSettings(userId) {
     await this.setUserContext(userId);
-    
-    const { data, error } = await this.supabase
-      .from('recurring_task_instances')
-      .select('*')
-      .eq('user_id', userId)
-      .gte('instance_time', startDate)
-      .lte('instance_time', endDate)
-      .order('instance_time', { ascending: true });
-
-    if (error) throw error;
+
+    try {
+      return await this.storage.getUserSettings(userId);
+    } catch (error) {
+      console.error('❌ Error getting user settings:', error);
+      throw error;
+    }
+  }
+
+  // Create or update a user's settings row
+  async saveUserSettings(userId, settingsData) {
+    await this.setUserContext(userId);
+
+    let data;
+    try {
+      data = await this.storage.saveUserSettings({ user_id: userId, ...settingsData });
+    } catch (error) {
+      console.error('❌ Error saving user settings:', error);
+      throw error;
+    }
+
+    console.log('✅ Saved user settings:', { userId, fields: Object.keys(settingsData) });
     return data;
   }
 
   // Reminder management
+
+  // The same reminder (task, type and send time) is only ever created once; scheduling it
+  // again returns the existing row instead of a duplicate
   async createReminder(reminderData) {
-    const { data, error } = await this.supabase
-      .from('reminders')
-      .insert([reminderData])
-      .select()
-      .single();
+    const dedupeKey = reminderData.dedupe_key ||
+      `${reminderData.task_id}:${reminderData.reminder_type}:${reminderData.scheduled_time}`;
+
+    try {
+      return await this.storage.createReminder({ ...reminderData, dedupe_key: dedupeKey });
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+
+      console.log('⚠️ Reminder already scheduled:', { dedupeKey });
+      return await this.storage.findReminderByDedupeKey(dedupeKey);
+    }
+  }
+
+  // Record a snooze/postpone and bump the task's snooze counter
+  async recordSnooze(task, userId, snoozeData) {
+    await this.setUserContext(userId);
 
-    if (error) throw error;
+    try {
+      await this.storage.createSnooze({
+        task_id: task.id,
+        user_id: userId,
+        ...snoozeData
+      });
+    } catch (error) {
+      console.error('❌ Error recording snooze:', error);
+      throw error;
+    }
+
+    let data;
+    try {
+      data = await this.storage.updateTask(task.id, userId, { snooze_count: (task.snooze_count || 0) + 1 }, { activeOnly: false });
+    } catch (updateError) {
+      console.error('❌ Error updating snooze count:', updateError);
+      throw updateError;
+    }
+
+    console.log('✅ Recorded snooze:', { taskId: task.id, action: snoozeData.action, snoozeCount: data.snooze_count });
     return data;
   }
 
+  // Reminders that are due: pending ones whose retry time has come, and ones whose
+  // sending lease ran out (the run that claimed them crashed or timed out)
   async getPendingReminders(beforeTime) {
     console.log('🔍 Fetching pending reminders before:', beforeTime);
     
-    const { data, error } = await this.supabase
-      .from('reminders')
-      .select(`
-        *,
-        tasks!inner(*)
-      `)
-      .lte('scheduled_time', beforeTime)
-      .is('sent_at', null)
-      .order('scheduled_time', { ascending: true });
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.listDueReminders(beforeTime);
+    } catch (error) {
       console.error('❌ Error getting pending reminders:', error);
       throw error;
     }
@@ -265,17 +651,42 @@ class DatabaseService {
     return data;
   }
 
+  // Claim a reminder for sending. The update only matches while the row is still in the
+  // state it was read in (every claim bumps attempts), so when two runs race for the same
+  // reminder exactly one gets it. Returns the claimed row, or null if another run won.
+  async claimReminder(reminder, leaseExpiresAt) {
+    let data;
+    try {
+      data = await this.storage.claimReminder(reminder, {
+        status: 'sending',
+        attempts: (reminder.attempts || 0) + 1,
+        lease_expires_at: leaseExpiresAt
+      });
+    } catch (error) {
+      console.error('❌ Error claiming reminder:', error);
+      throw error;
+    }
+
+    if (!data) {
+      console.log('⚠️ Reminder already claimed by another run:', { id: reminder.id });
+      return null;
+    }
+
+    return data;
+  }
+
   async markReminderSent(reminderId) {
     console.log('🔍 Marking reminder as sent:', reminderId);
     
-    const { data, error } = await this.supabase
-      .from('reminders')
-      .update({ sent_at: new Date().toISOString() })
-      .eq('id', reminderId)
-      .select()
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.updateReminder(reminderId, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        lease_expires_at: null,
+        last_error: null
+      });
+    } catch (error) {
       console.error('❌ Error marking reminder sent:', error);
       throw error;
     }
@@ -284,30 +695,71 @@ class DatabaseService {
     return data;
   }
 
-  // Get tasks for daily morning reminder
+  // Release a reminder whose send failed: back to pending until retryAt, or 'failed' for good when retryAt is null
+  async recordReminderFailure(reminderId, errorMessage, retryAt) {
+    let data;
+    try {
+      data = await this.storage.updateReminder(reminderId, {
+        status: retryAt ? 'pending' : 'failed',
+        next_attempt_at: retryAt,
+        lease_expires_at: null,
+        last_error: errorMessage
+      });
+    } catch (error) {
+      console.error('❌ Error recording reminder failure:', error);
+      throw error;
+    }
+
+    console.log('✅ Recorded reminder failure:', { id: reminderId, status: data.status, attempts: data.attempts });
+    return data;
+  }
+
+  // All of a task's reminders, whatever their status, in time order
+  async getTaskReminders(taskId) {
+    try {
+      return await this.storage.listReminders(taskId);
+    } catch (error) {
+      console.error('❌ Error getting task reminders:', error);
+      throw error;
+    }
+  }
+
+  // The reminders of a set of tasks, whatever their status, in time order
+  async getRemindersForTasks(taskIds) {
+    if (!taskIds || taskIds.length === 0) return [];
+
+    try {
+      return await this.storage.listTaskReminders(taskIds);
+    } catch (error) {
+      console.error('❌ Error getting reminders:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a task's reminders that haven't gone out yet
+  async cancelPendingReminders(taskId) {
+    try {
+      await this.storage.cancelPendingReminders(taskId);
+    } catch (error) {
+      console.error('❌ Error cancelling reminders:', error);
+      throw error;
+    }
+  }
+
+  // Get tasks for daily morning reminder, highest priority first
   async getTodaysTasks(userId) {
     const startOfDay = moment().tz(this.timezone).startOf('day');
     const endOfDay = moment().tz(this.timezone).endOf('day');
 
-    return await this.getTasks(userId, {
-      dateRange: {
-        start: startOfDay.toISOString(),
-        end: endOfDay.toISOString()
-      }
-    });
+    return await this.getTasksInRange(userId, startOfDay, endOfDay, { byPriority: true });
   }
 
-  // Get tasks for weekly view
+  // Get tasks for weekly view, highest priority first
   async getWeeklyTasks(userId) {
     const startOfWeek = moment().tz(this.timezone).startOf('week');
     const endOfWeek = moment().tz(this.timezone).endOf('week');
 
-    return await this.getTasks(userId, {
-      dateRange: {
-        start: startOfWeek.toISOString(),
-        end: endOfWeek.toISOString()
-      }
-    });
+    return await this.getTasksInRange(userId, startOfWeek, endOfWeek, { byPriority: true });
   }
 
   // Get tasks for monthly view
@@ -315,19 +767,13 @@ class DatabaseService {
     const startOfMonth = moment().tz(this.timezone).startOf('month');
     const endOfMonth = moment().tz(this.timezone).endOf('month');
 
-    return await this.getTasks(userId, {
-      dateRange: {
-        start: startOfMonth.toISOString(),
-        end: endOfMonth.toISOString()
-      }
-    });
+    return await this.getTasksInRange(userId, startOfMonth, endOfMonth);
   }
 
   // Get special tasks that need day-before reminders
   async getSpecialTasksForReminder(userId) {
     await this.setUserContext(userId);
     
-    const now = moment().tz(this.timezone);
     const tomorrow = moment().tz(this.timezone).add(1, 'day').startOf('day');
     const dayAfterTomorrow = moment().tz(this.timezone).add(2, 'day');
     
@@ -337,17 +783,17 @@ class DatabaseService {
       dayAfterTomorrow: dayAfterTomorrow.toISOString()
     });
     
-    const { data, error } = await this.supabase
-      .from('tasks')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('is_active', true)
-      .eq('is_special', true)
-      .gte('scheduled_time', tomorrow.toISOString())
-      .lt('scheduled_time', dayAfterTomorrow.toISOString())
-      .order('scheduled_time', { ascending: true });
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.listTasks({
+        userId,
+        isActive: true,
+        isSpecial: true,
+        status: 'pending',
+        scheduledFrom: tomorrow.toISOString(),
+        scheduledBefore: dayAfterTomorrow.toISOString()
+      });
+    } catch (error) {
       console.error('❌ Error getting special tasks for reminder:', error);
       throw error;
     }
@@ -356,20 +802,86 @@ class DatabaseService {
     return data;
   }
 
+  // Schedule a free-form message to be pushed to a user ("say ... at ...")
+  async createScheduledMessage(userId, text, scheduledAt) {
+    await this.setUserContext(userId);
+
+    console.log('🔍 Scheduling message:', { userId, scheduledAt });
+
+    let data;
+    try {
+      data = await this.storage.createScheduledMessage({
+        user_id: userId,
+        message: text,
+        scheduled_at: scheduledAt
+      });
+    } catch (error) {
+      console.error('❌ Error scheduling message:', error);
+      throw error;
+    }
+
+    console.log('✅ Scheduled message:', { id: data.id, scheduledAt: data.scheduled_at });
+    return data;
+  }
+
+  // A user's messages that haven't gone out yet, soonest first
+  async getScheduledMessages(userId) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.listScheduledMessages(userId, 'pending');
+    } catch (error) {
+      console.error('❌ Error getting scheduled messages:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a pending message. Returns the cancelled row, or null if it went out (or was cancelled) already.
+  async cancelScheduledMessage(messageId, userId) {
+    await this.setUserContext(userId);
+
+    try {
+      return await this.storage.updateScheduledMessageWhere(messageId, { status: 'pending', userId }, {
+        status: 'cancelled',
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error cancelling scheduled message:', error);
+      throw error;
+    }
+  }
+
+  // Claim a due message for sending by moving it from 'pending' to 'sending', so it is sent
+  // once even when two runs pick it up. Returns the claimed row, or null if another run won.
+  async claimScheduledMessage(messageId) {
+    let data;
+    try {
+      data = await this.storage.updateScheduledMessageWhere(messageId, { status: 'pending' }, {
+        status: 'sending',
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error claiming scheduled message:', error);
+      throw error;
+    }
+
+    if (!data) {
+      console.log('⚠️ Scheduled message already claimed by another run:', { id: messageId });
+    }
+
+    return data;
+  }
+
   // Get pending scheduled messages
   async getPendingScheduledMessages() {
     const now = moment().tz(this.timezone).toISOString();
     
     console.log('🔍 Fetching pending scheduled messages:', { now });
     
-    const { data, error } = await this.supabase
-      .from('scheduled_messages')
-      .select('*')
-      .eq('status', 'pending')
-      .lte('scheduled_at', now)
-      .order('scheduled_at', { ascending: true });
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.listDueScheduledMessages(now);
+    } catch (error) {
       console.error('❌ Error getting pending scheduled messages:', error);
       throw error;
     }
@@ -391,14 +903,10 @@ class DatabaseService {
     
     console.log('🔍 Updating message status:', { messageId, status });
     
-    const { data, error } = await this.supabase
-      .from('scheduled_messages')
-      .update(updateData)
-      .eq('id', messageId)
-      .select()
-      .single();
-
-    if (error) {
+    let data;
+    try {
+      data = await this.storage.updateScheduledMessage(messageId, updateData);
+    } catch (error) {
       console.error('❌ Error updating message status:', error);
       throw error;
     }
@@ -407,14 +915,122 @@ class DatabaseService {
     return data;
   }
 
-  // Cleanup old tasks
-  async cleanupOldTasks() {
-    const { data, error } = await this.supabase
-      .rpc('cleanup_old_tasks');
+  // Save a new API token; only its hash is stored
+  async createApiToken(userId, tokenData) {
+    await this.setUserContext(userId);
+
+    let data;
+    try {
+      data = await this.storage.createApiToken({ ...tokenData, user_id: userId });
+    } catch (error) {
+      console.error('❌ Error creating API token:', error);
+      throw error;
+    }
 
-    if (error) throw error;
+    console.log('✅ Created API token:', { id: data.id, userId, prefix: data.token_prefix });
     return data;
   }
+
+  // Find the token with this hash, or null
+  async getApiTokenByHash(tokenHash) {
+    try {
+      return await this.storage.findApiTokenByHash(tokenHash);
+    } catch (error) {
+      if (error.code === 'PGRST116') return null;
+      console.error('❌ Error looking up API token:', error);
+      throw error;
+    }
+  }
+
+  // A user's tokens that haven't been revoked, oldest first (numbered for "token revoke")
+  async getApiTokens(userId) {
+    await this.setUserContext(userId);
+    return await this.storage.listApiTokens(userId);
+  }
+
+  async revokeApiToken(tokenId, userId) {
+    await this.setUserContext(userId);
+
+    console.log('🔍 Revoking API token:', { id: tokenId, userId });
+    return await this.storage.updateApiToken(tokenId, userId, { revoked_at: new Date().toISOString() });
+  }
+
+  async touchApiToken(token) {
+    return await this.storage.updateApiToken(token.id, token.user_id, { last_used_at: new Date().toISOString() });
+  }
+
+  // Clean up a user's old one-off tasks
+  async cleanupOldTasks(userId) {
+    return await this.storage.cleanupTasks(userId);
+  }
+
+  // Delete reminders that were sent more than 30 days ago
+  async cleanupOldReminders() {
+    return await this.storage.cleanupReminders();
+  }
+
+  // Register a user who added the bot (or re-register one who blocked and re-added it)
+  async registerUser(userId, profile = {}) {
+    console.log('🔍 Registering user:', { userId, displayName: profile.displayName });
+
+    let data;
+    try {
+      data = await this.storage.saveUser({
+        user_id: userId,
+        display_name: profile.displayName || null,
+        is_active: true,
+        followed_at: new Date().toISOString(),
+        unfollowed_at: null
+      });
+    } catch (error) {
+      console.error('❌ Error registering user:', error);
+      throw error;
+    }
+
+    console.log('✅ Registered user:', { userId });
+    return data;
+  }
+
+  // Deregister a user who blocked the bot; their tasks are kept in case they come back
+  async deregisterUser(userId) {
+    console.log('🔍 Deregistering user:', { userId });
+
+    let data;
+    try {
+      data = await this.storage.saveUser({
+        user_id: userId,
+        is_active: false,
+        unfollowed_at: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error deregistering user:', error);
+      throw error;
+    }
+
+    console.log('✅ Deregistered user:', { userId });
+    return data;
+  }
+
+  // IDs of everyone the cron jobs should serve: registered users who haven't blocked the bot,
+  // plus USER_LINE_ID from single-user setups that predate registration
+  async getActiveUserIds() {
+    let data;
+    try {
+      data = await this.storage.listUsers();
+    } catch (error) {
+      console.error('❌ Error getting users:', error);
+      throw error;
+    }
+
+    const userIds = data.filter(user => user.is_active).map(user => user.user_id);
+    const legacyUserId = process.env.USER_LINE_ID;
+    if (legacyUserId && !data.some(user => user.user_id === legacyUserId)) {
+      userIds.push(legacyUserId);
+    }
+
+    console.log('✅ Fetched active users:', { count: userIds.length });
+    return userIds;
+  }
 }
 
 module.exports = new DatabaseService();
@@ -0,0 +1,573 @@
+// Reply translations for Mark's Assistant (English and Traditional Chinese)
+const moment = require('moment-timezone');
+
+// Loading a locale also makes it the global default, so switch back to English
+require('moment/locale/zh-tw');
+moment.locale('en');
+
+const messages = {
+  en: {
+    help: `🤖 Mark's Assistant - Available Commands:
+
+📅 View Tasks:
+• today - Show today's tasks, highest priority first
+• week - Show this week's tasks, highest priority first
+• month - Show this month's tasks
+• list - Show all upcoming tasks
+• list #work - Show the tasks tagged #work
+• tags - Show your tags and how many tasks have each
+• ids (or codes) - Show every task's code for easy reference
+• find dentist - Search titles, descriptions and notes
+• find gym recurring:yes before:2026-11-01 - Also special: and after:
+• find #work report - Only tasks tagged #work
+
+➕ Add Tasks (New Format):
+• add Dentist appointment 2025-09-20 15:00
+• add Buy groceries tomorrow 18:00
+• add Team meeting 2025-09-15 09:00 biweekly Monday
+• add Church service 2025-09-07 10:00 first Sunday of every month
+• add Anniversary dinner 2025-02-17 19:00 special
+• add Call mom in 2 hours
+• add Pay rent on the 5th
+• add Flight Oct 21 7am
+• add Standup every mon/wed/fri 9:30
+• add Vitamins daily 8am for 30 times
+• add Review every other week on friday 4pm until Dec 31
+• add Dentist Oct 21 3pm remind 15m, 2h, 1d before
+• add Quarterly report friday 3pm #work #urgent
+• add Pay taxes Oct 31 !1 / add Water plants saturday low priority
+
+✏️ Update Tasks:
+• update "Task Name" to 3:00 pm
+• update "Task Name" to tomorrow at 10:00 am
+• update T7K title "New Task Name"
+• update T7K description "Updated description"
+• update T7K notes "Important notes"
+• update T7K special
+• update T7K recurring weekly
+• update T7K remind 30m before
+• update T7K remind default
+• update T7K no reminders
+• update T7K tags #work #home (or tags none)
+• update T7K priority high (or !1, !2, !3)
+
+🗑️ Delete Tasks:
+• delete "Task Name"
+• delete T7K
+
+✅ Complete Tasks:
+• done "Task Name"
+• done T7K
+• history - Show recently completed tasks
+
+☑️ Checklists:
+• add item T7K passport, charger, adapter - Add items to a task's checklist
+• check T7K.2 - Check off item 2 (uncheck T7K.2 to undo)
+• remove item T7K.2
+• items T7K - Show a task's checklist
+• Tap an item on a task card to check it off; a recurring task's checklist starts over each time
+
+🔄 Recurring Tasks:
+• skip T7K - Skip the next occurrence
+• skip T7K friday - Skip the occurrence on a given day
+• move T7K to friday 18:00 - Move the next occurrence
+• move T7K thursday to friday - Move the occurrence on a given day
+• cancel series T7K - Stop the series for good
+
+💬 Scheduled Messages:
+• say Leave for the airport at 5pm
+• remind me to call mom tomorrow 9am
+• remind me Stretch in 30 minutes
+• messages - Show messages waiting to be sent
+• cancel message 1
+
+🔑 API Tokens (for the REST API):
+• token new - Create a token that can read and change your tasks
+• token new read 30d - Read-only, expires in 30 days (default 90)
+• tokens - Show your tokens
+• token revoke 1 (or token revoke all)
+
+📥 Import and Backup:
+• Send an .ics (calendar) or .csv file to add its events as tasks
+• export - What a backup holds and how to download it
+• export csv - Your pending tasks as CSV
+• Send a backup .json file to restore it
+
+⚙️ Settings:
+• settings - Show your settings
+• settings timezone Europe/London
+• settings digest 7:00 - Morning digest time
+• settings reminders 15m, 1h - Default reminders (or default / none)
+• settings format 24h - 12h or 24h times
+• settings language zh - en, zh or auto
+• settings mute #personal - Leave tasks with these tags out of the morning digest (or mute none)
+
+❓ Get Help:
+• help, commands, or hey assistant - Show this help message
+• The menu under the chat has Today, Week, Add and Settings, and the buttons under replies offer the next steps
+
+💡 Command Format:
+• add {task title} {date} [time] [recurrence] [special | !1-!3]
+• Date: YYYY-MM-DD, 12/25, Oct 21, 21 October, today, tomorrow, tonight, next Monday, on the 5th, this weekend, end of month, in 3 days
+• Time: HH:mm (24h), 3pm style, or morning/noon/afternoon/evening (defaults to morning)
+• Relative: in 30 minutes, in 2 hours
+• Recurrence: daily, weekly, biweekly, monthly, yearly, weekdays, every 3 days, every mon/wed/fri, every month on the 5th, first Sunday of every month
+• Ends (optional): for 10 times, until Dec 31
+• Priority (optional): !1 / !high, !2 / !medium, !3 / !low, or "high priority"; "special" is the same as !1
+• Reminders (optional): remind 15m, 2h, 1d before (default by priority: high 1 week, 1 day, 2 hours and 15 minutes before; medium 1 hour; low 15 minutes)
+• Tags (optional): #work #home anywhere in the command
+
+🆔 Task Codes:
+• Every task has a short code that never changes (e.g. T7K), shown in all task lists; use it in any command, upper or lower case
+• The REST API accepts them too: /api/tasks/T7K
+
+🇹🇼 中文指令也可以使用，輸入「說明」查看。
+
+Type any command to get started!`,
+    welcome: "👋 Hi{name}! I'm your task assistant. Tell me things like \"add call mom tomorrow 7pm\" and I'll remind you in time.\n\nType 'help' to see everything I can do.",
+    unknownCommand: "I didn't understand that command. Type 'help' to see available commands.",
+    unknownCommandSuggestion: '🤔 I didn\'t understand that. Did you mean "{suggestion}"? Tap it below, or type \'help\' to see every command.',
+    navToday: 'Today',
+    navWeek: 'Week',
+    navMonth: 'Month',
+    navList: 'All tasks',
+    navIds: 'Codes',
+    navTags: 'Tags',
+    navHistory: 'History',
+    navSettings: 'Settings',
+    navHelp: 'Help',
+    navAdd: '➕ Add',
+    genericError: 'Sorry, something went wrong. Please try again.',
+    error: '❌ Error: {message}',
+    errorAddingTask: '❌ Error adding task: {message}',
+    errorRetrievingTasks: '❌ Error retrieving tasks: {message}',
+    errorRetrievingTaskIds: '❌ Error retrieving task codes: {message}',
+    errorSearching: '❌ Error searching tasks: {message}',
+    errorRetrievingHistory: '❌ Error retrieving history: {message}',
+    todayTitle: "📅 Today's Tasks",
+    weekTitle: "📅 This Week's Tasks",
+    monthTitle: "📅 This Month's Tasks",
+    listTitle: '📋 All Upcoming Tasks',
+    listTaggedTitle: '📋 Upcoming Tasks Tagged {tags}',
+    tagsTitle: '🏷️ Your Tags ({count})',
+    tagsEmpty: '🏷️ No tags yet. Add them to a task with #words, e.g. add Report friday 3pm #work',
+    tagsHint: '💡 Use "list #work" to see a tag\'s tasks, or "find #work report" to search them.',
+    noTasksFound: 'No tasks found.',
+    idLabel: 'Code',
+    noteLabel: 'Note',
+    recurringLabel: 'Recurring',
+    highPriorityLabel: '⭐ High Priority',
+    lowPriorityLabel: '⬇️ Low Priority',
+    snoozedBadge: '😴 Snoozed {count}x',
+    buttonDone: 'Done',
+    buttonUpdate: 'Update',
+    buttonDelete: 'Delete',
+    buttonCheck: 'Check',
+    buttonUncheck: 'Uncheck',
+    buttonSnooze10m: 'Snooze 10m',
+    buttonSnooze1h: 'Snooze 1h',
+    buttonTomorrow: 'Tomorrow same time',
+    carouselMore: '📋 Showing first {shown} tasks. You have {count} more tasks. Use "list" command to see all tasks in text format.',
+    reminderNow: '⏰ Reminder: {title} is starting now!',
+    reminderBefore: '⏰ Reminder: {title} is coming up in {offset}!',
+    reminderSpecialBefore: '⭐ Special Reminder: {title} is coming up in {offset}!',
+    reminderSpecialDayOf: '⭐ Special Task Today: {title}',
+    reminderSnoozed: '😴 Snoozed Reminder: {title}',
+    reminderSnoozedOnce: '😴 Snoozed 1 time',
+    reminderSnoozedTimes: '😴 Snoozed {count} times',
+    taskIdsTitle: '🆔 Task Codes ({count} tasks)',
+    taskIdsEmpty: '🆔 Task Codes\n\nNo tasks found.',
+    taskIdsHint: '💡 Use these codes with update/delete commands for precise task management.',
+    findTitle: '🔍 {count} task(s) matching "{query}", best first',
+    findTitleMore: '🔍 The {count} best matches for "{query}". Add words or filters (special:yes, before:2026-11-01) to narrow it down.',
+    findEmpty: '🔍 No pending tasks match "{query}".',
+    taskAdded: '✅ Task "{title}" added successfully!',
+    taskUpdated: '✅ Task "{title}" updated successfully!',
+    updateHint: '✏️ To update "{title}", send e.g.:\n• update {code} to 3:00 pm\n• update {code} notes "Important notes"\n\nType "help" for everything you can change.',
+    taskDeleted: '✅ Task "{title}" deleted successfully!',
+    taskNotFound: '❌ Task not found',
+    taskIdNotFound: '❌ Task {id} not found. Use "ids" to see your task codes.',
+    noTaskWithTitle: '❌ No task found with title "{title}"',
+    multipleTasksFound: 'Multiple tasks found with "{title}":\n\n{list}\n\nPlease be more specific or use the task code.',
+    taskCompleted: '✅ Nice work! "{title}" marked as done.',
+    occurrenceCompleted: '✅ Nice work! "{title}" done for this time.\n🔄 Next: {next}',
+    taskAlreadyDone: '✅ "{title}" is already done.',
+    taskSnoozed: '😴 Snoozed "{title}". I\'ll remind you again {time}.',
+    taskPostponed: '📅 Moved "{title}" to {time}.',
+    seriesReminderPostponed: '😴 "{title}" is recurring, so I\'ll remind you again {time} instead of moving the series.',
+    historyTitle: '✅ Completed Tasks (last {count})',
+    historyEmpty: '✅ Completed Tasks\n\nNothing completed yet.',
+    historyOccurrence: '🔄 Occurrence: {time}',
+    occurrenceSkipped: '⏭️ Skipped "{title}" ({time}).\n🔄 Next: {next}',
+    occurrenceSkippedLast: '⏭️ Skipped "{title}" ({time}). That was the last one, so the series has ended.',
+    occurrenceMoved: '📅 Moved "{title}" from {from} to {to}. The rest of the series is unchanged.',
+    seriesCancelled: '🛑 Cancelled the series "{title}". No more reminders will be sent.',
+    checklistTitle: '☑️ "{title}" ({code}): {left} of {count} left',
+    checklistEmpty: '☑️ "{title}" has no checklist yet. Add items with e.g. add item {code} passport, charger',
+    checklistAllChecked: '🎉 Everything is checked. Use "done {code}" to complete the task.',
+    checklistHint: '💡 check {code}.1 to check off item 1, uncheck {code}.1 to undo, remove item {code}.1 to delete it.',
+    checklistItemsLeft: '☑️ {left} of {count} checklist items left',
+    itemNotFound: '❌ "{title}" has no item {number}. Use "items {code}" to see its checklist.',
+    notRecurring: '❌ "{title}" is not a recurring task. Use update or delete instead.',
+    noOccurrenceOn: '❌ "{title}" doesn\'t occur on {date}.',
+    moveToPast: 'Cannot move an occurrence into the past',
+    digestTitle: "🌅 Good morning! Here's your schedule for today:",
+    digestEmpty: '🌅 Good morning! You have no tasks scheduled for today. Have a great day!',
+    messageScheduled: '💬 Got it! I\'ll send you "{text}".\n🕒 {time}',
+    errorSchedulingMessage: '❌ Error scheduling message: {message}',
+    errorRetrievingMessages: '❌ Error retrieving messages: {message}',
+    scheduledMessagesTitle: '💬 Scheduled Messages ({count})',
+    scheduledMessagesEmpty: '💬 Scheduled Messages\n\nNo messages waiting. Try e.g. "say Leave for the airport at 5pm".',
+    scheduledMessagesHint: '💡 Cancel one with e.g. "cancel message 1".',
+    messageCancelled: '🗑️ Cancelled the message "{text}".',
+    messageAlreadySent: '❌ The message "{text}" has already been sent.',
+    messageIdNotFound: '❌ Message {id} not found. Use "messages" to see your scheduled messages.',
+    tokenCreated: '🔑 New API token ({scopes}, expires {expires}):\n\n{token}\n\nCopy it now: it won\'t be shown again. Send it with API requests as "Authorization: Bearer <token>".',
+    tokensTitle: '🔑 API Tokens ({count})',
+    tokensEmpty: '🔑 API Tokens\n\nNo tokens yet. Send "token new" to create one, or "token new read" for a read-only one.',
+    tokensHint: '💡 Revoke one with e.g. "token revoke 1", or all of them with "token revoke all".',
+    tokenScopeReadWrite: 'read and write',
+    tokenScopeRead: 'read-only',
+    tokenExpires: 'expires {time}',
+    tokenExpired: 'expired {time}',
+    tokenLastUsed: 'last used {time}',
+    tokenNeverUsed: 'never used',
+    tokenRevoked: '🗑️ Revoked the API token {prefix}… - requests using it are now refused.',
+    tokensRevoked: '🗑️ Revoked {count} API token(s).',
+    tokenIdNotFound: '❌ Token {id} not found. Use "tokens" to see your API tokens.',
+    errorManagingTokens: '❌ Error managing API tokens: {message}',
+    importTitle: '📥 Imported {count} task(s) from {fileName}',
+    importDuplicates: '🔁 Already in your tasks ({count}):',
+    importUnsupported: '⚠️ Unsupported repeat rules ({count}):',
+    importSkipped: '⏭️ Not imported ({count}):',
+    importLine: 'line {line}',
+    importMore: '…and {count} more',
+    importEmpty: '📥 No events or tasks found in {fileName}.',
+    importUnsupportedFile: '📎 I can import .ics (calendar) and .csv files, and restore .json backups. {fileName} is none of these.',
+    errorImporting: '❌ Could not import {fileName}: {message}',
+    exportSummary: '📦 Your data: {tasks} task(s) ({pending} pending), {completions} completion(s), {reminders} reminder(s) and your settings.\n\nDownload a backup with GET /api/export and an API token (send "token new read 1d" for one), or send "export csv" for your pending tasks as CSV. To restore, send the backup file here or POST it to /api/restore.',
+    exportCsvEmpty: '📦 No pending tasks to export.',
+    exportCsvTooLong: '📦 Your tasks don\'t fit in a message. Download them with GET /api/export?format=csv and an API token (send "token new read 1d" for one).',
+    errorExporting: '❌ Could not export your data: {message}',
+    restoreSummary: '📦 Restored {fileName}: {restored} task(s) added, {existing} already there, {completions} completion(s) added, {reminders} reminder(s) scheduled.',
+    restoreSettings: '⚙️ Your settings were restored too.',
+    restoreFailed: '⚠️ Not restored ({count}):',
+    settings: '⚙️ Settings\n\n🌏 Timezone: {timezone}\n🌅 Morning digest: {digestTime}\n🔔 Default reminders: {reminders}\n🕒 Time format: {timeFormat}\n🗣️ Language: {language}\n🔕 Muted in digest: {mutedTags}\n\n💡 Change one with e.g. "settings timezone Europe/London" or "settings format 24h". Type "help" for all settings.',
+    settingsUpdated: '✅ Settings updated.',
+    settingsDefaultReminders: 'by priority (high: 1 week, 1 day, 2 hours and 15 minutes before; medium: 1 hour; low: 15 minutes)',
+    settingsAutoLanguage: 'same as your message',
+    settingsNoMutedTags: 'no tags',
+    languageName_en: 'English',
+    languageName_zh: 'Traditional Chinese',
+    todayAt: 'Today at {time}',
+    tomorrowAt: 'Tomorrow at {time}',
+    todayAtInline: 'today at {time}',
+    tomorrowAtInline: 'tomorrow at {time}',
+    timeFormat: 'h:mm A',
+    timeFormat24: 'HH:mm',
+    dateFormat: 'ddd, MMM D',
+    dateTimeFormat: 'ddd, MMM D, h:mm A',
+    dateTimeFormat24: 'ddd, MMM D, HH:mm'
+  },
+
+  zh: {
+    help: `🤖 Mark 的助理 - 指令一覽：
+
+📅 查看任務：
+• 今天 - 今天的任務（優先順序高的在前）
+• 本週 - 本週的任務（優先順序高的在前）
+• 本月 - 本月的任務
+• 列表 - 所有即將到來的任務
+• 列表 #工作 - 標有 #工作 的任務
+• 標籤 - 所有標籤及各有幾個任務
+• 編號 或 代碼 - 所有任務的代碼
+• 搜尋 牙醫 - 搜尋任務的名稱、描述和備註
+• 搜尋 健身 重複:是 之前:2026-11-01 - 用 重要:、重複:、之前:、之後: 縮小範圍
+• 搜尋 #工作 報告 - 只找標有 #工作 的任務
+
+➕ 新增任務：
+• 新增 看牙醫 明天下午三點
+• 新增 開會 下週二上午10點
+• 新增 健身 週五晚上7點半 每週五
+• 新增 讀書會 每週三晚上8點
+• 新增 健身 每週一三五早上7點
+• 新增 吃藥 每天早上8點 共30次
+• 新增 禮拜 每個月第一個星期六上午10點
+• 新增 繳房租 5號
+• 新增 打電話給媽媽 2小時後
+• 新增 結婚紀念日 10月21日晚上7點 重要
+• 新增 看牙醫 10月21日下午3點 提前15分鐘、1天提醒
+• 新增 季報 週五下午3點 #工作 #緊急
+• 新增 繳稅 10月31日 !高 / 新增 澆花 週六 低優先
+
+✏️ 更新任務：
+• 更新 T7K 到 明天下午三點
+• 更新 T7K 標題 「新的名稱」
+• 更新 T7K 描述 「新的描述」
+• 更新 T7K 備註 「重要備註」
+• 更新 T7K 重要
+• 更新 T7K 提前30分鐘提醒
+• 更新 T7K 預設提醒 / 更新 T7K 不提醒
+• 更新 T7K 標籤 #工作 #家庭（或 標籤 無）
+• 更新 T7K 高優先（或 !高、!中、!低）
+
+🗑️ 刪除任務：
+• 刪除 T7K
+• 刪除 「任務名稱」
+
+✅ 完成任務：
+• 完成 T7K
+• 完成 「任務名稱」
+• 歷史 - 最近完成的任務
+
+☑️ 檢查清單：
+• 新增項目 T7K 護照、充電器、轉接頭 - 在任務的檢查清單加入項目
+• 勾選 T7K.2 - 勾選第2項（取消勾選 T7K.2 可復原）
+• 刪除項目 T7K.2
+• 項目 T7K - 查看任務的檢查清單
+• 在任務卡片上點選項目也可以勾選
+• 提醒會告訴您還剩幾項；重複任務每次都會重新開始
+
+🔄 重複任務：
+• 跳過 T7K - 跳過下一次
+• 跳過 T7K 週五 - 跳過某一天的那次
+• 移動 T7K 到 週五下午6點 - 把下一次改到別的時間
+• 改期 T7K 週四 到 週五 - 把某一天的那次改期
+• 取消重複 T7K - 停止整個重複任務
+
+💬 排程訊息：
+• 提醒我 明天早上9點 打電話給媽媽
+• 提醒我 喝水 30分鐘後
+• 訊息 - 還沒送出的訊息
+• 取消訊息 1
+
+🔑 API 權杖（用於 REST API）：
+• 權杖 新增 - 建立可讀取及修改任務的權杖
+• 權杖 新增 唯讀 30天 - 唯讀，30天後到期（預設90天）
+• 權杖 - 查看您的權杖
+• 權杖 撤銷 1（或 權杖 撤銷 全部）
+
+📥 匯入與備份：
+• 傳送 .ics（行事曆）或 .csv 檔案，把其中的活動加為任務
+• 匯出 - 備份的內容及下載方式
+• 匯出 csv - 以 CSV 格式列出待辦任務
+• 傳送備份的 .json 檔案即可還原
+
+⚙️ 設定：
+• 設定 - 查看目前的設定
+• 設定 時區 Asia/Taipei
+• 設定 早報 早上7點 - 每日摘要的時間
+• 設定 提醒 15分鐘、1小時 - 預設提醒（或 預設 / 不提醒）
+• 設定 時間格式 24小時 - 12小時 或 24小時
+• 設定 語言 中文 - 中文、英文 或 自動
+• 設定 靜音 #個人 - 每日摘要不列出有這些標籤的任務（或 靜音 無）
+
+❓ 說明：
+• 說明、幫助 或 指令 - 顯示這則說明
+• 聊天室下方的選單有 今天、本週、新增 和 設定，回覆下方的按鈕則提供接下來常用的指令
+
+💡 格式說明：
+• 日期：今天、明天、後天、今晚、週二、下週二、10月21日、5號、3天後
+• 時間：下午三點、晚上7點半、上午10:30、15:00，或 早上/中午/下午/晚上（未指定時預設早上）
+• 重複：每天、每3天、每週三、每週一三五、工作日、每兩週一、每個月第一個星期六、每月5號、每年
+• 結束（可省略）：共10次、直到12月31日
+• 優先順序（可省略）：!高、!中、!低，或 高優先、低優先；「重要」等同 !高，會有額外提醒
+• 提醒（可省略）：提前15分鐘、2小時、1天提醒（預設依優先順序：高 提前1週、1天、2小時及15分鐘，中 提前1小時，低 提前15分鐘）
+• 標籤（可省略）：在指令中任何位置加上 #工作 #家庭
+
+🆔 任務代碼：
+• 每個任務都有固定不變的短代碼（例如 T7K）
+• 更新或刪除時使用代碼最準確（大小寫皆可）
+• REST API 也接受代碼：/api/tasks/T7K
+
+輸入任何指令開始使用！`,
+    welcome: '👋 {name}您好！我是您的任務助理。告訴我像「新增 打電話給媽媽 明天晚上7點」這樣的事，我會準時提醒您。\n\n輸入「說明」查看所有指令。',
+    unknownCommand: '我看不懂這個指令。輸入「說明」查看所有指令。',
+    unknownCommandSuggestion: '🤔 我看不懂這個指令。您是指「{suggestion}」嗎？點下方按鈕即可，或輸入「說明」查看所有指令。',
+    navToday: '今天',
+    navWeek: '本週',
+    navMonth: '本月',
+    navList: '所有任務',
+    navIds: '代碼',
+    navTags: '標籤',
+    navHistory: '歷史',
+    navSettings: '設定',
+    navHelp: '說明',
+    navAdd: '➕ 新增',
+    genericError: '抱歉，發生錯誤，請再試一次。',
+    error: '❌ 錯誤：{message}',
+    errorAddingTask: '❌ 新增任務失敗：{message}',
+    errorRetrievingTasks: '❌ 讀取任務失敗：{message}',
+    errorRetrievingTaskIds: '❌ 讀取任務代碼失敗：{message}',
+    errorSearching: '❌ 搜尋任務失敗：{message}',
+    errorRetrievingHistory: '❌ 讀取完成紀錄失敗：{message}',
+    todayTitle: '📅 今天的任務',
+    weekTitle: '📅 本週的任務',
+    monthTitle: '📅 本月的任務',
+    listTitle: '📋 所有即將到來的任務',
+    listTaggedTitle: '📋 標有 {tags} 的任務',
+    tagsTitle: '🏷️ 您的標籤（{count} 個）',
+    tagsEmpty: '🏷️ 還沒有標籤。新增任務時加上 #標籤 即可，例如：新增 報告 週五下午3點 #工作',
+    tagsHint: '💡 輸入「列表 #工作」查看該標籤的任務，或「搜尋 #工作 報告」搜尋。',
+    noTasksFound: '沒有任務。',
+    idLabel: '代碼',
+    noteLabel: '備註',
+    recurringLabel: '重複',
+    highPriorityLabel: '⭐ 高優先',
+    lowPriorityLabel: '⬇️ 低優先',
+    snoozedBadge: '😴 已延後 {count} 次',
+    buttonDone: '完成',
+    buttonUpdate: '更新',
+    buttonDelete: '刪除',
+    buttonCheck: '勾選',
+    buttonUncheck: '取消勾選',
+    buttonSnooze10m: '延後10分鐘',
+    buttonSnooze1h: '延後1小時',
+    buttonTomorrow: '明天同一時間',
+    carouselMore: '📋 只顯示前 {shown} 個任務，還有 {count} 個。輸入「列表」以文字查看所有任務。',
+    reminderNow: '⏰ 提醒：「{title}」現在開始！',
+    reminderBefore: '⏰ 提醒：「{title}」將在 {offset}後開始！',
+    reminderSpecialBefore: '⭐ 重要提醒：「{title}」將在 {offset}後開始！',
+    reminderSpecialDayOf: '⭐ 今天的重要任務：「{title}」',
+    reminderSnoozed: '😴 延後的提醒：「{title}」',
+    reminderSnoozedOnce: '😴 已延後 1 次',
+    reminderSnoozedTimes: '😴 已延後 {count} 次',
+    taskIdsTitle: '🆔 任務代碼（共 {count} 項）',
+    taskIdsEmpty: '🆔 任務代碼\n\n沒有任務。',
+    taskIdsHint: '💡 更新或刪除任務時，使用這些代碼最準確。',
+    findTitle: '🔍 符合「{query}」的任務共 {count} 項，最相關的在前',
+    findTitleMore: '🔍 最符合「{query}」的 {count} 項任務。加上更多字詞或條件（重要:是、之前:2026-11-01）可縮小範圍。',
+    findEmpty: '🔍 沒有符合「{query}」的待辦任務。',
+    taskAdded: '✅ 已新增任務「{title}」！',
+    taskUpdated: '✅ 已更新任務「{title}」！',
+    updateHint: '✏️ 要更新「{title}」，請輸入例如：\n• 更新 {code} 到 明天下午三點\n• 更新 {code} 備註 「重要備註」\n\n輸入「說明」查看所有可以修改的項目。',
+    taskDeleted: '✅ 已刪除任務「{title}」！',
+    taskNotFound: '❌ 找不到任務',
+    taskIdNotFound: '❌ 找不到任務 {id}。輸入「編號」查看任務代碼。',
+    noTaskWithTitle: '❌ 找不到名稱為「{title}」的任務',
+    multipleTasksFound: '有多個任務符合「{title}」：\n\n{list}\n\n請輸入更完整的名稱或使用任務代碼。',
+    taskCompleted: '✅ 做得好！「{title}」已完成。',
+    occurrenceCompleted: '✅ 做得好！「{title}」這次已完成。\n🔄 下一次：{next}',
+    taskAlreadyDone: '✅「{title}」已經完成了。',
+    taskSnoozed: '😴 已延後「{title}」，{time} 會再提醒你。',
+    taskPostponed: '📅 已把「{title}」改到 {time}。',
+    seriesReminderPostponed: '😴「{title}」是重複任務，所以不改動整個系列，{time} 會再提醒你。',
+    historyTitle: '✅ 已完成的任務（最近 {count} 項）',
+    historyEmpty: '✅ 已完成的任務\n\n還沒有完成的任務。',
+    historyOccurrence: '🔄 該次時間：{time}',
+    occurrenceSkipped: '⏭️ 已跳過「{title}」{time} 那次。\n🔄 下一次：{next}',
+    occurrenceSkippedLast: '⏭️ 已跳過「{title}」{time} 那次。這是最後一次，重複任務已結束。',
+    occurrenceMoved: '📅 已把「{title}」從 {from} 改到 {to}，其他次不變。',
+    seriesCancelled: '🛑 已取消重複任務「{title}」，不會再提醒。',
+    checklistTitle: '☑️「{title}」（{code}）：共 {count} 項，還剩 {left} 項',
+    checklistEmpty: '☑️「{title}」還沒有檢查清單。例如：新增項目 {code} 護照、充電器',
+    checklistAllChecked: '🎉 全部都勾選了。輸入「完成 {code}」即可完成任務。',
+    checklistHint: '💡 勾選 {code}.1 勾選第1項，取消勾選 {code}.1 復原，刪除項目 {code}.1 刪除。',
+    checklistItemsLeft: '☑️ 檢查清單還剩 {left} 項（共 {count} 項）',
+    itemNotFound: '❌「{title}」沒有第 {number} 項。輸入「項目 {code}」查看檢查清單。',
+    notRecurring: '❌「{title}」不是重複任務，請改用更新或刪除。',
+    noOccurrenceOn: '❌「{title}」在 {date} 沒有安排。',
+    moveToPast: '不能改到過去的時間',
+    digestTitle: '🌅 早安！這是你今天的行程：',
+    digestEmpty: '🌅 早安！今天沒有安排任務，祝你有美好的一天！',
+    messageScheduled: '💬 好的！會傳給您「{text}」。\n🕒 {time}',
+    errorSchedulingMessage: '❌ 排程訊息失敗：{message}',
+    errorRetrievingMessages: '❌ 讀取訊息失敗：{message}',
+    scheduledMessagesTitle: '💬 排程訊息（共 {count} 則）',
+    scheduledMessagesEmpty: '💬 排程訊息\n\n沒有等待送出的訊息。例如輸入「提醒我 明天早上9點 打電話給媽媽」。',
+    scheduledMessagesHint: '💡 輸入例如「取消訊息 1」來取消。',
+    messageCancelled: '🗑️ 已取消訊息「{text}」。',
+    messageAlreadySent: '❌ 訊息「{text}」已經送出了。',
+    messageIdNotFound: '❌ 找不到編號 {id} 的訊息。輸入「訊息」查看排程訊息。',
+    tokenCreated: '🔑 新的 API 權杖（{scopes}，{expires} 到期）：\n\n{token}\n\n請立即複製，之後不會再顯示。呼叫 API 時以「Authorization: Bearer <權杖>」送出。',
+    tokensTitle: '🔑 API 權杖（共 {count} 個）',
+    tokensEmpty: '🔑 API 權杖\n\n還沒有權杖。輸入「權杖 新增」建立一個，或「權杖 新增 唯讀」建立唯讀權杖。',
+    tokensHint: '💡 輸入例如「權杖 撤銷 1」撤銷一個，或「權杖 撤銷 全部」全部撤銷。',
+    tokenScopeReadWrite: '可讀寫',
+    tokenScopeRead: '唯讀',
+    tokenExpires: '{time} 到期',
+    tokenExpired: '已於 {time} 到期',
+    tokenLastUsed: '上次使用 {time}',
+    tokenNeverUsed: '尚未使用',
+    tokenRevoked: '🗑️ 已撤銷 API 權杖 {prefix}…，使用它的請求將被拒絕。',
+    tokensRevoked: '🗑️ 已撤銷 {count} 個 API 權杖。',
+    tokenIdNotFound: '❌ 找不到編號 {id} 的權杖。輸入「權杖」查看您的 API 權杖。',
+    errorManagingTokens: '❌ 管理 API 權杖失敗：{message}',
+    importTitle: '📥 已從 {fileName} 匯入 {count} 個任務',
+    importDuplicates: '🔁 已有相同的任務（{count} 個）：',
+    importUnsupported: '⚠️ 不支援的重複規則（{count} 個）：',
+    importSkipped: '⏭️ 未匯入（{count} 個）：',
+    importLine: '第 {line} 行',
+    importMore: '…還有 {count} 個',
+    importEmpty: '📥 {fileName} 裡沒有找到任何活動或任務。',
+    importUnsupportedFile: '📎 目前可以匯入 .ics（行事曆）和 .csv 檔案，以及還原 .json 備份，{fileName} 不是這些格式。',
+    errorImporting: '❌ 無法匯入 {fileName}：{message}',
+    exportSummary: '📦 您的資料：{tasks} 個任務（{pending} 個待辦）、{completions} 筆完成紀錄、{reminders} 個提醒，以及您的設定。\n\n使用 API 權杖呼叫 GET /api/export 下載備份（輸入「權杖 新增 唯讀 1天」取得一個），或輸入「匯出 csv」以 CSV 取得待辦任務。要還原時，把備份檔傳到這裡或 POST 到 /api/restore。',
+    exportCsvEmpty: '📦 沒有待辦任務可以匯出。',
+    exportCsvTooLong: '📦 任務太多，一則訊息放不下。請使用 API 權杖呼叫 GET /api/export?format=csv 下載（輸入「權杖 新增 唯讀 1天」取得一個）。',
+    errorExporting: '❌ 無法匯出您的資料：{message}',
+    restoreSummary: '📦 已還原 {fileName}：新增 {restored} 個任務，{existing} 個已存在，新增 {completions} 筆完成紀錄，安排了 {reminders} 個提醒。',
+    restoreSettings: '⚙️ 設定也已還原。',
+    restoreFailed: '⚠️ 未還原（{count} 個）：',
+    settings: '⚙️ 設定\n\n🌏 時區：{timezone}\n🌅 每日摘要：{digestTime}\n🔔 預設提醒：{reminders}\n🕒 時間格式：{timeFormat}\n🗣️ 語言：{language}\n🔕 摘要不列出：{mutedTags}\n\n💡 例如輸入「設定 時區 Asia/Taipei」或「設定 時間格式 24小時」來修改，輸入「說明」查看所有設定。',
+    settingsUpdated: '✅ 設定已更新。',
+    settingsDefaultReminders: '依優先順序（高：提前 1週、1天、2小時及15分鐘；中：提前 1小時；低：提前 15分鐘）',
+    settingsAutoLanguage: '跟隨訊息的語言',
+    settingsNoMutedTags: '無',
+    languageName_en: '英文',
+    languageName_zh: '繁體中文',
+    todayAt: '今天 {time}',
+    tomorrowAt: '明天 {time}',
+    todayAtInline: '今天 {time}',
+    tomorrowAtInline: '明天 {time}',
+    timeFormat: 'Ah:mm',
+    timeFormat24: 'HH:mm',
+    dateFormat: 'M月D日 (dd)',
+    dateTimeFormat: 'M月D日 (dd) Ah:mm',
+    dateTimeFormat24: 'M月D日 (dd) HH:mm'
+  }
+};
+
+const momentLocales = { en: 'en', zh: 'zh-tw' };
+
+class I18nService {
+  constructor() {
+    this.defaultLanguage = 'en';
+    this.supportedLanguages = Object.keys(messages);
+  }
+
+  // Detect the language a message was written in (any CJK character means Chinese)
+  detectLanguage(text) {
+    if (typeof text === 'string' && /[㐀-鿿]/.test(text)) {
+      return 'zh';
+    }
+    return 'en';
+  }
+
+  // Translate a message key, filling in {placeholders}
+  t(lang, key, params = {}) {
+    const table = messages[lang] || messages[this.defaultLanguage];
+    const template = table[key] !== undefined ? table[key] : messages[this.defaultLanguage][key];
+
+    if (template === undefined) {
+      console.warn('⚠️ Missing translation key:', key);
+      return key;
+    }
+
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] !== undefined ? String(params[name]) : match
+    );
+  }
+
+  // The message keys of a language
+  keys(lang) {
+    return Object.keys(messages[lang] || messages[this.defaultLanguage]);
+  }
+
+  // moment locale name for a language
+  momentLocale(lang) {
+    return momentLocales[lang] || momentLocales[this.defaultLanguage];
+  }
+}
+
+module.exports = new I18nService();
@@ -0,0 +1,237 @@
+// iCalendar (RFC 5545) feed of a user's tasks, served by api/calendar/[token].js.
+// Each task is a VEVENT at its scheduled time in the user's timezone. Recurring tasks carry
+// their RRULE, with skipped occurrences as EXDATEs and moved ones as overriding VEVENTs
+// (RECURRENCE-ID) that replace their original slot; a moved slot is never an EXDATE too, as
+// clients drop the override of an excluded instance. Alarms follow the reminders the bot sends (reminderScheduler.planReminders).
+const moment = require('moment-timezone');
+const recurrence = require('./recurrence');
+const reminderScheduler = require('./reminder-scheduler');
+const taskPriority = require('./task-priority');
+
+const PRODUCT_ID = "-//Mark's Assistant//Tasks//EN";
+const UID_DOMAIN = 'marks-assistant';
+
+// Timezone transitions are written out for this many years around the tasks
+const TIMEZONE_YEARS_BEFORE = 1;
+const TIMEZONE_YEARS_AFTER = 10;
+
+class CalendarService {
+  // The whole calendar for a user's tasks and their task_exceptions rows
+  buildCalendar(tasks, exceptions, settings, { name = "Mark's Assistant" } = {}) {
+    const timezone = settings.timezone;
+    const dtstamp = this.formatUtc(moment());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      ...this.buildTimezone(timezone, tasks.map(task => task.scheduled_time))
+    ];
+
+    for (const task of tasks) {
+      try {
+        const taskExceptions = exceptions.filter(exception => exception.task_id === task.id);
+        lines.push(...this.buildTaskEvents(task, taskExceptions, settings, dtstamp));
+      } catch (error) {
+        console.error('❌ Error adding task to calendar:', { taskId: task.id, error: error.message });
+      }
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  // The task's VEVENT, plus one for each moved occurrence of a recurring task
+  buildTaskEvents(task, exceptions, settings, dtstamp) {
+    const timezone = settings.timezone;
+    const rule = recurrence.getTaskRule(task);
+
+    if (!rule) {
+      return ['BEGIN:VEVENT', ...this.buildEvent(task, task.scheduled_time, settings, dtstamp), 'END:VEVENT'];
+    }
+
+    // Skipped occurrences are left out of the series; moved ones are replaced below
+    const series = [
+      `RRULE:${rule}`,
+      ...exceptions.filter(exception => exception.action === 'skip').map(exception => `EXDATE;TZID=${timezone}:${this.formatLocal(exception.occurrence_time, timezone)}`)
+    ];
+    const lines = ['BEGIN:VEVENT', ...this.buildEvent(task, task.scheduled_time, settings, dtstamp, { properties: series }), 'END:VEVENT'];
+
+    for (const exception of exceptions) {
+      if (exception.action !== 'move' || !exception.new_time) continue;
+      // Left behind when the series moved on past it (like recurrence.occurrencesBetween)
+      if (moment(exception.occurrence_time).isBefore(moment(task.scheduled_time))) continue;
+
+      lines.push(
+        'BEGIN:VEVENT',
+        ...this.buildEvent(task, exception.new_time, settings, dtstamp, {
+          properties: [`RECURRENCE-ID;TZID=${timezone}:${this.formatLocal(exception.occurrence_time, timezone)}`]
+        }),
+        'END:VEVENT'
+      );
+    }
+
+    return lines;
+  }
+
+  // The properties and alarms of one VEVENT starting at the given time; properties are any
+  // extra ones (RRULE, RECURRENCE-ID), which have to come before the alarms
+  buildEvent(task, startTime, settings, dtstamp, { properties = [] } = {}) {
+    const timezone = settings.timezone;
+    const lines = [
+      `UID:${task.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${dtstamp}`,
+      `DTSTART;TZID=${timezone}:${this.formatLocal(startTime, timezone)}`,
+      `SUMMARY:${this.escapeText(task.title)}`
+    ];
+
+    const details = [task.description, task.notes].filter(Boolean).join('\n\n');
+    if (details) {
+      lines.push(`DESCRIPTION:${this.escapeText(details)}`);
+    }
+
+    // Tags as categories, with SPECIAL for special tasks as the importer reads them
+    const categories = [...(task.is_special ? ['SPECIAL'] : []), ...(task.tags || [])];
+    if (categories.length > 0) {
+      lines.push(`CATEGORIES:${categories.map(category => this.escapeText(category)).join(',')}`);
+    }
+    // RFC 5545 priorities: 1 is the highest, 9 the lowest
+    const priority = taskPriority.of(task);
+    if (priority === taskPriority.high) {
+      lines.push('PRIORITY:1');
+    } else if (priority === taskPriority.low) {
+      lines.push('PRIORITY:9');
+    }
+
+    if (task.updated_at) {
+      lines.push(`LAST-MODIFIED:${this.formatUtc(task.updated_at)}`);
+    }
+
+    lines.push(...properties, ...this.buildAlarms({ ...task, scheduled_time: startTime }, settings));
+    return lines;
+  }
+
+  // One VALARM per reminder, as an offset from the start of the event
+  buildAlarms(task, settings) {
+    const start = moment(task.scheduled_time);
+    const lines = [];
+
+    for (const reminder of reminderScheduler.planReminders(task, settings)) {
+      const minutes = moment(reminder.scheduled_time).diff(start, 'minutes');
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${this.escapeText(task.title)}`,
+        `TRIGGER:${minutes < 0 ? '-' : ''}PT${Math.abs(minutes)}M`,
+        'END:VALARM'
+      );
+    }
+
+    return lines;
+  }
+
+  // VTIMEZONE with the zone's offset changes (from moment-timezone's data) over the years the
+  // tasks span, so clients without the IANA zone still get the times right
+  buildTimezone(timezone, times) {
+    const zone = moment.tz.zone(timezone);
+    if (!zone) {
+      throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    const years = [moment().year(), ...times.map(time => moment(time).year())];
+    const from = moment.utc({ year: Math.min(...years) - TIMEZONE_YEARS_BEFORE }).valueOf();
+    const to = moment.utc({ year: Math.max(...years) + TIMEZONE_YEARS_AFTER }).valueOf();
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+    let observances = 0;
+
+    for (let i = 1; i < zone.untils.length; i++) {
+      const transition = zone.untils[i - 1];
+      if (transition < from || transition > to) continue;
+
+      // moment-timezone offsets are minutes west of UTC
+      const offsetFrom = -zone.offsets[i - 1];
+      const offsetTo = -zone.offsets[i];
+      const daylight = moment.tz(transition, timezone).isDST();
+
+      lines.push(
+        daylight ? 'BEGIN:DAYLIGHT' : 'BEGIN:STANDARD',
+        `DTSTART:${moment.utc(transition).add(offsetFrom, 'minutes').format('YYYYMMDD[T]HHmmss')}`,
+        `TZOFFSETFROM:${this.formatOffset(offsetFrom)}`,
+        `TZOFFSETTO:${this.formatOffset(offsetTo)}`,
+        `TZNAME:${zone.abbrs[i]}`,
+        daylight ? 'END:DAYLIGHT' : 'END:STANDARD'
+      );
+      observances++;
+    }
+
+    // No changes in range (e.g. Asia/Taipei): one observance with the offset in force
+    if (observances === 0) {
+      const now = moment.tz(from, timezone);
+      lines.push(
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${this.formatOffset(now.utcOffset())}`,
+        `TZOFFSETTO:${this.formatOffset(now.utcOffset())}`,
+        `TZNAME:${now.format('z')}`,
+        'END:STANDARD'
+      );
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  formatLocal(time, timezone) {
+    return moment(time).tz(timezone).format('YYYYMMDD[T]HHmmss');
+  }
+
+  formatUtc(time) {
+    return moment(time).utc().format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  // Minutes east of UTC as +HHMM / -HHMM
+  formatOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const absolute = Math.abs(minutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+  }
+
+  // TEXT values escape backslashes, semicolons, commas and newlines
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space; multi-byte
+  // characters are never split
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,691 @@
+// Import tasks from iCalendar (.ics) and CSV files, for POST /api/import and files sent in chat.
+// Each event or row becomes a task like one made with "add": one-off events in the past are
+// left out, recurring ones start at their next occurrence, and reminders are scheduled.
+// Events or rows matching an existing task (same title and time) are reported as duplicates.
+//
+// CSV layout: a header row naming the columns, in any order (only title and date are required):
+//
+//   title,date,time,recurrence,special,reminders,description,notes,tags,priority
+//   Dentist,2026-11-03,15:30,,,1d,Bring the insurance card,,health,
+//   Team sync,2026-11-02,10:00,every monday,,15m,,,work,low
+//   Mom's birthday,2026-12-05,,FREQ=YEARLY,yes,"1w, 1d",,,"family, home",
+//
+//   date         YYYY-MM-DD
+//   time         HH:mm (24h) or h:mm am/pm; 09:00 when empty
+//   recurrence   an RRULE, or the words the "add" command takes ("every monday", "每週三")
+//   special      yes / no (yes is the same as priority high)
+//   priority     high / medium / low or 1-3; empty for medium, or high for special tasks
+//   reminders    as in "settings reminders": "15m, 2h", "1d" or "none"; empty for the default
+//   tags         words separated by spaces or commas, with or without "#"
+//
+// iCalendar CATEGORIES become tags, except SPECIAL, which marks the task special (high priority).
+// PRIORITY 1-4 is high, 5 medium and 6-9 low, as RFC 5545 ranks them.
+const moment = require('moment-timezone');
+const database = require('./database');
+const auth = require('./auth');
+const nlpParser = require('./nlp-parser');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const reminderScheduler = require('./reminder-scheduler');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+
+const MAX_IMPORT_TASKS = 500;
+const MAX_FILE_SIZE = 1024 * 1024; // 1MB
+const MAX_TITLE_LENGTH = 200;
+const MAX_TEXT_LENGTH = 1000;
+
+// All-day events and CSV rows without a time are scheduled at this time of day
+const DEFAULT_TIME = { hour: 9, minute: 0 };
+
+const CSV_COLUMNS = ['title', 'date', 'time', 'recurrence', 'special', 'reminders', 'description', 'notes', 'tags', 'priority'];
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'h:mma', 'h:mm a', 'ha', 'h a'];
+const YES = ['yes', 'y', 'true', '1', 'x', '是'];
+const NO = ['no', 'n', 'false', '0', '否', ''];
+
+// The file itself can't be read (not iCalendar, missing CSV columns, too many tasks)
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'invalid_import_file';
+  return error;
+}
+
+class ImportService {
+  constructor() {
+    this.maxTasks = MAX_IMPORT_TASKS;
+    this.maxFileSize = MAX_FILE_SIZE;
+    this.formats = ['ics', 'csv'];
+    this.csvColumns = CSV_COLUMNS;
+  }
+
+  // 'ics' or 'csv' from a file name, or null
+  detectFormat(fileName) {
+    const extension = String(fileName || '').toLowerCase().split('.').pop();
+    if (['ics', 'ical', 'icalendar'].includes(extension)) return 'ics';
+    if (extension === 'csv') return 'csv';
+    return null;
+  }
+
+  // Parse a file and create its tasks. Returns a report:
+  //   { imported: [{ id, title, scheduled_time, recurrence_rule, remindersScheduled }],
+  //     duplicates: [{ title, scheduled_time, existingTaskId? }],
+  //     unsupported: [{ title, rule, reason }],
+  //     skipped: [{ title, reason }] }
+  // With dryRun nothing is saved, and imported lists what would be.
+  async importFile(userId, settings, format, content, { dryRun = false } = {}) {
+    const text = String(content || '').replace(/^\uFEFF/, '');
+    if (!text.trim()) {
+      throw importError('The file is empty');
+    }
+
+    const parsed = format === 'ics'
+      ? this.parseIcs(text, settings)
+      : this.parseCsv(text, settings);
+
+    if (parsed.items.length > this.maxTasks) {
+      throw importError(`A file can have at most ${this.maxTasks} tasks (this one has ${parsed.items.length})`);
+    }
+
+    const report = await this.importItems(userId, settings, parsed.items, { dryRun });
+    report.unsupported.push(...parsed.unsupported);
+    report.skipped.push(...parsed.skipped);
+
+    console.log('📥 Import finished:', {
+      userId,
+      format,
+      dryRun,
+      imported: report.imported.length,
+      duplicates: report.duplicates.length,
+      unsupported: report.unsupported.length,
+      skipped: report.skipped.length
+    });
+
+    return report;
+  }
+
+  // Create the tasks that aren't duplicates, with their reminders and skipped/moved occurrences
+  async importItems(userId, settings, items, { dryRun = false } = {}) {
+    const report = { imported: [], duplicates: [], unsupported: [], skipped: [] };
+    const existing = await database.getTasks(userId);
+    const seen = new Map(existing.map(task => [this.duplicateKey(task.title, task.scheduled_time), task]));
+    const scheduler = reminderScheduler.forUser(settings);
+
+    for (const item of items) {
+      const key = this.duplicateKey(item.title, item.scheduledTime);
+      if (seen.has(key)) {
+        const match = seen.get(key);
+        report.duplicates.push({
+          title: item.title,
+          scheduled_time: item.scheduledTime,
+          ...(match.id ? { existingTaskId: match.id } : {})
+        });
+        continue;
+      }
+      seen.set(key, {});
+
+      if (dryRun) {
+        report.imported.push({ id: null, title: item.title, scheduled_time: item.scheduledTime, recurrence_rule: item.recurrenceRule, remindersScheduled: 0 });
+        continue;
+      }
+
+      const task = await database.createTask({
+        user_id: userId,
+        title: item.title,
+        description: item.description,
+        notes: item.notes,
+        scheduled_time: item.scheduledTime,
+        is_special: item.priority === taskPriority.high,
+        priority: item.priority,
+        is_recurring: Boolean(item.recurrenceRule),
+        recurrence_rule: item.recurrenceRule,
+        reminder_offsets: item.reminderOffsets,
+        tags: item.tags,
+        is_active: true
+      });
+
+      for (const exception of item.exceptions) {
+        await database.createTaskException(task, userId, exception);
+      }
+
+      // As with "add", the task is kept even when its reminders can't be scheduled
+      let remindersScheduled = 0;
+      try {
+        if (item.exceptions.length > 0) {
+          // The first occurrence may have been moved
+          await scheduler.rescheduleRemindersForOccurrence(task);
+          const reminders = await database.getTaskReminders(task.id);
+          remindersScheduled = reminders.filter(reminder => reminder.status === 'pending').length;
+        } else {
+          remindersScheduled = (await scheduler.scheduleRemindersForTask(task)).length;
+        }
+      } catch (schedulerError) {
+        console.error('⚠️ Failed to schedule reminders for imported task:', task.id, schedulerError);
+      }
+
+      report.imported.push({
+        id: task.id,
+        title: task.title,
+        scheduled_time: task.scheduled_time,
+        recurrence_rule: task.recurrence_rule || null,
+        remindersScheduled
+      });
+    }
+
+    return report;
+  }
+
+  // Same title (ignoring case) at the same moment
+  duplicateKey(title, scheduledTime) {
+    return `${String(title).trim().toLowerCase()}|${moment(scheduledTime).valueOf()}`;
+  }
+
+  // iCalendar
+
+  // The VEVENTs of a calendar as import items. Overrides of single occurrences
+  // (RECURRENCE-ID) become moved or skipped occurrences of their series.
+  parseIcs(text, settings) {
+    const lines = this.unfoldLines(text);
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line.trim()))) {
+      throw importError('Not an iCalendar file (no BEGIN:VCALENDAR)');
+    }
+
+    const events = [];
+    const stack = [];
+    let event = null;
+    let alarm = null;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      const property = this.parseContentLine(line);
+      if (!property) continue;
+
+      if (property.name === 'BEGIN') {
+        const component = property.value.toUpperCase();
+        stack.push(component);
+        if (component === 'VEVENT' && stack.length === 2) {
+          event = { properties: [], alarms: [] };
+        } else if (component === 'VALARM' && event) {
+          alarm = [];
+        }
+        continue;
+      }
+
+      if (property.name === 'END') {
+        const component = stack.pop();
+        if (component === 'VALARM' && event && alarm) {
+          event.alarms.push(alarm);
+          alarm = null;
+        } else if (component === 'VEVENT' && event) {
+          events.push(event);
+          event = null;
+        }
+        continue;
+      }
+
+      if (alarm) {
+        alarm.push(property);
+      } else if (event && stack[stack.length - 1] === 'VEVENT') {
+        event.properties.push(property);
+      }
+    }
+
+    const result = { items: [], unsupported: [], skipped: [] };
+    const series = new Map();
+    const overrides = [];
+
+    for (const vevent of events) {
+      try {
+        const item = this.eventToItem(vevent, settings);
+        if (item.recurrenceId) {
+          overrides.push(item);
+          continue;
+        }
+        if (item.unsupported) {
+          result.unsupported.push({ title: item.title, rule: item.rule, reason: item.unsupported });
+          continue;
+        }
+        if (item.skip) {
+          result.skipped.push({ title: item.title, reason: item.skip });
+          continue;
+        }
+        if (item.uid && item.recurrenceRule) {
+          series.set(item.uid, item);
+        }
+        result.items.push(item);
+      } catch (error) {
+        result.skipped.push({ title: this.getText(vevent, 'SUMMARY') || '(untitled)', reason: error.message });
+      }
+    }
+
+    // Occurrences cancelled or moved by an override are recorded against their series
+    for (const override of overrides) {
+      const master = series.get(override.uid);
+      if (!master) {
+        result.skipped.push({ title: override.title, reason: 'changes one occurrence of a series that isn\'t in the file' });
+        continue;
+      }
+      if (moment(override.recurrenceId).isBefore(moment(master.scheduledTime))) {
+        continue;
+      }
+      master.exceptions.push(override.cancelled
+        ? { action: 'skip', occurrence_time: override.recurrenceId }
+        : { action: 'move', occurrence_time: override.recurrenceId, new_time: override.scheduledTime });
+    }
+
+    return result;
+  }
+
+  // One VEVENT as an import item, or an item marked skip / unsupported with the reason
+  eventToItem(vevent, settings) {
+    const timezone = settings.timezone;
+    const title = this.truncate(auth.sanitizeInput(this.getText(vevent, 'SUMMARY') || ''), MAX_TITLE_LENGTH);
+    const uid = this.getText(vevent, 'UID');
+    const status = (this.getText(vevent, 'STATUS') || '').toUpperCase();
+
+    const start = this.getProperty(vevent, 'DTSTART');
+    if (!start) {
+      return { title, skip: 'no start time (DTSTART)' };
+    }
+    const scheduledTime = this.parseIcsTime(start, timezone);
+
+    const recurrenceIdProperty = this.getProperty(vevent, 'RECURRENCE-ID');
+    if (recurrenceIdProperty) {
+      return {
+        uid,
+        title,
+        recurrenceId: this.parseIcsTime(recurrenceIdProperty, timezone).toISOString(),
+        scheduledTime: scheduledTime.toISOString(),
+        cancelled: status === 'CANCELLED'
+      };
+    }
+
+    if (!title) {
+      return { title: '(untitled)', skip: 'no title (SUMMARY)' };
+    }
+    if (status === 'CANCELLED') {
+      return { title, skip: 'cancelled' };
+    }
+
+    const categories = vevent.properties
+      .filter(property => property.name === 'CATEGORIES')
+      .flatMap(property => property.value.split(',').map(category => category.trim().toUpperCase()));
+    const priority = parseInt(this.getText(vevent, 'PRIORITY'));
+
+    const item = {
+      uid,
+      title,
+      description: this.truncate(this.getText(vevent, 'DESCRIPTION'), MAX_TEXT_LENGTH) || null,
+      notes: null,
+      scheduledTime: scheduledTime.toISOString(),
+      priority: categories.includes('SPECIAL') ? taskPriority.high : this.icsPriority(priority),
+      recurrenceRule: null,
+      reminderOffsets: this.alarmOffsets(vevent.alarms),
+      tags: this.categoryTags(categories),
+      exceptions: []
+    };
+
+    const rules = vevent.properties.filter(property => property.name === 'RRULE');
+    if (rules.length === 0) {
+      if (scheduledTime.isBefore(moment())) {
+        return { title, skip: 'in the past' };
+      }
+      return item;
+    }
+
+    if (rules.length > 1) {
+      return { title, rule: rules.map(rule => rule.value).join(' / '), unsupported: 'more than one RRULE' };
+    }
+    if (this.getProperty(vevent, 'RDATE')) {
+      return { title, rule: rules[0].value, unsupported: 'extra dates (RDATE) are not supported' };
+    }
+
+    let rule;
+    try {
+      rule = recurrence.withTimezone(timezone).normalize(rules[0].value);
+    } catch (error) {
+      return { title, rule: rules[0].value, unsupported: error.message };
+    }
+
+    const skipped = vevent.properties
+      .filter(property => property.name === 'EXDATE')
+      .flatMap(property => property.value.split(',').map(value => this.parseIcsTime({ ...property, value }, timezone).toISOString()));
+
+    return this.startSeries(item, rule, skipped, timezone);
+  }
+
+  // A recurring item starts at its first occurrence from now on that isn't excluded;
+  // exclusions after that are kept as skipped occurrences
+  startSeries(item, rule, skipped, timezone) {
+    const engine = recurrence.withTimezone(timezone);
+    const dtstart = moment(item.scheduledTime);
+    const exceptions = skipped.map(time => ({ action: 'skip', occurrence_time: time }));
+    const threshold = moment.max(moment(), dtstart.clone().subtract(1, 'millisecond'));
+
+    const first = engine.nextUnskipped(rule, dtstart, threshold, exceptions);
+    if (!first) {
+      return { title: item.title, skip: 'the series has ended' };
+    }
+
+    return {
+      ...item,
+      scheduledTime: first.toISOString(),
+      recurrenceRule: first.isSame(dtstart) ? rule : engine.rebase(rule, dtstart, first),
+      exceptions: exceptions.filter(exception => moment(exception.occurrence_time).isAfter(first))
+    };
+  }
+
+  // An iCalendar PRIORITY (1-4 high, 6-9 low; 5, 0 or none medium) as a task priority
+  icsPriority(priority) {
+    if (priority >= 1 && priority <= 4) return taskPriority.high;
+    if (priority >= 6 && priority <= 9) return taskPriority.low;
+    return taskPriority.defaultPriority;
+  }
+
+  // CATEGORIES other than SPECIAL as tags ("Family Events" as "family-events"); ones that
+  // can't be a tag, and any past the most a task can have, are left out
+  categoryTags(categories) {
+    const tags = new Set();
+    for (const category of categories) {
+      if (category === 'SPECIAL' || tags.size >= taskTags.maxTags) continue;
+      try {
+        tags.add(taskTags.normalize(category.replace(/\s+/g, '-')));
+      } catch (error) {
+        // not a tag
+      }
+    }
+    return [...tags];
+  }
+
+  // Minutes-before offsets of the alarms that go off before the start; null (the user's
+  // default reminders) when there are none
+  alarmOffsets(alarms) {
+    const offsets = [];
+
+    for (const alarm of alarms) {
+      const trigger = alarm.find(property => property.name === 'TRIGGER');
+      if (!trigger || trigger.params.VALUE === 'DATE-TIME' || trigger.params.RELATED === 'END') continue;
+
+      const minutes = this.parseDuration(trigger.value);
+      if (minutes !== null && minutes <= 0) {
+        offsets.push(-minutes);
+      }
+    }
+
+    if (offsets.length === 0) {
+      return null;
+    }
+    return reminderOffsets.normalize([...new Set(offsets)].slice(0, 10));
+  }
+
+  // An RFC 5545 duration ("-PT15M", "-P1D", "P1W") in minutes, or null
+  parseDuration(value) {
+    const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+    if (!match) {
+      return null;
+    }
+
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes);
+    return sign === '-' ? -total : total;
+  }
+
+  // A DTSTART / EXDATE / RECURRENCE-ID value: UTC ("...Z"), in its TZID, or floating (the
+  // user's timezone). Dates without a time are at DEFAULT_TIME.
+  parseIcsTime(property, timezone) {
+    const value = property.value.trim();
+    const zone = property.params.TZID && moment.tz.zone(property.params.TZID) ? property.params.TZID : timezone;
+
+    let time;
+    if (/^\d{8}$/.test(value)) {
+      time = moment.tz(value, 'YYYYMMDD', true, timezone).hour(DEFAULT_TIME.hour).minute(DEFAULT_TIME.minute);
+    } else if (/Z$/i.test(value)) {
+      time = moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true);
+    } else {
+      time = moment.tz(value, 'YYYYMMDDTHHmmss', true, zone);
+    }
+
+    if (!time.isValid()) {
+      throw new Error(`Invalid date "${value}"`);
+    }
+    return time;
+  }
+
+  // Lines starting with a space or tab continue the previous one
+  unfoldLines(text) {
+    return text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  }
+
+  // "DTSTART;TZID=Asia/Taipei:20261103T153000" into { name, params, value }; parameter
+  // values may be quoted and contain colons
+  parseContentLine(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const params = {};
+    for (const param of match[2].split(/;(?=[A-Za-z0-9-]+=)/).filter(Boolean)) {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: match[1].toUpperCase(), params, value: match[3] };
+  }
+
+  getProperty(vevent, name) {
+    return vevent.properties.find(property => property.name === name) || null;
+  }
+
+  // A TEXT property with its escapes undone
+  getText(vevent, name) {
+    const property = this.getProperty(vevent, name);
+    if (!property) {
+      return null;
+    }
+
+    return property.value
+      .replace(/\\n/gi, '\n')
+      .replace(/\\([,;\\])/g, '$1')
+      .trim();
+  }
+
+  // CSV
+
+  // The rows of a CSV file as import items
+  parseCsv(text, settings) {
+    const rows = this.parseCsvRows(text);
+    const header = (rows.shift() || []).map(column => column.trim().toLowerCase());
+
+    const unknown = header.filter(column => column && !CSV_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw importError(`Unknown CSV column(s): ${unknown.join(', ')}. The columns are: ${CSV_COLUMNS.join(', ')}`);
+    }
+    for (const column of ['title', 'date']) {
+      if (!header.includes(column)) {
+        throw importError(`The CSV header row needs a "${column}" column. The columns are: ${CSV_COLUMNS.join(', ')}`);
+      }
+    }
+
+    const parser = nlpParser.forUser(settings);
+    const result = { items: [], unsupported: [], skipped: [] };
+
+    rows.forEach((cells, index) => {
+      if (cells.every(cell => !cell.trim())) return;
+
+      const row = {};
+      header.forEach((column, i) => {
+        if (column) row[column] = (cells[i] || '').trim();
+      });
+      const line = index + 2;
+      const title = this.truncate(auth.sanitizeInput(row.title || ''), MAX_TITLE_LENGTH);
+
+      try {
+        const item = this.rowToItem(row, title, parser, settings.timezone);
+        if (item.unsupported) {
+          result.unsupported.push({ line, title, rule: item.rule, reason: item.unsupported });
+        } else if (item.skip) {
+          result.skipped.push({ line, title, reason: item.skip });
+        } else {
+          result.items.push(item);
+        }
+      } catch (error) {
+        result.skipped.push({ line, title: title || '(untitled)', reason: error.message });
+      }
+    });
+
+    return result;
+  }
+
+  rowToItem(row, title, parser, timezone) {
+    if (!title) {
+      throw new Error('title is empty');
+    }
+
+    const date = moment.tz(row.date || '', ['YYYY-MM-DD', 'YYYY/MM/DD'], true, timezone);
+    if (!date.isValid()) {
+      throw new Error(`date "${row.date || ''}" should be YYYY-MM-DD`);
+    }
+
+    let time = DEFAULT_TIME;
+    if (row.time) {
+      const parsed = moment(row.time.toLowerCase(), TIME_FORMATS, true);
+      if (!parsed.isValid()) {
+        throw new Error(`time "${row.time}" should be HH:mm`);
+      }
+      time = { hour: parsed.hour(), minute: parsed.minute() };
+    }
+
+    const special = (row.special || '').toLowerCase();
+    if (!YES.includes(special) && !NO.includes(special)) {
+      throw new Error(`special "${row.special}" should be yes or no`);
+    }
+
+    const item = {
+      title,
+      description: this.truncate(row.description, MAX_TEXT_LENGTH) || null,
+      notes: this.truncate(row.notes, MAX_TEXT_LENGTH) || null,
+      scheduledTime: date.hour(time.hour).minute(time.minute).second(0).millisecond(0).toISOString(),
+      priority: this.parsePriority(row.priority, YES.includes(special)),
+      recurrenceRule: null,
+      reminderOffsets: this.parseReminders(row.reminders),
+      tags: this.parseTags(row.tags),
+      exceptions: []
+    };
+
+    if (!row.recurrence) {
+      if (moment(item.scheduledTime).isBefore(moment())) {
+        return { title, skip: 'in the past' };
+      }
+      return item;
+    }
+
+    const rule = this.parseCsvRecurrence(row.recurrence, parser, timezone);
+    if (rule.error) {
+      return { title, rule: row.recurrence, unsupported: rule.error };
+    }
+    return this.startSeries(item, rule.rule, [], timezone);
+  }
+
+  // The priority column ("high", "low", "2"); empty for medium, or high for special rows
+  parsePriority(text, isSpecial) {
+    if (!text) {
+      return isSpecial ? taskPriority.high : taskPriority.defaultPriority;
+    }
+    try {
+      return taskPriority.normalize(text);
+    } catch (error) {
+      throw new Error(`priority "${text}" should be high, medium or low`);
+    }
+  }
+
+  // "work, #home" as ['work', 'home']
+  parseTags(text) {
+    const words = (text || '').split(/[\s,]+/).filter(Boolean);
+    try {
+      return taskTags.normalizeList(words);
+    } catch (error) {
+      throw new Error(`tags "${text}": ${error.message}`);
+    }
+  }
+
+  // An RRULE, or recurrence words as in the "add" command
+  parseCsvRecurrence(text, parser, timezone) {
+    if (/^(RRULE:)?FREQ=/i.test(text)) {
+      try {
+        return { rule: recurrence.withTimezone(timezone).normalize(text) };
+      } catch (error) {
+        return { error: error.message };
+      }
+    }
+
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const { recurrence: rule, nextIndex } = parser.parseRecurrence(tokens, 0);
+    if (!rule || nextIndex !== tokens.length) {
+      return { error: 'not a recurrence the "add" command understands' };
+    }
+    return { rule };
+  }
+
+  // null for the default reminders, [] for none
+  parseReminders(text) {
+    if (!text) {
+      return null;
+    }
+    if (['none', 'no', '無', '不提醒'].includes(text.toLowerCase())) {
+      return [];
+    }
+    return reminderOffsets.parseList(text);
+  }
+
+  // RFC 4180: commas separate cells, quoted cells may hold commas, newlines and "" for a quote
+  parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"' && !cell) {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  truncate(text, length) {
+    if (!text) {
+      return text;
+    }
+    return text.length > length ? text.substring(0, length) : text;
+  }
+}
+
+module.exports = new ImportService();
@@ -1,7 +1,17 @@
 const line = require('@line/bot-sdk');
 const database = require('./database');
 const nlpParser = require('./nlp-parser');
-const reminderScheduler = require('./reminder-scheduler');
+const i18n = require('./i18n');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const userSettings = require('./user-settings');
+const auth = require('./auth');
+const importer = require('./importer');
+const backup = require('./backup');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+const taskItems = require('./task-items');
+const navigation = require('./navigation');
 const moment = require('moment-timezone');
 
 const config = {
@@ -11,11 +21,56 @@ const config = {
 
 const client = new line.Client(config);
 
+// Entries listed per section of an import report before "…and N more"
+const IMPORT_REPORT_ITEMS = 10;
+
+// LINE's limit on the length of a text message
+const MAX_TEXT_LENGTH = 5000;
+
+// Tasks shown in a task carousel
+const CAROUSEL_TASKS = 10;
+
 class LineBotService {
   constructor() {
     this.client = client;
     this.database = database;
     this.timezone = process.env.TIMEZONE || 'Asia/Taipei';
+    this.timeFormat = '12h';
+    this.parser = nlpParser;
+    this.recurrence = recurrence;
+    this.settings = null;
+    // Quick-reply chips sent with replies (see lib/navigation.js), set per message
+    this.replyActions = null;
+  }
+
+  // A view of the bot that formats, parses and looks up tasks with a user's settings
+  forUser(settings) {
+    const view = Object.create(this);
+    view.settings = settings;
+    view.timezone = settings.timezone;
+    view.timeFormat = settings.timeFormat;
+    view.database = database.forUser(settings);
+    view.parser = nlpParser.forUser(settings);
+    view.recurrence = recurrence.withTimezone(settings.timezone);
+    return view;
+  }
+
+  // The reminder scheduler in this user's timezone. Required on use because the scheduler
+  // requires this module as well, and whichever loads second would get a half-built module.
+  getScheduler() {
+    const reminderScheduler = require('./reminder-scheduler');
+    return this.settings ? reminderScheduler.forUser(this.settings) : reminderScheduler;
+  }
+
+  // i18n key of a time/date-time format, following the 12h/24h setting
+  formatKey(key) {
+    return this.timeFormat === '24h' ? `${key}24` : key;
+  }
+
+  // Language of messages that don't answer a text (reminders, button taps), so there is none to
+  // detect it from: the user's language setting, or English
+  userLanguage() {
+    return (this.settings && this.settings.language) || 'en';
   }
 
   // Validate LINE user ID format
@@ -46,7 +101,7 @@ class LineBotService {
   }
 
   // Send text message (push message for scheduled reminders)
-  async sendTextMessage(userId, text) {
+  async sendTextMessage(userId, text, quickReply = null) {
     if (!this.isValidUserId(userId)) {
       console.warn('⚠️ Skipping user', userId, '- not a valid LINE user ID format');
       return;
@@ -58,7 +113,8 @@ class LineBotService {
       await this.retryApiCall(async () => {
         return await this.client.pushMessage(userId, {
           type: 'text',
-          text: text
+          text: text,
+          ...(quickReply ? { quickReply } : {})
         });
       });
       
@@ -72,15 +128,16 @@ class LineBotService {
     }
   }
 
-  // Send reply message (for user-initiated interactions)
-  async sendReplyMessage(replyToken, text) {
+  // Send reply message (for user-initiated interactions), with the message's quick-reply chips
+  async sendReplyMessage(replyToken, text, quickReply = this.replyActions) {
     console.log('🔍 Attempting to send reply message:', { textLength: text.length });
     
     try {
       await this.retryApiCall(async () => {
         return await this.client.replyMessage(replyToken, {
           type: 'text',
-          text: text
+          text: text,
+          ...(quickReply ? { quickReply } : {})
         });
       });
       
@@ -94,23 +151,82 @@ class LineBotService {
     }
   }
 
+  // Reply with flex messages (one, or a list with text), or with fallbackText when LINE refuses
+  // them (the reply token is only used up by a reply that goes through)
+  async sendReplyFlexMessage(replyToken, messages, fallbackText) {
+    // Quick-reply chips go on the last message
+    const list = [].concat(messages);
+    if (this.replyActions) {
+      list[list.length - 1] = { ...list[list.length - 1], quickReply: this.replyActions };
+    }
+
+    try {
+      await this.retryApiCall(async () => {
+        return await this.client.replyMessage(replyToken, list.length === 1 ? list[0] : list);
+      });
+      console.log('📨 Successfully sent flex reply message');
+    } catch (error) {
+      console.error('❌ Failed to send flex reply message:', error);
+      console.error('LINE API error details:', error.response?.data);
+      await this.sendReplyMessage(replyToken, fallbackText);
+    }
+  }
+
   // Send flex message for task list
-  async sendTaskListMessage(userId, tasks, title = 'Your Tasks') {
+  async sendTaskListMessage(userId, tasks, title = 'Your Tasks', lang = this.userLanguage()) {
     console.log('🔍 Attempting to send task list message to user:', { userId, taskCount: tasks.length, title });
     
     if (tasks.length === 0) {
       console.log('📨 Sending empty task list message to user:', userId);
-      await this.sendTextMessage(userId, `${title}\n\nNo tasks found.`);
+      await this.sendTextMessage(userId, `${title}\n\n${i18n.t(lang, 'noTasksFound')}`);
       return;
     }
 
-    // Add display IDs to tasks (1, 2, 3, etc.)
-    const tasksWithDisplayIds = tasks.map((task, index) => ({
-      ...task,
-      displayId: index + 1
-    }));
+    const items = await this.loadTaskItems(tasks);
+    const flexMessage = this.buildTaskCarousel(tasks, title, items, lang);
+
+    // Add a note if there are more tasks than displayed
+    const hasMoreTasks = tasks.length > CAROUSEL_TASKS;
+
+    try {
+      await this.retryApiCall(async () => {
+        return await this.client.pushMessage(userId, flexMessage);
+      });
+      console.log('📨 Successfully sent flex message to user:', userId);
+      
+      // Send additional message if there are more tasks
+      if (hasMoreTasks) {
+        const remainingCount = tasks.length - CAROUSEL_TASKS;
+        await this.sendTextMessage(userId, i18n.t(lang, 'carouselMore', { shown: CAROUSEL_TASKS, count: remainingCount }));
+      }
+    } catch (error) {
+      console.error('❌ Failed to send flex message to user:', userId, error);
+      console.error('LINE API error details:', error.response?.data);
+      console.error('LINE API status:', error.response?.status);
+      console.error('LINE API headers:', error.response?.headers);
+      
+      // Fallback to text message
+      console.log('🔄 Falling back to text message for user:', userId);
+      const textMessage = this.formatTaskList(tasks, title, lang, items);
+      await this.sendTextMessage(userId, textMessage);
+    }
+  }
+
+  // The checklist items of tasks, or none when they can't be loaded: a list or reminder still
+  // goes out without them
+  async loadTaskItems(tasks) {
+    try {
+      return await this.database.getTaskItems([...new Set(tasks.map(task => task.id))]);
+    } catch (error) {
+      console.warn('⚠️ Could not load checklist items:', { error: error.message });
+      return [];
+    }
+  }
 
-    const contents = tasksWithDisplayIds.map(task => ({
+  // A carousel of task bubbles with Done/Update/Delete buttons, for the first tasks of a list;
+  // items are the checklist items of those tasks
+  buildTaskCarousel(tasks, title, items = [], lang = 'en') {
+    const contents = tasks.slice(0, CAROUSEL_TASKS).map(task => ({
       type: 'bubble',
       body: {
         type: 'box',
@@ -125,18 +241,19 @@ class LineBotService {
           },
           {
             type: 'text',
-            text: `ID: ${task.displayId}`,
+            text: `${i18n.t(lang, 'idLabel')}: ${task.short_code}`,
             size: 'xs',
             color: '#999999',
             margin: 'xs'
           },
           {
             type: 'text',
-            text: this.formatDateTime(task.scheduled_time),
+            text: this.formatDateTime(task.scheduled_time, lang),
             size: 'sm',
             color: '#666666',
             margin: 'sm'
           },
+          ...(task.tags && task.tags.length ? [this.buildTagChips(task.tags)] : []),
           ...(task.description ? [{
             type: 'text',
             text: task.description,
@@ -147,25 +264,40 @@ class LineBotService {
           }] : []),
           ...(task.notes ? [{
             type: 'text',
-            text: `Note: ${task.notes}`,
+            text: `${i18n.t(lang, 'noteLabel')}: ${task.notes}`,
             size: 'xs',
             color: '#999999',
             margin: 'sm',
             wrap: true
           }] : []),
+          ...(items.some(item => item.task_id === task.id) ? [this.buildChecklist(items.filter(item => item.task_id === task.id), lang)] : []),
           ...(task.is_recurring ? [{
             type: 'text',
-            text: `🔄 ${this.formatRecurrence(task.recurrence_pattern)}`,
+            text: `🔄 ${this.formatRecurrence(task, lang)}`,
             size: 'xs',
             color: '#4CAF50',
             margin: 'sm'
           }] : []),
-          ...(task.is_special ? [{
+          ...(taskPriority.of(task) === taskPriority.high ? [{
             type: 'text',
-            text: '⭐ Special Task',
+            text: i18n.t(lang, 'highPriorityLabel'),
             size: 'xs',
             color: '#FF6B6B',
             margin: 'sm'
+          }] : []),
+          ...(taskPriority.of(task) === taskPriority.low ? [{
+            type: 'text',
+            text: i18n.t(lang, 'lowPriorityLabel'),
+            size: 'xs',
+            color: '#999999',
+            margin: 'sm'
+          }] : []),
+          ...(task.snooze_count > 0 ? [{
+            type: 'text',
+            text: i18n.t(lang, 'snoozedBadge', { count: task.snooze_count }),
+            size: 'xs',
+            color: '#999999',
+            margin: 'sm'
           }] : [])
         ]
       },
@@ -177,7 +309,18 @@ class LineBotService {
             type: 'button',
             action: {
               type: 'postback',
-              label: 'Update',
+              label: i18n.t(lang, 'buttonDone'),
+              data: this.doneTaskData(task)
+            },
+            style: 'primary',
+            size: 'sm',
+            color: '#4CAF50'
+          },
+          {
+            type: 'button',
+            action: {
+              type: 'postback',
+              label: i18n.t(lang, 'buttonUpdate'),
               data: `update_task:${task.id}`
             },
             style: 'secondary',
@@ -187,7 +330,7 @@ class LineBotService {
             type: 'button',
             action: {
               type: 'postback',
-              label: 'Delete',
+              label: i18n.t(lang, 'buttonDelete'),
               data: `delete_task:${task.id}`
             },
             style: 'secondary',
@@ -198,46 +341,82 @@ class LineBotService {
       }
     }));
 
-    const flexMessage = {
+    return {
       type: 'flex',
       altText: title,
       contents: {
         type: 'carousel',
-        contents: contents.slice(0, 10) // Limit to 10 tasks for better UX
+        contents
       }
     };
+  }
 
-    // Add a note if there are more tasks than displayed
-    const hasMoreTasks = tasks.length > 10;
+  // A row of "#tag" chips for a task bubble
+  buildTagChips(tags) {
+    return {
+      type: 'box',
+      layout: 'horizontal',
+      spacing: 'xs',
+      margin: 'sm',
+      contents: tags.map(tag => ({
+        type: 'box',
+        layout: 'vertical',
+        flex: 0,
+        backgroundColor: '#E8F0FE',
+        cornerRadius: 'md',
+        paddingStart: 'sm',
+        paddingEnd: 'sm',
+        contents: [{ type: 'text', text: `#${tag}`, size: 'xxs', color: '#1A73E8' }]
+      }))
+    };
+  }
 
-    try {
-      await this.retryApiCall(async () => {
-        return await this.client.pushMessage(userId, flexMessage);
-      });
-      console.log('📨 Successfully sent flex message to user:', userId);
-      
-      // Send additional message if there are more tasks
-      if (hasMoreTasks) {
-        const remainingCount = tasks.length - 10;
-        await this.sendTextMessage(userId, `📋 Showing first 10 tasks. You have ${remainingCount} more tasks. Use "list" command to see all tasks in text format.`);
-      }
-    } catch (error) {
-      console.error('❌ Failed to send flex message to user:', userId, error);
-      console.error('LINE API error details:', error.response?.data);
-      console.error('LINE API status:', error.response?.status);
-      console.error('LINE API headers:', error.response?.headers);
-      
-      // Fallback to text message
-      console.log('🔄 Falling back to text message for user:', userId);
-      const textMessage = this.formatTaskList(tasks, title);
-      await this.sendTextMessage(userId, textMessage);
-    }
+  // A task's checklist for its bubble, one numbered row per item; tapping a row checks the
+  // item, or unchecks it when it is checked
+  buildChecklist(items, lang = 'en') {
+    return {
+      type: 'box',
+      layout: 'vertical',
+      spacing: 'xs',
+      margin: 'md',
+      contents: items.map((item, index) => ({
+        type: 'box',
+        layout: 'horizontal',
+        spacing: 'sm',
+        action: {
+          type: 'postback',
+          label: i18n.t(lang, item.checked ? 'buttonUncheck' : 'buttonCheck'),
+          data: `toggle_item:${item.id}`
+        },
+        contents: [
+          { type: 'text', text: item.checked ? '☑️' : '⬜', size: 'sm', flex: 0 },
+          {
+            type: 'text',
+            text: `${index + 1}. ${item.text}`,
+            size: 'sm',
+            color: item.checked ? '#AAAAAA' : '#333333',
+            decoration: item.checked ? 'line-through' : 'none',
+            wrap: true
+          }
+        ]
+      }))
+    };
   }
 
   // Send reminder message
-  async sendReminderMessage(userId, task, reminderType) {
+  async sendReminderMessage(userId, task, reminderType, offsetMinutes = null) {
+    // Reminders scheduled before per-task offsets carry their offset in the type
+    if (reminderType === 'hourly') {
+      reminderType = 'before';
+      offsetMinutes = 60;
+    } else if (reminderType === 'special_day_before') {
+      reminderType = 'before';
+      offsetMinutes = 1440;
+    }
+
     console.log('🔍 Attempting to send reminder message:', {
       reminderType,
+      offsetMinutes,
       userId,
       taskId: task.id,
       taskTitle: task.title
@@ -248,43 +427,64 @@ class LineBotService {
       title: task.title,
       scheduled_time: task.scheduled_time,
       is_special: task.is_special,
+      priority: task.priority,
       is_recurring: task.is_recurring
     });
     
+    const lang = this.userLanguage();
     let message = '';
     
     switch (reminderType) {
       case 'daily':
-        message = `🌅 Good morning! Here's your schedule for today:\n\n`;
+        message = `${i18n.t(lang, 'digestTitle')}\n\n`;
         break;
-      case 'hourly':
-        message = `⏰ Reminder: ${task.title} is coming up in 1 hour!\n\n`;
-        break;
-      case 'special_day_before':
-        message = `⭐ Special Reminder: ${task.title} is tomorrow!\n\n`;
+      case 'before':
+        if (!offsetMinutes) {
+          message = `${i18n.t(lang, 'reminderNow', { title: task.title })}\n\n`;
+        } else {
+          const key = task.is_special ? 'reminderSpecialBefore' : 'reminderBefore';
+          message = `${i18n.t(lang, key, { title: task.title, offset: reminderOffsets.describe(offsetMinutes, lang) })}\n\n`;
+        }
         break;
       case 'special_day_of':
-        message = `⭐ Special Task Today: ${task.title}\n\n`;
+        message = `${i18n.t(lang, 'reminderSpecialDayOf', { title: task.title })}\n\n`;
+        break;
+      case 'snooze':
+        message = `${i18n.t(lang, 'reminderSnoozed', { title: task.title })}\n\n`;
         break;
     }
 
-    message += `📅 ${this.formatDateTime(task.scheduled_time)}`;
+    message += `📅 ${this.formatDateTime(task.scheduled_time, lang)}`;
+    message += `\n🆔 ${i18n.t(lang, 'idLabel')}: ${task.short_code}`;
+
+    if (task.tags && task.tags.length) {
+      message += `\n🏷️ ${taskTags.format(task.tags)}`;
+    }
     
     if (task.description) {
       message += `\n📝 ${task.description}`;
     }
     
     if (task.notes) {
-      message += `\n💭 Note: ${task.notes}`;
+      message += `\n💭 ${i18n.t(lang, 'noteLabel')}: ${task.notes}`;
     }
 
     if (task.is_recurring) {
-      message += `\n🔄 Recurring: ${this.formatRecurrence(task.recurrence_pattern)}`;
+      message += `\n🔄 ${i18n.t(lang, 'recurringLabel')}: ${this.formatRecurrence(task, lang)}`;
+    }
+
+    const items = await this.loadTaskItems([task]);
+    if (items.length > 0) {
+      message += `\n${this.formatItemsLeft(items, lang)}`;
+    }
+
+    if (task.snooze_count > 0) {
+      message += `\n${i18n.t(lang, task.snooze_count === 1 ? 'reminderSnoozedOnce' : 'reminderSnoozedTimes', { count: task.snooze_count })}`;
     }
 
     console.log('🔍 Message content:', { messageLength: message.length, preview: message.substring(0, 100) + '...' });
 
-    await this.sendTextMessage(userId, message);
+    await this.sendTextMessage(userId, message, this.buildReminderQuickReply(task, lang));
     
     console.log('📨 Successfully sent reminder message:', {
       reminderType,
@@ -294,93 +494,234 @@ class LineBotService {
     });
   }
 
-  // Format datetime for display
-  formatDateTime(dateTimeString) {
-    const date = moment(dateTimeString).tz(this.timezone);
+  // Postback data of a task's Done button: the task and the time of the occurrence it was shown
+  // for, so a later or moved occurrence of a recurring task is the one completed
+  doneTaskData(task) {
+    return `done_task:${task.id}:${moment(task.scheduled_time).toISOString()}`;
+  }
+
+  // Quick reply actions attached to reminder pushes
+  buildReminderQuickReply(task, lang = 'en') {
+    const actions = [
+      { label: i18n.t(lang, 'buttonSnooze10m'), data: `snooze_task:${task.id}:10` },
+      { label: i18n.t(lang, 'buttonSnooze1h'), data: `snooze_task:${task.id}:60` },
+      { label: i18n.t(lang, 'buttonTomorrow'), data: `postpone_task:${task.id}` },
+      { label: i18n.t(lang, 'buttonDone'), data: this.doneTaskData(task) }
+    ];
+
+    return {
+      items: actions.map(action => ({
+        type: 'action',
+        action: {
+          type: 'postback',
+          label: action.label,
+          data: action.data,
+          displayText: action.label
+        }
+      }))
+    };
+  }
+
+  // Format datetime for display; inline gives the lower-case "today at 9:00 AM" for use mid-sentence
+  formatDateTime(dateTimeString, lang = 'en', { inline = false } = {}) {
+    const date = moment(dateTimeString).tz(this.timezone).locale(i18n.momentLocale(lang));
     const now = moment().tz(this.timezone);
     const today = now.clone().startOf('day');
     const taskDate = date.clone().startOf('day');
     
-    const timeString = date.format('h:mm A');
+    const timeString = date.format(i18n.t(lang, this.formatKey('timeFormat')));
 
     // Calculate tomorrow safely to avoid daylight saving issues
     const tomorrow = today.clone().add(1, 'day');
 
     if (taskDate.isSame(today)) {
-      return `Today at ${timeString}`;
+      return i18n.t(lang, inline ? 'todayAtInline' : 'todayAt', { time: timeString });
     } else if (taskDate.isSame(tomorrow)) {
-      return `Tomorrow at ${timeString}`;
+      return i18n.t(lang, inline ? 'tomorrowAtInline' : 'tomorrowAt', { time: timeString });
     } else {
-      return date.format('ddd, MMM D, h:mm A');
+      return date.format(i18n.t(lang, this.formatKey('dateTimeFormat')));
     }
   }
 
-  // Format recurrence pattern
-  formatRecurrence(recurrencePattern) {
-    if (!recurrencePattern) return '';
+  // Format a task's recurrence rule
+  formatRecurrence(task, lang = 'en') {
+    const rule = this.recurrence.getTaskRule(task);
+    return rule ? this.recurrence.describe(rule, lang) : '';
+  }
+
+  // Centralized task list formatting; items are the checklist items of the tasks
+  formatTaskList(tasks, title, lang = 'en', items = []) {
+    if (tasks.length === 0) {
+      return `${title}\n\n${i18n.t(lang, 'noTasksFound')}`;
+    }
     
-    const pattern = JSON.parse(recurrencePattern);
+    const idLabel = i18n.t(lang, 'idLabel');
+    const taskList = tasks.map(task => {
+      const checklist = items.filter(item => item.task_id === task.id);
+      return `• ${task.title} - ${this.formatDateTime(task.scheduled_time, lang)}${taskPriority.badge(task)}${task.is_recurring ? ' 🔄' : ''}\n  ${idLabel}: ${task.short_code}` +
+        (task.tags && task.tags.length ? `  🏷️ ${taskTags.format(task.tags)}` : '') +
+        (checklist.length ? `\n  ${this.formatItemsLeft(checklist, lang)}` : '');
+    }).join('\n');
     
-    switch (pattern.type) {
-      case 'weekly':
-        return `Every ${pattern.dayOfWeek}`;
-      case 'biweekly':
-        return `Every 2 weeks on ${pattern.dayOfWeek}`;
-      case 'monthly':
-        if (pattern.dayOfMonth) {
-          return `Monthly on the ${pattern.dayOfMonth}${this.getOrdinalSuffix(pattern.dayOfMonth)}`;
-        } else if (pattern.weekdayOfMonth) {
-          return `Monthly on the ${pattern.weekdayOfMonth.week} ${pattern.weekdayOfMonth.day}`;
-        }
-        return 'Monthly';
-      default:
-        return 'Recurring';
-    }
+    return `${title}\n\n${taskList}`;
   }
 
-  getOrdinalSuffix(day) {
-    if (day >= 11 && day <= 13) {
-      return 'th';
-    }
-    switch (day % 10) {
-      case 1: return 'st';
-      case 2: return 'nd';
-      case 3: return 'rd';
-      default: return 'th';
-    }
+  // "☑️ 2 of 3 checklist items left" for a task's checklist items
+  formatItemsLeft(items, lang = 'en') {
+    return i18n.t(lang, 'checklistItemsLeft', { left: taskItems.unchecked(items).length, count: items.length });
   }
 
-  // Centralized task list formatting
-  formatTaskList(tasks, title) {
+  // Format compact task codes list
+  formatTaskIdsList(tasks, lang = 'en') {
     if (tasks.length === 0) {
-      return `${title}\n\nNo tasks found.`;
+      return i18n.t(lang, 'taskIdsEmpty');
     }
     
-    const taskList = tasks.map((task, index) => 
-      `• ${task.title} - ${this.formatDateTime(task.scheduled_time)}${task.is_special ? ' ⭐' : ''}${task.is_recurring ? ' 🔄' : ''}\n  ID: ${index + 1}`
+    const taskIdsList = tasks.map(task => 
+      `${task.short_code} - ${task.title}`
     ).join('\n');
     
-    return `${title}\n\n${taskList}`;
+    return `${i18n.t(lang, 'taskIdsTitle', { count: tasks.length })}\n\n${taskIdsList}\n\n${i18n.t(lang, 'taskIdsHint')}`;
   }
 
-  // Format compact task IDs list
-  formatTaskIdsList(tasks) {
-    if (tasks.length === 0) {
-      return "🆔 Task IDs\n\nNo tasks found.";
+  // Format the tags of a list of tasks with their task counts, most used first
+  formatTagCounts(tasks, lang = 'en') {
+    const counts = new Map();
+    for (const task of tasks) {
+      for (const tag of task.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
     }
-    
-    const taskIdsList = tasks.map((task, index) => 
-      `${index + 1} - ${task.title}`
+
+    if (counts.size === 0) {
+      return i18n.t(lang, 'tagsEmpty');
+    }
+
+    const lines = [...counts]
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .map(([tag, count]) => `#${tag} (${count})`);
+    return `${i18n.t(lang, 'tagsTitle', { count: counts.size })}\n\n${lines.join('\n')}\n\n${i18n.t(lang, 'tagsHint')}`;
+  }
+
+  // Format completion history list
+  formatCompletionHistory(completions, lang = 'en') {
+    if (completions.length === 0) {
+      return i18n.t(lang, 'historyEmpty');
+    }
+
+    const dateTimeFormat = i18n.t(lang, this.formatKey('dateTimeFormat'));
+    const formatTime = (time) => moment(time).tz(this.timezone).locale(i18n.momentLocale(lang)).format(dateTimeFormat);
+
+    const historyList = completions.map(completion => {
+      const occurrence = completion.is_recurring
+        ? `\n  ${i18n.t(lang, 'historyOccurrence', { time: formatTime(completion.occurrence_time) })}`
+        : '';
+      return `• ${completion.title} - ${formatTime(completion.completed_at)}${occurrence}`;
+    }).join('\n');
+
+    return `${i18n.t(lang, 'historyTitle', { count: completions.length })}\n\n${historyList}`;
+  }
+
+  // Format the list of pending scheduled messages, numbered for "cancel message"
+  formatScheduledMessages(messages, lang = 'en') {
+    if (messages.length === 0) {
+      return i18n.t(lang, 'scheduledMessagesEmpty');
+    }
+
+    const messageList = messages.map((message, index) =>
+      `${index + 1} - ${message.message}\n  ${this.formatDateTime(message.scheduled_at, lang)}`
     ).join('\n');
-    
-    return `🆔 Task IDs (${tasks.length} tasks)\n\n${taskIdsList}\n\n💡 Use these IDs with update/delete commands for precise task management.`;
+
+    return `${i18n.t(lang, 'scheduledMessagesTitle', { count: messages.length })}\n\n${messageList}\n\n${i18n.t(lang, 'scheduledMessagesHint')}`;
+  }
+
+  // Format a user's API tokens, numbered for "token revoke"
+  formatApiTokens(tokens, lang = 'en') {
+    if (tokens.length === 0) {
+      return i18n.t(lang, 'tokensEmpty');
+    }
+
+    const tokenList = tokens.map((token, index) => {
+      const expired = new Date(token.expires_at) <= new Date();
+      const expiry = i18n.t(lang, expired ? 'tokenExpired' : 'tokenExpires', { time: this.formatDateTime(token.expires_at, lang, { inline: true }) });
+      const lastUsed = token.last_used_at
+        ? i18n.t(lang, 'tokenLastUsed', { time: this.formatDateTime(token.last_used_at, lang, { inline: true }) })
+        : i18n.t(lang, 'tokenNeverUsed');
+      return `${index + 1} - ${token.token_prefix}… (${this.formatTokenScopes(token.scopes, lang)})\n  ${expiry}, ${lastUsed}`;
+    }).join('\n');
+
+    return `${i18n.t(lang, 'tokensTitle', { count: tokens.length })}\n\n${tokenList}\n\n${i18n.t(lang, 'tokensHint')}`;
+  }
+
+  // What an import did: the tasks added, then duplicates, unsupported rules and skipped entries
+  formatImportReport(report, fileName, lang = 'en') {
+    const list = (entries, describe) => {
+      const shown = entries.slice(0, IMPORT_REPORT_ITEMS).map(entry => `• ${describe(entry)}`);
+      if (entries.length > IMPORT_REPORT_ITEMS) {
+        shown.push(i18n.t(lang, 'importMore', { count: entries.length - IMPORT_REPORT_ITEMS }));
+      }
+      return shown.join('\n');
+    };
+
+    if (report.imported.length + report.duplicates.length + report.unsupported.length + report.skipped.length === 0) {
+      return i18n.t(lang, 'importEmpty', { fileName });
+    }
+
+    const sections = [i18n.t(lang, 'importTitle', { fileName, count: report.imported.length })];
+
+    if (report.imported.length > 0) {
+      sections.push(list(report.imported, task =>
+        `${task.title} - ${this.formatDateTime(task.scheduled_time, lang)}${task.recurrence_rule ? ' 🔄' : ''}`));
+    }
+    if (report.duplicates.length > 0) {
+      sections.push(`${i18n.t(lang, 'importDuplicates', { count: report.duplicates.length })}\n${list(report.duplicates, entry =>
+        `${entry.title} - ${this.formatDateTime(entry.scheduled_time, lang)}`)}`);
+    }
+    if (report.unsupported.length > 0) {
+      sections.push(`${i18n.t(lang, 'importUnsupported', { count: report.unsupported.length })}\n${list(report.unsupported, entry =>
+        `${entry.title}: ${entry.reason}`)}`);
+    }
+    if (report.skipped.length > 0) {
+      sections.push(`${i18n.t(lang, 'importSkipped', { count: report.skipped.length })}\n${list(report.skipped, entry =>
+        `${entry.title}${entry.line ? ` (${i18n.t(lang, 'importLine', { line: entry.line })})` : ''}: ${entry.reason}`)}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // What a restore did
+  formatRestoreReport(report, fileName, lang = 'en') {
+    const sections = [i18n.t(lang, 'restoreSummary', {
+      fileName,
+      restored: report.tasks.restored,
+      existing: report.tasks.existing,
+      completions: report.completions.restored,
+      reminders: report.remindersScheduled
+    })];
+
+    if (report.settings) {
+      sections.push(i18n.t(lang, 'restoreSettings'));
+    }
+    if (report.tasks.failed.length > 0) {
+      const failed = report.tasks.failed.slice(0, IMPORT_REPORT_ITEMS).map(task => `• ${task.title || task.id}: ${task.reason}`);
+      if (report.tasks.failed.length > IMPORT_REPORT_ITEMS) {
+        failed.push(i18n.t(lang, 'importMore', { count: report.tasks.failed.length - IMPORT_REPORT_ITEMS }));
+      }
+      sections.push(`${i18n.t(lang, 'restoreFailed', { count: report.tasks.failed.length })}\n${failed.join('\n')}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  formatTokenScopes(scopes, lang = 'en') {
+    return i18n.t(lang, scopes.includes('write') ? 'tokenScopeReadWrite' : 'tokenScopeRead');
   }
 
   // Common command handler that accepts a send function
-  async handleTaskListCommand(userId, replyToken, getTasksFn, title, useReply = false) {
+  async handleTaskListCommand(userId, replyToken, getTasksFn, title, useReply = false, lang = 'en') {
     try {
       const tasks = await getTasksFn(userId);
-      const message = this.formatTaskList(tasks, title);
+      const message = this.formatTaskList(tasks, title, lang, await this.loadTaskItems(tasks));
       
       if (useReply) {
         await this.sendReplyMessage(replyToken, message);
@@ -388,7 +729,7 @@ class LineBotService {
         await this.sendTextMessage(userId, message);
       }
     } catch (error) {
-      const errorMessage = `❌ Error retrieving tasks: ${error.message}`;
+      const errorMessage = i18n.t(lang, 'errorRetrievingTasks', { message: error.message });
       if (useReply) {
         await this.sendReplyMessage(replyToken, errorMessage);
       } else {
@@ -412,8 +753,14 @@ class LineBotService {
 
         if (event.type === 'message' && event.message.type === 'text') {
           await this.handleTextMessage(event);
+        } else if (event.type === 'message' && event.message.type === 'file') {
+          await this.handleFileMessage(event);
         } else if (event.type === 'postback') {
           await this.handlePostback(event);
+        } else if (event.type === 'follow') {
+          await this.handleFollow(event);
+        } else if (event.type === 'unfollow') {
+          await this.handleUnfollow(event);
         } else {
           console.log('⚠️ Unhandled event type:', event.type);
         }
@@ -432,11 +779,39 @@ class LineBotService {
     }
   }
 
+  // A user added the bot (or unblocked it): register them and say hello
+  async handleFollow(event) {
+    const userId = event.source.userId;
+
+    // The profile is only used for the greeting, so carry on without it if LINE won't give it
+    let profile = {};
+    try {
+      profile = await this.client.getProfile(userId);
+    } catch (error) {
+      console.warn('⚠️ Could not fetch user profile:', { userId, error: error.message });
+    }
+
+    await this.database.registerUser(userId, profile);
+
+    const lang = profile.language && profile.language.startsWith('zh') ? 'zh' : 'en';
+    const name = profile.displayName ? (lang === 'zh' ? profile.displayName : ` ${profile.displayName}`) : '';
+    await this.sendReplyMessage(event.replyToken, i18n.t(lang, 'welcome', { name }));
+  }
+
+  // A user blocked the bot: stop sending them digests (there's no reply token to answer with)
+  async handleUnfollow(event) {
+    await this.database.deregisterUser(event.source.userId);
+  }
+
   // Handle text messages
   async handleTextMessage(event) {
     const userId = event.source.userId;
     const replyToken = event.replyToken;
     const message = event.message.text.toLowerCase().trim();
+    const settings = await userSettings.getSettings(userId);
+    const bot = this.forUser(settings);
+    const lang = settings.language || i18n.detectLanguage(message);
+    bot.replyActions = navigation.nextActions(message, lang);
 
     console.log('🔍 Handling text message:', {
       userId: userId,
@@ -445,36 +820,81 @@ class LineBotService {
     });
 
     try {
-      if (message === 'help' || message === 'commands' || message === 'hey assistant') {
+      if (['help', 'commands', 'hey assistant', '說明', '幫助', '指令'].includes(message)) {
         console.log('🔍 Processing help command for user:', userId);
-        await this.sendHelpReply(replyToken);
-      } else if (message === 'today') {
+        await bot.sendHelpReply(replyToken, lang);
+      } else if (message === 'today' || message === '今天') {
         console.log('🔍 Processing today command for user:', userId);
-        await this.handleTodayCommandReply(userId, replyToken);
-      } else if (message === 'week') {
+        await bot.handleTodayCommandReply(userId, replyToken, lang);
+      } else if (['week', '本週', '這週', '本周', '這周'].includes(message)) {
         console.log('🔍 Processing week command for user:', userId);
-        await this.handleWeekCommandReply(userId, replyToken);
-      } else if (message === 'month') {
+        await bot.handleWeekCommandReply(userId, replyToken, lang);
+      } else if (['month', '本月', '這個月'].includes(message)) {
         console.log('🔍 Processing month command for user:', userId);
-        await this.handleMonthCommandReply(userId, replyToken);
-      } else if (message === 'list') {
+        await bot.handleMonthCommandReply(userId, replyToken, lang);
+      } else if (['list', '列表', '清單'].includes(message)) {
         console.log('🔍 Processing list command for user:', userId);
-        await this.handleListCommandReply(userId, replyToken);
-      } else if (message === 'ids') {
+        await bot.handleListCommandReply(userId, replyToken, lang);
+      } else if (/^(list|列表|清單)\s*#/.test(message)) {
+        console.log('🔍 Processing tagged list command for user:', userId);
+        await bot.handleListCommandReply(userId, replyToken, lang, event.message.text);
+      } else if (['tags', '標籤'].includes(message)) {
+        console.log('🔍 Processing tags command for user:', userId);
+        await bot.handleTagsCommandReply(userId, replyToken, lang);
+      } else if (['ids', 'codes', '編號', '代碼'].includes(message)) {
         console.log('🔍 Processing ids command for user:', userId);
-        await this.handleIdsCommandReply(userId, replyToken);
-      } else if (message.startsWith('add ')) {
+        await bot.handleIdsCommandReply(userId, replyToken, lang);
+      } else if (/^((add|remove|delete)\s+items?\s+("|[a-z]\d)|(check|uncheck|items|checklist)(\s|$))/.test(message) || /^((新增項目|刪除項目)\s*([「『"]|[a-z]\d)|勾選|取消勾選|項目)/.test(message)) {
+        console.log('🔍 Processing checklist command for user:', userId);
+        await bot.handleChecklistCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('add ') || message.startsWith('新增')) {
         console.log('🔍 Processing add command for user:', userId);
-        await this.handleAddCommandReply(userId, replyToken, event.message.text);
-      } else if (message.startsWith('delete ')) {
+        await bot.handleAddCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('delete ') || message.startsWith('刪除')) {
         console.log('🔍 Processing delete command for user:', userId);
-        await this.handleDeleteCommandReply(userId, replyToken, event.message.text);
-      } else if (message.startsWith('update ')) {
+        await bot.handleDeleteCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('update ') || message.startsWith('更新')) {
         console.log('🔍 Processing update command for user:', userId);
-        await this.handleUpdateCommandReply(userId, replyToken, event.message.text);
+        await bot.handleUpdateCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('done ') || message.startsWith('完成')) {
+        console.log('🔍 Processing done command for user:', userId);
+        await bot.handleDoneCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('skip ') || message.startsWith('跳過')) {
+        console.log('🔍 Processing skip command for user:', userId);
+        await bot.handleSkipCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('move ') || message.startsWith('移動') || message.startsWith('改期')) {
+        console.log('🔍 Processing move command for user:', userId);
+        await bot.handleMoveCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('cancel series') || message.startsWith('取消重複') || message.startsWith('取消系列')) {
+        console.log('🔍 Processing cancel series command for user:', userId);
+        await bot.handleCancelSeriesCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (['find', 'search'].includes(message) || /^(find|search) /.test(message) || message.startsWith('搜尋') || message.startsWith('尋找')) {
+        console.log('🔍 Processing find command for user:', userId);
+        await bot.handleFindCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message.startsWith('say ') || message.startsWith('remind me ') || message.startsWith('提醒我')) {
+        console.log('🔍 Processing scheduled message command for user:', userId);
+        await bot.handleScheduleMessageCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (['messages', '訊息', '排程訊息'].includes(message)) {
+        console.log('🔍 Processing messages command for user:', userId);
+        await bot.handleMessagesCommandReply(userId, replyToken, lang);
+      } else if (message.startsWith('cancel message') || message.startsWith('取消訊息')) {
+        console.log('🔍 Processing cancel message command for user:', userId);
+        await bot.handleCancelMessageCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (['token', 'tokens'].includes(message) || message.startsWith('token ') || message.startsWith('權杖')) {
+        console.log('🔍 Processing token command for user:', userId);
+        await bot.handleTokenCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message === 'export' || message.startsWith('export ') || message.startsWith('匯出')) {
+        console.log('🔍 Processing export command for user:', userId);
+        await bot.handleExportCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (message === 'settings' || message.startsWith('settings ') || message.startsWith('設定')) {
+        console.log('🔍 Processing settings command for user:', userId);
+        await bot.handleSettingsCommandReply(userId, replyToken, event.message.text, lang);
+      } else if (['history', '歷史', '紀錄'].includes(message)) {
+        console.log('🔍 Processing history command for user:', userId);
+        await bot.handleHistoryCommandReply(userId, replyToken, lang);
       } else {
         console.log('⚠️ Unknown command from user:', { userId, message: event.message.text });
-        await this.sendReplyMessage(replyToken, "I didn't understand that command. Type 'help' to see available commands.");
+        await bot.handleUnknownCommandReply(replyToken, event.message.text, lang);
       }
     } catch (error) {
       console.error('❌ Error handling text message:', {
@@ -482,337 +902,577 @@ class LineBotService {
         message: event.message.text,
         error: error.message
       });
-      await this.sendReplyMessage(replyToken, "Sorry, something went wrong. Please try again.");
+      await bot.sendReplyMessage(replyToken, i18n.t(lang, 'genericError'));
+    }
+  }
+
+  // A file sent in chat: .ics and .csv files are imported as tasks (see lib/importer.js),
+  // .json backups from "export" are restored (see lib/backup.js)
+  async handleFileMessage(event) {
+    const userId = event.source.userId;
+    const replyToken = event.replyToken;
+    const { id: messageId, fileName, fileSize } = event.message;
+    const settings = await userSettings.getSettings(userId);
+    const bot = this.forUser(settings);
+    const lang = settings.language || i18n.detectLanguage(fileName || '');
+
+    console.log('🔍 Handling file message:', { userId, fileName, fileSize });
+
+    const format = /\.json$/i.test(fileName || '') ? 'backup' : importer.detectFormat(fileName);
+    if (!format) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'importUnsupportedFile', { fileName }));
+      return;
+    }
+
+    try {
+      if (fileSize > importer.maxFileSize) {
+        throw new Error(`The file is larger than ${importer.maxFileSize / 1024 / 1024}MB`);
+      }
+
+      const content = await this.downloadMessageContent(messageId, importer.maxFileSize);
+
+      if (format === 'backup') {
+        let data;
+        try {
+          data = JSON.parse(content);
+        } catch (parseError) {
+          throw new Error('The file is not valid JSON');
+        }
+        const report = await backup.restore(userId, data);
+        await this.sendReplyMessage(replyToken, bot.formatRestoreReport(report, fileName, lang));
+        return;
+      }
+
+      const report = await importer.importFile(userId, settings, format, content);
+      await this.sendReplyMessage(replyToken, bot.formatImportReport(report, fileName, lang));
+    } catch (error) {
+      console.error('❌ Error importing file:', { userId, fileName, error: error.message });
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorImporting', { fileName, message: error.message }));
+    }
+  }
+
+  // The content of a file message as text, refusing anything over maxBytes
+  async downloadMessageContent(messageId, maxBytes) {
+    const stream = await this.retryApiCall(() => this.client.getMessageContent(messageId));
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of stream) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        stream.destroy();
+        throw new Error(`The file is larger than ${maxBytes / 1024 / 1024}MB`);
+      }
+      chunks.push(chunk);
     }
+
+    return Buffer.concat(chunks).toString('utf8');
   }
 
   // Handle postback events
   async handlePostback(event) {
     const userId = event.source.userId;
     const data = event.postback.data;
+    const bot = this.forUser(await userSettings.getSettings(userId));
 
     try {
       if (data.startsWith('delete_task:')) {
         const taskId = data.split(':')[1];
-        await this.handleDeleteTaskById(userId, taskId);
+        await bot.handleDeleteTaskById(userId, taskId);
+      } else if (data.startsWith('done_task:')) {
+        // The occurrence time has colons of its own; buttons sent before it was added have none
+        const [, taskId, ...occurrenceTime] = data.split(':');
+        await bot.handleDoneTaskById(userId, taskId, occurrenceTime.join(':') || null);
+      } else if (data.startsWith('snooze_task:')) {
+        const [, taskId, minutes] = data.split(':');
+        await bot.handleSnoozeTaskById(userId, taskId, parseInt(minutes));
+      } else if (data.startsWith('postpone_task:')) {
+        const taskId = data.split(':')[1];
+        await bot.handlePostponeTaskById(userId, taskId);
+      } else if (data.startsWith('toggle_item:')) {
+        const itemId = data.split(':')[1];
+        await bot.handleToggleItemById(userId, itemId);
+      } else if (data === navigation.addPrompt) {
+        // The "Add" chip or rich menu area opened the keyboard with "add " filled in; nothing to answer
+        console.log('🔍 Add prompt opened by user:', userId);
       } else if (data.startsWith('update_task:')) {
         const taskId = data.split(':')[1];
-        await this.sendTextMessage(userId, `To update task, please use: update "${taskId}" with your changes`);
+        await bot.handleUpdateTaskById(userId, taskId);
       }
     } catch (error) {
       console.error('Error handling postback:', error);
-      await this.sendTextMessage(userId, "Sorry, something went wrong. Please try again.");
-    }
-  }
-
-  // Send help message (for push messages)
-  async sendHelpMessage(userId) {
-    const helpText = `🤖 Mark's Assistant - Available Commands:
-
-📅 View Tasks:
-• today - Show today's tasks
-• week - Show this week's tasks  
-• month - Show this month's tasks
-• list - Show all upcoming tasks
-• ids - Show all task IDs for easy reference
-
-➕ Add Tasks (New Format):
-• add Dentist appointment 2025-09-20 15:00
-• add Buy groceries tomorrow 18:00
-• add Gym session 2025-09-13 07:00 weekly
-• add Team meeting 2025-09-15 09:00 biweekly Monday
-• add Salary review 2025-09-30 10:00 monthly
-• add Church service 2025-09-07 10:00 first Sunday of every month
-• add Anniversary dinner 2025-02-17 19:00 special
-• add Baby vaccination 2025-10-05 09:00 monthly first Saturday special
-
-✏️ Update Tasks:
-• update "Task Name" to 3:00 pm
-• update "Task Name" to tomorrow at 10:00 am
-• update 1 to 3:00 pm
-• update 1 title "New Task Name"
-• update 1 description "Updated description"
-• update 1 notes "Important notes"
-• update 1 special
-• update 1 recurring weekly
-
-🗑️ Delete Tasks:
-• delete "Task Name"
-• delete 1
-
-❓ Get Help:
-• help, commands, or hey assistant - Show this help message
-
-💡 Command Format:
-• add {task title} {date} {time} [recurrence] [special]
-• Date: YYYY-MM-DD, today, tomorrow, next Monday
-• Time: HH:mm (24h) or 3pm style
-• Recurrence: weekly, biweekly, monthly, first Sunday of every month
-• Special: keyword "special" for important tasks
-
-🆔 Task IDs:
-• Each task has a simple number ID (1, 2, 3, etc.)
-• Use task IDs for precise updates/deletes
-• Task IDs are shown in all task lists
-• Example: 1, 2, 3
-
-Type any command to get started!`;
-
-    await this.sendTextMessage(userId, helpText);
+      await this.sendTextMessage(userId, i18n.t(bot.userLanguage(), 'genericError'));
+    }
+  }
+
+  // A message that isn't a command: suggest the nearest one ("tody" → "today") with a chip that
+  // sends it, or point to help
+  async handleUnknownCommandReply(replyToken, message, lang = 'en') {
+    const suggestion = navigation.suggest(message);
+    const text = suggestion
+      ? i18n.t(lang, 'unknownCommandSuggestion', { suggestion })
+      : i18n.t(lang, 'unknownCommand');
+    await this.sendReplyMessage(replyToken, text, navigation.unknownCommandActions(suggestion, lang));
   }
 
   // Send help reply (for user interactions)
-  async sendHelpReply(replyToken) {
-    const helpText = `🤖 Mark's Assistant - Available Commands:
-
-📅 View Tasks:
-• today - Show today's tasks
-• week - Show this week's tasks  
-• month - Show this month's tasks
-• list - Show all upcoming tasks
-• ids - Show all task IDs for easy reference
-
-➕ Add Tasks (New Format):
-• add Dentist appointment 2025-09-20 15:00
-• add Buy groceries tomorrow 18:00
-• add Gym session 2025-09-13 07:00 weekly
-• add Team meeting 2025-09-15 09:00 biweekly Monday
-• add Salary review 2025-09-30 10:00 monthly
-• add Church service 2025-09-07 10:00 first Sunday of every month
-• add Anniversary dinner 2025-02-17 19:00 special
-• add Baby vaccination 2025-10-05 09:00 monthly first Saturday special
-
-✏️ Update Tasks:
-• update "Task Name" to 3:00 pm
-• update "Task Name" to tomorrow at 10:00 am
-• update 1 to 3:00 pm
-• update 1 title "New Task Name"
-• update 1 description "Updated description"
-• update 1 notes "Important notes"
-• update 1 special
-• update 1 recurring weekly
-
-🗑️ Delete Tasks:
-• delete "Task Name"
-• delete 1
-
-❓ Get Help:
-• help, commands, or hey assistant - Show this help message
-
-💡 Command Format:
-• add {task title} {date} {time} [recurrence] [special]
-• Date: YYYY-MM-DD, today, tomorrow, next Monday
-• Time: HH:mm (24h) or 3pm style
-• Recurrence: weekly, biweekly, monthly, first Sunday of every month
-• Special: keyword "special" for important tasks
-
-🆔 Task IDs:
-• Each task has a simple number ID (1, 2, 3, etc.)
-• Use task IDs for precise updates/deletes
-• Task IDs are shown in all task lists
-• Example: 1, 2, 3
-
-Type any command to get started!`;
-
-    await this.sendReplyMessage(replyToken, helpText);
-  }
-
-  // Command handlers (for push messages - scheduled reminders)
-  async handleTodayCommand(userId) {
-    const tasks = await this.database.getTodaysTasks(userId);
-    await this.sendTaskListMessage(userId, tasks, "📅 Today's Tasks");
-  }
-
-  async handleWeekCommand(userId) {
-    const tasks = await this.database.getWeeklyTasks(userId);
-    await this.sendTaskListMessage(userId, tasks, "📅 This Week's Tasks");
-  }
-
-  async handleMonthCommand(userId) {
-    const tasks = await this.database.getMonthlyTasks(userId);
-    await this.sendTaskListMessage(userId, tasks, "📅 This Month's Tasks");
-  }
-
-  async handleListCommand(userId) {
-    const tasks = await this.database.getTasks(userId);
-    await this.sendTaskListMessage(userId, tasks, "📋 All Upcoming Tasks");
+  async sendHelpReply(replyToken, lang = 'en') {
+    await this.sendReplyMessage(replyToken, i18n.t(lang, 'help'));
   }
 
-  async handleAddCommand(userId, message) {
-    try {
-      const taskData = nlpParser.parseAddCommand(message);
-      nlpParser.validateTaskData(taskData);
-      
-      const task = await this.database.createTask({
-        user_id: userId,
-        title: taskData.title,
-        scheduled_time: taskData.scheduledTime,
-        is_special: taskData.isSpecial,
-        is_recurring: taskData.isRecurring,
-        recurrence_pattern: taskData.recurrencePattern,
-        is_active: true
-      });
+  async handleDeleteTaskById(userId, taskId) {
+    const task = await this.database.getTaskById(taskId, userId);
+    await this.getScheduler().deleteTask(task, userId);
+    await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'taskDeleted', { title: task.title }));
+  }
 
-      // Schedule reminders for the task
-      await reminderScheduler.scheduleRemindersForTask(task);
+  async handleDoneTaskById(userId, taskId, occurrenceTime = null) {
+    const task = await this.database.getTaskById(taskId, userId);
+    if (task.status === 'completed') {
+      await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'taskAlreadyDone', { title: task.title }));
+      return;
+    }
 
-      await this.sendTextMessage(userId, `✅ Task "${task.title}" added successfully!\n📅 ${this.formatDateTime(task.scheduled_time)}${task.is_special ? ' ⭐' : ''}${task.is_recurring ? ' 🔄' : ''}`);
-    } catch (error) {
-      await this.sendTextMessage(userId, `❌ Error: ${error.message}`);
+    const result = await this.completeTask(userId, task, occurrenceTime);
+    if (!result) {
+      // A Done button of an occurrence that was completed or skipped since
+      await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'taskAlreadyDone', { title: task.title }));
+      return;
     }
+    await this.sendTextMessage(userId, this.formatCompletionMessage(result, this.userLanguage()));
   }
 
-  async handleDeleteCommand(userId, message) {
-    try {
-      const identifier = nlpParser.parseDeleteCommand(message);
-      
-      if (identifier.type === 'displayId') {
-        // Get tasks and find the one with the matching display ID
-        const tasks = await this.database.getTasks(userId);
-        const taskIndex = identifier.value - 1; // Convert to 0-based index
-        
-        if (taskIndex >= 0 && taskIndex < tasks.length) {
-          const task = tasks[taskIndex];
-          await this.database.deleteTask(task.id, userId);
-          await this.sendTextMessage(userId, `✅ Task "${task.title}" deleted successfully!`);
-        } else {
-          await this.sendTextMessage(userId, `❌ Task ID ${identifier.value} not found. Use "list" to see available task IDs.`);
-        }
-      } else {
-        // Find task by title
-        const tasks = await this.database.getTasks(userId);
-        const matchingTasks = tasks.filter(task => 
-          task.title.toLowerCase().includes(identifier.value.toLowerCase())
-        );
-        
-        if (matchingTasks.length === 0) {
-          await this.sendTextMessage(userId, `❌ No task found with title "${identifier.value}"`);
-        } else if (matchingTasks.length === 1) {
-          await this.database.deleteTask(matchingTasks[0].id, userId);
-          await this.sendTextMessage(userId, `✅ Task "${matchingTasks[0].title}" deleted successfully!`);
-        } else {
-          // Multiple matches - show options
-          const taskList = matchingTasks.map((task, index) => 
-            `${index + 1}. ${task.title} - ${this.formatDateTime(task.scheduled_time)}`
-          ).join('\n');
-          
-          await this.sendTextMessage(userId, `Multiple tasks found with "${identifier.value}":\n\n${taskList}\n\nPlease be more specific or use the task ID.`);
-        }
-      }
-    } catch (error) {
-      await this.sendTextMessage(userId, `❌ Error: ${error.message}`);
+  async handleSnoozeTaskById(userId, taskId, minutes) {
+    if (isNaN(minutes) || minutes < 1 || minutes > 24 * 60) {
+      throw new Error(`Invalid snooze duration: ${minutes}`);
+    }
+
+    const task = await this.database.getTaskById(taskId, userId);
+    if (task.status === 'completed') {
+      await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'taskAlreadyDone', { title: task.title }));
+      return;
     }
+
+    const reminder = await this.getScheduler().snoozeTask(task, userId, minutes);
+    const lang = this.userLanguage();
+    await this.sendTextMessage(userId, i18n.t(lang, 'taskSnoozed', {
+      title: task.title,
+      time: this.formatDateTime(reminder.scheduled_time, lang, { inline: true })
+    }));
   }
 
-  async handleUpdateCommand(userId, message) {
-    try {
-      const updateData = nlpParser.parseUpdateCommand(message);
-      
-      let task;
-      if (updateData.identifier.type === 'displayId') {
-        // Get tasks and find the one with the matching display ID
-        const tasks = await this.database.getTasks(userId);
-        const taskIndex = updateData.identifier.value - 1; // Convert to 0-based index
-        
-        if (taskIndex >= 0 && taskIndex < tasks.length) {
-          task = tasks[taskIndex];
-        } else {
-          await this.sendTextMessage(userId, `❌ Task ID ${updateData.identifier.value} not found. Use "list" to see available task IDs.`);
-          return;
-        }
-      } else {
-        // Find task by title - try exact match first, then partial match
-        const tasks = await this.database.getTasks(userId);
-        const exactMatches = tasks.filter(t => 
-          t.title.toLowerCase() === updateData.identifier.value.toLowerCase()
-        );
-        
-        let matchingTasks = exactMatches;
-        if (matchingTasks.length === 0) {
-          // Fall back to partial match if no exact match found
-          matchingTasks = tasks.filter(t => 
-            t.title.toLowerCase().includes(updateData.identifier.value.toLowerCase())
-          );
-        }
-        
-        if (matchingTasks.length === 0) {
-          await this.sendTextMessage(userId, `❌ No task found with title "${updateData.identifier.value}"`);
-          return;
-        } else if (matchingTasks.length > 1) {
-          const taskList = matchingTasks.map((t, index) => 
-            `${index + 1}. ${t.title} - ${this.formatDateTime(t.scheduled_time)}`
-          ).join('\n');
-          
-          await this.sendTextMessage(userId, `Multiple tasks found with "${updateData.identifier.value}":\n\n${taskList}\n\nPlease be more specific or use the task ID.`);
-          return;
-        }
-        
-        task = matchingTasks[0];
+  async handlePostponeTaskById(userId, taskId) {
+    const task = await this.database.getTaskById(taskId, userId);
+    if (task.status === 'completed') {
+      await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'taskAlreadyDone', { title: task.title }));
+      return;
+    }
+
+    const lang = this.userLanguage();
+    const result = await this.getScheduler().postponeTask(task, userId);
+    if (result.moved) {
+      await this.sendTextMessage(userId, i18n.t(lang, 'taskPostponed', {
+        title: task.title,
+        time: this.formatDateTime(result.task.scheduled_time, lang, { inline: true })
+      }));
+    } else {
+      // Recurring series keep their schedule; only the reminder is pushed back
+      await this.sendTextMessage(userId, i18n.t(lang, 'seriesReminderPostponed', {
+        title: task.title,
+        time: this.formatDateTime(result.reminder.scheduled_time, lang, { inline: true })
+      }));
+    }
+  }
+
+  // Updates are typed, so the Update button answers with the command to type, by the task's code
+  async handleUpdateTaskById(userId, taskId) {
+    const task = await this.database.getTaskById(taskId, userId);
+    await this.sendTextMessage(userId, i18n.t(this.userLanguage(), 'updateHint', { title: task.title, code: task.short_code }));
+  }
+
+  // Check or uncheck a checklist item from a task bubble, then show the checklist
+  async handleToggleItemById(userId, itemId) {
+    const item = await this.database.getTaskItem(itemId, userId);
+    const task = await this.database.getTaskById(item.task_id, userId);
+    await this.database.setTaskItemChecked(item.id, userId, !item.checked);
+
+    const items = await this.database.getTaskItems([task.id]);
+    await this.sendTextMessage(userId, this.formatChecklist(task, items, this.userLanguage()));
+  }
+
+  // Complete a task; for recurring tasks only one occurrence is completed: the current one, or the
+  // one shown at occurrenceTime (a moved occurrence at its new time). Completing the current
+  // occurrence moves the series on to its next one (with its checklist unchecked again); a later
+  // one done ahead of time is left out of the series like a skipped one. Returns null when the
+  // occurrence was completed or skipped already.
+  async completeTask(userId, task, occurrenceTime = null) {
+    const scheduler = this.getScheduler();
+    const exceptions = task.is_recurring ? await this.database.getTaskExceptions([task.id]) : [];
+
+    // The occurrence's slot in the series, and when it happens
+    const occurrence = task.is_recurring && occurrenceTime
+      ? this.recurrence.originalTime(occurrenceTime, exceptions)
+      : moment(task.scheduled_time);
+    const occurrenceAt = task.is_recurring ? this.recurrence.effectiveTime(occurrence, exceptions) : occurrence;
+
+    if (task.is_recurring && !this.isPendingOccurrence(task, occurrence, exceptions)) {
+      return null;
+    }
+
+    await this.database.createCompletion({
+      task_id: task.id,
+      user_id: userId,
+      title: task.title,
+      is_recurring: task.is_recurring,
+      occurrence_time: occurrenceAt.toISOString(),
+      completed_at: new Date().toISOString()
+    });
+
+    if (task.is_recurring && occurrence.isAfter(moment(task.scheduled_time))) {
+      await this.database.createTaskException(task, userId, {
+        occurrence_time: occurrence.toISOString(),
+        action: 'skip',
+        new_time: null
+      });
+      console.log('✅ Occurrence completed ahead of time:', { taskId: task.id, userId, occurrence: occurrence.toISOString() });
+
+      const effectiveTask = await scheduler.getEffectiveTask(task);
+      return { task, nextOccurrence: effectiveTask.scheduled_time };
+    }
+
+    // Read after the occurrence is resolved, so an occurrence skipped or moved meanwhile counts
+    const nextOccurrence = task.is_recurring
+      ? scheduler.getNextOccurrence(task, undefined, await this.database.getTaskExceptions([task.id]))
+      : null;
+
+    let updatedTask;
+    if (nextOccurrence) {
+      // The next occurrence becomes the start of the series; a COUNT limit shrinks with it
+      const rule = this.recurrence.rebase(this.recurrence.getTaskRule(task), task.scheduled_time, nextOccurrence);
+      updatedTask = await this.database.updateTask(task.id, { scheduled_time: nextOccurrence, recurrence_rule: rule }, userId);
+      await this.database.resetTaskItems(task.id, userId);
+    } else {
+      updatedTask = await this.database.completeTask(task.id, userId);
+    }
+
+    // Pending reminders belong to the completed occurrence
+    try {
+      await scheduler.cancelRemindersForTask(task.id);
+      if (nextOccurrence) {
+        await scheduler.scheduleRemindersForTask(await scheduler.getEffectiveTask(updatedTask));
       }
-      
-      if (!task) {
-        await this.sendTextMessage(userId, "❌ Task not found");
-        return;
+    } catch (schedulerError) {
+      console.error('⚠️ Failed to update reminders for completed task:', task.id, schedulerError);
+    }
+
+    console.log('✅ Task completed:', { taskId: task.id, userId, nextOccurrence });
+    return { task: updatedTask, nextOccurrence };
+  }
+
+  // Whether an occurrence of a recurring task is still to be done: one of the series from its
+  // current occurrence on, and not skipped
+  isPendingOccurrence(task, occurrence, exceptions) {
+    if (occurrence.isBefore(moment(task.scheduled_time))) {
+      return false;
+    }
+
+    const exception = this.recurrence.findException(exceptions, occurrence);
+    if (exception && exception.action === 'skip') {
+      return false;
+    }
+
+    const [match] = this.recurrence.between(this.recurrence.getTaskRule(task), task.scheduled_time, occurrence, occurrence, 1);
+    return Boolean(match);
+  }
+
+  formatCompletionMessage({ task, nextOccurrence }, lang = 'en') {
+    if (nextOccurrence) {
+      return i18n.t(lang, 'occurrenceCompleted', { title: task.title, next: this.formatDateTime(nextOccurrence, lang) });
+    }
+    return i18n.t(lang, 'taskCompleted', { title: task.title });
+  }
+
+  // Summary line shown after adding or updating a task
+  formatTaskSaved(task, key, lang = 'en') {
+    let message = `${i18n.t(lang, key, { title: task.title })}\n📅 ${this.formatDateTime(task.scheduled_time, lang)}${taskPriority.badge(task)}${task.is_recurring ? ' 🔄' : ''}`;
+    message += `\n🆔 ${i18n.t(lang, 'idLabel')}: ${task.short_code}`;
+    if (task.tags && task.tags.length) {
+      message += `\n🏷️ ${taskTags.format(task.tags)}`;
+    }
+    if (Array.isArray(task.reminder_offsets)) {
+      message += `\n🔔 ${reminderOffsets.describeList(task.reminder_offsets, lang)}`;
+    }
+    return message;
+  }
+
+  // A task's checklist: how many items are left, then the numbered items
+  formatChecklist(task, items, lang = 'en') {
+    if (items.length === 0) {
+      return i18n.t(lang, 'checklistEmpty', { title: task.title, code: task.short_code });
+    }
+
+    const left = taskItems.unchecked(items).length;
+    const title = i18n.t(lang, 'checklistTitle', { title: task.title, code: task.short_code, left, count: items.length });
+    const hint = i18n.t(lang, left === 0 ? 'checklistAllChecked' : 'checklistHint', { code: task.short_code });
+    return `${title}\n\n${taskItems.format(items)}\n\n${hint}`;
+  }
+
+  // Rebuild a task's reminders when an update changed when or how often it is reminded
+  async rescheduleAfterUpdate(task, updates) {
+    try {
+      await this.getScheduler().rescheduleAfterUpdate(task, updates);
+    } catch (schedulerError) {
+      console.error('⚠️ Failed to reschedule reminders for task:', task.id, schedulerError);
+    }
+  }
+
+  // Find a pending task by short code or title; returns { task } or { error } with a user-facing message
+  async findTaskByIdentifier(userId, identifier, lang = 'en') {
+    const tasks = await this.database.getTasks(userId);
+
+    if (identifier.type === 'code') {
+      const task = tasks.find(t => t.short_code === identifier.value);
+      if (task) {
+        return { task };
       }
-      
-      const updatedTask = await this.database.updateTask(task.id, updateData.updates, userId);
-      await this.sendTextMessage(userId, `✅ Task "${updatedTask.title}" updated successfully!\n📅 ${this.formatDateTime(updatedTask.scheduled_time)}${updatedTask.is_special ? ' ⭐' : ''}${updatedTask.is_recurring ? ' 🔄' : ''}`);
-    } catch (error) {
-      await this.sendTextMessage(userId, `❌ Error: ${error.message}`);
+      return { error: i18n.t(lang, 'taskIdNotFound', { id: identifier.value }) };
+    }
+
+    // Find task by title - try exact match first, then partial match
+    let matchingTasks = tasks.filter(task =>
+      task.title.toLowerCase() === identifier.value.toLowerCase()
+    );
+    if (matchingTasks.length === 0) {
+      matchingTasks = tasks.filter(task =>
+        task.title.toLowerCase().includes(identifier.value.toLowerCase())
+      );
+    }
+
+    if (matchingTasks.length === 0) {
+      return { error: i18n.t(lang, 'noTaskWithTitle', { title: identifier.value }) };
+    }
+
+    if (matchingTasks.length > 1) {
+      const taskList = matchingTasks.map(task =>
+        `${task.short_code}. ${task.title} - ${this.formatDateTime(task.scheduled_time, lang)}`
+      ).join('\n');
+      return { error: i18n.t(lang, 'multipleTasksFound', { title: identifier.value, list: taskList }) };
     }
+
+    return { task: matchingTasks[0] };
   }
 
-  async handleDeleteTaskById(userId, taskId) {
-    await this.database.deleteTask(taskId, userId);
-    await this.sendTextMessage(userId, "✅ Task deleted successfully!");
+  // Find the occurrence of a recurring task on a given day (the current occurrence when no day is
+  // given); returns { occurrence } or { error } with a user-facing message
+  findOccurrence(task, occurrenceDate, lang = 'en') {
+    if (!task.is_recurring) {
+      return { error: i18n.t(lang, 'notRecurring', { title: task.title }) };
+    }
+
+    if (!occurrenceDate) {
+      return { occurrence: moment(task.scheduled_time).tz(this.timezone) };
+    }
+
+    const day = moment(occurrenceDate).tz(this.timezone);
+    const [occurrence] = this.recurrence.between(
+      this.recurrence.getTaskRule(task),
+      task.scheduled_time,
+      day.clone().startOf('day'),
+      day.clone().endOf('day'),
+      1
+    );
+
+    if (!occurrence) {
+      const date = day.clone().locale(i18n.momentLocale(lang)).format(i18n.t(lang, 'dateFormat'));
+      return { error: i18n.t(lang, 'noOccurrenceOn', { title: task.title, date }) };
+    }
+
+    return { occurrence };
   }
 
   // Reply-based command handlers (for user interactions)
-  async handleTodayCommandReply(userId, replyToken) {
-    await this.handleTaskListCommand(userId, replyToken, this.database.getTodaysTasks.bind(this.database), "📅 Today's Tasks", true);
+  async handleTodayCommandReply(userId, replyToken, lang = 'en') {
+    await this.handleTaskListCommand(userId, replyToken, this.database.getTodaysTasks.bind(this.database), i18n.t(lang, 'todayTitle'), true, lang);
   }
 
-  async handleWeekCommandReply(userId, replyToken) {
-    await this.handleTaskListCommand(userId, replyToken, this.database.getWeeklyTasks.bind(this.database), "📅 This Week's Tasks", true);
+  async handleWeekCommandReply(userId, replyToken, lang = 'en') {
+    await this.handleTaskListCommand(userId, replyToken, this.database.getWeeklyTasks.bind(this.database), i18n.t(lang, 'weekTitle'), true, lang);
   }
 
-  async handleMonthCommandReply(userId, replyToken) {
-    await this.handleTaskListCommand(userId, replyToken, this.database.getMonthlyTasks.bind(this.database), "📅 This Month's Tasks", true);
+  async handleMonthCommandReply(userId, replyToken, lang = 'en') {
+    await this.handleTaskListCommand(userId, replyToken, this.database.getMonthlyTasks.bind(this.database), i18n.t(lang, 'monthTitle'), true, lang);
   }
 
-  async handleListCommandReply(userId, replyToken) {
-    await this.handleTaskListCommand(userId, replyToken, this.database.getTasks.bind(this.database), "📋 All Upcoming Tasks", true);
+  // "list", or "list #work" for the tasks having every tag given
+  async handleListCommandReply(userId, replyToken, lang = 'en', message = null) {
+    if (!message) {
+      await this.handleTaskListCommand(userId, replyToken, this.database.getUpcomingTasks.bind(this.database), i18n.t(lang, 'listTitle'), true, lang);
+      return;
+    }
+
+    let tags;
+    try {
+      ({ tags } = this.parser.parseListCommand(message));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, `❌ ${error.message}`);
+      return;
+    }
+
+    await this.handleTaskListCommand(
+      userId, replyToken, (id) => this.database.getUpcomingTasks(id, { tags }),
+      i18n.t(lang, 'listTaggedTitle', { tags: taskTags.format(tags) }), true, lang
+    );
   }
 
-  async handleIdsCommandReply(userId, replyToken) {
+  // "tags": each tag of the pending tasks with how many tasks have it
+  async handleTagsCommandReply(userId, replyToken, lang = 'en') {
     try {
       const tasks = await this.database.getTasks(userId);
-      const message = this.formatTaskIdsList(tasks);
+      await this.sendReplyMessage(replyToken, this.formatTagCounts(tasks, lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorRetrievingTasks', { message: error.message }));
+    }
+  }
+
+  // "find dentist special:yes": the best matches as a carousel, with a text summary first
+  async handleFindCommandReply(userId, replyToken, message, lang = 'en') {
+    let query;
+    try {
+      query = this.parser.parseFindCommand(message);
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, `❌ ${error.message}`);
+      return;
+    }
+
+    const search = message.trim().replace(/^(?:find|search|搜尋|尋找)\s*/i, '');
+    try {
+      // One more than is shown, to tell whether there are more matches
+      const tasks = await this.database.searchTasks(userId, {
+        terms: query.terms,
+        ...query.filters,
+        limit: CAROUSEL_TASKS + 1
+      });
+
+      if (tasks.length === 0) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'findEmpty', { query: search }));
+        return;
+      }
+
+      const title = tasks.length > CAROUSEL_TASKS
+        ? i18n.t(lang, 'findTitleMore', { query: search, count: CAROUSEL_TASKS })
+        : i18n.t(lang, 'findTitle', { query: search, count: tasks.length });
+      const shown = tasks.slice(0, CAROUSEL_TASKS);
+      const items = await this.loadTaskItems(shown);
+
+      await this.sendReplyFlexMessage(
+        replyToken,
+        [{ type: 'text', text: title }, this.buildTaskCarousel(shown, title, items, lang)],
+        this.formatTaskList(shown, title, lang, items)
+      );
+    } catch (error) {
+      console.error('❌ Error in handleFindCommandReply:', error);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorSearching', { message: error.message }));
+    }
+  }
+
+  async handleIdsCommandReply(userId, replyToken, lang = 'en') {
+    try {
+      const tasks = await this.database.getTasks(userId);
+      const message = this.formatTaskIdsList(tasks, lang);
       await this.sendReplyMessage(replyToken, message);
     } catch (error) {
-      const errorMessage = `❌ Error retrieving task IDs: ${error.message}`;
+      const errorMessage = i18n.t(lang, 'errorRetrievingTaskIds', { message: error.message });
       await this.sendReplyMessage(replyToken, errorMessage);
     }
   }
 
-  async handleAddCommandReply(userId, replyToken, message) {
+  async handleDoneCommandReply(userId, replyToken, message, lang = 'en') {
     try {
-      const taskData = nlpParser.parseAddCommand(message);
-      nlpParser.validateTaskData(taskData);
+      const identifier = this.parser.parseDoneCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
+
+      const result = await this.completeTask(userId, task);
+      await this.sendReplyMessage(replyToken, this.formatCompletionMessage(result, lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  // "check T7K.2", "uncheck T7K.2", "add item T7K passport, charger", "remove item T7K.2" and
+  // "items T7K": change or show a task's checklist, replying with the checklist
+  async handleChecklistCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const command = this.parser.parseChecklistCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, command.identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
+
+      let items = await this.database.getTaskItems([task.id]);
+
+      if (command.action === 'add') {
+        items = await this.database.addTaskItems(task, userId, command.items);
+      } else if (command.action !== 'show') {
+        const missing = command.positions.find(position => position > items.length);
+        if (missing) {
+          await this.sendReplyMessage(replyToken, i18n.t(lang, 'itemNotFound', { title: task.title, number: missing, code: task.short_code }));
+          return;
+        }
+
+        for (const position of command.positions) {
+          const item = items[position - 1];
+          if (command.action === 'remove') {
+            await this.database.deleteTaskItem(item.id, userId);
+          } else {
+            await this.database.setTaskItemChecked(item.id, userId, command.action === 'check');
+          }
+        }
+        items = await this.database.getTaskItems([task.id]);
+      }
+
+      await this.sendReplyMessage(replyToken, this.formatChecklist(task, items, lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleHistoryCommandReply(userId, replyToken, lang = 'en') {
+    try {
+      const completions = await this.database.getCompletionHistory(userId);
+      await this.sendReplyMessage(replyToken, this.formatCompletionHistory(completions, lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorRetrievingHistory', { message: error.message }));
+    }
+  }
+
+  async handleAddCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const taskData = this.parser.parseAddCommand(message);
+      this.parser.validateTaskData(taskData);
       
       const task = await this.database.createTask({
         user_id: userId,
         title: taskData.title,
         scheduled_time: taskData.scheduledTime,
         is_special: taskData.isSpecial,
+        priority: taskData.priority,
         is_recurring: taskData.isRecurring,
-        recurrence_pattern: taskData.recurrencePattern,
+        recurrence_rule: taskData.recurrenceRule,
+        reminder_offsets: taskData.reminderOffsets,
+        tags: taskData.tags,
         is_active: true
       });
 
       // Schedule reminders for the task with error handling
       try {
-        await reminderScheduler.scheduleRemindersForTask(task);
+        await this.getScheduler().scheduleRemindersForTask(task);
         console.log('✅ Successfully scheduled reminders for task:', task.id);
       } catch (schedulerError) {
         console.error('⚠️ Failed to schedule reminders for task:', task.id, schedulerError);
@@ -820,121 +1480,301 @@ Type any command to get started!`;
         // The task is still created, just without automatic reminders
       }
 
-      await this.sendReplyMessage(replyToken, `✅ Task "${task.title}" added successfully!\n📅 ${this.formatDateTime(task.scheduled_time)}${task.is_special ? ' ⭐' : ''}${task.is_recurring ? ' 🔄' : ''}`);
+      await this.sendReplyMessage(replyToken, this.formatTaskSaved(task, 'taskAdded', lang));
     } catch (error) {
       console.error('❌ Error in handleAddCommandReply:', error);
       const errorMessage = error.message || 'Unknown error occurred';
-      await this.sendReplyMessage(replyToken, `❌ Error adding task: ${errorMessage}`);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorAddingTask', { message: errorMessage }));
     }
   }
 
-  async handleDeleteCommandReply(userId, replyToken, message) {
+  async handleDeleteCommandReply(userId, replyToken, message, lang = 'en') {
     try {
-      const identifier = nlpParser.parseDeleteCommand(message);
-      
-      if (identifier.type === 'displayId') {
-        // Get tasks and find the one with the matching display ID
-        const tasks = await this.database.getTasks(userId);
-        const taskIndex = identifier.value - 1; // Convert to 0-based index
-        
-        if (taskIndex >= 0 && taskIndex < tasks.length) {
-          const task = tasks[taskIndex];
-          await this.database.deleteTask(task.id, userId);
-          await this.sendReplyMessage(replyToken, `✅ Task "${task.title}" deleted successfully!`);
-        } else {
-          await this.sendReplyMessage(replyToken, `❌ Task ID ${identifier.value} not found. Use "list" to see available task IDs.`);
-        }
-      } else {
-        // Find task by title - try exact match first, then partial match
-        const tasks = await this.database.getTasks(userId);
-        const exactMatches = tasks.filter(task => 
-          task.title.toLowerCase() === identifier.value.toLowerCase()
-        );
-        
-        let matchingTasks = exactMatches;
-        if (matchingTasks.length === 0) {
-          // Fall back to partial match if no exact match found
-          matchingTasks = tasks.filter(task => 
-            task.title.toLowerCase().includes(identifier.value.toLowerCase())
-          );
-        }
-        
-        if (matchingTasks.length === 0) {
-          await this.sendReplyMessage(replyToken, `❌ No task found with title "${identifier.value}"`);
-        } else if (matchingTasks.length === 1) {
-          await this.database.deleteTask(matchingTasks[0].id, userId);
-          await this.sendReplyMessage(replyToken, `✅ Task "${matchingTasks[0].title}" deleted successfully!`);
-        } else {
-          // Multiple matches - show options
-          const taskList = matchingTasks.map((task, index) => 
-            `${index + 1}. ${task.title} - ${this.formatDateTime(task.scheduled_time)}`
-          ).join('\n');
-          
-          await this.sendReplyMessage(replyToken, `Multiple tasks found with "${identifier.value}":\n\n${taskList}\n\nPlease be more specific or use the task ID.`);
-        }
+      const identifier = this.parser.parseDeleteCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
       }
+
+      await this.getScheduler().deleteTask(task, userId);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'taskDeleted', { title: task.title }));
     } catch (error) {
-      await this.sendReplyMessage(replyToken, `❌ Error: ${error.message}`);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
     }
   }
 
-  async handleUpdateCommandReply(userId, replyToken, message) {
+  async handleUpdateCommandReply(userId, replyToken, message, lang = 'en') {
     try {
-      const updateData = nlpParser.parseUpdateCommand(message);
+      const updateData = this.parser.parseUpdateCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, updateData.identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
       
-      let task;
-      if (updateData.identifier.type === 'displayId') {
-        // Get tasks and find the one with the matching display ID
-        const tasks = await this.database.getTasks(userId);
-        const taskIndex = updateData.identifier.value - 1; // Convert to 0-based index
-        
-        if (taskIndex >= 0 && taskIndex < tasks.length) {
-          task = tasks[taskIndex];
-        } else {
-          await this.sendReplyMessage(replyToken, `❌ Task ID ${updateData.identifier.value} not found. Use "list" to see available task IDs.`);
-          return;
-        }
-      } else {
-        // Find task by title - try exact match first, then partial match
-        const tasks = await this.database.getTasks(userId);
-        const exactMatches = tasks.filter(t => 
-          t.title.toLowerCase() === updateData.identifier.value.toLowerCase()
-        );
-        
-        let matchingTasks = exactMatches;
-        if (matchingTasks.length === 0) {
-          // Fall back to partial match if no exact match found
-          matchingTasks = tasks.filter(t => 
-            t.title.toLowerCase().includes(updateData.identifier.value.toLowerCase())
-          );
-        }
-        
-        if (matchingTasks.length === 0) {
-          await this.sendReplyMessage(replyToken, `❌ No task found with title "${updateData.identifier.value}"`);
-          return;
-        } else if (matchingTasks.length > 1) {
-          const taskList = matchingTasks.map((t, index) => 
-            `${index + 1}. ${t.title} - ${this.formatDateTime(t.scheduled_time)}`
-          ).join('\n');
-          
-          await this.sendReplyMessage(replyToken, `Multiple tasks found with "${updateData.identifier.value}":\n\n${taskList}\n\nPlease be more specific or use the task ID.`);
-          return;
+      const updatedTask = await this.database.updateTask(task.id, updateData.updates, userId);
+      await this.rescheduleAfterUpdate(updatedTask, updateData.updates);
+      await this.sendReplyMessage(replyToken, this.formatTaskSaved(updatedTask, 'taskUpdated', lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleSkipCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const { identifier, occurrenceDate } = this.parser.parseSkipCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
+
+      const { occurrence, error: occurrenceError } = this.findOccurrence(task, occurrenceDate, lang);
+      if (occurrenceError) {
+        await this.sendReplyMessage(replyToken, occurrenceError);
+        return;
+      }
+
+      const result = await this.getScheduler().skipOccurrence(task, userId, occurrence);
+      const skipped = this.formatDateTime(occurrence.toISOString(), lang);
+      const reply = result.ended
+        ? i18n.t(lang, 'occurrenceSkippedLast', { title: task.title, time: skipped })
+        : i18n.t(lang, 'occurrenceSkipped', { title: task.title, time: skipped, next: this.formatDateTime(result.next, lang) });
+      await this.sendReplyMessage(replyToken, reply);
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleMoveCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const { identifier, occurrenceDate, target } = this.parser.parseMoveCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
+
+      const { occurrence, error: occurrenceError } = this.findOccurrence(task, occurrenceDate, lang);
+      if (occurrenceError) {
+        await this.sendReplyMessage(replyToken, occurrenceError);
+        return;
+      }
+
+      // "friday" or "tomorrow" count from the occurrence, not from today. Keep whichever of the
+      // occurrence's date and time wasn't given.
+      const { date: toDate, time: toTime } = this.parser.relativeTo(occurrence).parseMoveTarget(target);
+      const newTime = occurrence.clone();
+      if (toDate) {
+        const date = moment(toDate).tz(this.timezone);
+        newTime.year(date.year()).month(date.month()).date(date.date());
+      }
+      if (toTime) {
+        newTime.hour(toTime.hour).minute(toTime.minute).second(0).millisecond(0);
+      }
+
+      if (newTime.isBefore(moment())) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: i18n.t(lang, 'moveToPast') }));
+        return;
+      }
+
+      await this.getScheduler().moveOccurrence(task, userId, occurrence, newTime);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'occurrenceMoved', {
+        title: task.title,
+        from: this.formatDateTime(occurrence.toISOString(), lang, { inline: true }),
+        to: this.formatDateTime(newTime.toISOString(), lang, { inline: true })
+      }));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleCancelSeriesCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const identifier = this.parser.parseCancelSeriesCommand(message);
+      const { task, error } = await this.findTaskByIdentifier(userId, identifier, lang);
+
+      if (error) {
+        await this.sendReplyMessage(replyToken, error);
+        return;
+      }
+
+      if (!task.is_recurring) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'notRecurring', { title: task.title }));
+        return;
+      }
+
+      await this.getScheduler().cancelSeries(task, userId);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'seriesCancelled', { title: task.title }));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleScheduleMessageCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const { text, scheduledAt } = this.parser.parseScheduledMessageCommand(message);
+      const scheduled = await this.database.createScheduledMessage(userId, text, scheduledAt);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'messageScheduled', {
+        text: scheduled.message,
+        time: this.formatDateTime(scheduled.scheduled_at, lang)
+      }));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorSchedulingMessage', { message: error.message }));
+    }
+  }
+
+  async handleMessagesCommandReply(userId, replyToken, lang = 'en') {
+    try {
+      const messages = await this.database.getScheduledMessages(userId);
+      await this.sendReplyMessage(replyToken, this.formatScheduledMessages(messages, lang));
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorRetrievingMessages', { message: error.message }));
+    }
+  }
+
+  async handleCancelMessageCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const id = this.parser.parseCancelMessageCommand(message);
+      const messages = await this.database.getScheduledMessages(userId);
+      const target = messages[id - 1];
+
+      if (!target) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'messageIdNotFound', { id }));
+        return;
+      }
+
+      const cancelled = await this.database.cancelScheduledMessage(target.id, userId);
+      const reply = cancelled
+        ? i18n.t(lang, 'messageCancelled', { text: target.message })
+        : i18n.t(lang, 'messageAlreadySent', { text: target.message });
+      await this.sendReplyMessage(replyToken, reply);
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  async handleTokenCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const command = this.parser.parseTokenCommand(message);
+      const tokens = await this.database.getApiTokens(userId);
+
+      if (command.action === 'list') {
+        await this.sendReplyMessage(replyToken, this.formatApiTokens(tokens, lang));
+        return;
+      }
+
+      if (command.action === 'new') {
+        const { token, record } = await auth.issueApiToken(userId, {
+          scopes: command.scopes,
+          expiresInDays: command.expiresInDays
+        });
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'tokenCreated', {
+          token,
+          scopes: this.formatTokenScopes(record.scopes, lang),
+          expires: this.formatDateTime(record.expires_at, lang, { inline: true })
+        }));
+        return;
+      }
+
+      if (command.all) {
+        for (const token of tokens) {
+          await this.database.revokeApiToken(token.id, userId);
         }
-        
-        task = matchingTasks[0];
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'tokensRevoked', { count: tokens.length }));
+        return;
       }
-      
-      if (!task) {
-        await this.sendReplyMessage(replyToken, "❌ Task not found");
+
+      const target = tokens[command.id - 1];
+      if (!target) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'tokenIdNotFound', { id: command.id }));
         return;
       }
-      
-      const updatedTask = await this.database.updateTask(task.id, updateData.updates, userId);
-      await this.sendReplyMessage(replyToken, `✅ Task "${updatedTask.title}" updated successfully!\n📅 ${this.formatDateTime(updatedTask.scheduled_time)}${updatedTask.is_special ? ' ⭐' : ''}${updatedTask.is_recurring ? ' 🔄' : ''}`);
+
+      await this.database.revokeApiToken(target.id, userId);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'tokenRevoked', { prefix: target.token_prefix }));
     } catch (error) {
-      await this.sendReplyMessage(replyToken, `❌ Error: ${error.message}`);
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorManagingTokens', { message: error.message }));
     }
   }
+
+  // "export": what a backup holds and how to get it; "export csv": the pending tasks as CSV
+  // in the chat, when they fit in a message
+  async handleExportCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const data = await backup.exportData(userId);
+
+      if (!/csv/i.test(message)) {
+        const summary = backup.summarize(data);
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'exportSummary', {
+          tasks: summary.tasks,
+          pending: summary.pendingTasks,
+          completions: summary.completions,
+          reminders: summary.reminders
+        }));
+        return;
+      }
+
+      if (backup.summarize(data).pendingTasks === 0) {
+        await this.sendReplyMessage(replyToken, i18n.t(lang, 'exportCsvEmpty'));
+        return;
+      }
+
+      const csv = backup.tasksToCsv(data.tasks, this.settings);
+      await this.sendReplyMessage(replyToken, csv.length > MAX_TEXT_LENGTH ? i18n.t(lang, 'exportCsvTooLong') : csv.trim());
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'errorExporting', { message: error.message }));
+    }
+  }
+
+  async handleSettingsCommandReply(userId, replyToken, message, lang = 'en') {
+    try {
+      const { changes } = this.parser.parseSettingsCommand(message);
+
+      if (!changes) {
+        await this.sendReplyMessage(replyToken, this.formatSettings(this.settings, lang));
+        return;
+      }
+
+      const updated = await userSettings.updateSettings(userId, changes);
+      // Reply with the new settings applied, in the new language if that is what changed
+      const replyLang = changes.language !== undefined ? (updated.language || i18n.detectLanguage(message)) : lang;
+      const bot = this.forUser(updated);
+      await this.sendReplyMessage(replyToken, `${i18n.t(replyLang, 'settingsUpdated')}\n\n${bot.formatSettings(updated, replyLang)}`);
+    } catch (error) {
+      await this.sendReplyMessage(replyToken, i18n.t(lang, 'error', { message: error.message }));
+    }
+  }
+
+  // Format a user's settings for display
+  formatSettings(settings, lang = 'en') {
+    const [hour, minute] = settings.digestTime.split(':').map(Number);
+    const digestTime = moment().tz(settings.timezone).hour(hour).minute(minute)
+      .locale(i18n.momentLocale(lang))
+      .format(i18n.t(lang, this.formatKey('timeFormat')));
+    const reminders = settings.reminderOffsets
+      ? reminderOffsets.describeList(settings.reminderOffsets, lang)
+      : i18n.t(lang, 'settingsDefaultReminders');
+    const language = settings.language
+      ? i18n.t(lang, `languageName_${settings.language}`)
+      : i18n.t(lang, 'settingsAutoLanguage');
+
+    return i18n.t(lang, 'settings', {
+      timezone: settings.timezone,
+      digestTime,
+      reminders,
+      timeFormat: settings.timeFormat,
+      language,
+      mutedTags: settings.digestMutedTags.length
+        ? taskTags.format(settings.digestMutedTags)
+        : i18n.t(lang, 'settingsNoMutedTags')
+    });
+  }
 }
 
 module.exports = new LineBotService();
@@ -0,0 +1,508 @@
+// In-memory storage backend, for running the bot without a Supabase project. It mirrors
+// the schema built by migrations/: the same tables, column defaults, unique keys, cascades
+// and cleanup rules. See lib/storage.js for the interface.
+const fs = require('fs');
+const crypto = require('crypto');
+const migrations = require('./migrations');
+const taskCodes = require('./task-codes');
+const taskPriority = require('./task-priority');
+
+const TABLES = ['tasks', 'task_completions', 'task_snoozes', 'task_exceptions', 'task_items', 'reminders', 'users', 'user_settings', 'scheduled_messages', 'api_tokens'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An error with the code Supabase would have given
+function storageError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function notFound(table) {
+  return storageError('PGRST116', `No matching row in ${table}`);
+}
+
+function time(value) {
+  return value ? new Date(value).getTime() : null;
+}
+
+class MemoryStorage {
+  // file: optional JSON file the tables are loaded from and saved to after every change
+  constructor({ file = null } = {}) {
+    this.name = 'memory';
+    this.file = file;
+    this.tables = {};
+
+    for (const table of TABLES) {
+      this.tables[table] = [];
+    }
+
+    if (file && fs.existsSync(file)) {
+      Object.assign(this.tables, JSON.parse(fs.readFileSync(file, 'utf8')));
+      console.log('✅ Loaded memory storage from file:', { file });
+
+      // Files saved before tasks had short codes (like the backfill in migration 012)
+      for (const task of this.tables.tasks.filter(row => !row.short_code)) {
+        task.short_code = taskCodes.generate(this.taskCodes(task.user_id));
+      }
+      // ... and before they had a priority (migration 015)
+      for (const task of this.tables.tasks.filter(row => !row.priority)) {
+        task.priority = taskPriority.of(task);
+      }
+    }
+  }
+
+  // Write the tables to the storage file, if there is one
+  persist() {
+    if (this.file) {
+      fs.writeFileSync(this.file, JSON.stringify(this.tables, null, 2));
+    }
+  }
+
+  // Insert a row with an id and timestamps, like the column defaults do; a given id must be unused
+  insert(table, defaults, data) {
+    if (data.id && this.tables[table].some(row => row.id === data.id)) {
+      throw storageError('23505', `Duplicate id in ${table}: ${data.id}`);
+    }
+
+    const now = new Date().toISOString();
+    const row = { id: crypto.randomUUID(), ...defaults, created_at: now, ...data };
+    this.tables[table].push(row);
+    this.persist();
+    return structuredClone(row);
+  }
+
+  // Apply changes to a row in place, bumping updated_at on tables that have it
+  apply(row, changes) {
+    Object.assign(row, changes);
+    if ('updated_at' in row && !('updated_at' in changes)) {
+      row.updated_at = new Date().toISOString();
+    }
+    this.persist();
+    return structuredClone(row);
+  }
+
+  // Insert or update the row whose key columns match; only the given columns change on update
+  upsert(table, keys, defaults, data) {
+    const existing = this.tables[table].find(row =>
+      keys.every(key => key.endsWith('_time') ? time(row[key]) === time(data[key]) : row[key] === data[key])
+    );
+
+    if (existing) {
+      return this.apply(existing, data);
+    }
+    return this.insert(table, defaults, data);
+  }
+
+  // No row level security here: every query already filters by user
+  async setUserContext() {}
+
+  // Tasks
+
+  // The short codes a user's tasks have
+  taskCodes(userId) {
+    return new Set(this.tables.tasks.filter(task => task.user_id === userId).map(task => task.short_code));
+  }
+
+  // Like the set_tasks_short_code trigger: a new code unless one is given, unique per user;
+  // priority and is_special are kept in step as sync_tasks_priority does
+  async createTask(taskData) {
+    const now = new Date().toISOString();
+    const taken = this.taskCodes(taskData.user_id);
+    const shortCode = taskData.short_code ? taskCodes.normalize(taskData.short_code) : taskCodes.generate(taken);
+    if (taken.has(shortCode)) {
+      throw storageError('23505', `Duplicate short_code in tasks: ${shortCode}`);
+    }
+
+    return this.insert('tasks', {
+      description: null,
+      is_special: false,
+      is_recurring: false,
+      recurrence_rule: null,
+      recurrence_pattern: null,
+      notes: null,
+      reminder_offsets: null,
+      tags: [],
+      status: 'pending',
+      completed_at: null,
+      snooze_count: 0,
+      updated_at: now,
+      is_active: true
+    }, { ...taskPriority.sync(taskData), short_code: shortCode });
+  }
+
+  async listTasks(criteria = {}) {
+    return this.tables.tasks
+      .filter(task => {
+        if ('userId' in criteria && task.user_id !== criteria.userId) return false;
+        if (criteria.isActive !== undefined && task.is_active !== criteria.isActive) return false;
+        if (criteria.status !== undefined && task.status !== criteria.status) return false;
+        if (criteria.isSpecial !== undefined && task.is_special !== criteria.isSpecial) return false;
+        if (criteria.isRecurring !== undefined && task.is_recurring !== criteria.isRecurring) return false;
+        if (criteria.scheduledFrom && time(task.scheduled_time) < time(criteria.scheduledFrom)) return false;
+        if (criteria.scheduledTo && time(task.scheduled_time) > time(criteria.scheduledTo)) return false;
+        if (criteria.scheduledBefore && time(task.scheduled_time) >= time(criteria.scheduledBefore)) return false;
+        if (criteria.legacyRecurrence && (task.recurrence_pattern == null || task.recurrence_rule != null)) return false;
+        if (criteria.tags && !criteria.tags.every(tag => (task.tags || []).includes(tag))) return false;
+        return true;
+      })
+      .sort((a, b) => time(a.scheduled_time) - time(b.scheduled_time))
+      .slice(criteria.offset || 0, criteria.limit ? (criteria.offset || 0) + criteria.limit : undefined)
+      .map(task => structuredClone(task));
+  }
+
+  // Like search_tasks() (migration 013): a term matches the start of a word, weighted by field
+  // as ts_rank does (title 1, description 0.4, notes 0.2), or anywhere in the text
+  async searchTasks(criteria) {
+    const terms = (criteria.terms || []).map(term => term.trim().toLowerCase()).filter(Boolean);
+    const fields = [['title', 1], ['description', 0.4], ['notes', 0.2]];
+
+    const rank = (task) => {
+      let score = 0;
+      for (const term of terms) {
+        const weights = fields
+          .filter(([field]) => (task[field] || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).some(word => word.startsWith(term)))
+          .map(([, weight]) => weight);
+        score += weights.length ? Math.max(...weights) / terms.length : 0;
+      }
+      if (terms.length && terms.every(term => task.title.toLowerCase().includes(term))) {
+        score += 1;
+      }
+      return score;
+    };
+
+    return this.tables.tasks
+      .filter(task => {
+        if (task.user_id !== criteria.userId || !task.is_active || task.status !== 'pending') return false;
+        if (criteria.isSpecial !== undefined && task.is_special !== criteria.isSpecial) return false;
+        if (criteria.isRecurring !== undefined && task.is_recurring !== criteria.isRecurring) return false;
+        if (criteria.scheduledFrom && time(task.scheduled_time) < time(criteria.scheduledFrom)) return false;
+        if (criteria.scheduledTo && time(task.scheduled_time) > time(criteria.scheduledTo)) return false;
+        if (criteria.scheduledBefore && time(task.scheduled_time) >= time(criteria.scheduledBefore)) return false;
+        if (criteria.tags && !criteria.tags.every(tag => (task.tags || []).includes(tag))) return false;
+        const text = [task.title, task.description, task.notes].filter(Boolean).join(' ').toLowerCase();
+        return terms.every(term => text.includes(term));
+      })
+      .map(task => ({ task, score: rank(task) }))
+      .sort((a, b) => b.score - a.score || time(a.task.scheduled_time) - time(b.task.scheduled_time))
+      .slice(criteria.offset || 0, (criteria.offset || 0) + (criteria.limit || 50))
+      .map(({ task }) => structuredClone(task));
+  }
+
+  findTask(taskId, userId, activeOnly = true) {
+    const task = this.tables.tasks.find(row =>
+      row.id === taskId && row.user_id === userId && (!activeOnly || row.is_active)
+    );
+    if (!task) throw notFound('tasks');
+    return task;
+  }
+
+  async getTask(taskId, userId) {
+    return structuredClone(this.findTask(taskId, userId));
+  }
+
+  async getTaskByShortCode(shortCode, userId) {
+    const task = this.tables.tasks.find(row =>
+      row.short_code === shortCode && row.user_id === userId && row.is_active
+    );
+    if (!task) throw notFound('tasks');
+    return structuredClone(task);
+  }
+
+  async updateTask(taskId, userId, changes, { activeOnly = true } = {}) {
+    const task = this.findTask(taskId, userId, activeOnly);
+    return this.apply(task, taskPriority.sync(changes, task));
+  }
+
+  // Same rule as cleanup_old_tasks(): one-off tasks more than a day past, with their cascades
+  async cleanupTasks(userId) {
+    const cutoff = Date.now() - DAY_MS;
+    const removed = new Set(this.tables.tasks
+      .filter(task => task.user_id === userId && !task.is_recurring && task.is_active && time(task.scheduled_time) < cutoff)
+      .map(task => task.id));
+
+    this.tables.tasks = this.tables.tasks.filter(task => !removed.has(task.id));
+    for (const table of ['reminders', 'task_snoozes', 'task_exceptions', 'task_items']) {
+      this.tables[table] = this.tables[table].filter(row => !removed.has(row.task_id));
+    }
+    for (const completion of this.tables.task_completions) {
+      if (removed.has(completion.task_id)) completion.task_id = null;
+    }
+
+    this.persist();
+  }
+
+  // Completions, snoozes and exceptions
+
+  async createCompletion(completionData) {
+    return this.insert('task_completions', {
+      is_recurring: false,
+      completed_at: new Date().toISOString()
+    }, completionData);
+  }
+
+  async listCompletions(userId, limit) {
+    return this.tables.task_completions
+      .filter(completion => completion.user_id === userId)
+      .sort((a, b) => time(b.completed_at) - time(a.completed_at))
+      .slice(0, limit || undefined)
+      .map(completion => structuredClone(completion));
+  }
+
+  async createSnooze(snoozeData) {
+    this.insert('task_snoozes', {}, snoozeData);
+  }
+
+  async saveTaskException(exceptionData) {
+    return this.upsert('task_exceptions', ['task_id', 'occurrence_time'], { new_time: null }, exceptionData);
+  }
+
+  async listTaskExceptions(taskIds) {
+    return this.tables.task_exceptions
+      .filter(exception => taskIds.includes(exception.task_id))
+      .map(exception => structuredClone(exception));
+  }
+
+  // Checklist items
+
+  async createTaskItem(itemData) {
+    return this.insert('task_items', {
+      checked: false,
+      checked_at: null,
+      updated_at: new Date().toISOString()
+    }, itemData);
+  }
+
+  async listTaskItems(taskIds) {
+    return this.tables.task_items
+      .filter(item => taskIds.includes(item.task_id))
+      .sort((a, b) => a.position - b.position)
+      .map(item => structuredClone(item));
+  }
+
+  findTaskItem(itemId, userId) {
+    const item = this.tables.task_items.find(row => row.id === itemId && row.user_id === userId);
+    if (!item) throw notFound('task_items');
+    return item;
+  }
+
+  async getTaskItem(itemId, userId) {
+    return structuredClone(this.findTaskItem(itemId, userId));
+  }
+
+  async updateTaskItem(itemId, userId, changes) {
+    return this.apply(this.findTaskItem(itemId, userId), changes);
+  }
+
+  async updateTaskItems(taskId, userId, changes) {
+    const items = this.tables.task_items.filter(item => item.task_id === taskId && item.user_id === userId);
+    return items.map(item => this.apply(item, changes));
+  }
+
+  async deleteTaskItem(itemId, userId) {
+    const item = this.findTaskItem(itemId, userId);
+    this.tables.task_items = this.tables.task_items.filter(row => row !== item);
+    this.persist();
+  }
+
+  // Users and settings
+
+  async getUserSettings(userId) {
+    const row = this.tables.user_settings.find(settings => settings.user_id === userId);
+    return row ? structuredClone(row) : null;
+  }
+
+  async saveUserSettings(settingsData) {
+    return this.upsert('user_settings', ['user_id'], { updated_at: new Date().toISOString() }, settingsData);
+  }
+
+  async saveUser(userData) {
+    return this.upsert('users', ['user_id'], {
+      display_name: null,
+      is_active: true,
+      followed_at: null,
+      unfollowed_at: null,
+      updated_at: new Date().toISOString()
+    }, userData);
+  }
+
+  async listUsers() {
+    return this.tables.users.map(user => ({ user_id: user.user_id, is_active: user.is_active }));
+  }
+
+  // Reminders
+
+  async createReminder(reminderData) {
+    const taken = this.tables.reminders.some(reminder =>
+      reminder.dedupe_key === reminderData.dedupe_key && reminder.status !== 'cancelled'
+    );
+    if (taken) {
+      throw storageError('23505', `Duplicate reminder: ${reminderData.dedupe_key}`);
+    }
+
+    return this.insert('reminders', {
+      offset_minutes: null,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: null,
+      lease_expires_at: null,
+      last_error: null,
+      sent_at: null
+    }, reminderData);
+  }
+
+  async findReminderByDedupeKey(dedupeKey) {
+    const reminder = this.tables.reminders.find(row => row.dedupe_key === dedupeKey && row.status !== 'cancelled');
+    if (!reminder) throw notFound('reminders');
+    return structuredClone(reminder);
+  }
+
+  async listReminders(taskId) {
+    return this.tables.reminders
+      .filter(reminder => reminder.task_id === taskId)
+      .sort((a, b) => time(a.scheduled_time) - time(b.scheduled_time))
+      .map(reminder => structuredClone(reminder));
+  }
+
+  async listTaskReminders(taskIds) {
+    return this.tables.reminders
+      .filter(reminder => taskIds.includes(reminder.task_id))
+      .sort((a, b) => time(a.scheduled_time) - time(b.scheduled_time))
+      .map(reminder => structuredClone(reminder));
+  }
+
+  async listDueReminders(beforeTime) {
+    const before = time(beforeTime);
+    const due = [];
+
+    for (const reminder of this.tables.reminders) {
+      if (time(reminder.scheduled_time) > before) continue;
+
+      const retryDue = reminder.status === 'pending' &&
+        (reminder.next_attempt_at == null || time(reminder.next_attempt_at) <= before);
+      const leaseExpired = reminder.status === 'sending' && time(reminder.lease_expires_at) < before;
+      if (!retryDue && !leaseExpired) continue;
+
+      const task = this.tables.tasks.find(row => row.id === reminder.task_id && row.is_active && row.status === 'pending');
+      if (task) {
+        due.push({ ...structuredClone(reminder), tasks: structuredClone(task) });
+      }
+    }
+
+    return due.sort((a, b) => time(a.scheduled_time) - time(b.scheduled_time));
+  }
+
+  async claimReminder(reminder, changes) {
+    const row = this.tables.reminders.find(candidate =>
+      candidate.id === reminder.id &&
+      candidate.status === reminder.status &&
+      candidate.attempts === (reminder.attempts || 0)
+    );
+
+    return row ? this.apply(row, changes) : null;
+  }
+
+  async updateReminder(reminderId, changes) {
+    const row = this.tables.reminders.find(reminder => reminder.id === reminderId);
+    if (!row) throw notFound('reminders');
+    return this.apply(row, changes);
+  }
+
+  async cancelPendingReminders(taskId) {
+    const now = new Date().toISOString();
+    for (const reminder of this.tables.reminders) {
+      if (reminder.task_id === taskId && reminder.status === 'pending') {
+        Object.assign(reminder, { sent_at: now, status: 'cancelled' });
+      }
+    }
+    this.persist();
+  }
+
+  // Same rule as cleanup_old_reminders(): sent and failed reminders are kept for 30 days
+  async cleanupReminders() {
+    const cutoff = Date.now() - 30 * DAY_MS;
+    this.tables.reminders = this.tables.reminders.filter(reminder =>
+      !(reminder.sent_at && time(reminder.sent_at) < cutoff) &&
+      !(reminder.status === 'failed' && time(reminder.scheduled_time) < cutoff)
+    );
+    this.persist();
+  }
+
+  // Scheduled messages
+
+  async createScheduledMessage(messageData) {
+    return this.insert('scheduled_messages', {
+      status: 'pending',
+      error_message: null,
+      updated_at: new Date().toISOString()
+    }, messageData);
+  }
+
+  async listScheduledMessages(userId, status) {
+    return this.tables.scheduled_messages
+      .filter(message => message.user_id === userId && message.status === status)
+      .sort((a, b) => time(a.scheduled_at) - time(b.scheduled_at))
+      .map(message => structuredClone(message));
+  }
+
+  async listDueScheduledMessages(now) {
+    return this.tables.scheduled_messages
+      .filter(message => message.status === 'pending' && time(message.scheduled_at) <= time(now))
+      .sort((a, b) => time(a.scheduled_at) - time(b.scheduled_at))
+      .map(message => structuredClone(message));
+  }
+
+  async updateScheduledMessage(messageId, changes) {
+    const row = this.tables.scheduled_messages.find(message => message.id === messageId);
+    if (!row) throw notFound('scheduled_messages');
+    return this.apply(row, changes);
+  }
+
+  async updateScheduledMessageWhere(messageId, criteria, changes) {
+    const row = this.tables.scheduled_messages.find(message =>
+      message.id === messageId &&
+      (criteria.status === undefined || message.status === criteria.status) &&
+      (criteria.userId === undefined || message.user_id === criteria.userId)
+    );
+
+    return row ? this.apply(row, changes) : null;
+  }
+
+  // API tokens
+
+  async createApiToken(tokenData) {
+    return this.insert('api_tokens', {
+      scopes: ['read', 'write'],
+      last_used_at: null,
+      revoked_at: null,
+      updated_at: new Date().toISOString()
+    }, tokenData);
+  }
+
+  async findApiTokenByHash(tokenHash) {
+    const token = this.tables.api_tokens.find(row => row.token_hash === tokenHash);
+    if (!token) throw notFound('api_tokens');
+    return structuredClone(token);
+  }
+
+  async listApiTokens(userId) {
+    return this.tables.api_tokens
+      .filter(token => token.user_id === userId && token.revoked_at == null)
+      .sort((a, b) => time(a.created_at) - time(b.created_at))
+      .map(token => structuredClone(token));
+  }
+
+  async updateApiToken(tokenId, userId, changes) {
+    const row = this.tables.api_tokens.find(token => token.id === tokenId && token.user_id === userId);
+    if (!row) throw notFound('api_tokens');
+    return this.apply(row, changes);
+  }
+
+  // Schema migrations
+
+  // These tables always match the latest migration
+  async listAppliedMigrations() {
+    return migrations.loadMigrations().map(migration => migration.version);
+  }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,181 @@
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.sql and runs
+// once, in version order, inside a transaction; applied versions are recorded in the
+// schema_migrations table. Apply them with `npm run migrate` (scripts/migrate.js), which
+// connects to PostgreSQL directly with DATABASE_URL since the Supabase client can't run DDL.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// Taken while migrating, so two deploys can't apply the same migration at once
+const LOCK_ID = 4242001;
+
+class MigrationService {
+  constructor(directory = MIGRATIONS_DIR) {
+    this.directory = directory;
+  }
+
+  // The migrations in this checkout, in the order they apply
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const sql = fs.readFileSync(path.join(this.directory, file), 'utf8');
+        return {
+          version: match[1],
+          name: match[2],
+          file,
+          sql,
+          checksum: crypto.createHash('sha256').update(sql).digest('hex')
+        };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  // Compare the applied versions with the migrations in this checkout
+  getStatus(appliedVersions) {
+    const migrations = this.loadMigrations();
+    const applied = new Set(appliedVersions.map(Number));
+    const known = new Set(migrations.map(migration => Number(migration.version)));
+    const newest = versions => versions.reduce((max, version) => (max === null || Number(version) > Number(max) ? version : max), null);
+
+    return {
+      current: newest(appliedVersions),
+      latest: newest(migrations.map(migration => migration.version)),
+      pending: migrations.filter(migration => !applied.has(Number(migration.version))),
+      // Applied by a newer checkout; this code doesn't know what they changed
+      unknown: appliedVersions.filter(version => !known.has(Number(version)))
+    };
+  }
+
+  // Throw when the database is missing migrations this code needs
+  async checkSchema(storage) {
+    const status = this.getStatus(await storage.listAppliedMigrations());
+
+    if (status.unknown.length > 0) {
+      console.warn('⚠️ Database has migrations this code does not know:', { versions: status.unknown });
+    }
+
+    if (status.pending.length > 0) {
+      const error = new Error(
+        `Database schema is behind the code: ${status.pending.length} pending migration(s) ` +
+        `(${status.pending.map(migration => migration.file).join(', ')}). Run "npm run migrate".`
+      );
+      error.code = 'SCHEMA_OUT_OF_DATE';
+      error.status = status;
+      throw error;
+    }
+
+    return status;
+  }
+
+  // Connect to PostgreSQL for applying migrations
+  async connect(connectionString = process.env.DATABASE_URL) {
+    if (!connectionString) {
+      throw new Error('Missing DATABASE_URL environment variable (Supabase: Settings → Database → Connection string)');
+    }
+
+    const { Client } = require('pg');
+    const client = new Client({ connectionString });
+    await client.connect();
+    return client;
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    // The bot reads it through the Supabase API for its startup check
+    await client.query('GRANT SELECT ON schema_migrations TO anon, authenticated');
+  }
+
+  async listApplied(client) {
+    await this.ensureMigrationsTable(client);
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return rows;
+  }
+
+  // Applied and pending migrations, flagging applied files that were edited afterwards
+  async inspect(client) {
+    const applied = await this.listApplied(client);
+    const status = this.getStatus(applied.map(row => row.version));
+    const byVersion = new Map(this.loadMigrations().map(migration => [Number(migration.version), migration]));
+
+    status.applied = applied.map(row => {
+      const migration = byVersion.get(Number(row.version));
+      return {
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        modified: Boolean(migration && migration.checksum !== row.checksum)
+      };
+    });
+
+    return status;
+  }
+
+  // Apply the pending migrations in order; each one commits on its own, so a failure
+  // leaves the ones before it applied. Returns the migrations that were (or would be) applied.
+  async migrate(client, { dryRun = false } = {}) {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+
+    try {
+      const applied = await this.listApplied(client);
+      const { pending } = this.getStatus(applied.map(row => row.version));
+
+      console.log('🔍 Pending migrations:', { count: pending.length, dryRun });
+
+      for (const migration of pending) {
+        if (dryRun) {
+          console.log('🔄 Would apply migration:', { file: migration.file });
+          continue;
+        }
+
+        console.log('🔄 Applying migration:', { file: migration.file });
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error('❌ Migration failed:', { file: migration.file, error: error.message });
+          throw error;
+        }
+
+        console.log('✅ Applied migration:', { file: migration.file });
+      }
+
+      if (!dryRun && pending.length > 0) {
+        // Let the Supabase API see the new tables and columns straight away
+        await client.query("NOTIFY pgrst, 'reload schema'");
+      }
+
+      return pending;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+    }
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,224 @@
+// Ways around the bot without remembering its keywords: quick-reply chips under replies that
+// offer the next likely commands, "did you mean" suggestions for mistyped commands, and the
+// rich menu that scripts/setup-rich-menu.js provisions. The keywords here are the ones
+// LineBotService.handleTextMessage routes on.
+const i18n = require('./i18n');
+
+// Command keywords by command, as handleTextMessage recognizes them (a keyword is the whole
+// message or its start)
+const COMMANDS = {
+  help: ['help', 'commands', 'hey assistant', '說明', '幫助', '指令'],
+  today: ['today', '今天'],
+  week: ['week', '本週', '這週', '本周', '這周'],
+  month: ['month', '本月', '這個月'],
+  list: ['list', '列表', '清單'],
+  tags: ['tags', '標籤'],
+  ids: ['ids', 'codes', '編號', '代碼'],
+  checklist: ['add item', 'remove item', 'check', 'uncheck', 'items', 'checklist', '新增項目', '刪除項目', '勾選', '取消勾選', '項目'],
+  add: ['add', '新增'],
+  delete: ['delete', '刪除'],
+  update: ['update', '更新'],
+  done: ['done', '完成'],
+  skip: ['skip', '跳過'],
+  move: ['move', '移動', '改期'],
+  cancelSeries: ['cancel series', '取消重複', '取消系列'],
+  find: ['find', 'search', '搜尋', '尋找'],
+  say: ['say', 'remind me', '提醒我'],
+  messages: ['messages', '訊息', '排程訊息'],
+  cancelMessage: ['cancel message', '取消訊息'],
+  token: ['token', 'tokens', '權杖'],
+  export: ['export', '匯出'],
+  settings: ['settings', '設定'],
+  history: ['history', '歷史', '紀錄']
+};
+
+// Quick-reply chips: the command each sends, per language. "add" opens the keyboard with the
+// keyword filled in instead, since a task needs the rest typed.
+const ACTIONS = {
+  today: { label: 'navToday', en: 'today', zh: '今天' },
+  week: { label: 'navWeek', en: 'week', zh: '本週' },
+  month: { label: 'navMonth', en: 'month', zh: '本月' },
+  list: { label: 'navList', en: 'list', zh: '列表' },
+  ids: { label: 'navIds', en: 'ids', zh: '編號' },
+  tags: { label: 'navTags', en: 'tags', zh: '標籤' },
+  history: { label: 'navHistory', en: 'history', zh: '歷史' },
+  settings: { label: 'navSettings', en: 'settings', zh: '設定' },
+  help: { label: 'navHelp', en: 'help', zh: '說明' },
+  add: { label: 'navAdd', en: 'add ', zh: '新增 ', fillIn: true }
+};
+
+// The chips offered after each command
+const NEXT_ACTIONS = {
+  help: ['today', 'week', 'add', 'settings'],
+  today: ['week', 'add', 'list'],
+  week: ['today', 'month', 'add'],
+  month: ['today', 'week', 'add'],
+  list: ['today', 'ids', 'tags'],
+  tags: ['list', 'today'],
+  ids: ['list', 'today'],
+  checklist: ['today', 'list'],
+  add: ['today', 'week', 'add'],
+  delete: ['list', 'today'],
+  update: ['today', 'list'],
+  done: ['today', 'history'],
+  skip: ['week', 'today'],
+  move: ['week', 'today'],
+  cancelSeries: ['list', 'today'],
+  find: ['list', 'today'],
+  history: ['today', 'list'],
+  settings: ['today', 'help'],
+  unknown: ['help', 'today', 'week']
+};
+
+// Postback data of the "Add" chip and rich menu area; the keyboard opening is all it does
+const ADD_PROMPT = 'add_prompt';
+
+// LINE's limits on quick-reply labels and the text a message action sends
+const MAX_LABEL_LENGTH = 20;
+const MAX_ACTION_TEXT_LENGTH = 300;
+
+// Full-size rich menu (2500x1686 is the tall one), four areas side by side
+const RICH_MENU_NAME = 'marks-assistant-main';
+const RICH_MENU_WIDTH = 2500;
+const RICH_MENU_HEIGHT = 843;
+
+function isCjk(text) {
+  return /[一-鿿]/.test(text);
+}
+
+// Edit distance counting a swap of neighbouring characters as one edit ("histroy" is 1 from "history")
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+class NavigationService {
+  constructor() {
+    this.addPrompt = ADD_PROMPT;
+    this.richMenuName = RICH_MENU_NAME;
+  }
+
+  // The command a message starts with ("today", "add", ...), or null
+  commandFor(message) {
+    const text = message.trim().toLowerCase();
+    let best = null;
+
+    for (const [command, keywords] of Object.entries(COMMANDS)) {
+      for (const keyword of keywords) {
+        const matches = text === keyword || (isCjk(keyword) ? text.startsWith(keyword) : text.startsWith(`${keyword} `));
+        // The longest keyword wins: "add item" over "add"
+        if (matches && (!best || keyword.length > best.keyword.length)) {
+          best = { command, keyword };
+        }
+      }
+    }
+
+    return best ? best.command : null;
+  }
+
+  // Quick-reply chips for actions (names from ACTIONS), in a language
+  quickReply(actions, lang = 'en') {
+    const language = lang === 'zh' ? 'zh' : 'en';
+    return {
+      items: actions.map(name => {
+        const action = ACTIONS[name];
+        const label = i18n.t(language, action.label);
+        return {
+          type: 'action',
+          action: action.fillIn
+            ? { type: 'postback', label, data: ADD_PROMPT, inputOption: 'openKeyboard', fillInText: action[language] }
+            : { type: 'message', label, text: action[language] }
+        };
+      })
+    };
+  }
+
+  // The chips to offer after a message: the likely next commands
+  nextActions(message, lang = 'en') {
+    const actions = NEXT_ACTIONS[this.commandFor(message)];
+    return actions ? this.quickReply(actions, lang) : null;
+  }
+
+  // The command an unknown message probably meant: its first word (or, in Chinese, its first
+  // characters) swapped for the nearest keyword. Returns the corrected message, or null when no
+  // keyword is close enough.
+  suggest(message) {
+    const text = message.trim();
+    let best = null;
+
+    for (const keywords of Object.values(COMMANDS)) {
+      for (const keyword of keywords) {
+        let typed;
+        if (isCjk(keyword)) {
+          if (keyword.length < 2) continue;
+          typed = text.substring(0, keyword.length);
+        } else {
+          // As many words as the keyword has
+          const words = text.match(new RegExp(`^\\S+(?:\\s+\\S+){${keyword.split(' ').length - 1}}`));
+          if (!words) continue;
+          typed = words[0];
+        }
+
+        // One typo in short keywords, two in longer ones
+        const allowed = keyword.length <= 4 ? 1 : 2;
+        const score = distance(typed.toLowerCase().replace(/\s+/g, ' '), keyword);
+        if (score > 0 && score <= allowed && (!best || score < best.score)) {
+          best = { keyword, rest: text.substring(typed.length).trim(), score };
+        }
+      }
+    }
+
+    if (!best) {
+      return null;
+    }
+    return best.rest ? `${best.keyword} ${best.rest}` : best.keyword;
+  }
+
+  // Chips for an unknown command: the suggestion first, when there is one that fits a chip
+  unknownCommandActions(suggestion, lang = 'en') {
+    const quickReply = this.quickReply(NEXT_ACTIONS.unknown, lang);
+    if (suggestion && suggestion.length <= MAX_ACTION_TEXT_LENGTH) {
+      const label = suggestion.length > MAX_LABEL_LENGTH ? `${suggestion.substring(0, MAX_LABEL_LENGTH - 1)}…` : suggestion;
+      quickReply.items = [
+        { type: 'action', action: { type: 'message', label, text: suggestion } },
+        ...quickReply.items.filter(item => item.action.text !== suggestion)
+      ];
+    }
+    return quickReply;
+  }
+
+  // The rich menu: Today, Week, Add and Settings areas, left to right
+  richMenu() {
+    const areas = [
+      { type: 'message', label: 'Today', text: 'today' },
+      { type: 'message', label: 'Week', text: 'week' },
+      { type: 'postback', label: 'Add', data: ADD_PROMPT, inputOption: 'openKeyboard', fillInText: 'add ' },
+      { type: 'message', label: 'Settings', text: 'settings' }
+    ];
+    const width = RICH_MENU_WIDTH / areas.length;
+
+    return {
+      size: { width: RICH_MENU_WIDTH, height: RICH_MENU_HEIGHT },
+      selected: true,
+      name: RICH_MENU_NAME,
+      chatBarText: 'Menu',
+      areas: areas.map((action, index) => ({
+        bounds: { x: Math.round(index * width), y: 0, width: Math.round(width), height: RICH_MENU_HEIGHT },
+        action
+      }))
+    };
+  }
+}
+
+module.exports = new NavigationService();
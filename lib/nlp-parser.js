@@ -1,4 +1,10 @@
 const moment = require('moment-timezone');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const taskCodes = require('./task-codes');
+const taskTags = require('./task-tags');
+const taskPriority = require('./task-priority');
+const taskItems = require('./task-items');
 
 class NaturalLanguageParser {
   constructor() {
@@ -20,11 +26,46 @@ class NaturalLanguageParser {
       'first': 1, '1st': 1,
       'second': 2, '2nd': 2,
       'third': 3, '3rd': 3,
-      'fourth': 4, '4th': 4
+      'fourth': 4, '4th': 4,
+      'last': -1
     };
+    
+    // Chinese weekday characters (星期一 ... 星期日/星期天)
+    this.zhWeekdays = {
+      '一': 1, '二': 2, '三': 3, '四': 4, '五': 5, '六': 6, '日': 0, '天': 0
+    };
+    
+    // Digits or Chinese numerals up to 99 (3, 十二, 二十五, 兩)
+    this.zhNumberPattern = '\\d{1,2}|[零一二兩三四五六七八九十]{1,3}';
+    
+    // Default times for "morning", "tonight", etc.
+    this.dayParts = this.loadDayParts(process.env.DAY_PART_HOURS);
+
+    this.recurrence = recurrence;
+  }
+
+  // A view of the parser that reads dates and times in a user's timezone setting
+  forUser(settings) {
+    const view = Object.create(this);
+    view.timezone = settings.timezone;
+    view.recurrence = recurrence.withTimezone(settings.timezone);
+    return view;
+  }
+
+  // The time relative dates ("tomorrow", "friday", "in 2 hours") count from
+  now() {
+    return moment().tz(this.timezone);
+  }
+
+  // A view of the parser whose relative dates count from the given time instead of now, e.g.
+  // from the occurrence a "move" command moves
+  relativeTo(time) {
+    const view = Object.create(this);
+    view.now = () => moment(time).tz(this.timezone);
+    return view;
   }
 
-  // Parse add command with new format: add {task title} {date} {time} [recurrence] [special]
+  // Parse add command with new format: add {task title} {date} [time] [recurrence] [special]
   parseAddCommand(message) {
     if (!message || typeof message !== 'string') {
       throw new Error('Message must be a non-empty string');
@@ -37,20 +78,37 @@ class NaturalLanguageParser {
       throw new Error('Message too long. Please keep commands under 1000 characters.');
     }
     
+    // "#work" words are tags and "!1" / "high priority" the priority, not part of the title or date
+    const tagged = taskTags.extract(text);
+    const prioritized = taskPriority.extract(tagged.text);
+
+    // Traditional Chinese: 新增 ...
+    if (prioritized.text.startsWith('新增')) {
+      const result = this.withPriority(this.parseChineseAddCommand(prioritized.text), prioritized.priority);
+      return { ...result, tags: tagged.tags };
+    }
+    
     // Check if command starts with 'add'
-    if (!text.toLowerCase().startsWith('add ')) {
+    if (!prioritized.text.toLowerCase().startsWith('add ')) {
       throw new Error('Command must start with "add"');
     }
     
+    // Pull out "remind 15m, 2h before" so it isn't read as part of the title or date
+    const reminder = this.extractReminderOffsets(prioritized.text.substring(4));
+
     // Remove 'add' prefix and split into tokens
-    const tokens = text.substring(4).trim().split(/\s+/);
+    const tokens = reminder.text.trim().split(/\s+/);
     
-    if (tokens.length < 3) {
-      throw new Error('Command format: add {task title} {date} {time} [recurrence] [special]');
+    if (tokens.length < 2) {
+      throw new Error('Command format: add {task title} {date} [time] [recurrence] [special | !1-!3] [remind ... before] [#tag ...]');
     }
     
     // Parse the command
-    const result = this.parseCommandTokens(tokens);
+    const result = this.withPriority(this.parseCommandTokens(tokens), prioritized.priority);
+    result.tags = tagged.tags;
+    if (reminder.reminderOffsets !== undefined) {
+      result.reminderOffsets = reminder.reminderOffsets;
+    }
     
     // Validate the result
     this.validateTaskData(result);
@@ -58,17 +116,25 @@ class NaturalLanguageParser {
     return result;
   }
   
+  // Set a parsed task's priority: the one given, else high for special tasks, else medium.
+  // isSpecial follows the priority, as tasks.is_special does.
+  withPriority(result, priority) {
+    result.priority = priority || (result.isSpecial ? taskPriority.high : taskPriority.defaultPriority);
+    result.isSpecial = result.priority === taskPriority.high;
+    return result;
+  }
+
   // Parse command tokens according to the grammar
   parseCommandTokens(tokens) {
-    let index = 0;
+    const understood = [];
     
-    // Parse task title (everything until we find a valid date)
+    // Parse task title (everything until we find a valid date, or a recurrence that stands in for one)
     const titleTokens = [];
     let dateIndex = -1;
     
     // Find the first valid date token
     for (let i = 0; i < tokens.length; i++) {
-      if (this.isDateToken(tokens[i]) || this.isDatePhrase(tokens, i)) {
+      if (this.isDateToken(tokens[i]) || this.isDatePhrase(tokens, i) || (i > 0 && this.isLeadingRecurrence(tokens, i))) {
         dateIndex = i;
         break;
       }
@@ -76,7 +142,7 @@ class NaturalLanguageParser {
     }
     
     if (dateIndex === -1) {
-      throw new Error('No valid date found in command');
+      throw new Error(this.describeParseFailure('No valid date found in command', [`title "${titleTokens.join(' ')}"`]));
     }
     
     const title = titleTokens.join(' ').trim();
@@ -88,40 +154,186 @@ class NaturalLanguageParser {
       throw new Error('Task title must be 200 characters or less');
     }
     
-    index = dateIndex;
+    understood.push(`title "${title}"`);
     
-    // Parse date
-    const { date, nextIndex } = this.parseDate(tokens, index);
-    index = nextIndex;
+    return { title, ...this.parseScheduleTokens(tokens, dateIndex, understood) };
+  }
+  
+  // Parse the date, time, recurrence and special flag that follow a task title (or "to" in an
+  // update). With timeOnly a time may stand alone: today, or tomorrow once it has passed.
+  // Returns { scheduledTime, recurrenceRule, isSpecial, isRecurring }.
+  parseScheduleTokens(tokens, startIndex, understood = [], { timeOnly = false } = {}) {
+    let index = startIndex;
+    
+    // Parse date (relative expressions like "in 2 hours" or "tonight" also imply a time).
+    // "add Gym every monday 7am" has no date: the first occurrence is used instead.
+    let date = null;
+    let time = null;
+    let fixedTime = false;
+    let recurrenceRule = null;
+    
+    if (this.isLeadingRecurrence(tokens, index)) {
+      try {
+        ({ recurrence: recurrenceRule, nextIndex: index } = this.parseRecurrence(tokens, index));
+      } catch (error) {
+        throw new Error(this.describeParseFailure(error.message, understood));
+      }
+      understood.push(`repeats ${this.recurrence.describe(recurrenceRule).toLowerCase()}`);
+    } else if (timeOnly && this.isTimeStart(tokens, index) && !this.isDatePhrase(tokens, index)) {
+      // The date follows from the time below
+    } else {
+      let parsedDate;
+      try {
+        parsedDate = this.parseDate(tokens, index);
+      } catch (error) {
+        throw new Error(this.describeParseFailure(error.message, understood));
+      }
+      ({ date, fixedTime, time } = parsedDate);
+      index = parsedDate.nextIndex;
+      understood.push(`date ${date.format('ddd, MMM D YYYY')}`);
+    }
+    
+    // Parse time (optional when the date implies one; defaults to the morning otherwise)
+    if (!fixedTime && this.isTimeStart(tokens, index)) {
+      try {
+        const parsedTime = this.parseTime(tokens, index);
+        time = parsedTime.time;
+        index = parsedTime.nextIndex;
+      } catch (error) {
+        throw new Error(this.describeParseFailure(error.message, understood));
+      }
+      understood.push(`time ${this.formatTime(time)}`);
+    } else if (!time) {
+      time = this.dayParts.morning;
+      understood.push(`time ${this.formatTime(time)} (default)`);
+    } else {
+      understood.push(`time ${this.formatTime(time)}`);
+    }
     
-    // Parse time
-    const { time, nextIndex: timeIndex } = this.parseTime(tokens, index);
-    index = timeIndex;
+    // An end condition may follow the time ("every monday 7am until Dec 31")
+    if (recurrenceRule && index < tokens.length) {
+      let end;
+      try {
+        end = this.parseRecurrenceEnd(tokens, index);
+      } catch (error) {
+        throw new Error(this.describeParseFailure(error.message, understood));
+      }
+      if (end) {
+        recurrenceRule = this.recurrence.stringify({ ...this.recurrence.parse(recurrenceRule), ...end.options });
+        index = end.nextIndex;
+      }
+    }
     
     // Parse recurrence (optional)
-    let recurrencePattern = null;
-    if (index < tokens.length) {
-      const { recurrence, nextIndex: recurIndex } = this.parseRecurrence(tokens, index);
-      recurrencePattern = recurrence;
-      index = recurIndex;
+    if (!recurrenceRule && index < tokens.length) {
+      try {
+        ({ recurrence: recurrenceRule, nextIndex: index } = this.parseRecurrence(tokens, index));
+      } catch (error) {
+        throw new Error(this.describeParseFailure(error.message, understood));
+      }
+      if (recurrenceRule) {
+        understood.push(`repeats ${this.recurrence.describe(recurrenceRule).toLowerCase()}`);
+      }
     }
     
     // Check for special flag (optional)
     let isSpecial = false;
     if (index < tokens.length && tokens[index].toLowerCase() === 'special') {
       isSpecial = true;
+      index++;
+    }
+    
+    if (index < tokens.length) {
+      throw new Error(this.describeParseFailure(`Could not understand "${tokens.slice(index).join(' ')}"`, understood));
+    }
+    
+    // Recurring tasks start at their first occurrence on or after the given date
+    if (recurrenceRule) {
+      date = this.getFirstOccurrence(recurrenceRule, date, time);
+      if (!date) {
+        throw new Error(this.describeParseFailure('The recurrence never happens after that date', understood));
+      }
+    } else if (!date) {
+      const now = moment().tz(this.timezone);
+      date = this.combineDateTimeMoment(now, time).isAfter(now) ? now : now.clone().add(1, 'day');
     }
     
     // Combine date and time
     const scheduledTime = this.combineDateTime(date, time);
     
     return {
-      title,
       scheduledTime,
-      recurrencePattern,
+      recurrenceRule,
       isSpecial,
-      isRecurring: !!recurrencePattern
+      isRecurring: !!recurrenceRule
+    };
+  }
+  
+  // A recurrence in place of the date: only when no date follows it, so titles like
+  // "Read daily news tomorrow" keep their words
+  isLeadingRecurrence(tokens, startIndex) {
+    if (!this.isRecurrenceStart(tokens, startIndex)) {
+      return false;
+    }
+    
+    const { nextIndex } = this.parseRecurrenceRule(tokens, startIndex);
+    for (let i = nextIndex; i < tokens.length; i++) {
+      if (tokens[i].toLowerCase() === 'until') {
+        break;
+      }
+      if (this.isDateToken(tokens[i]) || this.isDatePhrase(tokens, i)) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  // Build an error message that lists what was understood before parsing failed
+  describeParseFailure(reason, understood) {
+    let message = reason;
+    if (understood.length > 0) {
+      message += `. Understood so far: ${understood.join(', ')}`;
+    }
+    return `${message}. Try e.g. "tomorrow 15:00", "Oct 21 9am", "on the 5th", "in 2 hours", "friday evening" or "tonight".`;
+  }
+  
+  // Load default hours for day-part words, overridable via DAY_PART_HOURS ("morning=8,evening=18:30")
+  loadDayParts(config) {
+    const dayParts = {
+      morning: { hour: 9, minute: 0 },
+      noon: { hour: 12, minute: 0 },
+      afternoon: { hour: 15, minute: 0 },
+      evening: { hour: 19, minute: 0 },
+      tonight: { hour: 20, minute: 0 }
     };
+    
+    if (!config) {
+      return dayParts;
+    }
+    
+    for (const entry of config.split(',')) {
+      const match = entry.trim().match(/^(\w+)\s*=\s*(\d{1,2})(?::(\d{2}))?$/);
+      if (!match || !dayParts.hasOwnProperty(match[1].toLowerCase())) {
+        console.warn('⚠️ Ignoring invalid DAY_PART_HOURS entry:', entry);
+        continue;
+      }
+      
+      const hour = parseInt(match[2]);
+      const minute = parseInt(match[3] || '0');
+      if (hour > 23 || minute > 59) {
+        console.warn('⚠️ Ignoring invalid DAY_PART_HOURS entry:', entry);
+        continue;
+      }
+      
+      dayParts[match[1].toLowerCase()] = { hour, minute };
+    }
+    
+    return dayParts;
+  }
+  
+  // Format a { hour, minute } time for messages
+  formatTime(time) {
+    return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
   }
   
   // Check if a token looks like a date
@@ -131,34 +343,44 @@ class NaturalLanguageParser {
       return true;
     }
     
+    // MM/DD or MM/DD/YYYY format
+    if (/^\d{1,2}\/\d{1,2}(?:\/(?:\d{2}|\d{4}))?$/.test(token)) {
+      return true;
+    }
+    
     // Natural date words
-    const dateWords = ['today', 'tomorrow', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'next'];
+    const dateWords = ['today', 'tomorrow', 'tonight', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
     return dateWords.includes(token.toLowerCase());
   }
   
-  // Check if tokens form a date phrase
+  // Check if tokens form a date phrase ("next monday", "in 2 hours", "Oct 21", "on the 5th", ...)
   isDatePhrase(tokens, startIndex) {
     if (startIndex >= tokens.length) return false;
     
+    // Abbreviated weekdays ("sun", "sat", "wed") are too common in titles to start a date
     const token = tokens[startIndex].toLowerCase();
-    
-    // "next monday", "next tuesday", etc.
-    if (token === 'next' && startIndex + 1 < tokens.length) {
-      const nextToken = tokens[startIndex + 1].toLowerCase();
-      return this.weekdays.hasOwnProperty(nextToken);
+    if (this.weekdays.hasOwnProperty(token) && !this.isDateToken(token)) {
+      return false;
     }
     
-    return false;
+    try {
+      this.parseDate(tokens, startIndex);
+      return true;
+    } catch (error) {
+      return false;
+    }
   }
   
-  // Parse date from tokens
+  // Parse date from tokens. Returns { date, nextIndex } plus an optional implied time;
+  // fixedTime means the expression already pinned the exact time ("in 30 minutes").
   parseDate(tokens, startIndex) {
     if (startIndex >= tokens.length) {
       throw new Error('Expected date but found end of command');
     }
     
     const token = tokens[startIndex].toLowerCase();
-    const now = moment().tz(this.timezone);
+    const nextToken = startIndex + 1 < tokens.length ? tokens[startIndex + 1].toLowerCase() : '';
+    const now = this.now();
     
     // YYYY-MM-DD format
     if (/^\d{4}-\d{2}-\d{2}$/.test(tokens[startIndex])) {
@@ -172,6 +394,14 @@ class NaturalLanguageParser {
       return { date, nextIndex: startIndex + 1 };
     }
     
+    // MM/DD or MM/DD/YYYY format
+    const slashMatch = token.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+    if (slashMatch) {
+      const [, month, day, year] = slashMatch;
+      const fullYear = year ? (year.length === 2 ? 2000 + parseInt(year) : parseInt(year)) : null;
+      return { date: this.resolveMonthDay(parseInt(month) - 1, parseInt(day), fullYear, tokens[startIndex]), nextIndex: startIndex + 1 };
+    }
+    
     // "today"
     if (token === 'today') {
       return { date: now.clone(), nextIndex: startIndex + 1 };
@@ -182,6 +412,81 @@ class NaturalLanguageParser {
       return { date: now.clone().add(1, 'day'), nextIndex: startIndex + 1 };
     }
     
+    // "tonight"
+    if (token === 'tonight') {
+      return { date: now.clone(), time: this.dayParts.tonight, nextIndex: startIndex + 1 };
+    }
+    
+    // "this morning", "this afternoon", "this evening"
+    if (token === 'this' && ['morning', 'afternoon', 'evening'].includes(nextToken)) {
+      return { date: now.clone(), time: this.dayParts[nextToken], nextIndex: startIndex + 2 };
+    }
+    
+    // "this weekend", "next weekend" (Saturday)
+    if ((token === 'this' || token === 'next') && nextToken === 'weekend') {
+      // On a Sunday "this weekend" is today
+      const thisWeekend = now.day() === 0 ? now.clone() : now.clone().add(6 - now.day(), 'days');
+      const date = token === 'next' ? thisWeekend.add(now.day() === 0 ? 6 : 7, 'days') : thisWeekend;
+      return { date, nextIndex: startIndex + 2 };
+    }
+    
+    // "end of month", "end of the month", "end of this month", "end of next month"
+    if (token === 'end' && nextToken === 'of') {
+      const qualifier = startIndex + 2 < tokens.length ? tokens[startIndex + 2].toLowerCase() : '';
+      const monthIndex = ['the', 'this', 'next'].includes(qualifier) ? startIndex + 3 : startIndex + 2;
+      if (monthIndex < tokens.length && tokens[monthIndex].toLowerCase() === 'month') {
+        const month = qualifier === 'next' ? now.clone().add(1, 'month') : now.clone();
+        return { date: month.endOf('month').startOf('day'), nextIndex: monthIndex + 1 };
+      }
+    }
+    
+    // "in 30 minutes", "in 2 hours", "in an hour", "in 3 days", "in 2 weeks", "in 45m"
+    if (token === 'in' && nextToken) {
+      const relative = this.parseRelativeOffset(tokens, startIndex + 1);
+      if (relative) {
+        const date = now.clone().add(relative.amount, relative.unit).second(0).millisecond(0);
+        const fixedTime = relative.unit === 'minutes' || relative.unit === 'hours';
+        return {
+          date,
+          time: { hour: date.hour(), minute: date.minute() },
+          fixedTime,
+          nextIndex: relative.nextIndex
+        };
+      }
+    }
+    
+    // "on the 5th", "on 5th", "on friday", "on Oct 21"
+    if (token === 'on' && nextToken) {
+      const dayIndex = nextToken === 'the' ? startIndex + 2 : startIndex + 1;
+      const dayMatch = dayIndex < tokens.length && tokens[dayIndex].toLowerCase().match(/^(\d{1,2})(?:st|nd|rd|th)$/);
+      if (dayMatch) {
+        return { date: this.resolveDayOfMonth(parseInt(dayMatch[1]), tokens[dayIndex]), nextIndex: dayIndex + 1 };
+      }
+      if (nextToken !== 'the') {
+        return this.parseDate(tokens, startIndex + 1);
+      }
+    }
+    
+    // "Oct 21", "October 21st", "Oct 21 2026"
+    const monthFirst = this.getMonthNumber(token.replace(/\.$/, ''));
+    if (monthFirst !== -1 && nextToken) {
+      const dayMatch = nextToken.match(/^(\d{1,2})(?:st|nd|rd|th)?,?$/);
+      if (dayMatch) {
+        const { year, nextIndex } = this.parseOptionalYear(tokens, startIndex + 2);
+        return { date: this.resolveMonthDay(monthFirst, parseInt(dayMatch[1]), year, `${tokens[startIndex]} ${tokens[startIndex + 1]}`), nextIndex };
+      }
+    }
+    
+    // "21 October", "21st Oct 2026"
+    const dayFirstMatch = token.match(/^(\d{1,2})(?:st|nd|rd|th)?$/);
+    if (dayFirstMatch && nextToken) {
+      const month = this.getMonthNumber(nextToken.replace(/[.,]$/, ''));
+      if (month !== -1) {
+        const { year, nextIndex } = this.parseOptionalYear(tokens, startIndex + 2);
+        return { date: this.resolveMonthDay(month, parseInt(dayFirstMatch[1]), year, `${tokens[startIndex]} ${tokens[startIndex + 1]}`), nextIndex };
+      }
+    }
+    
     // Weekday (next occurrence)
     if (this.weekdays.hasOwnProperty(token)) {
       const targetDay = this.weekdays[token];
@@ -197,7 +502,6 @@ class NaturalLanguageParser {
     
     // "next monday", "next tuesday", etc.
     if (token === 'next' && startIndex + 1 < tokens.length) {
-      const nextToken = tokens[startIndex + 1].toLowerCase();
       if (this.weekdays.hasOwnProperty(nextToken)) {
         const targetDay = this.weekdays[nextToken];
         const currentDay = now.day();
@@ -215,16 +519,140 @@ class NaturalLanguageParser {
     throw new Error(`Invalid date: ${token}`);
   }
   
+  // Parse the "2 hours" part of "in 2 hours"; returns null if the tokens are not an offset
+  parseRelativeOffset(tokens, startIndex) {
+    const units = {
+      minute: 'minutes', minutes: 'minutes', min: 'minutes', mins: 'minutes', m: 'minutes',
+      hour: 'hours', hours: 'hours', hr: 'hours', hrs: 'hours', h: 'hours',
+      day: 'days', days: 'days', d: 'days',
+      week: 'weeks', weeks: 'weeks', w: 'weeks'
+    };
+    
+    const token = tokens[startIndex].toLowerCase();
+    
+    // Compact form: "45m", "2h", "3d"
+    const compactMatch = token.match(/^(\d+)([a-z]+)$/);
+    if (compactMatch && units.hasOwnProperty(compactMatch[2])) {
+      return { amount: parseInt(compactMatch[1]), unit: units[compactMatch[2]], nextIndex: startIndex + 1 };
+    }
+    
+    if (startIndex + 1 >= tokens.length) {
+      return null;
+    }
+    
+    const unitToken = tokens[startIndex + 1].toLowerCase();
+    if (!units.hasOwnProperty(unitToken)) {
+      return null;
+    }
+    
+    let amount;
+    if (/^\d+$/.test(token)) {
+      amount = parseInt(token);
+    } else if (token === 'a' || token === 'an') {
+      amount = 1;
+    } else {
+      return null;
+    }
+    
+    if (amount < 1) {
+      return null;
+    }
+    
+    return { amount, unit: units[unitToken], nextIndex: startIndex + 2 };
+  }
+  
+  // Parse an optional four-digit year token after a month/day date
+  parseOptionalYear(tokens, startIndex) {
+    if (startIndex < tokens.length && /^\d{4}$/.test(tokens[startIndex])) {
+      return { year: parseInt(tokens[startIndex]), nextIndex: startIndex + 1 };
+    }
+    return { year: null, nextIndex: startIndex };
+  }
+  
+  // Resolve a month/day date; without a year, the next upcoming occurrence is used
+  resolveMonthDay(month, day, year, original) {
+    const now = moment().tz(this.timezone);
+    const date = moment.tz({ year: year || now.year(), month, date: day }, this.timezone);
+    
+    if (!date.isValid() || month < 0 || month > 11) {
+      throw new Error(`Invalid date: ${original}`);
+    }
+    
+    if (!year && date.isBefore(now.clone().startOf('day'))) {
+      date.add(1, 'year');
+    }
+    
+    return date;
+  }
+  
+  // Resolve "the 5th" to the next date with that day of month
+  resolveDayOfMonth(day, original) {
+    if (day < 1 || day > 31) {
+      throw new Error(`Invalid day of month: ${original}`);
+    }
+    
+    const today = this.now().startOf('day');
+    const month = today.clone().startOf('month');
+    
+    // Skip months that are too short (e.g. "the 31st" in November)
+    for (let i = 0; i < 12; i++) {
+      if (day <= month.daysInMonth()) {
+        const date = month.clone().date(day);
+        if (!date.isBefore(today)) {
+          return date;
+        }
+      }
+      month.add(1, 'month');
+    }
+    
+    throw new Error(`Invalid day of month: ${original}`);
+  }
+  
+  // Check whether the tokens at startIndex look like a time expression
+  isTimeStart(tokens, startIndex) {
+    if (startIndex >= tokens.length) return false;
+    
+    const token = tokens[startIndex].toLowerCase();
+    const nextToken = startIndex + 1 < tokens.length ? tokens[startIndex + 1].toLowerCase() : '';
+    
+    if (token === 'at' || /^\d{1,2}:\d{2}$/.test(token) || /^\d{1,2}(?::\d{2})?(am|pm)$/.test(token)) {
+      return true;
+    }
+    
+    if (/^\d{1,2}(?::\d{2})?$/.test(token) && (nextToken === 'am' || nextToken === 'pm')) {
+      return true;
+    }
+    
+    return this.dayParts.hasOwnProperty(token) || token === 'night';
+  }
+  
   // Parse time from tokens
   parseTime(tokens, startIndex) {
     if (startIndex >= tokens.length) {
       throw new Error('Expected time but found end of command');
     }
     
+    // Optional "at" ("tomorrow at 3pm")
+    if (tokens[startIndex].toLowerCase() === 'at') {
+      return this.parseTime(tokens, startIndex + 1);
+    }
+    
     const token = tokens[startIndex];
+    const lowerToken = token.toLowerCase();
     
-    // HH:mm format (24-hour)
-    if (/^\d{1,2}:\d{2}$/.test(token)) {
+    // Day parts: morning, noon, afternoon, evening, tonight/night
+    if (this.dayParts.hasOwnProperty(lowerToken)) {
+      return { time: this.dayParts[lowerToken], nextIndex: startIndex + 1 };
+    }
+    if (lowerToken === 'night') {
+      return { time: this.dayParts.tonight, nextIndex: startIndex + 1 };
+    }
+    
+    const periodToken = startIndex + 1 < tokens.length ? tokens[startIndex + 1].toLowerCase() : '';
+    const hasPeriod = periodToken === 'am' || periodToken === 'pm';
+    
+    // HH:mm format (24-hour), unless "am"/"pm" follows ("3:00 pm")
+    if (/^\d{1,2}:\d{2}$/.test(token) && !hasPeriod) {
       const [hour, minute] = token.split(':').map(Number);
       if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
         throw new Error(`Invalid time: ${token}`);
@@ -232,164 +660,277 @@ class NaturalLanguageParser {
       return { time: { hour, minute }, nextIndex: startIndex + 1 };
     }
     
-    // 3pm, 2:30am format
-    const timeMatch = token.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/i);
+    // 3pm, 2:30am format (also "3 pm" as two tokens)
+    let timeText = token;
+    let nextIndex = startIndex + 1;
+    if (/^\d{1,2}(?::\d{2})?$/.test(token) && hasPeriod) {
+      timeText = `${token}${periodToken}`;
+      nextIndex = startIndex + 2;
+    }
+    
+    const timeMatch = timeText.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)$/i);
     if (timeMatch) {
       let [, hour, minute = '00', period] = timeMatch;
       hour = parseInt(hour);
       minute = parseInt(minute);
       
+      if (hour < 1 || hour > 12 || minute < 0 || minute > 59) {
+        throw new Error(`Invalid time: ${timeText}`);
+      }
+      
       if (period.toLowerCase() === 'pm' && hour !== 12) {
         hour += 12;
       } else if (period.toLowerCase() === 'am' && hour === 12) {
         hour = 0;
       }
       
-      if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-        throw new Error(`Invalid time: ${token}`);
-      }
-      
-      return { time: { hour, minute }, nextIndex: startIndex + 1 };
+      return { time: { hour, minute }, nextIndex };
     }
     
     throw new Error(`Invalid time format: ${token}`);
   }
   
-  // Parse recurrence from tokens
+  // Parse recurrence from tokens into an RRULE string. Understands daily/weekly/biweekly/monthly/yearly,
+  // "every 3 days", "every other week", "every mon/wed/fri", "weekdays", "first Sunday of every month",
+  // "15th of every month", optionally followed by "for 10 times" or "until Dec 31".
   parseRecurrence(tokens, startIndex) {
+    const none = { recurrence: null, nextIndex: startIndex };
     if (startIndex >= tokens.length) {
-      return { recurrence: null, nextIndex: startIndex };
+      return none;
     }
     
     const token = tokens[startIndex].toLowerCase();
     
-    // "weekly"
-    if (token === 'weekly') {
-      return { 
-        recurrence: JSON.stringify({ type: 'weekly' }), 
-        nextIndex: startIndex + 1 
-      };
+    // Chinese recurrence token ("每週三", "每個月第一個星期六")
+    if (this.isChinese(token)) {
+      const { recurrence: rule, match } = this.parseChineseRecurrence(tokens[startIndex]);
+      if (rule && match === tokens[startIndex]) {
+        return { recurrence: rule, nextIndex: startIndex + 1 };
+      }
+      return none;
+    }
+    
+    const parsed = this.parseRecurrenceRule(tokens, startIndex);
+    if (!parsed) {
+      return none;
+    }
+    
+    const { options, nextIndex } = parsed;
+    const end = this.parseRecurrenceEnd(tokens, nextIndex);
+    if (end) {
+      Object.assign(options, end.options);
+    }
+    
+    return {
+      recurrence: this.recurrence.stringify(options),
+      nextIndex: end ? end.nextIndex : nextIndex
+    };
+  }
+  
+  // Parse the repeating part of a recurrence; returns { options, nextIndex } or null
+  parseRecurrenceRule(tokens, startIndex) {
+    const word = (offset) => (tokens[startIndex + offset] || '').toLowerCase().replace(/,$/, '');
+    const units = {
+      'day': 'DAILY', 'days': 'DAILY',
+      'week': 'WEEKLY', 'weeks': 'WEEKLY',
+      'month': 'MONTHLY', 'months': 'MONTHLY',
+      'year': 'YEARLY', 'years': 'YEARLY'
+    };
+    const simple = { 'daily': 'DAILY', 'everyday': 'DAILY', 'weekly': 'WEEKLY', 'monthly': 'MONTHLY', 'yearly': 'YEARLY', 'annually': 'YEARLY' };
+    const token = word(0);
+    
+    // "weekdays", "every weekday", "weekends"
+    const weekdaySets = { 'weekdays': [1, 2, 3, 4, 5], 'weekday': [1, 2, 3, 4, 5], 'weekends': [0, 6], 'weekend': [0, 6] };
+    if (['weekdays', 'weekends'].includes(token)) {
+      return { options: { freq: 'WEEKLY', byDay: weekdaySets[token].map(day => ({ day, n: null })) }, nextIndex: startIndex + 1 };
+    }
+    if (token === 'every' && weekdaySets.hasOwnProperty(word(1))) {
+      return { options: { freq: 'WEEKLY', byDay: weekdaySets[word(1)].map(day => ({ day, n: null })) }, nextIndex: startIndex + 2 };
     }
     
-    // "biweekly"
+    // "biweekly [monday]"
     if (token === 'biweekly') {
-      let dayOfWeek = 'monday'; // default
-      
-      // Check for optional day specification
-      if (startIndex + 1 < tokens.length) {
-        const nextToken = tokens[startIndex + 1].toLowerCase();
-        if (this.weekdays.hasOwnProperty(nextToken)) {
-          dayOfWeek = nextToken;
-          return { 
-            recurrence: JSON.stringify({ type: 'biweekly', dayOfWeek }), 
-            nextIndex: startIndex + 2 
-          };
-        }
-      }
-      
-      return { 
-        recurrence: JSON.stringify({ type: 'biweekly', dayOfWeek }), 
-        nextIndex: startIndex + 1 
+      const days = this.parseWeekdayList(tokens, startIndex + 1);
+      return {
+        options: { freq: 'WEEKLY', interval: 2, byDay: days ? days.byDay : [] },
+        nextIndex: days ? days.nextIndex : startIndex + 1
       };
     }
     
-    // Check for "monthly first Saturday" pattern first (before generic "monthly")
-    if (token === 'monthly' && startIndex + 2 < tokens.length) {
-      const nextToken = tokens[startIndex + 1].toLowerCase();
-      const thirdToken = tokens[startIndex + 2].toLowerCase();
-      
-      if (this.ordinals.hasOwnProperty(nextToken) && this.weekdays.hasOwnProperty(thirdToken)) {
-        const ordinal = this.ordinals[nextToken];
-        const weekday = thirdToken;
-        
-        return { 
-          recurrence: JSON.stringify({ 
-            type: 'monthly', 
-            weekdayOfMonth: { week: this.getOrdinalName(ordinal), day: weekday } 
-          }), 
-          nextIndex: startIndex + 3 
-        };
+    // "monthly first Saturday"
+    if (token === 'monthly' && this.ordinals.hasOwnProperty(word(1)) && this.weekdays.hasOwnProperty(word(2))) {
+      return {
+        options: { freq: 'MONTHLY', byDay: [{ day: this.weekdays[word(2)], n: this.ordinals[word(1)] }] },
+        nextIndex: startIndex + 3
+      };
+    }
+    
+    // "daily", "weekly [on monday]", "monthly [on the 5th]", "yearly"
+    if (simple.hasOwnProperty(token)) {
+      const options = { freq: simple[token] };
+      return { options, nextIndex: this.parseRecurrenceDays(tokens, startIndex + 1, options) };
+    }
+    
+    // "first Sunday of every month", "last Friday of the month", "first Saturday monthly"
+    if (this.ordinals.hasOwnProperty(token) && this.weekdays.hasOwnProperty(word(1))) {
+      const byDay = [{ day: this.weekdays[word(1)], n: this.ordinals[token] }];
+      if (word(2) === 'monthly') {
+        return { options: { freq: 'MONTHLY', byDay }, nextIndex: startIndex + 3 };
       }
+      if (word(2) === 'of' && ['every', 'the', 'each'].includes(word(3)) && word(4) === 'month') {
+        return { options: { freq: 'MONTHLY', byDay }, nextIndex: startIndex + 5 };
+      }
+      return null;
     }
     
-    // "monthly" (generic)
-    if (token === 'monthly') {
-      return { 
-        recurrence: JSON.stringify({ type: 'monthly' }), 
-        nextIndex: startIndex + 1 
-      };
+    // "15th of every month", "the 15th of each month"
+    const dayIndex = token === 'the' ? 1 : 0;
+    const dayMatch = word(dayIndex).match(/^(\d{1,2})(?:st|nd|rd|th)$/);
+    if (dayMatch && word(dayIndex + 1) === 'of' && ['every', 'each'].includes(word(dayIndex + 2)) && word(dayIndex + 3) === 'month') {
+      const day = parseInt(dayMatch[1]);
+      if (day < 1 || day > 31) {
+        return null;
+      }
+      return { options: { freq: 'MONTHLY', byMonthDay: [day] }, nextIndex: startIndex + dayIndex + 4 };
     }
     
-    // "first Sunday of every month", "second Monday of every month", etc.
-    if (this.ordinals.hasOwnProperty(token) && startIndex + 3 < tokens.length) {
-      const ordinal = this.ordinals[token];
-      const weekday = tokens[startIndex + 1].toLowerCase();
-      const ofToken = tokens[startIndex + 2].toLowerCase();
-      const everyToken = tokens[startIndex + 3].toLowerCase();
-      const monthToken = tokens[startIndex + 4] ? tokens[startIndex + 4].toLowerCase() : '';
-      
-      if (this.weekdays.hasOwnProperty(weekday) && 
-          ofToken === 'of' && 
-          everyToken === 'every' && 
-          monthToken === 'month') {
-        
-        return { 
-          recurrence: JSON.stringify({ 
-            type: 'monthly', 
-            weekdayOfMonth: { week: this.getOrdinalName(ordinal), day: weekday } 
-          }), 
-          nextIndex: startIndex + 5 
-        };
+    if (token !== 'every') {
+      return null;
+    }
+    
+    // "every 3 days", "every other week", "every 2 weeks on monday", "every month", "every day"
+    let interval = 1;
+    let unitIndex = startIndex + 1;
+    if (/^\d+$/.test(word(1))) {
+      interval = parseInt(word(1));
+      unitIndex++;
+    } else if (word(1) === 'other') {
+      interval = 2;
+      unitIndex++;
+    }
+    
+    const unit = (tokens[unitIndex] || '').toLowerCase().replace(/,$/, '');
+    if (units.hasOwnProperty(unit)) {
+      if (interval < 1 || interval > 1000) {
+        return null;
+      }
+      const options = { freq: units[unit], interval };
+      return { options, nextIndex: this.parseRecurrenceDays(tokens, unitIndex + 1, options) };
+    }
+    
+    // "every monday", "every mon/wed/fri", "every monday, wednesday and friday"
+    if (interval === 1) {
+      const days = this.parseWeekdayList(tokens, startIndex + 1);
+      if (days) {
+        return { options: { freq: 'WEEKLY', byDay: days.byDay }, nextIndex: days.nextIndex };
+      }
+    }
+    
+    return null;
+  }
+  
+  // Parse the days a weekly or monthly recurrence falls on ("on monday", "on the 5th");
+  // fills in options and returns the index after them
+  parseRecurrenceDays(tokens, startIndex, options) {
+    let index = startIndex;
+    if ((tokens[index] || '').toLowerCase() === 'on') {
+      index++;
+    }
+    
+    if (options.freq === 'WEEKLY') {
+      const days = this.parseWeekdayList(tokens, index);
+      if (days) {
+        options.byDay = days.byDay;
+        return days.nextIndex;
+      }
+    }
+    
+    if (options.freq === 'MONTHLY') {
+      const dayIndex = (tokens[index] || '').toLowerCase() === 'the' ? index + 1 : index;
+      const dayMatch = (tokens[dayIndex] || '').toLowerCase().match(/^(\d{1,2})(?:st|nd|rd|th)$/);
+      if (dayMatch && parseInt(dayMatch[1]) >= 1 && parseInt(dayMatch[1]) <= 31) {
+        options.byMonthDay = [parseInt(dayMatch[1])];
+        return dayIndex + 1;
       }
     }
     
-    // Handle "monthly first Saturday" format (without "of every month")
-    if (startIndex + 2 < tokens.length) {
-      const nextToken = tokens[startIndex + 1].toLowerCase();
-      const thirdToken = tokens[startIndex + 2].toLowerCase();
+    return startIndex;
+  }
+  
+  // Parse a list of weekdays: "monday", "mon/wed/fri", "mon,wed", "monday, wednesday and friday"
+  parseWeekdayList(tokens, startIndex) {
+    const days = [];
+    let index = startIndex;
+    
+    while (index < tokens.length) {
+      const token = tokens[index].toLowerCase();
+      if (token === 'and' && days.length > 0) {
+        index++;
+        continue;
+      }
       
-      if (nextToken === 'monthly' && this.ordinals.hasOwnProperty(thirdToken) && startIndex + 3 < tokens.length) {
-        const ordinal = this.ordinals[thirdToken];
-        const weekday = tokens[startIndex + 3].toLowerCase();
-        
-        if (this.weekdays.hasOwnProperty(weekday)) {
-          return { 
-            recurrence: JSON.stringify({ 
-              type: 'monthly', 
-              weekdayOfMonth: { week: this.getOrdinalName(ordinal), day: weekday } 
-            }), 
-            nextIndex: startIndex + 4 
-          };
+      const names = token.split(/[\/,]/).filter(Boolean);
+      if (names.length === 0 || !names.every(name => this.weekdays.hasOwnProperty(name))) {
+        break;
+      }
+      
+      for (const name of names) {
+        if (!days.includes(this.weekdays[name])) {
+          days.push(this.weekdays[name]);
         }
       }
+      index++;
+    }
+    
+    // A trailing "and" belongs to whatever follows
+    while (index > startIndex && tokens[index - 1].toLowerCase() === 'and') {
+      index--;
     }
     
+    if (days.length === 0) {
+      return null;
+    }
     
-    // Handle "first Saturday monthly" format (alternative order)
-    if (this.ordinals.hasOwnProperty(token) && startIndex + 2 < tokens.length) {
-      const weekday = tokens[startIndex + 1].toLowerCase();
-      const monthlyToken = tokens[startIndex + 2].toLowerCase();
-      
-      if (this.weekdays.hasOwnProperty(weekday) && monthlyToken === 'monthly') {
-        const ordinal = this.ordinals[token];
-        return { 
-          recurrence: JSON.stringify({ 
-            type: 'monthly', 
-            weekdayOfMonth: { week: this.getOrdinalName(ordinal), day: weekday } 
-          }), 
-          nextIndex: startIndex + 3 
-        };
+    return { byDay: days.sort().map(day => ({ day, n: null })), nextIndex: index };
+  }
+  
+  // Parse an end condition: "for 10 times", "10 times", "until Dec 31", "until 2026-12-31"
+  parseRecurrenceEnd(tokens, startIndex) {
+    const word = (offset) => (tokens[startIndex + offset] || '').toLowerCase();
+    
+    const countIndex = word(0) === 'for' ? 1 : 0;
+    if (/^\d+$/.test(word(countIndex)) && ['times', 'time', 'occurrences'].includes(word(countIndex + 1))) {
+      const count = parseInt(word(countIndex));
+      if (count < 1) {
+        throw new Error('Number of repetitions must be at least 1');
       }
+      return { options: { count }, nextIndex: startIndex + countIndex + 2 };
+    }
+    
+    if (word(0) === 'until' && startIndex + 1 < tokens.length) {
+      const { date, nextIndex } = this.parseDate(tokens, startIndex + 1);
+      return { options: { until: date.clone().endOf('day') }, nextIndex };
     }
     
-    // No valid recurrence found
-    return { recurrence: null, nextIndex: startIndex };
+    return null;
+  }
+  
+  // Check whether tokens at the index start a recurrence ("every ...", "daily", "weekdays")
+  isRecurrenceStart(tokens, startIndex) {
+    try {
+      return !this.isChinese(tokens[startIndex]) && this.parseRecurrenceRule(tokens, startIndex) !== null;
+    } catch (error) {
+      return false;
+    }
   }
   
-  // Get ordinal name from number
-  getOrdinalName(num) {
-    const names = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth' };
-    return names[num] || 'first';
+  // First occurrence of a recurrence rule at the given time, on or after the given date
+  // (or after now when there is no date)
+  getFirstOccurrence(rule, date, time) {
+    const now = moment().tz(this.timezone);
+    const start = this.combineDateTimeMoment(date || now, time);
+    const threshold = date ? start.clone().subtract(1, 'millisecond') : now;
+    return this.recurrence.next(rule, start, threshold);
   }
   
   // Combine date and time into ISO string with timezone offset
@@ -402,22 +943,35 @@ class NaturalLanguageParser {
       .format('YYYY-MM-DDTHH:mm:ss.SSSZ');
   }
 
+  // Combine date and time into a moment
+  combineDateTimeMoment(date, time) {
+    return date.clone()
+      .hour(time.hour)
+      .minute(time.minute)
+      .second(0)
+      .millisecond(0);
+  }
+
   // Parse update command
   parseUpdateCommand(message) {
     if (!message || typeof message !== 'string') {
       throw new Error('Message must be a non-empty string');
     }
+
+    if (message.trim().startsWith('更新')) {
+      return this.parseChineseUpdateCommand(message);
+    }
     
-    const text = message.toLowerCase().trim();
+    const text = message.trim();
     
     // Validate message length
     if (text.length > 1000) {
       throw new Error('Message too long. Please keep commands under 1000 characters.');
     }
     
-    // Extract task identifier (title or ID)
-    const titleMatch = text.match(/update\s+"([^"]+)"/);
-    const idMatch = text.match(/update\s+(\d+)/);
+    // Extract task identifier (title or code)
+    const titleMatch = text.match(/update\s+"([^"]+)"/i);
+    const codeMatch = text.match(/update\s+([a-z]\d[a-z0-9]{1,3})(?![a-z0-9])/i);
     
     let identifier;
     if (titleMatch) {
@@ -429,57 +983,75 @@ class NaturalLanguageParser {
         throw new Error('Task title must be 200 characters or less');
       }
       identifier = { type: 'title', value: title.trim() };
-    } else if (idMatch) {
-      const id = parseInt(idMatch[1]);
-      if (isNaN(id) || id < 1) {
-        throw new Error('Task ID must be a positive number');
-      }
-      identifier = { type: 'displayId', value: id };
+    } else if (codeMatch) {
+      identifier = { type: 'code', value: taskCodes.normalize(codeMatch[1]) };
     } else {
-      throw new Error('Please provide a task title in quotes or task ID, e.g., update "Gym session" or update 1');
+      throw new Error('Please provide a task title in quotes or task code, e.g., update "Gym session" or update T7K');
     }
     
-    const remainingText = text.replace(/update\s+(?:"[^"]+"|[a-f0-9-]+)\s*/, '').trim();
+    const reminder = this.extractReminderOffsets(text.replace(/update\s+(?:"[^"]+"|[a-z0-9]+)\s*/i, ''));
+    let remainingText = reminder.text.trim();
     
     // Parse what to update
     const updates = {};
-    
-    // Parse title updates
-    const titleUpdateMatch = remainingText.match(/title\s+"([^"]+)"/);
-    if (titleUpdateMatch) {
-      updates.title = titleUpdateMatch[1].trim();
+
+    // Parse reminder offsets ("remind 15m, 1h before", "remind default", "no reminders")
+    if (reminder.reminderOffsets !== undefined) {
+      updates.reminder_offsets = reminder.reminderOffsets;
     }
-    
-    // Parse description updates
-    const descMatch = remainingText.match(/description\s+"([^"]+)"/);
-    if (descMatch) {
-      updates.description = descMatch[1].trim();
+
+    // Parse tag updates ("tags #work #home", "tags none"); taken out so "#todo" isn't read as a time
+    const tagsMatch = remainingText.match(/(?:^|\s)tags\s+(none|#\S+(?:\s+#\S+)*)/i);
+    if (tagsMatch) {
+      updates.tags = this.parseTagList(tagsMatch[1]);
+      remainingText = remainingText.replace(tagsMatch[0], ' ').trim();
+    }
+
+    // Parse priority updates ("!1", "priority low", "high priority")
+    const prioritized = taskPriority.extract(remainingText);
+    if (prioritized.priority) {
+      updates.priority = prioritized.priority;
+      remainingText = prioritized.text;
     }
     
-    // Parse notes updates
-    const notesMatch = remainingText.match(/notes\s+"([^"]+)"/);
-    if (notesMatch) {
-      updates.notes = notesMatch[1].trim();
+    // Parse title, description and notes updates, keeping their case; taken out so their words
+    // aren't read as a time
+    for (const field of ['title', 'description', 'notes']) {
+      const fieldMatch = remainingText.match(new RegExp(`(?:^|\\s)${field}\\s+"([^"]+)"`, 'i'));
+      if (fieldMatch) {
+        updates[field] = fieldMatch[1].trim();
+        remainingText = remainingText.replace(fieldMatch[0], ' ');
+      }
     }
+    remainingText = remainingText.replace(/\s+/g, ' ').trim();
     
-    // Parse time and recurrence updates
-    if (remainingText.includes('to ')) {
-      const timeText = remainingText.replace('to ', '').trim();
-      const { scheduledTime, recurrencePattern, isSpecial } = this.parseTimeAndRecurrence(timeText);
+    // Parse time and recurrence updates with the grammar of "add" ("to friday 9am", "to oct 30",
+    // "to 3pm", "to every monday 7am")
+    const timeMatch = remainingText.match(/(?:^|\s)to\s+(.+)$/i);
+    if (timeMatch) {
+      const tokens = timeMatch[1].split(/\s+/);
+      const { scheduledTime, recurrenceRule, isSpecial } = this.parseScheduleTokens(tokens, 0, [], { timeOnly: true });
       
-      if (scheduledTime) updates.scheduled_time = scheduledTime;
-      if (recurrencePattern) updates.recurrence_pattern = recurrencePattern;
-      if (isSpecial !== undefined) updates.is_special = isSpecial;
+      updates.scheduled_time = scheduledTime;
+      if (recurrenceRule) updates.recurrence_rule = recurrenceRule;
+      // A new time alone leaves the priority as it is
+      if (isSpecial) updates.is_special = true;
+      remainingText = remainingText.substring(0, timeMatch.index).trim();
     }
     
     // Parse special flag
-    if (remainingText.includes('special')) {
+    if (/\bspecial\b/i.test(remainingText)) {
       updates.is_special = true;
     }
     
+    // Parse recurrence without a new time ("update T7K recurring every mon/wed/fri")
+    if (!updates.recurrence_rule) {
+      const recurrenceRule = this.parseRecurrenceLegacy(remainingText);
+      if (recurrenceRule) updates.recurrence_rule = recurrenceRule;
+    }
+    
     // Parse recurring flag
-    if (remainingText.includes('recurring') || remainingText.includes('weekly') || 
-        remainingText.includes('biweekly') || remainingText.includes('monthly')) {
+    if (updates.recurrence_rule || /\brecurring\b/i.test(remainingText)) {
       updates.is_recurring = true;
     }
     
@@ -489,11 +1061,40 @@ class NaturalLanguageParser {
     };
   }
 
+  // Find a reminder clause in a command and return its offsets (minutes before the task) and the
+  // text without it. reminderOffsets is undefined when there is no clause and null for "remind default".
+  extractReminderOffsets(text) {
+    const clauses = [
+      { pattern: /\bremind(?:\s+me)?\s+(?:default|as usual)\b/i, offsets: () => null },
+      { pattern: /\b(?:remind(?:\s+me)?\s+(?:none|never|off)|no\s+reminders?)\b/i, offsets: () => [] },
+      { pattern: /\bremind(?:\s+me)?\s+(.+?)\s+before\b/i, offsets: (match) => reminderOffsets.parseList(match[1]) },
+      { pattern: /預設提醒/, offsets: () => null },
+      { pattern: /不(?:要)?提醒/, offsets: () => [] },
+      { pattern: /提前\s*(.+?)\s*提醒/, offsets: (match) => reminderOffsets.parseList(match[1]) }
+    ];
+
+    for (const clause of clauses) {
+      const match = text.match(clause.pattern);
+      if (match) {
+        return {
+          reminderOffsets: clause.offsets(match),
+          text: text.replace(match[0], ' ').replace(/\s+/g, ' ')
+        };
+      }
+    }
+
+    return { reminderOffsets: undefined, text };
+  }
+
   // Parse delete command
   parseDeleteCommand(message) {
     if (!message || typeof message !== 'string') {
       throw new Error('Message must be a non-empty string');
     }
+
+    if (message.trim().startsWith('刪除')) {
+      return this.parseChineseTaskIdentifier(message, '刪除');
+    }
     
     const text = message.toLowerCase().trim();
     
@@ -503,7 +1104,7 @@ class NaturalLanguageParser {
     }
     
     const titleMatch = text.match(/delete\s+"([^"]+)"/);
-    const idMatch = text.match(/delete\s+(\d+)/);
+    const codeMatch = text.match(/delete\s+([a-z]\d[a-z0-9]{1,3})(?![a-z0-9])/);
     
     if (titleMatch) {
       const title = titleMatch[1];
@@ -514,180 +1115,669 @@ class NaturalLanguageParser {
         throw new Error('Task title must be 200 characters or less');
       }
       return { type: 'title', value: title.trim() };
-    } else if (idMatch) {
-      const id = parseInt(idMatch[1]);
-      if (isNaN(id) || id < 1) {
-        throw new Error('Task ID must be a positive number');
+    } else if (codeMatch) {
+      return { type: 'code', value: taskCodes.normalize(codeMatch[1]) };
+    } else {
+      throw new Error('Please provide a task title in quotes or task code, e.g., delete "Gym session" or delete T7K');
+    }
+  }
+
+  // Parse done command
+  parseDoneCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    if (message.trim().startsWith('完成')) {
+      return this.parseChineseTaskIdentifier(message, '完成');
+    }
+
+    const text = message.toLowerCase().trim();
+
+    // Validate message length
+    if (text.length > 1000) {
+      throw new Error('Message too long. Please keep commands under 1000 characters.');
+    }
+
+    const titleMatch = text.match(/done\s+"([^"]+)"/);
+    const codeMatch = text.match(/done\s+([a-z]\d[a-z0-9]{1,3})(?![a-z0-9])/);
+
+    if (titleMatch) {
+      const title = titleMatch[1];
+      if (!title || title.trim().length === 0) {
+        throw new Error('Task title cannot be empty');
       }
-      return { type: 'displayId', value: id };
+      if (title.length > 200) {
+        throw new Error('Task title must be 200 characters or less');
+      }
+      return { type: 'title', value: title.trim() };
+    } else if (codeMatch) {
+      return { type: 'code', value: taskCodes.normalize(codeMatch[1]) };
     } else {
-      throw new Error('Please provide a task title in quotes or task ID, e.g., delete "Gym session" or delete 1');
+      throw new Error('Please provide a task title in quotes or task code, e.g., done "Gym session" or done T7K');
     }
   }
 
-  // Parse time and recurrence from text (legacy method for update commands)
-  parseTimeAndRecurrence(text) {
-    let scheduledTime = null;
-    let recurrencePattern = null;
-    let isSpecial = false;
+  // Parse the task reference at the start of a command: update/skip/move "Title" or a task code.
+  // Returns the identifier and the remaining tokens.
+  parseTaskReference(message, keyword) {
+    const text = message.trim().substring(keyword.length).trim();
 
-    // Check for special flag
-    if (text.includes('special')) {
-      isSpecial = true;
-      text = text.replace(/\bspecial\b/g, '').trim();
+    const titleMatch = text.match(/^"([^"]+)"/);
+    const codeMatch = taskCodes.matchLeading(text);
+
+    let identifier;
+    let rest;
+    if (titleMatch) {
+      const title = titleMatch[1].trim();
+      if (!title) {
+        throw new Error('Task title cannot be empty');
+      }
+      if (title.length > 200) {
+        throw new Error('Task title must be 200 characters or less');
+      }
+      identifier = { type: 'title', value: title };
+      rest = text.substring(titleMatch[0].length);
+    } else if (codeMatch) {
+      identifier = { type: 'code', value: codeMatch.code };
+      rest = codeMatch.rest;
+    } else {
+      throw new Error(`Please provide a task title in quotes or task code, e.g., ${keyword} "Gym session" or ${keyword} T7K`);
     }
 
-    // Parse time
-    scheduledTime = this.parseTimeLegacy(text);
-    
-    // Parse recurrence
-    recurrencePattern = this.parseRecurrenceLegacy(text);
+    return { identifier, tokens: rest.trim().split(/\s+/).filter(Boolean) };
+  }
+
+  // Parse an optional occurrence date ("friday", "on oct 30", "this friday"); null when absent
+  parseOccurrenceDate(tokens, startIndex) {
+    let index = startIndex;
+    if ((tokens[index] || '').toLowerCase() === 'on') {
+      index++;
+    }
+    if (index >= tokens.length) {
+      return { date: null, nextIndex: startIndex };
+    }
+    const { date, nextIndex } = this.parseDate(tokens, index);
+    return { date, nextIndex };
+  }
+
+  // Parse skip command: skip T7K, skip "Gym" friday, skip T7K on oct 30
+  parseSkipCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
 
-    return { scheduledTime, recurrencePattern, isSpecial };
+    if (message.trim().startsWith('跳過')) {
+      return this.parseChineseSkipCommand(message);
+    }
+
+    const { identifier, tokens } = this.parseTaskReference(message, 'skip');
+    const { date, nextIndex } = this.parseOccurrenceDate(tokens, 0);
+
+    if (nextIndex < tokens.length) {
+      throw new Error(`Could not understand "${tokens.slice(nextIndex).join(' ')}". Try e.g. skip T7K or skip T7K friday`);
+    }
+
+    return { identifier, occurrenceDate: date };
   }
 
-  // Parse time from text (legacy method for update commands)
-  parseTimeLegacy(text) {
-    const now = moment().tz(this.timezone);
-    
-    // Handle relative times
-    if (text.includes('tomorrow')) {
-      const tomorrow = now.clone().add(1, 'day');
-      const timeMatch = text.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-      if (timeMatch) {
-        const [, hour, minute = '00', period] = timeMatch;
-        const time = this.parseTimeString(`${hour}:${minute} ${period || 'am'}`);
-        return tomorrow.clone().hour(time.hour).minute(time.minute).second(0).format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+  // Parse move command: move T7K to friday 18:00, move "Team meeting" thursday to friday 10am
+  parseMoveCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    if (/^(移動|改期)/.test(message.trim())) {
+      return this.parseChineseMoveCommand(message);
+    }
+
+    const { identifier, tokens } = this.parseTaskReference(message, 'move');
+    const toIndex = tokens.findIndex(token => token.toLowerCase() === 'to');
+    if (toIndex === -1 || toIndex === tokens.length - 1) {
+      throw new Error('Please say where to move it, e.g. move T7K to friday 18:00');
+    }
+
+    // Which occurrence (optional, defaults to the next one)
+    const from = this.parseOccurrenceDate(tokens.slice(0, toIndex), 0);
+    if (from.nextIndex < toIndex) {
+      throw new Error(`Could not understand "${tokens.slice(from.nextIndex, toIndex).join(' ')}"`);
+    }
+
+    // Where it goes: checked here, resolved from the occurrence once it is known (parseMoveTarget)
+    const target = tokens.slice(toIndex + 1).join(' ');
+    this.parseMoveTarget(target);
+
+    return { identifier, occurrenceDate: from.date, target };
+  }
+
+  // Parse where a "move" goes ("friday 18:00", "週五下午6點") into { date, time }; either may be
+  // null, keeping the occurrence's. Relative dates count from now(): parse with
+  // relativeTo(occurrence) to count from the occurrence being moved.
+  parseMoveTarget(text) {
+    if (this.isChinese(text)) {
+      const target = this.parseChineseDateTime(text);
+      if ((!target.date && !target.time) || target.remaining.trim()) {
+        throw new Error(this.describeChineseParseFailure(`無法理解的時間：${text.trim()}`, target.understood));
       }
-      return tomorrow.clone().hour(9).minute(0).second(0).format('YYYY-MM-DDTHH:mm:ss.SSSZ'); // Default to 9 AM
+      return { date: target.date, time: target.time };
     }
 
-    if (text.includes('today')) {
-      const timeMatch = text.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-      if (timeMatch) {
-        const [, hour, minute = '00', period] = timeMatch;
-        const time = this.parseTimeString(`${hour}:${minute} ${period || 'am'}`);
-        return now.clone().hour(time.hour).minute(time.minute).second(0).format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+    // New date, with an optional time (keeps the occurrence's time otherwise)
+    const target = text.split(/\s+/).filter(Boolean);
+    let date;
+    let time = null;
+    let index = 0;
+    if (this.isTimeStart(target, 0) && !this.isDateToken(target[0])) {
+      date = null;
+    } else {
+      const parsedDate = this.parseDate(target, 0);
+      date = parsedDate.date;
+      index = parsedDate.nextIndex;
+      if (parsedDate.fixedTime || parsedDate.time) {
+        time = parsedDate.time;
       }
     }
+    if (this.isTimeStart(target, index)) {
+      const parsedTime = this.parseTime(target, index);
+      time = parsedTime.time;
+      index = parsedTime.nextIndex;
+    }
+    if (index < target.length) {
+      throw new Error(`Could not understand "${target.slice(index).join(' ')}". Try e.g. move T7K to friday 18:00`);
+    }
+    if (!date && !time) {
+      throw new Error('Please say where to move it, e.g. move T7K to friday 18:00');
+    }
 
-    // Handle specific dates
-    const dateMatch = text.match(/(\w+)\s+(\d{1,2})(?:st|nd|rd|th)?/);
-    if (dateMatch) {
-      const [, monthName, day] = dateMatch;
-      const month = this.getMonthNumber(monthName);
-      if (month !== -1) {
-        const year = now.year();
-        const date = moment.tz([year, month, day], this.timezone);
-        if (date.isBefore(now)) {
-          date.add(1, 'year');
+    return { date, time };
+  }
+
+  // Parse cancel series command: cancel series T7K, cancel series "Gym"
+  parseCancelSeriesCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const chineseMatch = message.trim().match(/^(取消重複|取消系列)/);
+    if (chineseMatch) {
+      return this.parseChineseTaskIdentifier(message, chineseMatch[1]);
+    }
+
+    const { identifier, tokens } = this.parseTaskReference(message.trim().replace(/^cancel\s+series/i, 'cancel'), 'cancel');
+    if (tokens.length > 0) {
+      throw new Error(`Could not understand "${tokens.join(' ')}". Try e.g. cancel series T7K`);
+    }
+
+    return identifier;
+  }
+
+  // Parse checklist commands: check T7K.2, uncheck T7K.2, add item T7K passport, charger,
+  // remove item T7K.3, items T7K (勾選, 取消勾選, 新增項目, 刪除項目, 項目).
+  // Returns { action: 'check'|'uncheck'|'add'|'remove'|'show', identifier, positions, items }.
+  parseChecklistCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const commands = [
+      { pattern: /^add\s+items?(?![a-z])/i, keyword: 'add item', action: 'add' },
+      { pattern: /^(?:remove|delete)\s+items?(?![a-z])/i, keyword: 'remove item', action: 'remove' },
+      { pattern: /^uncheck(?![a-z])/i, keyword: 'uncheck', action: 'uncheck' },
+      { pattern: /^check(?![a-z])/i, keyword: 'check', action: 'check' },
+      { pattern: /^(?:items|checklist)(?![a-z])/i, keyword: 'items', action: 'show' },
+      { pattern: /^新增項目/, keyword: '新增項目', action: 'add', chinese: true },
+      { pattern: /^刪除項目/, keyword: '刪除項目', action: 'remove', chinese: true },
+      { pattern: /^取消勾選/, keyword: '取消勾選', action: 'uncheck', chinese: true },
+      { pattern: /^勾選/, keyword: '勾選', action: 'check', chinese: true },
+      { pattern: /^項目/, keyword: '項目', action: 'show', chinese: true }
+    ];
+
+    const text = message.trim();
+    const command = commands.find(({ pattern }) => pattern.test(text));
+    if (!command) {
+      throw new Error('Not a checklist command');
+    }
+
+    // The same command with its keyword written the one way the reference parsers expect
+    const normalized = command.keyword + text.replace(command.pattern, '');
+    let identifier;
+    let rest;
+    if (command.chinese) {
+      ({ identifier, rest } = this.parseChineseTaskReference(normalized, command.keyword));
+    } else {
+      const reference = this.parseTaskReference(normalized, command.keyword);
+      identifier = reference.identifier;
+      rest = reference.tokens.join(' ');
+    }
+
+    switch (command.action) {
+      case 'show':
+        if (rest) {
+          throw new Error(command.chinese ? `無法理解：${rest}。例如：項目 T7K` : `Could not understand "${rest}". Try e.g. items T7K`);
         }
-        
-        const timeMatch = text.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-        if (timeMatch) {
-          const [, hour, minute = '00', period] = timeMatch;
-          const time = this.parseTimeString(`${hour}:${minute} ${period || 'am'}`);
-          return date.clone().hour(time.hour).minute(time.minute).second(0).format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+        return { action: 'show', identifier };
+
+      case 'add': {
+        const items = rest ? taskItems.split(rest) : [];
+        if (items.length === 0) {
+          throw new Error(command.chinese
+            ? '要加入哪些項目呢？例如：新增項目 T7K 護照、充電器'
+            : 'What should I add? Try e.g. add item T7K passport, charger');
         }
-        return date.clone().hour(9).minute(0).second(0).format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+        return { action: 'add', identifier, items };
+      }
+
+      default: {
+        // "T7K.2", "T7K 2" or "T7K.1.3": the item numbers after the task
+        const numbers = rest.replace(/^\./, '').split(/[\s.,，、]+/).filter(Boolean);
+        if (numbers.length === 0 || !numbers.every(number => /^\d{1,3}$/.test(number) && parseInt(number) > 0)) {
+          throw new Error(command.chinese
+            ? `請提供項目編號，例如：${command.keyword} T7K.2`
+            : `Please give the item number, e.g. ${command.keyword} T7K.2`);
+        }
+        return { action: command.action, identifier, positions: [...new Set(numbers.map(number => parseInt(number)))] };
       }
     }
+  }
 
-    // Handle time only (assume today or next occurrence)
-    const timeMatch = text.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (timeMatch) {
-      const [, hour, minute = '00', period] = timeMatch;
-      const time = this.parseTimeString(`${hour}:${minute} ${period || 'am'}`);
-      const today = now.clone().hour(time.hour).minute(time.minute).second(0);
-      
-      if (today.isBefore(now)) {
-        return today.add(1, 'day').format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+  // Parse find command: find dentist, find "team meeting" special:yes, 搜尋 健身 重複:是
+  parseFindCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const text = message.trim().replace(/^(?:find|search|搜尋|尋找)\s*/i, '');
+    const query = this.parseSearchQuery(text);
+
+    if (query.terms.length === 0 && Object.keys(query.filters).length === 0) {
+      throw new Error(this.isChinese(message)
+        ? '要找什麼呢？例如：搜尋 健身、搜尋 開會 重要:是、搜尋 牙醫 之前:2026-11-01'
+        : 'What should I look for? Try e.g. find dentist, find meeting special:yes or find gym before:2026-11-01');
+    }
+
+    return query;
+  }
+
+  // Parse a tagged list command: list #work #urgent, 列表 #工作. Returns { tags }.
+  parseListCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const { tags, text } = taskTags.extract(message.trim());
+    if (tags.length === 0 || !/^(?:list|列表|清單)$/i.test(text)) {
+      throw new Error(this.isChinese(message)
+        ? '請用 # 指定標籤，例如：列表 #工作'
+        : 'Give the tags with #, e.g. list #work or list #work #urgent');
+    }
+    return { tags };
+  }
+
+  // Split a search into words ("quoted phrases" and「詞組」stay whole), #tags and filters:
+  // special:yes|no, recurring:yes|no, before:<date>, after:<date> (重要, 重複, 之前, 之後).
+  // Returns { terms, filters: { isSpecial, isRecurring, scheduledFrom, scheduledBefore, tags } }.
+  parseSearchQuery(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Search must be a string');
+    }
+    if (text.length > 200) {
+      throw new Error('Search must be 200 characters or less');
+    }
+
+    const keys = {
+      special: 'special', '重要': 'special',
+      recurring: 'recurring', '重複': 'recurring',
+      before: 'before', '之前': 'before',
+      after: 'after', '之後': 'after'
+    };
+    const answers = { yes: true, true: true, '是': true, no: false, false: false, '否': false };
+    const chinese = this.isChinese(text);
+
+    // Tasks must have every #tag searched for
+    const tagged = taskTags.extract(text);
+
+    const terms = [];
+    const filters = tagged.tags.length ? { tags: tagged.tags } : {};
+    for (const [, quoted, bracketed, word] of tagged.text.matchAll(/"([^"]+)"|[「『]([^」』]+)[」』]|(\S+)/g)) {
+      const filter = word && word.match(/^([^:：]+)[:：](.+)$/);
+      const key = filter && keys[filter[1].toLowerCase()];
+      if (!key) {
+        const term = (quoted || bracketed || word).trim().toLowerCase();
+        if (term) terms.push(term);
+        continue;
+      }
+
+      const value = filter[2].toLowerCase();
+      if (key === 'special' || key === 'recurring') {
+        if (!(value in answers)) {
+          throw new Error(chinese ? `${filter[1]}: 只能是「是」或「否」` : `${filter[1]}: must be yes or no`);
+        }
+        filters[key === 'special' ? 'isSpecial' : 'isRecurring'] = answers[value];
+        continue;
+      }
+
+      const date = this.parseSearchDate(value);
+      if (!date) {
+        throw new Error(chinese
+          ? `${filter[1]}: 無法理解的日期「${filter[2]}」，例如：${filter[1]}:2026-11-01`
+          : `${filter[1]}: couldn't understand the date "${filter[2]}"; try e.g. ${filter[1]}:2026-11-01`);
+      }
+      if (key === 'before') {
+        filters.scheduledBefore = date.clone().startOf('day').toISOString();
+      } else {
+        filters.scheduledFrom = date.clone().add(1, 'day').startOf('day').toISOString();
       }
-      return today.format('YYYY-MM-DDTHH:mm:ss.SSSZ');
     }
 
-    return null;
+    return { terms, filters };
+  }
+
+  // A single date of a search filter (2026-11-01, 11/1, friday, 明天, 10月21日), or null
+  parseSearchDate(value) {
+    try {
+      if (this.isChinese(value)) {
+        const parsed = this.parseChineseDateTime(value);
+        return parsed.date && !parsed.remaining.trim() ? parsed.date : null;
+      }
+      const { date, nextIndex } = this.parseDate([value], 0);
+      return nextIndex === 1 ? date : null;
+    } catch (error) {
+      return null;
+    }
   }
 
-  // Parse time string (e.g., "7:30 am", "2:00 pm")
-  parseTimeString(timeStr) {
-    const match = timeStr.match(/(\d{1,2}):?(\d{2})?\s*(am|pm)?/i);
-    if (!match) return { hour: 9, minute: 0 };
+  // "#work #home" (or "work, home") as ['work', 'home']; "none" / "無" as no tags
+  parseTagList(value) {
+    const text = value.trim();
+    if (['none', 'off', '無', '不要'].includes(text.toLowerCase())) {
+      return [];
+    }
+    return taskTags.normalizeList(text.split(/[\s,、，]+/).filter(Boolean));
+  }
+
+  // Parse scheduled message command: say {text} at {time}, remind me [to] {text} {when}.
+  // Returns { text, scheduledAt }; the time comes last ("say Leave now at 5pm", "remind me to call mom tomorrow 9am").
+  parseScheduledMessageCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
+    }
+
+    const trimmed = message.trim();
 
-    let [, hour, minute = '00', period] = match;
-    hour = parseInt(hour);
-    minute = parseInt(minute);
+    if (trimmed.length > 1000) {
+      throw new Error('Message too long. Please keep commands under 1000 characters.');
+    }
+
+    if (trimmed.startsWith('提醒我')) {
+      return this.parseChineseScheduledMessageCommand(trimmed);
+    }
 
-    if (period && period.toLowerCase() === 'pm' && hour !== 12) {
-      hour += 12;
-    } else if (period && period.toLowerCase() === 'am' && hour === 12) {
-      hour = 0;
+    const commandMatch = trimmed.match(/^(?:say|remind\s+me(?:\s+to)?)\s+(.+)$/i);
+    if (!commandMatch) {
+      throw new Error('Command format: say {message} at {time} or remind me {message} {when}');
     }
 
-    return { hour, minute };
+    const tokens = commandMatch[1].split(/\s+/);
+
+    // The message is everything before the first point where the rest reads as a date/time
+    for (let i = 1; i < tokens.length; i++) {
+      const scheduledAt = this.parseMessageTime(tokens, i);
+      if (scheduledAt) {
+        const text = tokens.slice(0, i).join(' ');
+        this.validateMessageText(text);
+
+        if (scheduledAt.isBefore(moment())) {
+          throw new Error('Cannot schedule a message in the past');
+        }
+
+        return { text, scheduledAt: scheduledAt.format('YYYY-MM-DDTHH:mm:ss.SSSZ') };
+      }
+    }
+
+    throw new Error(`No time found in "${commandMatch[1]}". Try e.g. say Leave for the airport at 5pm, or remind me to call mom tomorrow 9am`);
   }
 
-  // Parse recurrence pattern (legacy method for update commands)
-  parseRecurrenceLegacy(text) {
-    // Weekly patterns
-    if (text.includes('every monday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'monday' });
+  // Read tokens from startIndex to the end as a date and/or time ("at 5pm", "tomorrow 9am",
+  // "in 30 minutes", "5pm friday"). Returns a moment, or null if they don't all make one.
+  parseMessageTime(tokens, startIndex) {
+    let index = startIndex;
+    let date = null;
+    let time = null;
+    let fixedTime = false;
+
+    try {
+      if (this.isDateToken(tokens[index]) || this.isDatePhrase(tokens, index)) {
+        ({ date, time, fixedTime = false, nextIndex: index } = this.parseDate(tokens, index));
+        if (!fixedTime && this.isTimeStart(tokens, index)) {
+          ({ time, nextIndex: index } = this.parseTime(tokens, index));
+        }
+      } else if (this.isTimeStart(tokens, index)) {
+        ({ time, nextIndex: index } = this.parseTime(tokens, index));
+        if (index < tokens.length && (this.isDateToken(tokens[index]) || this.isDatePhrase(tokens, index))) {
+          ({ date, nextIndex: index } = this.parseDate(tokens, index));
+        }
+      } else {
+        return null;
+      }
+    } catch (error) {
+      return null;
+    }
+
+    if (index < tokens.length) {
+      return null;
     }
-    if (text.includes('every tuesday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'tuesday' });
+
+    return this.resolveMessageTime(date, time);
+  }
+
+  // A scheduled message's time: a date alone means the morning, a time alone means today
+  // (or tomorrow once it has passed)
+  resolveMessageTime(date, time) {
+    const now = moment().tz(this.timezone);
+
+    if (!date) {
+      const today = this.combineDateTimeMoment(now, time);
+      return today.isAfter(now) ? today : today.add(1, 'day');
+    }
+
+    return this.combineDateTimeMoment(date, time || this.dayParts.morning);
+  }
+
+  validateMessageText(text) {
+    if (!text || !text.trim()) {
+      throw new Error('Message text cannot be empty');
+    }
+
+    if (text.length > 500) {
+      throw new Error('Message must be 500 characters or less');
     }
-    if (text.includes('every wednesday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'wednesday' });
+  }
+
+  // Parse cancel message command: cancel message 2, 取消訊息 2 (numbers as shown by "messages")
+  parseCancelMessageCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
     }
-    if (text.includes('every thursday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'thursday' });
+
+    const match = message.trim().match(/^(?:cancel\s+message|取消訊息)\s*(\d+)$/i);
+    if (!match) {
+      throw new Error(this.isChinese(message)
+        ? '請提供訊息編號，例如：取消訊息 1（輸入「訊息」查看編號）'
+        : 'Please provide the message number, e.g. cancel message 1 (type "messages" to see them)');
     }
-    if (text.includes('every friday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'friday' });
+
+    const id = parseInt(match[1]);
+    if (id < 1) {
+      throw new Error('Message number must be a positive number');
     }
-    if (text.includes('every saturday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'saturday' });
+
+    return id;
+  }
+
+  // Parse API token command: tokens, token new [read] [30d], token revoke 1, token revoke all
+  // (Chinese: 權杖, 權杖 新增 [唯讀] [30天], 權杖 撤銷 1, 權杖 撤銷 全部)
+  parseTokenCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
     }
-    if (text.includes('every sunday')) {
-      return JSON.stringify({ type: 'weekly', dayOfWeek: 'sunday' });
+
+    const text = message.trim().toLowerCase().replace(/^(tokens?|權杖)\s*/, '');
+    const chinese = this.isChinese(message);
+
+    if (text === '' || text === 'list' || text === '列表') {
+      return { action: 'list' };
     }
 
-    // Biweekly patterns
-    if (text.includes('every 2 weeks') || text.includes('biweekly')) {
-      const dayMatch = text.match(/every\s+2\s+weeks?\s+on\s+(\w+)/i);
-      if (dayMatch) {
-        return JSON.stringify({ type: 'biweekly', dayOfWeek: dayMatch[1].toLowerCase() });
+    const revoke = text.match(/^(?:revoke|撤銷)\s*(.*)$/);
+    if (revoke) {
+      if (revoke[1] === 'all' || revoke[1] === '全部') {
+        return { action: 'revoke', all: true };
+      }
+      if (!/^\d+$/.test(revoke[1]) || parseInt(revoke[1]) < 1) {
+        throw new Error(chinese
+          ? '請提供權杖編號，例如：權杖 撤銷 1（輸入「權杖」查看編號）'
+          : 'Please provide the token number, e.g. token revoke 1 (type "tokens" to see them)');
       }
-      return JSON.stringify({ type: 'biweekly', dayOfWeek: 'monday' }); // Default
+      return { action: 'revoke', id: parseInt(revoke[1]) };
     }
 
-    // Monthly patterns
-    if (text.includes('first sunday of every month')) {
-      return JSON.stringify({ 
-        type: 'monthly', 
-        weekdayOfMonth: { week: 'first', day: 'sunday' } 
-      });
+    const create = text.match(/^(?:new|create|新增|建立)\s*(.*)$/);
+    if (!create) {
+      throw new Error(chinese
+        ? '權杖指令：權杖、權杖 新增 [唯讀] [30天]、權杖 撤銷 1'
+        : 'Token commands: tokens, token new [read] [30d], token revoke 1');
     }
-    if (text.includes('first monday of every month')) {
-      return JSON.stringify({ 
-        type: 'monthly', 
-        weekdayOfMonth: { week: 'first', day: 'monday' } 
-      });
+
+    const result = { action: 'new', scopes: ['read', 'write'], expiresInDays: undefined };
+    for (const option of create[1].replace(/(\d+)\s+(days?|d|天)/g, '$1$2').split(/\s+/).filter(Boolean)) {
+      const days = option.match(/^(\d+)\s*(?:d|days?|天)$/);
+      if (['read', 'read-only', 'readonly', '唯讀'].includes(option)) {
+        result.scopes = ['read'];
+      } else if (['write', 'read-write', '讀寫'].includes(option)) {
+        result.scopes = ['read', 'write'];
+      } else if (days && parseInt(days[1]) >= 1 && parseInt(days[1]) <= 365) {
+        result.expiresInDays = parseInt(days[1]);
+      } else {
+        throw new Error(chinese
+          ? `看不懂「${option}」。例如：權杖 新增 唯讀 30天（有效期 1 到 365 天）`
+          : `Didn't understand "${option}". Try e.g. token new read 30d (1 to 365 days)`);
+      }
     }
-    if (text.includes('last friday of every month')) {
-      return JSON.stringify({ 
-        type: 'monthly', 
-        weekdayOfMonth: { week: 'last', day: 'friday' } 
-      });
+
+    return result;
+  }
+
+  // Parse settings command: settings, settings timezone Europe/London, settings digest 7:00,
+  // settings reminders 15m, 1h, settings format 24h, settings language zh
+  parseSettingsCommand(message) {
+    if (!message || typeof message !== 'string') {
+      throw new Error('Message must be a non-empty string');
     }
 
-    // Generic monthly
-    if (text.includes('every month') || text.includes('monthly')) {
-      const dayMatch = text.match(/(\d{1,2})(?:st|nd|rd|th)?\s+of\s+every\s+month/i);
-      if (dayMatch) {
-        return JSON.stringify({ type: 'monthly', dayOfMonth: parseInt(dayMatch[1]) });
+    const text = message.trim();
+    if (text.startsWith('設定')) {
+      return this.parseChineseSettingsCommand(text);
+    }
+
+    const match = text.match(/^settings?(?:\s+(\S+)(?:\s+(.+))?)?$/i);
+    if (!match) {
+      throw new Error('Command must start with "settings"');
+    }
+
+    const [, name, rawValue] = match;
+    if (!name) {
+      return { changes: null };
+    }
+
+    const value = (rawValue || '').trim();
+    if (!value) {
+      throw new Error(`Please give a value, e.g. ${this.settingsExample(name.toLowerCase())}`);
+    }
+
+    switch (name.toLowerCase()) {
+      case 'timezone':
+      case 'tz':
+        return { changes: { timezone: value } };
+
+      case 'digest':
+      case 'morning': {
+        const tokens = value.toLowerCase().split(/\s+/);
+        const { time, nextIndex } = this.parseTime(tokens, 0);
+        if (nextIndex < tokens.length) {
+          throw new Error(`Could not understand "${value}". Try e.g. settings digest 7:00`);
+        }
+        return { changes: { digestTime: this.formatTime(time) } };
+      }
+
+      case 'reminders':
+      case 'remind': {
+        const lowerValue = value.toLowerCase();
+        if (lowerValue === 'default') {
+          return { changes: { reminderOffsets: null } };
+        }
+        if (['none', 'off', 'never'].includes(lowerValue)) {
+          return { changes: { reminderOffsets: [] } };
+        }
+        return { changes: { reminderOffsets: reminderOffsets.parseList(lowerValue.replace(/\s+before$/, '')) } };
+      }
+
+      case 'format':
+      case 'clock': {
+        const format = value.toLowerCase().replace(/\s+/g, '');
+        if (!['12h', '24h', '12', '24'].includes(format)) {
+          throw new Error('Time format must be 12h or 24h');
+        }
+        return { changes: { timeFormat: format.startsWith('12') ? '12h' : '24h' } };
+      }
+
+      case 'language':
+      case 'lang': {
+        const languages = { en: 'en', english: 'en', zh: 'zh', chinese: 'zh', '中文': 'zh', auto: null };
+        const language = languages[value.toLowerCase()];
+        if (language === undefined) {
+          throw new Error('Language must be en, zh or auto');
+        }
+        return { changes: { language } };
+      }
+
+      // Tags whose tasks are left out of the morning digest
+      case 'mute':
+        return { changes: { digestMutedTags: this.parseTagList(value) } };
+
+      default:
+        throw new Error(`Unknown setting "${name}". You can change timezone, digest, reminders, format, language and mute`);
+    }
+  }
+
+  // Example command for a setting, used in error messages
+  settingsExample(name) {
+    const examples = {
+      timezone: 'settings timezone Europe/London',
+      tz: 'settings timezone Europe/London',
+      digest: 'settings digest 7:00',
+      morning: 'settings digest 7:00',
+      reminders: 'settings reminders 15m, 1h',
+      remind: 'settings reminders 15m, 1h',
+      format: 'settings format 24h',
+      clock: 'settings format 24h',
+      language: 'settings language zh',
+      lang: 'settings language zh',
+      mute: 'settings mute #personal'
+    };
+    return examples[name] || 'settings timezone Europe/London';
+  }
+
+  // Find a recurrence anywhere in free text (legacy method for update commands)
+  parseRecurrenceLegacy(text) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].toLowerCase() === 'recurring') continue;
+
+      const { recurrence: recurrenceRule } = this.parseRecurrence(tokens, i);
+      if (recurrenceRule) {
+        return recurrenceRule;
       }
-      return JSON.stringify({ type: 'monthly', dayOfMonth: 1 }); // Default to 1st
     }
 
     return null;
@@ -709,7 +1799,632 @@ class NaturalLanguageParser {
       'november': 10, 'nov': 10,
       'december': 11, 'dec': 11
     };
-    return months[monthName.toLowerCase()] || -1;
+    const key = monthName.toLowerCase();
+    return months.hasOwnProperty(key) ? months[key] : -1;
+  }
+
+  // Check whether text contains Chinese characters
+  isChinese(text) {
+    return typeof text === 'string' && /[㐀-鿿]/.test(text);
+  }
+
+  // Parse a number written with digits or Chinese numerals (三, 兩, 十二, 二十五)
+  parseChineseNumber(text) {
+    if (/^\d+$/.test(text)) {
+      return parseInt(text);
+    }
+
+    const digits = { '零': 0, '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+    const tenIndex = text.indexOf('十');
+
+    if (tenIndex === -1) {
+      return text.length === 1 && digits.hasOwnProperty(text) ? digits[text] : NaN;
+    }
+
+    const tens = tenIndex === 0 ? 1 : digits[text.substring(0, tenIndex)];
+    const ones = tenIndex === text.length - 1 ? 0 : digits[text.substring(tenIndex + 1)];
+    if (tens === undefined || ones === undefined) {
+      return NaN;
+    }
+    return tens * 10 + ones;
+  }
+
+  // Parse Chinese recurrence (每天, 每3天, 每週一三五, 工作日, 每兩週一, 每個月第一個星期六, 每月5號, 每年)
+  // anywhere in the text, with an optional end (共10次, 直到12月31日). Returns an RRULE plus the matched text.
+  parseChineseRecurrence(text) {
+    const num = this.zhNumberPattern;
+    const weekday = '(?:星期|週|周|禮拜)([一二三四五六日天])';
+    const byDay = (chars) => [...new Set(chars.replace(/[、,，和及]/g, '').split('').map(char => this.zhWeekdays[char]))]
+      .sort()
+      .map(day => ({ day, n: null }));
+    let options = null;
+    let match;
+
+    // "每個月第一個星期六", "每月最後一個週五"
+    if (!options && (match = text.match(new RegExp(`每(?:個)?月(?:的)?(?:第([一二三四1-4])|(最後))(?:一)?個?${weekday}`)))) {
+      const n = match[2] ? -1 : this.parseChineseNumber(match[1]);
+      options = { freq: 'MONTHLY', byDay: [{ day: this.zhWeekdays[match[3]], n }] };
+    }
+
+    // "每月5號", "每個月十五日"
+    if (!options && (match = text.match(new RegExp(`每(?:個)?月(?:的)?(${num})\\s*(?:號|日)`)))) {
+      const dayOfMonth = this.parseChineseNumber(match[1]);
+      if (dayOfMonth >= 1 && dayOfMonth <= 31) {
+        options = { freq: 'MONTHLY', byMonthDay: [dayOfMonth] };
+      }
+    }
+
+    // "工作日", "平日", "週一到週五", "每個週末"
+    if (!options && (match = text.match(/(?:每(?:個)?)?(?:工作日|平日|(?:星期|週|周)一(?:到|至)(?:星期|週|周)?五)/))) {
+      options = { freq: 'WEEKLY', byDay: byDay('一二三四五') };
+    }
+    if (!options && (match = text.match(/每(?:個)?(?:週末|周末)/))) {
+      options = { freq: 'WEEKLY', byDay: byDay('六日') };
+    }
+
+    // "每兩週一", "隔週三", "每兩個星期的星期五", "每3週"
+    if (!options && (match = text.match(new RegExp(`(?:每(${num}|兩)|每隔一|隔)(?:個)?(?:星期|週|周|禮拜)(?:的)?(?:(?:星期|週|周|禮拜)?([一二三四五六日天](?:[、,，和及]?[一二三四五六日天])*))?`)))) {
+      const interval = match[1] ? this.parseChineseNumber(match[1]) : 2;
+      if (interval >= 1) {
+        options = { freq: 'WEEKLY', interval, byDay: match[2] ? byDay(match[2]) : [] };
+      }
+    }
+
+    // "每週三", "每週一三五", "每週一、三、五", "每個禮拜天", "每星期"
+    if (!options && (match = text.match(/每(?:個)?(?:星期|週|周|禮拜)([一二三四五六日天](?:[、,，和及]?(?:星期|週|周|禮拜)?[一二三四五六日天])*)?/))) {
+      options = { freq: 'WEEKLY', byDay: match[1] ? byDay(match[1].replace(/星期|週|周|禮拜/g, '')) : [] };
+    }
+
+    // "每天", "每日", "天天", "每3天", "每隔兩天"
+    if (!options && (match = text.match(new RegExp(`每(?:隔)?(${num})?\\s*(?:天|日)|天天`)))) {
+      const interval = match[1] ? this.parseChineseNumber(match[1]) + (match[0].includes('隔') ? 1 : 0) : 1;
+      options = { freq: 'DAILY', interval };
+    }
+
+    // "每3個月", "每月", "每個月"
+    if (!options && (match = text.match(new RegExp(`每(${num})?(?:個)?月`)))) {
+      options = { freq: 'MONTHLY', interval: match[1] ? this.parseChineseNumber(match[1]) : 1 };
+    }
+
+    // "每年"
+    if (!options && (match = text.match(/每(?:一)?年/))) {
+      options = { freq: 'YEARLY' };
+    }
+
+    if (!options) {
+      return { recurrence: null, match: null };
+    }
+
+    const end = this.parseChineseRecurrenceEnd(text);
+    if (end) {
+      Object.assign(options, end.options);
+    }
+
+    return { recurrence: this.recurrence.stringify(options), match: match[0], endMatch: end ? end.match : null };
+  }
+
+  // Parse the end of a Chinese recurrence: "共10次", "10次", "直到12月31日", "到2026年12月31日為止"
+  parseChineseRecurrenceEnd(text) {
+    const num = this.zhNumberPattern;
+    let match = text.match(new RegExp(`(?:共|重複)?\\s*(${num})\\s*次`));
+    if (match) {
+      const count = this.parseChineseNumber(match[1]);
+      if (count >= 1) {
+        return { options: { count }, match: match[0] };
+      }
+    }
+
+    match = text.match(new RegExp(`(?:直到|到)\\s*(?:(\\d{4})\\s*年\\s*)?(${num})\\s*月\\s*(${num})\\s*(?:日|號)?\\s*(為止)?`));
+    if (match && (match[0].startsWith('直到') || match[4])) {
+      const date = this.resolveMonthDay(this.parseChineseNumber(match[2]) - 1, this.parseChineseNumber(match[3]), match[1] ? parseInt(match[1]) : null, match[0]);
+      return { options: { until: date.clone().endOf('day') }, match: match[0] };
+    }
+
+    return null;
+  }
+
+  // Extract Chinese date, time and recurrence expressions from free text
+  // (e.g. "開會 明天下午三點", "下週二上午10點 看牙醫"). Whatever is left over is returned as remaining.
+  parseChineseDateTime(text) {
+    const now = this.now();
+    const num = this.zhNumberPattern;
+    const understood = [];
+    let remaining = text;
+    let date = null;
+    let time = null;
+    let fixedTime = false;
+
+    // Remove the first match of a regex from the remaining text
+    const take = (regex) => {
+      const match = remaining.match(regex);
+      if (match) {
+        remaining = `${remaining.slice(0, match.index)} ${remaining.slice(match.index + match[0].length)}`;
+      }
+      return match;
+    };
+
+    // Recurrence first, since it contains weekday words
+    const { recurrence: recurrenceRule, match: recurrenceMatch, endMatch } = this.parseChineseRecurrence(remaining);
+    if (recurrenceMatch) {
+      take(recurrenceMatch);
+      if (endMatch) {
+        take(endMatch);
+      }
+      understood.push(`重複 ${this.recurrence.describe(recurrenceRule, 'zh')}`);
+    }
+
+    let match;
+
+    // Relative offsets: "30分鐘後", "2小時後", "兩個小時後", "3天後", "2週後"
+    match = take(new RegExp(`(${num}|半)\\s*(?:個)?\\s*(分鐘|分|小時|鐘頭|天|日|星期|週|周|禮拜)\\s*(?:之)?後`));
+    if (match) {
+      const units = { '分鐘': 'minutes', '分': 'minutes', '小時': 'hours', '鐘頭': 'hours', '天': 'days', '日': 'days', '星期': 'weeks', '週': 'weeks', '周': 'weeks', '禮拜': 'weeks' };
+      const unit = units[match[2]];
+      const amount = match[1] === '半' ? 0.5 : this.parseChineseNumber(match[1]);
+      if (isNaN(amount) || amount <= 0) {
+        throw new Error(`無法理解的時間：${match[0]}`);
+      }
+      const target = match[1] === '半' && unit === 'hours'
+        ? now.clone().add(30, 'minutes')
+        : now.clone().add(amount, unit);
+      target.second(0).millisecond(0);
+      date = target;
+      time = { hour: target.hour(), minute: target.minute() };
+      fixedTime = unit === 'minutes' || unit === 'hours';
+      understood.push(`日期 ${match[0]}`);
+    }
+
+    // Month/day: "10月21日", "2026年10月21號"
+    if (!date) {
+      match = take(new RegExp(`(?:(\\d{4})\\s*年\\s*)?(${num})\\s*月\\s*(${num})\\s*(?:日|號)?`));
+      if (match) {
+        const month = this.parseChineseNumber(match[2]) - 1;
+        const day = this.parseChineseNumber(match[3]);
+        date = this.resolveMonthDay(month, day, match[1] ? parseInt(match[1]) : null, match[0]);
+        understood.push(`日期 ${match[0]}`);
+      }
+    }
+
+    // Day words: 今天, 明天, 後天, 大後天, 今晚, 明晚
+    if (!date) {
+      match = take(/(大後天|後天|明天|明日|今天|今日|今晚|明晚)/);
+      if (match) {
+        const offsets = { '今天': 0, '今日': 0, '今晚': 0, '明天': 1, '明日': 1, '明晚': 1, '後天': 2, '大後天': 3 };
+        date = now.clone().add(offsets[match[1]], 'days');
+        if (match[1] === '今晚' || match[1] === '明晚') {
+          time = this.dayParts.tonight;
+        }
+        understood.push(`日期 ${match[0]}`);
+      }
+    }
+
+    // Weekdays: 週二 (next one), 這週二/本週二 (this week), 下週二 (next week), 下下週二
+    if (!date) {
+      match = take(/(下下|下|這|本|這個|下個)?\s*(?:星期|週|周|禮拜)([一二三四五六日天])/);
+      if (match) {
+        const targetDay = this.zhWeekdays[match[2]];
+        if (!match[1]) {
+          let daysToAdd = targetDay - now.day();
+          if (daysToAdd <= 0) {
+            daysToAdd += 7;
+          }
+          date = now.clone().add(daysToAdd, 'days');
+        } else {
+          // Chinese weeks start on Monday
+          const weeksAhead = { '這': 0, '本': 0, '這個': 0, '下': 1, '下個': 1, '下下': 2 }[match[1]];
+          date = now.clone().startOf('isoWeek').add(weeksAhead, 'weeks').isoWeekday(targetDay === 0 ? 7 : targetDay);
+        }
+        understood.push(`日期 ${match[0]}`);
+      }
+    }
+
+    // Day of month: "5號", "二十一日"
+    if (!date) {
+      match = take(new RegExp(`(${num})\\s*(?:號|日)`));
+      if (match) {
+        date = this.resolveDayOfMonth(this.parseChineseNumber(match[1]), match[0]);
+        understood.push(`日期 ${match[0]}`);
+      }
+    }
+
+    // Times: "下午三點", "晚上7點半", "上午10:30", "15:00", "三點十五分"
+    if (!fixedTime) {
+      match = take(new RegExp(`(早上|上午|中午|下午|傍晚|晚上|凌晨)?\\s*(?:(\\d{1,2})\\s*[:：]\\s*(\\d{2})|(${num})\\s*(?:點|時)\\s*(?:(半)|(${num})\\s*分?)?)`));
+      if (match) {
+        const [, period, clockHour, clockMinute, pointHour, half, pointMinute] = match;
+        let hour = clockHour !== undefined ? parseInt(clockHour) : this.parseChineseNumber(pointHour);
+        let minute = clockMinute !== undefined ? parseInt(clockMinute) : (half ? 30 : (pointMinute ? this.parseChineseNumber(pointMinute) : 0));
+
+        if ((period === '下午' || period === '傍晚' || period === '晚上') && hour < 12) {
+          hour += 12;
+        } else if (period === '中午' && hour < 6) {
+          hour += 12;
+        } else if (period === '凌晨' && hour === 12) {
+          hour = 0;
+        } else if (!period && pointHour !== undefined && hour >= 1 && hour <= 6) {
+          // "三點開會" without a period almost always means the afternoon
+          hour += 12;
+        }
+
+        if (isNaN(hour) || isNaN(minute) || hour > 23 || minute > 59) {
+          throw new Error(this.describeChineseParseFailure(`無法理解的時間：${match[0].trim()}`, understood));
+        }
+
+        time = { hour, minute };
+        understood.push(`時間 ${this.formatTime(time)}`);
+      } else {
+        match = take(/(早上|上午|中午|下午|傍晚|晚上)/);
+        if (match) {
+          const dayParts = { '早上': 'morning', '上午': 'morning', '中午': 'noon', '下午': 'afternoon', '傍晚': 'evening', '晚上': 'evening' };
+          time = this.dayParts[dayParts[match[1]]];
+          understood.push(`時間 ${this.formatTime(time)}`);
+        }
+      }
+    }
+
+    return { date, time, fixedTime, recurrence: recurrenceRule, remaining, understood };
+  }
+
+  // Build a Chinese error message that lists what was understood before parsing failed
+  describeChineseParseFailure(reason, understood) {
+    let message = reason;
+    if (understood.length > 0) {
+      message += `。已理解：${understood.join('、')}`;
+    }
+    return `${message}。例如：「明天下午三點」、「下週二上午10點」、「10月21日晚上7點」、「2小時後」、「每週三晚上8點」。`;
+  }
+
+  // Parse Chinese add command: 新增 {任務名稱} {日期} {時間} [重複] [重要] (parts in any order)
+  parseChineseAddCommand(message) {
+    const text = message.trim().replace(/^新增\s*/, '');
+
+    if (!text) {
+      throw new Error('指令格式：新增 {任務名稱} {日期} {時間} [重複] [重要]');
+    }
+
+    // Reminder offsets ("提前30分鐘、1天提醒")
+    const reminder = this.extractReminderOffsets(text);
+
+    // Special flag as a separate word ("重要" / "特別")
+    let remainingText = reminder.text;
+    let isSpecial = false;
+    const specialMatch = remainingText.match(/(?:^|\s)(重要|特別)(?=\s|$)/);
+    if (specialMatch) {
+      isSpecial = true;
+      remainingText = remainingText.replace(specialMatch[0], ' ');
+    }
+
+    const parsed = this.parseChineseDateTime(remainingText);
+    const { recurrence, understood } = parsed;
+
+    const title = parsed.remaining
+      .replace(/[「」『』"]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^(?:在|於)\s*/, '')
+      .replace(/\s*的$/, '')
+      .trim();
+
+    if (!title) {
+      throw new Error(this.describeChineseParseFailure('任務名稱不能是空的', understood));
+    }
+
+    if (title.length > 200) {
+      throw new Error('任務名稱不能超過 200 個字');
+    }
+
+    const time = parsed.time || this.dayParts.morning;
+    let date = parsed.date;
+
+    // Recurring tasks start at their first occurrence on or after the given date
+    if (recurrence) {
+      date = this.getFirstOccurrence(recurrence, date, time);
+      if (!date) {
+        throw new Error(this.describeChineseParseFailure('這個重複規則在指定日期之後不會再發生', understood));
+      }
+    }
+
+    if (!date && parsed.time) {
+      // Only a time: today, or tomorrow if it has already passed
+      const today = moment().tz(this.timezone);
+      date = this.combineDateTimeMoment(today, time).isAfter(today) ? today : today.clone().add(1, 'day');
+    }
+
+    if (!date) {
+      throw new Error(this.describeChineseParseFailure('找不到日期', [`任務名稱「${title}」`, ...understood]));
+    }
+
+    const scheduledTime = this.combineDateTime(date, time);
+
+    if (!recurrence && moment(scheduledTime).isBefore(moment().tz(this.timezone))) {
+      throw new Error('不能把任務排在過去的時間');
+    }
+
+    const result = {
+      title,
+      scheduledTime,
+      recurrenceRule: recurrence,
+      isSpecial,
+      isRecurring: !!recurrence
+    };
+    if (reminder.reminderOffsets !== undefined) {
+      result.reminderOffsets = reminder.reminderOffsets;
+    }
+
+    this.validateTaskData(result);
+    return result;
+  }
+
+  // Parse Chinese scheduled message command: 提醒我 {訊息} {時間} (parts in any order)
+  parseChineseScheduledMessageCommand(message) {
+    const text = message.trim().replace(/^提醒我\s*/, '');
+
+    if (!text) {
+      throw new Error('指令格式：提醒我 {訊息} {時間}，例如：提醒我 明天早上9點 打電話給媽媽');
+    }
+
+    const parsed = this.parseChineseDateTime(text);
+
+    if (parsed.recurrence) {
+      throw new Error('排程訊息不能重複，重複的事情請用「新增」建立任務');
+    }
+
+    const messageText = parsed.remaining
+      .replace(/[「」『』"]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^(?:在|於)\s*/, '')
+      .trim();
+
+    if (!messageText) {
+      throw new Error(this.describeChineseParseFailure('訊息內容不能是空的', parsed.understood));
+    }
+
+    if (messageText.length > 500) {
+      throw new Error('訊息不能超過 500 個字');
+    }
+
+    if (!parsed.date && !parsed.time) {
+      throw new Error(this.describeChineseParseFailure('找不到時間', [`訊息「${messageText}」`, ...parsed.understood]));
+    }
+
+    const scheduledAt = this.resolveMessageTime(parsed.date, parsed.time);
+    if (scheduledAt.isBefore(moment())) {
+      throw new Error('不能把訊息排在過去的時間');
+    }
+
+    return { text: messageText, scheduledAt: scheduledAt.format('YYYY-MM-DDTHH:mm:ss.SSSZ') };
+  }
+
+  // Parse the task identifier of a Chinese command: 刪除 T7K, 完成「健身」, 刪除 健身
+  parseChineseTaskIdentifier(message, keyword) {
+    const text = message.trim().substring(keyword.length).trim();
+
+    const quotedMatch = text.match(/^[「『"]([^」』"]+)[」』"]/);
+    const value = quotedMatch ? quotedMatch[1].trim() : text;
+
+    if (!value) {
+      throw new Error(`請提供任務代碼或名稱，例如：${keyword} T7K 或 ${keyword}「健身」`);
+    }
+
+    if (!quotedMatch && taskCodes.isCode(value)) {
+      return { type: 'code', value: taskCodes.normalize(value) };
+    }
+
+    if (value.length > 200) {
+      throw new Error('任務名稱不能超過 200 個字');
+    }
+
+    return { type: 'title', value };
+  }
+
+  // Parse Chinese update command: 更新 T7K 到 明天下午三點, 更新 T7K 標題「新名稱」, 更新「健身」備註「帶毛巾」
+  parseChineseUpdateCommand(message) {
+    const text = message.trim().replace(/^更新\s*/, '');
+
+    const quotedMatch = text.match(/^[「『"]([^」』"]+)[」』"]/);
+    const codeMatch = taskCodes.matchLeading(text);
+
+    let identifier;
+    let remainingText;
+    if (quotedMatch) {
+      identifier = { type: 'title', value: quotedMatch[1].trim() };
+      remainingText = text.substring(quotedMatch[0].length);
+    } else if (codeMatch) {
+      identifier = { type: 'code', value: codeMatch.code };
+      remainingText = codeMatch.rest;
+    } else {
+      throw new Error('請提供任務代碼或用「」括住的任務名稱，例如：更新 T7K 到 明天下午三點');
+    }
+
+    const updates = {};
+    const fields = { '標題': 'title', '名稱': 'title', '描述': 'description', '備註': 'notes' };
+
+    const reminder = this.extractReminderOffsets(remainingText);
+    if (reminder.reminderOffsets !== undefined) {
+      updates.reminder_offsets = reminder.reminderOffsets;
+      remainingText = reminder.text;
+    }
+
+    // 標籤 #工作 #家庭, 標籤 無
+    const tagsMatch = remainingText.match(/標籤\s*(無|#\S+(?:\s+#\S+)*)/);
+    if (tagsMatch) {
+      updates.tags = this.parseTagList(tagsMatch[1]);
+      remainingText = remainingText.replace(tagsMatch[0], ' ');
+    }
+
+    // 高優先, 優先 低, !高
+    const prioritized = taskPriority.extract(remainingText.trim());
+    if (prioritized.priority) {
+      updates.priority = prioritized.priority;
+      remainingText = prioritized.text;
+    }
+
+    for (const [word, field] of Object.entries(fields)) {
+      const fieldMatch = remainingText.match(new RegExp(`${word}\\s*[「『"]([^」』"]+)[」』"]`));
+      if (fieldMatch) {
+        updates[field] = fieldMatch[1].trim();
+        remainingText = remainingText.replace(fieldMatch[0], ' ');
+      }
+    }
+
+    const specialMatch = remainingText.match(/(重要|特別)/);
+    if (specialMatch) {
+      updates.is_special = true;
+      remainingText = remainingText.replace(specialMatch[0], ' ');
+    }
+
+    const timeMatch = remainingText.match(/(?:改到|改成|改為|移到|到)\s*(.+)$/);
+    if (timeMatch) {
+      const parsed = this.parseChineseDateTime(timeMatch[1]);
+      const time = parsed.time || this.dayParts.morning;
+      let date = parsed.date;
+
+      if (parsed.recurrence) {
+        date = this.getFirstOccurrence(parsed.recurrence, date, time);
+      }
+      if (!date && parsed.time) {
+        const today = moment().tz(this.timezone);
+        date = this.combineDateTimeMoment(today, time).isAfter(today) ? today : today.clone().add(1, 'day');
+      }
+
+      if (date) {
+        updates.scheduled_time = this.combineDateTime(date, time);
+      }
+      if (parsed.recurrence) {
+        updates.recurrence_rule = parsed.recurrence;
+        updates.is_recurring = true;
+      }
+      if (!date && !parsed.recurrence) {
+        throw new Error(this.describeChineseParseFailure(`無法理解的時間：${timeMatch[1].trim()}`, parsed.understood));
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new Error('請指定要更新的內容，例如：更新 T7K 到 明天下午三點、更新 T7K 標題「新名稱」、更新 T7K 標籤 #工作、更新 T7K 高優先 或 更新 T7K 提前30分鐘提醒');
+    }
+
+    return { identifier, updates };
+  }
+
+  // Parse Chinese settings command: 設定, 設定 時區 Asia/Taipei, 設定 早報 早上7點,
+  // 設定 提醒 15分鐘、1小時, 設定 時間格式 24小時, 設定 語言 中文
+  parseChineseSettingsCommand(message) {
+    const text = message.trim().replace(/^設定\s*/, '');
+    if (!text) {
+      return { changes: null };
+    }
+
+    const match = text.match(/^(時區|早報|每日摘要|提醒|時間格式|格式|語言|靜音)\s*(.*)$/);
+    if (!match) {
+      throw new Error('可以設定的項目：時區、早報、提醒、時間格式、語言、靜音');
+    }
+
+    const [, name, rawValue] = match;
+    const value = rawValue.trim();
+    if (!value) {
+      const examples = { '時區': 'Asia/Taipei', '早報': '早上7點', '每日摘要': '早上7點', '提醒': '15分鐘、1小時', '時間格式': '24小時', '格式': '24小時', '語言': '中文', '靜音': '#個人' };
+      throw new Error(`請提供設定值，例如：設定 ${name} ${examples[name]}`);
+    }
+
+    switch (name) {
+      case '時區':
+        return { changes: { timezone: value } };
+
+      case '早報':
+      case '每日摘要': {
+        const parsed = this.parseChineseDateTime(value);
+        if (!parsed.time || parsed.date || parsed.remaining.trim()) {
+          throw new Error(`無法理解的時間：${value}。例如：設定 早報 早上7點`);
+        }
+        return { changes: { digestTime: this.formatTime(parsed.time) } };
+      }
+
+      case '提醒':
+        if (value === '預設') {
+          return { changes: { reminderOffsets: null } };
+        }
+        if (['不提醒', '關閉', '無'].includes(value)) {
+          return { changes: { reminderOffsets: [] } };
+        }
+        return { changes: { reminderOffsets: reminderOffsets.parseList(value.replace(/^提前/, '').replace(/提醒$/, '')) } };
+
+      case '時間格式':
+      case '格式': {
+        const format = value.replace(/\s+/g, '');
+        if (/^12(?:小時|h)?$/i.test(format)) return { changes: { timeFormat: '12h' } };
+        if (/^24(?:小時|h)?$/i.test(format)) return { changes: { timeFormat: '24h' } };
+        throw new Error('時間格式只能是 12小時 或 24小時');
+      }
+
+      case '語言': {
+        const languages = { '中文': 'zh', '繁體中文': 'zh', zh: 'zh', '英文': 'en', en: 'en', english: 'en', '自動': null, auto: null };
+        const language = languages[value.toLowerCase()];
+        if (language === undefined) {
+          throw new Error('語言只能是 中文、英文 或 自動');
+        }
+        return { changes: { language } };
+      }
+
+      case '靜音':
+        return { changes: { digestMutedTags: this.parseTagList(value) } };
+    }
+  }
+
+  // Parse Chinese skip command: 跳過 T7K, 跳過「健身」週五
+  parseChineseSkipCommand(message) {
+    const { identifier, rest } = this.parseChineseTaskReference(message, '跳過');
+    let occurrenceDate = null;
+
+    if (rest) {
+      const parsed = this.parseChineseDateTime(rest);
+      if (!parsed.date || parsed.remaining.trim()) {
+        throw new Error(`無法理解的日期：${rest}。例如：跳過 T7K 或 跳過 T7K 週五`);
+      }
+      occurrenceDate = parsed.date;
+    }
+
+    return { identifier, occurrenceDate };
+  }
+
+  // Parse Chinese move command: 移動 T7K 到 週五下午6點, 改期「開會」週四 到 週五上午10點
+  parseChineseMoveCommand(message) {
+    const keyword = message.trim().startsWith('改期') ? '改期' : '移動';
+    const { identifier, rest } = this.parseChineseTaskReference(message, keyword);
+
+    const toMatch = rest.match(/^(.*?)(?:改到|移到|到)\s*(.+)$/);
+    if (!toMatch) {
+      throw new Error('請說明要移到什麼時候，例如：移動 T7K 到 週五下午6點');
+    }
+
+    let occurrenceDate = null;
+    if (toMatch[1].trim()) {
+      const from = this.parseChineseDateTime(toMatch[1]);
+      if (!from.date || from.remaining.trim()) {
+        throw new Error(`無法理解的日期：${toMatch[1].trim()}`);
+      }
+      occurrenceDate = from.date;
+    }
+
+    // Checked here, resolved from the occurrence once it is known (parseMoveTarget)
+    this.parseMoveTarget(toMatch[2]);
+
+    return { identifier, occurrenceDate, target: toMatch[2] };
+  }
+
+  // Split a Chinese command into its task reference (代碼 or「名稱」) and the rest of the text
+  parseChineseTaskReference(message, keyword) {
+    const text = message.trim().substring(keyword.length).trim();
+
+    const quotedMatch = text.match(/^[「『"]([^」』"]+)[」』"]/);
+    const codeMatch = taskCodes.matchLeading(text);
+
+    if (quotedMatch) {
+      return { identifier: { type: 'title', value: quotedMatch[1].trim() }, rest: text.substring(quotedMatch[0].length).trim() };
+    }
+    if (codeMatch) {
+      return { identifier: { type: 'code', value: codeMatch.code }, rest: codeMatch.rest.trim() };
+    }
+
+    throw new Error(`請提供任務代碼或用「」括住的任務名稱，例如：${keyword} T7K`);
   }
 
   // Validate UUID format
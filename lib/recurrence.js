@@ -0,0 +1,680 @@
+const moment = require('moment-timezone');
+
+// RFC 5545 recurrence rules (RRULE) for recurring tasks.
+// A task's scheduled_time is the DTSTART of its rule: the time of day comes from it,
+// and so does the day when the rule doesn't say (e.g. FREQ=WEEKLY without BYDAY).
+// Supported parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, BYDAY, BYMONTHDAY,
+// BYMONTH, COUNT, UNTIL and WKST.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const LEGACY_WEEKS = { first: 1, second: 2, third: 3, fourth: 4, last: -1 };
+
+// Stop expanding after this many periods so a rule that never matches can't loop forever
+const MAX_PERIODS = 5000;
+
+const labels = {
+  en: {
+    weekdays: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    ordinals: { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last', '-2': 'second to last' },
+    units: { DAILY: ['day', 'days'], WEEKLY: ['week', 'weeks'], MONTHLY: ['month', 'months'], YEARLY: ['year', 'years'] },
+    simple: { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' },
+    weekdaysOnly: 'Every weekday',
+    weekends: 'Every weekend',
+    untilFormat: 'MMM D, YYYY'
+  },
+  zh: {
+    weekdays: ['日', '一', '二', '三', '四', '五', '六'],
+    ordinals: { 1: '第一個', 2: '第二個', 3: '第三個', 4: '第四個', 5: '第五個', '-1': '最後一個', '-2': '倒數第二個' },
+    units: { DAILY: '天', WEEKLY: '週', MONTHLY: '個月', YEARLY: '年' },
+    simple: { DAILY: '每天', WEEKLY: '每週', MONTHLY: '每月', YEARLY: '每年' },
+    weekdaysOnly: '每個工作日',
+    weekends: '每個週末',
+    untilFormat: 'YYYY年M月D日'
+  }
+};
+
+class RecurrenceService {
+  constructor() {
+    this.timezone = process.env.TIMEZONE || 'Asia/Taipei';
+  }
+
+  // A view of the engine that expands rules in another timezone (weekdays and month days are local)
+  withTimezone(timezone) {
+    if (!timezone || timezone === this.timezone) {
+      return this;
+    }
+    const view = Object.create(this);
+    view.timezone = timezone;
+    return view;
+  }
+
+  // Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE,FR") into an options object
+  parse(rule) {
+    if (!rule || typeof rule !== 'string') {
+      throw new Error('Recurrence rule must be a non-empty string');
+    }
+
+    const text = rule.trim().replace(/^RRULE:/i, '');
+    const options = { interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null, wkst: 1 };
+
+    for (const part of text.split(';')) {
+      if (!part) continue;
+
+      const [rawKey, value] = part.split('=');
+      const key = (rawKey || '').toUpperCase();
+      if (!value) {
+        throw new Error(`Invalid recurrence rule part: ${part}`);
+      }
+
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES.includes(value.toUpperCase())) {
+            throw new Error(`Unsupported recurrence frequency: ${value}`);
+          }
+          options.freq = value.toUpperCase();
+          break;
+
+        case 'INTERVAL':
+          options.interval = this.parseInteger(value, 1, 1000, 'INTERVAL');
+          break;
+
+        case 'BYDAY':
+          options.byDay = value.split(',').map(day => this.parseWeekday(day));
+          break;
+
+        case 'BYMONTHDAY':
+          options.byMonthDay = value.split(',').map(day => {
+            const monthDay = this.parseInteger(day, -31, 31, 'BYMONTHDAY');
+            if (monthDay === 0) {
+              throw new Error('BYMONTHDAY cannot be 0');
+            }
+            return monthDay;
+          });
+          break;
+
+        case 'BYMONTH':
+          options.byMonth = value.split(',').map(month => this.parseInteger(month, 1, 12, 'BYMONTH'));
+          break;
+
+        case 'COUNT':
+          options.count = this.parseInteger(value, 1, 10000, 'COUNT');
+          break;
+
+        case 'UNTIL': {
+          const until = value.length === 8
+            ? moment.tz(value, 'YYYYMMDD', this.timezone).endOf('day')
+            : moment.utc(value, ['YYYYMMDDTHHmmss[Z]', 'YYYYMMDDTHHmmss'], true);
+          if (!until.isValid()) {
+            throw new Error(`Invalid UNTIL date: ${value}`);
+          }
+          options.until = until;
+          break;
+        }
+
+        case 'WKST':
+          options.wkst = this.parseWeekday(value).day;
+          break;
+
+        default:
+          throw new Error(`Unsupported recurrence rule part: ${key}`);
+      }
+    }
+
+    if (!options.freq) {
+      throw new Error('Recurrence rule must include FREQ');
+    }
+
+    if (options.count && options.until) {
+      throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+    }
+
+    if (options.byDay.some(day => day.n !== null) && !['MONTHLY', 'YEARLY'].includes(options.freq)) {
+      throw new Error('Numbered BYDAY values (e.g. 1SU) need FREQ=MONTHLY or FREQ=YEARLY');
+    }
+
+    return options;
+  }
+
+  // Build an RRULE string from an options object
+  stringify(options) {
+    const parts = [`FREQ=${options.freq}`];
+
+    if (options.interval && options.interval > 1) {
+      parts.push(`INTERVAL=${options.interval}`);
+    }
+    if (options.byMonth && options.byMonth.length > 0) {
+      parts.push(`BYMONTH=${options.byMonth.join(',')}`);
+    }
+    if (options.byMonthDay && options.byMonthDay.length > 0) {
+      parts.push(`BYMONTHDAY=${options.byMonthDay.join(',')}`);
+    }
+    if (options.byDay && options.byDay.length > 0) {
+      parts.push(`BYDAY=${options.byDay.map(day => `${day.n || ''}${WEEKDAY_CODES[day.day]}`).join(',')}`);
+    }
+    if (options.wkst !== undefined && options.wkst !== 1) {
+      parts.push(`WKST=${WEEKDAY_CODES[options.wkst]}`);
+    }
+    if (options.count) {
+      parts.push(`COUNT=${options.count}`);
+    }
+    if (options.until) {
+      parts.push(`UNTIL=${moment(options.until).utc().format('YYYYMMDDTHHmmss[Z]')}`);
+    }
+
+    return parts.join(';');
+  }
+
+  // Validate a rule and return it in canonical form
+  normalize(rule) {
+    return this.stringify(this.parse(rule));
+  }
+
+  // Convert a legacy recurrence_pattern ({ type: 'weekly' | 'biweekly' | 'monthly', ... }) to an RRULE
+  fromLegacyPattern(pattern) {
+    const legacy = typeof pattern === 'string' ? JSON.parse(pattern) : pattern;
+    if (!legacy || !legacy.type) {
+      throw new Error('Legacy recurrence pattern must have a type');
+    }
+
+    const weekday = (name) => ({ day: this.getWeekdayNumber(name), n: null });
+
+    switch (legacy.type) {
+      case 'weekly':
+        return this.stringify({
+          freq: 'WEEKLY',
+          byDay: legacy.dayOfWeek ? [weekday(legacy.dayOfWeek)] : []
+        });
+
+      case 'biweekly':
+        return this.stringify({
+          freq: 'WEEKLY',
+          interval: 2,
+          byDay: legacy.dayOfWeek ? [weekday(legacy.dayOfWeek)] : []
+        });
+
+      case 'monthly':
+        if (legacy.weekdayOfMonth) {
+          const n = LEGACY_WEEKS[legacy.weekdayOfMonth.week];
+          if (!n) {
+            throw new Error(`Unknown legacy week: ${legacy.weekdayOfMonth.week}`);
+          }
+          return this.stringify({
+            freq: 'MONTHLY',
+            byDay: [{ day: this.getWeekdayNumber(legacy.weekdayOfMonth.day), n }]
+          });
+        }
+        return this.stringify({
+          freq: 'MONTHLY',
+          byMonthDay: legacy.dayOfMonth ? [legacy.dayOfMonth] : []
+        });
+
+      default:
+        throw new Error(`Unknown legacy recurrence type: ${legacy.type}`);
+    }
+  }
+
+  // The RRULE of a task, converting a legacy recurrence_pattern that hasn't been migrated yet
+  getTaskRule(task) {
+    if (!task || !task.is_recurring) {
+      return null;
+    }
+    if (task.recurrence_rule) {
+      return task.recurrence_rule;
+    }
+    if (task.recurrence_pattern) {
+      return this.fromLegacyPattern(task.recurrence_pattern);
+    }
+    return null;
+  }
+
+  // Occurrences of a rule starting at dtstart, within [after, before]
+  between(rule, dtstart, after, before, limit = 1000) {
+    const options = typeof rule === 'string' ? this.parse(rule) : rule;
+    const start = moment(dtstart).tz(this.timezone);
+    const from = moment(after);
+    const to = moment(before);
+    const occurrences = [];
+
+    let index = 0;
+    this.iterate(options, start, (occurrence) => {
+      index++;
+      if (occurrence.isAfter(to)) {
+        return false;
+      }
+      if (!occurrence.isBefore(from)) {
+        occurrences.push(occurrence);
+      }
+      return occurrences.length < limit;
+    });
+
+    return occurrences;
+  }
+
+  // First occurrence strictly after the given time, or null when the series has ended
+  next(rule, dtstart, after) {
+    const options = typeof rule === 'string' ? this.parse(rule) : rule;
+    const start = moment(dtstart).tz(this.timezone);
+    const threshold = moment(after);
+    let found = null;
+
+    this.iterate(options, start, (occurrence) => {
+      if (occurrence.isAfter(threshold)) {
+        found = occurrence;
+        return false;
+      }
+      return true;
+    });
+
+    return found;
+  }
+
+  // Occurrences within [after, before] once skipped and moved occurrences (task_exceptions rows)
+  // are applied. Returns { time, originalTime } pairs in time order.
+  occurrencesBetween(rule, dtstart, after, before, exceptions = []) {
+    const start = moment(dtstart);
+    const from = moment(after);
+    const to = moment(before);
+    const occurrences = this.between(rule, dtstart, after, before)
+      .filter(occurrence => !this.findException(exceptions, occurrence))
+      .map(occurrence => ({ time: occurrence, originalTime: occurrence }));
+
+    // Moved occurrences land in the range by their new time, wherever they came from
+    for (const exception of exceptions) {
+      if (exception.action !== 'move' || !exception.new_time) continue;
+
+      const originalTime = moment(exception.occurrence_time).tz(this.timezone);
+      const newTime = moment(exception.new_time).tz(this.timezone);
+      if (originalTime.isBefore(start)) continue;
+      if (newTime.isBefore(from) || newTime.isAfter(to)) continue;
+
+      occurrences.push({ time: newTime, originalTime });
+    }
+
+    return occurrences.sort((a, b) => a.time.valueOf() - b.time.valueOf());
+  }
+
+  // First occurrence strictly after the given time that hasn't been skipped, or null
+  nextUnskipped(rule, dtstart, after, exceptions = []) {
+    const options = typeof rule === 'string' ? this.parse(rule) : rule;
+    const threshold = moment(after);
+    let found = null;
+
+    this.iterate(options, moment(dtstart).tz(this.timezone), (occurrence) => {
+      if (!occurrence.isAfter(threshold)) {
+        return true;
+      }
+      const exception = this.findException(exceptions, occurrence);
+      if (exception && exception.action === 'skip') {
+        return true;
+      }
+      found = occurrence;
+      return false;
+    });
+
+    return found;
+  }
+
+  // When an occurrence actually happens: its moved time, or the occurrence itself
+  effectiveTime(occurrence, exceptions = []) {
+    const exception = this.findException(exceptions, occurrence);
+    if (exception && exception.action === 'move' && exception.new_time) {
+      return moment(exception.new_time).tz(this.timezone);
+    }
+    return moment(occurrence).tz(this.timezone);
+  }
+
+  // The occurrence a time belongs to: the original slot of an occurrence moved to that time, or
+  // the time itself
+  originalTime(time, exceptions = []) {
+    const value = moment(time).valueOf();
+    const moved = exceptions.find(exception =>
+      exception.action === 'move' && exception.new_time && moment(exception.new_time).valueOf() === value
+    );
+    return moment(moved ? moved.occurrence_time : time).tz(this.timezone);
+  }
+
+  // The exception recorded for an occurrence, if any
+  findException(exceptions, occurrence) {
+    const time = moment(occurrence).valueOf();
+    return exceptions.find(exception => moment(exception.occurrence_time).valueOf() === time) || null;
+  }
+
+  // Move a rule's DTSTART forward to one of its later occurrences. COUNT is reduced by the
+  // occurrences that were passed over so the series still ends where it did.
+  rebase(rule, dtstart, newStart) {
+    const options = this.parse(rule);
+    if (!options.count) {
+      return this.stringify(options);
+    }
+
+    const target = moment(newStart);
+    let passed = 0;
+    this.iterate(options, moment(dtstart).tz(this.timezone), (occurrence) => {
+      if (!occurrence.isBefore(target)) {
+        return false;
+      }
+      passed++;
+      return true;
+    });
+
+    options.count = Math.max(options.count - passed, 1);
+    return this.stringify(options);
+  }
+
+  // Walk the occurrences of a rule in order, calling visit(occurrence) until it returns false
+  iterate(options, start, visit) {
+    let period = this.getPeriodStart(options, start);
+    let emitted = 0;
+
+    for (let i = 0; i < MAX_PERIODS; i++) {
+      const candidates = this.expandPeriod(options, period, start);
+
+      for (const candidate of candidates) {
+        if (candidate.isBefore(start)) continue;
+        if (options.until && candidate.isAfter(options.until)) return;
+        if (options.count && emitted >= options.count) return;
+
+        emitted++;
+        if (visit(candidate) === false) return;
+      }
+
+      if (options.until && period.isAfter(options.until)) return;
+      period = this.addPeriods(options, period, options.interval);
+    }
+  }
+
+  // Start of the day/week/month/year containing dtstart
+  getPeriodStart(options, start) {
+    const day = start.clone().startOf('day');
+    switch (options.freq) {
+      case 'DAILY':
+        return day;
+      case 'WEEKLY':
+        return day.subtract((day.day() - options.wkst + 7) % 7, 'days');
+      case 'MONTHLY':
+        return day.startOf('month');
+      case 'YEARLY':
+        return day.startOf('year');
+    }
+  }
+
+  addPeriods(options, period, amount) {
+    const units = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' };
+    return period.clone().add(amount, units[options.freq]);
+  }
+
+  // All occurrences inside one period, in order, at dtstart's time of day
+  expandPeriod(options, period, start) {
+    let days = [];
+
+    switch (options.freq) {
+      case 'DAILY':
+        days = [period.clone()];
+        break;
+
+      case 'WEEKLY': {
+        const weekdays = options.byDay.length > 0 ? options.byDay.map(day => day.day) : [start.day()];
+        for (let offset = 0; offset < 7; offset++) {
+          const day = period.clone().add(offset, 'days');
+          if (weekdays.includes(day.day())) {
+            days.push(day);
+          }
+        }
+        break;
+      }
+
+      case 'MONTHLY':
+        days = this.expandMonth(options, period, start);
+        break;
+
+      case 'YEARLY': {
+        const months = options.byMonth.length > 0 ? options.byMonth : [start.month() + 1];
+        for (const month of months) {
+          days.push(...this.expandMonth(options, period.clone().month(month - 1).startOf('month'), start));
+        }
+        break;
+      }
+    }
+
+    // BYxxx parts that limit rather than expand the current frequency
+    days = days.filter(day => {
+      if (options.byMonth.length > 0 && !options.byMonth.includes(day.month() + 1)) {
+        return false;
+      }
+      if (options.freq === 'DAILY' && options.byDay.length > 0 && !options.byDay.some(byDay => byDay.day === day.day())) {
+        return false;
+      }
+      if (options.freq === 'DAILY' && options.byMonthDay.length > 0 && !this.matchesMonthDay(day, options.byMonthDay)) {
+        return false;
+      }
+      return true;
+    });
+
+    return days
+      .map(day => day.hour(start.hour()).minute(start.minute()).second(start.second()).millisecond(0))
+      .sort((a, b) => a.valueOf() - b.valueOf());
+  }
+
+  // Days of one month selected by BYMONTHDAY / BYDAY (or dtstart's day of the month)
+  expandMonth(options, month, start) {
+    const daysInMonth = month.daysInMonth();
+    const days = [];
+
+    if (options.byMonthDay.length === 0 && options.byDay.length === 0) {
+      // Months without that day (e.g. the 31st) are skipped, as in RFC 5545
+      if (start.date() <= daysInMonth) {
+        days.push(month.clone().date(start.date()));
+      }
+      return days;
+    }
+
+    for (let date = 1; date <= daysInMonth; date++) {
+      const day = month.clone().date(date);
+
+      if (options.byMonthDay.length > 0 && !this.matchesMonthDay(day, options.byMonthDay)) {
+        continue;
+      }
+      if (options.byDay.length > 0 && !options.byDay.some(byDay => this.matchesWeekdayOfMonth(day, byDay))) {
+        continue;
+      }
+      days.push(day);
+    }
+
+    return days;
+  }
+
+  matchesMonthDay(day, byMonthDay) {
+    const fromEnd = day.date() - day.daysInMonth() - 1;
+    return byMonthDay.includes(day.date()) || byMonthDay.includes(fromEnd);
+  }
+
+  // BYDAY inside a month: "MO" is every Monday, "1MO" the first, "-1FR" the last Friday
+  matchesWeekdayOfMonth(day, byDay) {
+    if (day.day() !== byDay.day) {
+      return false;
+    }
+    if (byDay.n === null) {
+      return true;
+    }
+    if (byDay.n > 0) {
+      return Math.ceil(day.date() / 7) === byDay.n;
+    }
+    return Math.ceil((day.daysInMonth() - day.date() + 1) / 7) === -byDay.n;
+  }
+
+  // Human-readable description of a rule ("Every Monday, Wednesday and Friday")
+  describe(rule, lang = 'en') {
+    const options = typeof rule === 'string' ? this.parse(rule) : rule;
+    const text = lang === 'zh' ? this.describeChinese(options) : this.describeEnglish(options);
+    return text + this.describeEnd(options, lang);
+  }
+
+  describeEnglish(options) {
+    const l = labels.en;
+    const every = options.interval > 1 ? `Every ${options.interval} ${l.units[options.freq][1]}` : null;
+    const dayNames = (days) => this.joinList(days.map(day => l.weekdays[day.day]), 'and');
+    const weekdayCodes = options.byDay.map(day => day.day).sort().join(',');
+
+    switch (options.freq) {
+      case 'DAILY':
+        return every || l.simple.DAILY;
+
+      case 'WEEKLY':
+        if (options.byDay.length === 0) {
+          return every || l.simple.WEEKLY;
+        }
+        if (!every && weekdayCodes === '1,2,3,4,5') {
+          return l.weekdaysOnly;
+        }
+        if (!every && weekdayCodes === '0,6') {
+          return l.weekends;
+        }
+        return every ? `${every} on ${dayNames(options.byDay)}` : `Every ${dayNames(options.byDay)}`;
+
+      case 'MONTHLY': {
+        const on = this.describeMonthDaysEnglish(options);
+        if (!on) {
+          return every || l.simple.MONTHLY;
+        }
+        if (options.byDay.some(day => day.n !== null) && options.byMonthDay.length === 0) {
+          const capitalized = on.charAt(0).toUpperCase() + on.slice(1);
+          return every ? `${capitalized} of every ${options.interval} months` : `${capitalized} of every month`;
+        }
+        return `${every || l.simple.MONTHLY} on ${on}`;
+      }
+
+      case 'YEARLY': {
+        const months = this.joinList(options.byMonth.map(month => l.months[month - 1]), 'and');
+        const on = this.describeMonthDaysEnglish(options);
+        let text = every || l.simple.YEARLY;
+        if (on && months) {
+          text += ` on ${on} of ${months}`;
+        } else if (months) {
+          text += ` in ${months}`;
+        } else if (on) {
+          text += ` on ${on}`;
+        }
+        return text;
+      }
+    }
+  }
+
+  describeMonthDaysEnglish(options) {
+    const l = labels.en;
+    const monthDays = options.byMonthDay.map(day => day === -1 ? 'the last day' : `the ${day}${this.getOrdinalSuffix(day)}`);
+    const weekdays = options.byDay.map(day =>
+      day.n === null ? l.weekdays[day.day] : `${l.ordinals[day.n] || `${day.n}${this.getOrdinalSuffix(day.n)}`} ${l.weekdays[day.day]}`
+    );
+    return this.joinList([...monthDays, ...weekdays], 'and');
+  }
+
+  describeChinese(options) {
+    const l = labels.zh;
+    const every = options.interval > 1 ? `每${options.interval}${l.units[options.freq]}` : null;
+    const dayNames = (days) => days.map(day => `星期${l.weekdays[day.day]}`).join('、');
+    const weekdayCodes = options.byDay.map(day => day.day).sort().join(',');
+    const monthDays = options.byMonthDay.map(day => day === -1 ? '最後一天' : `${day}號`);
+    const nthWeekdays = options.byDay.map(day =>
+      day.n === null ? `每個星期${l.weekdays[day.day]}` : `${l.ordinals[day.n] || `第${day.n}個`}星期${l.weekdays[day.day]}`
+    );
+
+    switch (options.freq) {
+      case 'DAILY':
+        return every || l.simple.DAILY;
+
+      case 'WEEKLY':
+        if (options.byDay.length === 0) {
+          return every || l.simple.WEEKLY;
+        }
+        if (!every && weekdayCodes === '1,2,3,4,5') {
+          return l.weekdaysOnly;
+        }
+        if (!every && weekdayCodes === '0,6') {
+          return l.weekends;
+        }
+        return every ? `${every}的${dayNames(options.byDay)}` : `每週${options.byDay.map(day => l.weekdays[day.day]).join('、')}`;
+
+      case 'MONTHLY': {
+        const on = [...monthDays, ...nthWeekdays].join('、');
+        return `${every || l.simple.MONTHLY}${on}`;
+      }
+
+      case 'YEARLY': {
+        const months = options.byMonth.map(month => `${month}月`).join('、');
+        const on = [...monthDays, ...nthWeekdays].join('、');
+        return `${every || l.simple.YEARLY}${months}${on}`;
+      }
+    }
+  }
+
+  describeEnd(options, lang) {
+    if (options.count) {
+      return lang === 'zh' ? `，共 ${options.count} 次` : `, ${options.count} times`;
+    }
+    if (options.until) {
+      const until = moment(options.until).tz(this.timezone).format(labels[lang === 'zh' ? 'zh' : 'en'].untilFormat);
+      return lang === 'zh' ? `，到${until}為止` : `, until ${until}`;
+    }
+    return '';
+  }
+
+  joinList(items, conjunction) {
+    if (items.length <= 1) {
+      return items.join('');
+    }
+    return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+  }
+
+  getOrdinalSuffix(day) {
+    const value = Math.abs(day);
+    if (value > 3 && value < 21) return 'th';
+    switch (value % 10) {
+      case 1: return 'st';
+      case 2: return 'nd';
+      case 3: return 'rd';
+      default: return 'th';
+    }
+  }
+
+  // "MO", "1SU", "-1FR" -> { day, n }
+  parseWeekday(value) {
+    const match = value.trim().toUpperCase().match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) {
+      throw new Error(`Invalid BYDAY value: ${value}`);
+    }
+    const n = match[1] ? parseInt(match[1]) : null;
+    if (n !== null && (n === 0 || Math.abs(n) > 5)) {
+      throw new Error(`Invalid BYDAY value: ${value}`);
+    }
+    return { day: WEEKDAY_CODES.indexOf(match[2]), n };
+  }
+
+  parseInteger(value, min, max, name) {
+    if (!/^[+-]?\d+$/.test(value)) {
+      throw new Error(`${name} must be a number`);
+    }
+    const number = parseInt(value);
+    if (number < min || number > max) {
+      throw new Error(`${name} must be between ${min} and ${max}`);
+    }
+    return number;
+  }
+
+  // Weekday number (0 = Sunday) from a name like "monday"
+  getWeekdayNumber(name) {
+    const index = WEEKDAY_NAMES.indexOf(String(name).toLowerCase());
+    if (index === -1) {
+      throw new Error(`Unknown weekday: ${name}`);
+    }
+    return index;
+  }
+
+  getWeekdayCode(day) {
+    return WEEKDAY_CODES[day];
+  }
+}
+
+module.exports = new RecurrenceService();
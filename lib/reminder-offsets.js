@@ -0,0 +1,124 @@
+// Per-task reminder offsets: how many minutes before a task its "before" reminders go out.
+// A task without reminder_offsets gets the default plan of its priority (lib/task-priority.js):
+// 1 week, 1 day, 2 hours and 15 minutes before for high, 1 hour before for medium, 15 minutes before for low.
+const taskPriority = require('./task-priority');
+
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+const MAX_OFFSETS = 10;
+
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 1440, day: 1440, days: 1440,
+  w: 10080, week: 10080, weeks: 10080,
+  '分': 1, '分鐘': 1,
+  '小時': 60, '個小時': 60, '鐘頭': 60, '個鐘頭': 60,
+  '天': 1440,
+  '週': 10080, '周': 10080, '星期': 10080, '個星期': 10080, '禮拜': 10080, '個禮拜': 10080
+};
+
+class ReminderOffsetService {
+  constructor() {
+    this.defaultPlans = taskPriority.defaultPlans;
+  }
+
+  // Validate a list of offsets in minutes; returns them de-duplicated, furthest first
+  normalize(offsets) {
+    if (!Array.isArray(offsets)) {
+      throw new Error('reminder_offsets must be an array of minutes');
+    }
+    if (offsets.length > MAX_OFFSETS) {
+      throw new Error(`A task can have at most ${MAX_OFFSETS} reminders`);
+    }
+
+    for (const offset of offsets) {
+      if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET_MINUTES) {
+        throw new Error(`Reminder offsets must be whole minutes between 0 and ${MAX_OFFSET_MINUTES}`);
+      }
+    }
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+  }
+
+  // The offsets a task is reminded at: its own list, else the user's default reminders (on top of
+  // the high plan for high priority tasks), else the plan of the task's priority
+  getTaskOffsets(task, defaults = null) {
+    if (Array.isArray(task.reminder_offsets)) {
+      return task.reminder_offsets;
+    }
+
+    const priority = taskPriority.of(task);
+    if (defaults) {
+      return priority === taskPriority.high ? this.normalize([...defaults, ...this.defaultPlans[priority]]) : defaults;
+    }
+    return this.defaultPlans[priority];
+  }
+
+  // Minutes in "15m", "2 hours", "1天"; null when the unit is unknown
+  toMinutes(amount, unit) {
+    const minutes = UNIT_MINUTES[unit.toLowerCase()];
+    if (!minutes) {
+      return null;
+    }
+    return amount * minutes;
+  }
+
+  // Parse a list of durations: "15m, 2h and 1d", "15 minutes", "1小時、1天"
+  parseList(text) {
+    const offsets = [];
+    const pattern = /(\d+)\s*([a-z]+|個?小時|個?鐘頭|分鐘|分|天|個?星期|個?禮拜|週|周)/gi;
+    let rest = text;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      const minutes = this.toMinutes(parseInt(match[1]), match[2]);
+      if (minutes === null) {
+        throw new Error(`Unknown reminder unit "${match[2]}". Use minutes, hours, days or weeks, e.g. remind 15m, 2h before`);
+      }
+      offsets.push(minutes);
+      rest = rest.replace(match[0], ' ');
+    }
+
+    if (offsets.length === 0 || rest.replace(/,|、|，|和|及|\band\b/gi, ' ').trim()) {
+      throw new Error(`Could not understand the reminder "${text.trim()}". Try e.g. remind 15m, 2h, 1d before`);
+    }
+
+    return this.normalize(offsets);
+  }
+
+  // "15 minutes", "2 hours", "1 day 2 hours" ("15分鐘", "1天2小時" in Chinese)
+  describe(minutes, lang = 'en') {
+    const parts = [];
+    const units = lang === 'zh'
+      ? [[10080, '週', '週'], [1440, '天', '天'], [60, '小時', '小時'], [1, '分鐘', '分鐘']]
+      : [[10080, 'week', 'weeks'], [1440, 'day', 'days'], [60, 'hour', 'hours'], [1, 'minute', 'minutes']];
+
+    let remaining = minutes;
+    for (const [size, singular, plural] of units) {
+      const count = Math.floor(remaining / size);
+      if (count > 0) {
+        parts.push(lang === 'zh' ? `${count}${singular}` : `${count} ${count === 1 ? singular : plural}`);
+        remaining -= count * size;
+      }
+    }
+
+    return parts.join(lang === 'zh' ? '' : ' ');
+  }
+
+  // "15 minutes, 2 hours and 1 day before"
+  describeList(offsets, lang = 'en') {
+    if (offsets.length === 0) {
+      return lang === 'zh' ? '不提醒' : 'no reminders';
+    }
+
+    const items = [...offsets].sort((a, b) => a - b).map(offset => this.describe(offset, lang) || (lang === 'zh' ? '準時' : 'on time'));
+    if (lang === 'zh') {
+      return `提前 ${items.join('、')}`;
+    }
+
+    const list = items.length === 1 ? items[0] : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    return `${list} before`;
+  }
+}
+
+module.exports = new ReminderOffsetService();
@@ -1,61 +1,94 @@
 const moment = require('moment-timezone');
 const database = require('./database');
-const lineBot = require('./line-bot');
+const recurrence = require('./recurrence');
+const reminderOffsets = require('./reminder-offsets');
+const userSettings = require('./user-settings');
+const i18n = require('./i18n');
+
+// Task fields that decide when, and how often, a task is reminded
+const TIMING_FIELDS = ['scheduled_time', 'recurrence_rule', 'is_special', 'priority', 'reminder_offsets'];
 
 class ReminderScheduler {
   constructor() {
     this.timezone = process.env.TIMEZONE || 'Asia/Taipei';
+    this.recurrence = recurrence;
+
+    // Reminder dispatch: how long a run may hold a claimed reminder, and how failed sends are retried
+    this.reminderLeaseMinutes = 5;
+    this.maxReminderAttempts = 5;
+    this.retryBackoffMinutes = 5; // doubled after every failed attempt
   }
 
-  // Schedule reminders for a new task
-  async scheduleRemindersForTask(task) {
+  // A view of the scheduler that works in a user's timezone setting
+  forUser(settings) {
+    const view = Object.create(this);
+    view.timezone = settings.timezone;
+    view.recurrence = recurrence.withTimezone(settings.timezone);
+    return view;
+  }
+
+  // The LINE bot with a user's settings. Required on use because the bot requires this module too.
+  getLineBot(settings) {
+    return require('./line-bot').forUser(settings);
+  }
+
+  // A user's digest time ("07:30") on the day of the given moment
+  atDigestTime(day, settings) {
+    const [hour, minute] = settings.digestTime.split(':').map(Number);
+    return day.clone().hour(hour).minute(minute).second(0).millisecond(0);
+  }
+
+  // The reminders a task's occurrence gets, past or not: one per offset before it (the task's
+  // own offsets, else the user's default, else the plan of its priority) and, for high priority
+  // (special) tasks, one at the digest time on the day. The morning digest isn't included: it covers a whole day.
+  planReminders(task, settings) {
     const reminders = [];
 
-    // Daily morning reminder (5:30 AM) - only for today's tasks
-    const today = moment().tz(this.timezone).startOf('day');
-    const taskDate = moment(task.scheduled_time).tz(this.timezone).startOf('day');
-    
-    if (taskDate.isSame(today)) {
-      const dailyReminderTime = moment().tz(this.timezone).hour(5).minute(30).second(0);
-      if (dailyReminderTime.isAfter(moment().tz(this.timezone))) {
-        reminders.push({
-          task_id: task.id,
-          reminder_type: 'daily',
-          scheduled_time: dailyReminderTime.toISOString()
-        });
-      }
+    for (const offset of reminderOffsets.getTaskOffsets(task, settings.reminderOffsets)) {
+      reminders.push({
+        task_id: task.id,
+        reminder_type: 'before',
+        offset_minutes: offset,
+        scheduled_time: moment(task.scheduled_time).subtract(offset, 'minutes').toISOString()
+      });
     }
 
-    // One hour before reminder
-    const oneHourBefore = moment(task.scheduled_time).subtract(1, 'hour');
-    if (oneHourBefore.isAfter(moment().tz(this.timezone))) {
+    if (task.is_special) {
       reminders.push({
         task_id: task.id,
-        reminder_type: 'hourly',
-        scheduled_time: oneHourBefore.toISOString()
+        reminder_type: 'special_day_of',
+        scheduled_time: this.atDigestTime(moment(task.scheduled_time).tz(settings.timezone), settings).toISOString()
       });
     }
 
-    // Special task reminders
-    if (task.is_special) {
-      // One day before reminder
-      const oneDayBefore = moment(task.scheduled_time).subtract(1, 'day');
-      if (oneDayBefore.isAfter(moment().tz(this.timezone))) {
+    return reminders;
+  }
+
+  // Schedule reminders for a new task, following its owner's timezone, digest time and default reminders
+  async scheduleRemindersForTask(task) {
+    const settings = await userSettings.getSettings(task.user_id);
+    const timezone = settings.timezone;
+    const reminders = [];
+
+    // Morning reminder at the digest time - only for today's tasks
+    const today = moment().tz(timezone).startOf('day');
+    const taskDate = moment(task.scheduled_time).tz(timezone).startOf('day');
+    
+    if (taskDate.isSame(today)) {
+      const dailyReminderTime = this.atDigestTime(moment().tz(timezone), settings);
+      if (dailyReminderTime.isAfter(moment().tz(timezone))) {
         reminders.push({
           task_id: task.id,
-          reminder_type: 'special_day_before',
-          scheduled_time: oneDayBefore.toISOString()
+          reminder_type: 'daily',
+          scheduled_time: dailyReminderTime.toISOString()
         });
       }
+    }
 
-      // Day of reminder at 5:30 AM
-      const dayOfReminder = moment(task.scheduled_time).tz(this.timezone).hour(5).minute(30).second(0);
-      if (dayOfReminder.isAfter(moment().tz(this.timezone))) {
-        reminders.push({
-          task_id: task.id,
-          reminder_type: 'special_day_of',
-          scheduled_time: dayOfReminder.toISOString()
-        });
+    // The task's own reminders, leaving out the ones whose time has already passed
+    for (const reminder of this.planReminders(task, settings)) {
+      if (moment(reminder.scheduled_time).isAfter(moment())) {
+        reminders.push(reminder);
       }
     }
 
@@ -67,7 +100,9 @@ class ReminderScheduler {
     return reminders;
   }
 
-  // Process pending reminders
+  // Process pending reminders. Each reminder is claimed before it is sent, so overlapping
+  // cron runs never both send it; a failed send is retried with backoff and given up on
+  // (status 'failed') after maxReminderAttempts.
   async processPendingReminders() {
     const now = moment().tz(this.timezone).toISOString();
     console.log('🔍 Processing pending reminders at:', now);
@@ -79,56 +114,172 @@ class ReminderScheduler {
       return 0;
     }
 
-    let successCount = 0;
-    let errorCount = 0;
+    const counts = { sent: 0, failed: 0, skipped: 0 };
 
     for (const reminder of pendingReminders) {
       try {
-        const task = reminder.tasks;
-        const userId = task.user_id;
+        counts[await this.dispatchReminder(reminder)]++;
+      } catch (error) {
+        // Claiming or bookkeeping failed; an unfinished claim is picked up again once its lease runs out
+        console.error('❌ Failed to process reminder:', { reminderId: reminder.id, error: error.message });
+        counts.failed++;
+      }
+    }
 
-        console.log('🔍 Processing reminder:', {
-          reminderId: reminder.id,
-          reminderType: reminder.reminder_type,
-          taskId: task.id,
-          taskTitle: task.title,
-          userId: userId
-        });
+    console.log('✅ Reminder processing completed:', {
+      total: pendingReminders.length,
+      successful: counts.sent,
+      failed: counts.failed,
+      claimedElsewhere: counts.skipped
+    });
 
-        // Send reminder message
-        await lineBot.sendReminderMessage(userId, task, reminder.reminder_type);
+    return counts.sent;
+  }
 
-        // Mark reminder as sent
-        await database.markReminderSent(reminder.id);
+  // Claim and send one reminder; returns 'sent', 'failed' or 'skipped' (another run claimed it)
+  async dispatchReminder(pendingReminder) {
+    const leaseExpiresAt = moment().add(this.reminderLeaseMinutes, 'minutes').toISOString();
+    const reminder = await database.claimReminder(pendingReminder, leaseExpiresAt);
+    if (!reminder) {
+      return 'skipped';
+    }
 
-        console.log('📨 Successfully sent reminder:', {
-          reminderType: reminder.reminder_type,
-          taskId: task.id,
-          taskTitle: task.title,
-          userId: userId
-        });
-        
-        successCount++;
+    // A run that crashed mid-send on the last attempt leaves an expired lease behind; don't go past the cap
+    if (reminder.attempts > this.maxReminderAttempts) {
+      await database.recordReminderFailure(reminder.id, pendingReminder.last_error || 'Sending lease expired', null);
+      return 'failed';
+    }
+
+    const task = pendingReminder.tasks;
+    const userId = task.user_id;
+
+    try {
+      console.log('🔍 Processing reminder:', {
+        reminderId: reminder.id,
+        reminderType: reminder.reminder_type,
+        attempt: reminder.attempts,
+        taskId: task.id,
+        taskTitle: task.title,
+        userId: userId
+      });
+
+      // Send reminder message in the user's timezone (a moved occurrence is announced at its new time)
+      const settings = await userSettings.getSettings(userId);
+      const effectiveTask = await this.forUser(settings).getEffectiveTask(task);
+      await this.getLineBot(settings).sendReminderMessage(userId, effectiveTask, reminder.reminder_type, reminder.offset_minutes);
+    } catch (error) {
+      const retryAt = reminder.attempts < this.maxReminderAttempts
+        ? moment().add(this.retryBackoffMinutes * Math.pow(2, reminder.attempts - 1), 'minutes').toISOString()
+        : null;
+
+      console.error('❌ Failed to send reminder:', {
+        reminderId: reminder.id,
+        reminderType: reminder.reminder_type,
+        attempt: reminder.attempts,
+        retryAt,
+        taskId: task.id,
+        taskTitle: task.title,
+        userId: userId,
+        error: error.message
+      });
+
+      await database.recordReminderFailure(reminder.id, error.message, retryAt);
+      return 'failed';
+    }
+
+    await database.markReminderSent(reminder.id);
+
+    console.log('📨 Successfully sent reminder:', {
+      reminderType: reminder.reminder_type,
+      taskId: task.id,
+      taskTitle: task.title,
+      userId: userId
+    });
+
+    return 'sent';
+  }
+
+  // Send the scheduled messages that are due. Each is claimed first and sent at most once:
+  // a failed send is marked 'failed' with the error rather than retried. Returns the number sent.
+  async processScheduledMessages() {
+    const messages = await database.getPendingScheduledMessages();
+
+    if (messages.length === 0) {
+      console.log('✅ No scheduled messages to send');
+      return 0;
+    }
+
+    const counts = { sent: 0, failed: 0, skipped: 0 };
+
+    for (const pending of messages) {
+      try {
+        const message = await database.claimScheduledMessage(pending.id);
+        if (!message) {
+          counts.skipped++;
+          continue;
+        }
+
+        try {
+          const lineBot = this.getLineBot(await userSettings.getSettings(message.user_id));
+          if (!lineBot.isValidUserId(message.user_id)) {
+            throw new Error('Not a valid LINE user ID');
+          }
+          await lineBot.sendTextMessage(message.user_id, `💬 ${message.message}`);
+        } catch (error) {
+          console.error('❌ Failed to send scheduled message:', { messageId: message.id, userId: message.user_id, error: error.message });
+          await database.updateMessageStatus(message.id, 'failed', error.message);
+          counts.failed++;
+          continue;
+        }
+
+        await database.updateMessageStatus(message.id, 'sent');
+        counts.sent++;
       } catch (error) {
-        console.error('❌ Failed to send reminder:', {
-          reminderId: reminder.id,
-          reminderType: reminder.reminder_type,
-          taskId: reminder.tasks?.id,
-          taskTitle: reminder.tasks?.title,
-          userId: reminder.tasks?.user_id,
-          error: error.message
-        });
-        errorCount++;
+        console.error('❌ Failed to process scheduled message:', { messageId: pending.id, error: error.message });
+        counts.failed++;
       }
     }
 
-    console.log('✅ Reminder processing completed:', {
-      total: pendingReminders.length,
-      successful: successCount,
-      failed: errorCount
+    console.log('✅ Scheduled message processing completed:', {
+      total: messages.length,
+      successful: counts.sent,
+      failed: counts.failed,
+      claimedElsewhere: counts.skipped
     });
 
-    return successCount;
+    return counts.sent;
+  }
+
+  // Send a user's morning digest once a day, on the first run at or after their digest time.
+  // Returns the number of tasks in the digest, or null when it wasn't due.
+  async sendDigestIfDue(userId) {
+    const settings = await userSettings.getSettings(userId);
+    const now = moment().tz(settings.timezone);
+    const today = now.format('YYYY-MM-DD');
+
+    if (settings.lastDigestDate === today || now.isBefore(this.atDigestTime(now, settings))) {
+      console.log('🔍 Morning digest not due:', { userId, digestTime: settings.digestTime, lastDigestDate: settings.lastDigestDate });
+      return null;
+    }
+
+    const lang = settings.language || 'en';
+    // Tasks with a muted tag ("settings mute #personal") stay out of the digest
+    const muted = settings.digestMutedTags;
+    const todaysTasks = (await database.forUser(settings).getTodaysTasks(userId))
+      .filter(task => !(task.tags || []).some(tag => muted.includes(tag)));
+    const bot = this.getLineBot(settings);
+    console.log('✅ Fetched today\'s tasks:', { count: todaysTasks.length, mutedTags: muted });
+
+    if (todaysTasks.length === 0) {
+      console.log('📨 Sending empty daily reminder to user:', userId);
+      await bot.sendTextMessage(userId, i18n.t(lang, 'digestEmpty'));
+    } else {
+      console.log('📨 Sending daily task list to user:', userId);
+      await bot.sendTaskListMessage(userId, todaysTasks, i18n.t(lang, 'digestTitle'));
+    }
+
+    await userSettings.markDigestSent(userId, today);
+    return todaysTasks.length;
   }
 
   // Generate recurring task instances
@@ -136,7 +287,8 @@ class ReminderScheduler {
     console.log('🔍 Generating recurring task instances...');
     
     const recurringTasks = await database.getTasks(null, { isRecurring: true });
-    console.log('✅ Fetched recurring tasks:', { count: recurringTasks.length });
+    const exceptions = await database.getTaskExceptions(recurringTasks.map(task => task.id));
+    console.log('✅ Fetched recurring tasks:', { count: recurringTasks.length, exceptions: exceptions.length });
     
     const now = moment().tz(this.timezone);
     const threeMonthsFromNow = moment().tz(this.timezone).add(3, 'months');
@@ -149,16 +301,12 @@ class ReminderScheduler {
         console.log('🔍 Processing recurring task:', {
           taskId: task.id,
           title: task.title,
-          recurrencePattern: task.recurrence_pattern
+          recurrenceRule: this.recurrence.getTaskRule(task)
         });
         
-        const recurrencePattern = JSON.parse(task.recurrence_pattern);
-        const instances = this.generateInstancesForPattern(
-          task,
-          recurrencePattern,
-          now,
-          threeMonthsFromNow
-        );
+        const taskExceptions = exceptions.filter(exception => exception.task_id === task.id);
+        const scheduler = this.forUser(await userSettings.getSettings(task.user_id));
+        const instances = scheduler.generateInstances(task, now, threeMonthsFromNow, taskExceptions);
 
         console.log('✅ Generated instances for task:', {
           taskId: task.id,
@@ -188,176 +336,174 @@ class ReminderScheduler {
     });
   }
 
-  // Generate instances for a recurrence pattern
-  generateInstancesForPattern(task, pattern, startDate, endDate) {
-    const instances = [];
-    const baseTime = moment(task.scheduled_time);
-
-    switch (pattern.type) {
-      case 'weekly':
-        instances.push(...this.generateWeeklyInstances(task, pattern, baseTime, startDate, endDate));
-        break;
-      case 'biweekly':
-        instances.push(...this.generateBiweeklyInstances(task, pattern, baseTime, startDate, endDate));
-        break;
-      case 'monthly':
-        instances.push(...this.generateMonthlyInstances(task, pattern, baseTime, startDate, endDate));
-        break;
+  // Generate the occurrences of a recurring task between two dates, leaving out skipped
+  // occurrences and placing moved ones at their new time
+  generateInstances(task, startDate, endDate, exceptions = []) {
+    const rule = this.recurrence.getTaskRule(task);
+    if (!rule) {
+      return [];
     }
 
-    return instances;
+    return this.recurrence.occurrencesBetween(rule, task.scheduled_time, startDate, endDate, exceptions)
+      .filter(occurrence => occurrence.time.isAfter(startDate))
+      .map(occurrence => ({
+        ...task,
+        id: `${task.id}_${occurrence.originalTime.format('YYYY-MM-DD')}`,
+        scheduled_time: occurrence.time.toISOString()
+      }));
   }
 
-  // Generate weekly instances
-  generateWeeklyInstances(task, pattern, baseTime, startDate, endDate) {
-    const instances = [];
-    const dayOfWeek = this.getDayOfWeekNumber(pattern.dayOfWeek);
-    
-    let current = baseTime.clone().day(dayOfWeek);
-    if (current.isBefore(startDate)) {
-      current.add(1, 'week');
+  // Get the occurrence of a recurring task that follows the given time, passing over skipped ones
+  getNextOccurrence(task, after = moment(task.scheduled_time), exceptions = []) {
+    const rule = this.recurrence.getTaskRule(task);
+    if (!rule) {
+      return null;
     }
 
-    while (current.isBefore(endDate)) {
-      if (current.isAfter(startDate)) {
-        instances.push({
-          ...task,
-          id: `${task.id}_${current.format('YYYY-MM-DD')}`,
-          scheduled_time: current.toISOString()
-        });
-      }
-      current.add(1, 'week');
+    const next = this.recurrence.nextUnskipped(rule, task.scheduled_time, after, exceptions);
+    return next ? next.toISOString() : null;
+  }
+
+  // The task as it will actually happen: a recurring task's current occurrence may have been moved
+  async getEffectiveTask(task, exceptions = null) {
+    if (!task.is_recurring) {
+      return task;
     }
 
-    return instances;
+    const taskExceptions = exceptions || await database.getTaskExceptions([task.id]);
+    const effectiveTime = this.recurrence.effectiveTime(task.scheduled_time, taskExceptions);
+    return { ...task, scheduled_time: effectiveTime.toISOString() };
   }
 
-  // Generate biweekly instances
-  generateBiweeklyInstances(task, pattern, baseTime, startDate, endDate) {
-    const instances = [];
-    const dayOfWeek = this.getDayOfWeekNumber(pattern.dayOfWeek);
-    
-    let current = baseTime.clone().day(dayOfWeek);
-    if (current.isBefore(startDate)) {
-      current.add(2, 'weeks');
+  // Replace a recurring task's pending reminders with ones for its current (possibly moved) occurrence
+  async rescheduleRemindersForOccurrence(task, exceptions = null) {
+    await this.rescheduleRemindersForTask(await this.getEffectiveTask(task, exceptions));
+  }
+
+  // Skip one occurrence of a recurring task. Skipping the current occurrence moves the series
+  // on to the next one; skipping the last one ends the series.
+  async skipOccurrence(task, userId, occurrenceTime) {
+    const occurrence = moment(occurrenceTime).tz(this.timezone);
+
+    console.log('⏭️ Skipping occurrence:', { taskId: task.id, occurrence: occurrence.toISOString() });
+
+    await database.createTaskException(task, userId, {
+      occurrence_time: occurrence.toISOString(),
+      action: 'skip',
+      new_time: null
+    });
+
+    const exceptions = await database.getTaskExceptions([task.id]);
+    if (!occurrence.isSame(moment(task.scheduled_time))) {
+      const effectiveTask = await this.getEffectiveTask(task, exceptions);
+      return { task, ended: false, next: effectiveTask.scheduled_time };
     }
 
-    while (current.isBefore(endDate)) {
-      if (current.isAfter(startDate)) {
-        instances.push({
-          ...task,
-          id: `${task.id}_${current.format('YYYY-MM-DD')}`,
-          scheduled_time: current.toISOString()
-        });
-      }
-      current.add(2, 'weeks');
+    const nextOccurrence = this.getNextOccurrence(task, occurrence, exceptions);
+    if (!nextOccurrence) {
+      const cancelledTask = await this.cancelSeries(task, userId);
+      return { task: cancelledTask, ended: true, next: null };
     }
 
-    return instances;
+    const rule = this.recurrence.rebase(this.recurrence.getTaskRule(task), task.scheduled_time, nextOccurrence);
+    const updatedTask = await database.updateTask(task.id, { scheduled_time: nextOccurrence, recurrence_rule: rule }, userId);
+    // The next occurrence starts with its checklist unchecked, as when one is completed
+    await database.resetTaskItems(task.id, userId);
+    await this.rescheduleRemindersForOccurrence(updatedTask, exceptions);
+
+    const effectiveTask = await this.getEffectiveTask(updatedTask, exceptions);
+    return { task: updatedTask, ended: false, next: effectiveTask.scheduled_time };
   }
 
-  // Generate monthly instances
-  generateMonthlyInstances(task, pattern, baseTime, startDate, endDate) {
-    const instances = [];
-    
-    if (pattern.dayOfMonth) {
-      // Specific day of month (e.g., 15th)
-      let current = baseTime.clone().date(pattern.dayOfMonth);
-      if (current.isBefore(startDate)) {
-        current.add(1, 'month');
-      }
+  // Move one occurrence of a recurring task to a different time; the rest of the series is unchanged
+  async moveOccurrence(task, userId, occurrenceTime, newTime) {
+    const occurrence = moment(occurrenceTime).tz(this.timezone);
 
-      while (current.isBefore(endDate)) {
-        if (current.isAfter(startDate)) {
-          instances.push({
-            ...task,
-            id: `${task.id}_${current.format('YYYY-MM-DD')}`,
-            scheduled_time: current.toISOString()
-          });
-        }
-        current.add(1, 'month');
-      }
-    } else if (pattern.weekdayOfMonth) {
-      // Specific weekday of month (e.g., first Sunday)
-      let current = baseTime.clone();
-      if (current.isBefore(startDate)) {
-        current.add(1, 'month');
-      }
+    console.log('📅 Moving occurrence:', { taskId: task.id, occurrence: occurrence.toISOString(), newTime: moment(newTime).toISOString() });
 
-      while (current.isBefore(endDate)) {
-        const instance = this.getWeekdayOfMonth(
-          current.year(),
-          current.month(),
-          pattern.weekdayOfMonth.week,
-          pattern.weekdayOfMonth.day
-        );
-        
-        if (instance && instance.isAfter(startDate)) {
-          instances.push({
-            ...task,
-            id: `${task.id}_${instance.format('YYYY-MM-DD')}`,
-            scheduled_time: instance.toISOString()
-          });
-        }
-        
-        current.add(1, 'month');
-      }
+    await database.createTaskException(task, userId, {
+      occurrence_time: occurrence.toISOString(),
+      action: 'move',
+      new_time: moment(newTime).toISOString()
+    });
+
+    // Reminders only exist for the current occurrence
+    if (occurrence.isSame(moment(task.scheduled_time))) {
+      await this.rescheduleRemindersForOccurrence(task);
     }
 
-    return instances;
+    return { task, newTime: moment(newTime).toISOString() };
   }
 
-  // Get day of week number (0 = Sunday, 1 = Monday, etc.)
-  getDayOfWeekNumber(dayName) {
-    const days = {
-      'sunday': 0,
-      'monday': 1,
-      'tuesday': 2,
-      'wednesday': 3,
-      'thursday': 4,
-      'friday': 5,
-      'saturday': 6
-    };
-    return days[dayName.toLowerCase()] || 0;
+  // Cancel a whole recurring series and its pending reminders
+  async cancelSeries(task, userId) {
+    console.log('🛑 Cancelling series:', { taskId: task.id, title: task.title });
+
+    const cancelledTask = await database.cancelTaskSeries(task.id, userId);
+    await this.cancelRemindersForTask(task.id);
+
+    return cancelledTask;
   }
 
-  // Get specific weekday of month (e.g., first Sunday)
-  getWeekdayOfMonth(year, month, week, dayName) {
-    const dayOfWeek = this.getDayOfWeekNumber(dayName);
-    const firstDay = moment([year, month, 1]);
-    const firstWeekday = firstDay.clone().day(dayOfWeek);
-    
-    if (firstWeekday.month() !== month) {
-      firstWeekday.add(1, 'week');
+  // Delete a task and cancel its pending reminders
+  async deleteTask(task, userId) {
+    console.log('🗑️ Deleting task:', { taskId: task.id, title: task.title });
+
+    const deletedTask = await database.deleteTask(task.id, userId);
+    await this.cancelRemindersForTask(task.id);
+
+    return deletedTask;
+  }
+
+  // Rebuild a task's reminders when an update changed when or how often it is reminded;
+  // returns whether it did
+  async rescheduleAfterUpdate(task, updates) {
+    if (!TIMING_FIELDS.some(field => updates[field] !== undefined)) {
+      return false;
     }
 
-    let targetDate;
-    switch (week.toLowerCase()) {
-      case 'first':
-        targetDate = firstWeekday;
-        break;
-      case 'second':
-        targetDate = firstWeekday.clone().add(1, 'week');
-        break;
-      case 'third':
-        targetDate = firstWeekday.clone().add(2, 'weeks');
-        break;
-      case 'fourth':
-        targetDate = firstWeekday.clone().add(3, 'weeks');
-        break;
-      case 'last':
-        const lastDay = moment([year, month + 1, 0]);
-        const lastWeekday = lastDay.clone().day(dayOfWeek);
-        if (lastWeekday.month() !== month) {
-          lastWeekday.subtract(1, 'week');
-        }
-        targetDate = lastWeekday;
-        break;
-      default:
-        return null;
+    await this.rescheduleRemindersForOccurrence(task);
+    return true;
+  }
+
+  // Snooze a task: push a one-off reminder the given number of minutes from now
+  async snoozeTask(task, userId, minutes) {
+    const snoozedUntil = moment().tz(this.timezone).add(minutes, 'minutes').second(0);
+
+    console.log('😴 Snoozing task:', { taskId: task.id, minutes, snoozedUntil: snoozedUntil.toISOString() });
+
+    const reminder = await database.createReminder({
+      task_id: task.id,
+      reminder_type: 'snooze',
+      scheduled_time: snoozedUntil.toISOString()
+    });
+
+    await database.recordSnooze(task, userId, {
+      action: 'snooze',
+      snoozed_until: snoozedUntil.toISOString()
+    });
+
+    return reminder;
+  }
+
+  // Postpone a task to the same time tomorrow. One-off tasks are moved;
+  // recurring series are left alone and get a snoozed reminder instead.
+  async postponeTask(task, userId) {
+    if (task.is_recurring) {
+      const reminder = await this.snoozeTask(task, userId, 24 * 60);
+      return { moved: false, task, reminder };
     }
 
-    return targetDate.month() === month ? targetDate : null;
+    const newTime = moment(task.scheduled_time).tz(this.timezone).add(1, 'day');
+    const updatedTask = await database.updateTask(task.id, { scheduled_time: newTime.toISOString() }, userId);
+    await this.rescheduleRemindersForTask(updatedTask);
+
+    await database.recordSnooze(task, userId, {
+      action: 'postpone',
+      snoozed_until: newTime.toISOString()
+    });
+
+    return { moved: true, task: updatedTask };
   }
 
   // Reschedule reminders for an updated task
@@ -378,20 +524,7 @@ class ReminderScheduler {
     console.log('🗑️ Cancelling existing reminders for task:', taskId);
     
     try {
-      const { data, error } = await database.supabase
-        .from('reminders')
-        .update({ 
-          sent_at: new Date().toISOString(),
-          status: 'cancelled'
-        })
-        .eq('task_id', taskId)
-        .is('sent_at', null);
-
-      if (error) {
-        console.error('❌ Error cancelling reminders:', error);
-        throw error;
-      }
-
+      await database.cancelPendingReminders(taskId);
       console.log('✅ Cancelled existing reminders for task:', taskId);
     } catch (error) {
       console.error('❌ Failed to cancel reminders for task:', taskId, error);
@@ -399,9 +532,40 @@ class ReminderScheduler {
     }
   }
 
-  // Clean up old tasks and reminders
-  async cleanup() {
-    await database.cleanupOldTasks();
+  // Run a job once for every active user. A failure for one user is logged and
+  // counted but doesn't stop the others; returns a summary for the cron response.
+  async forEachUser(jobName, job) {
+    const userIds = await database.getActiveUserIds();
+    const summary = { users: userIds.length, succeeded: 0, failed: 0, results: [] };
+
+    for (const userId of userIds) {
+      try {
+        const result = await job(userId);
+        summary.succeeded++;
+        summary.results.push({ userId, success: true, result });
+      } catch (error) {
+        console.error(`❌ ${jobName} failed for user:`, { userId, error: error.message });
+        summary.failed++;
+        summary.results.push({ userId, success: false, error: error.message });
+      }
+    }
+
+    console.log(`✅ ${jobName} finished for all users:`, {
+      users: summary.users,
+      succeeded: summary.succeeded,
+      failed: summary.failed
+    });
+    return summary;
+  }
+
+  // Clean up a user's old tasks
+  async cleanup(userId) {
+    await database.cleanupOldTasks(userId);
+  }
+
+  // Clean up reminders that were sent long ago
+  async cleanupReminders() {
+    await database.cleanupOldReminders();
   }
 }
 
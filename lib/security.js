@@ -19,6 +19,24 @@ class SecurityService {
 
   // Rate limiting middleware
   rateLimit(req, res, next) {
+    const result = this.checkRateLimit(req, res);
+
+    if (!result.allowed) {
+      res.status(429).json({
+        error: 'Too Many Requests',
+        message: 'Rate limit exceeded. Please try again later.',
+        retryAfter: result.retryAfter
+      });
+      return false; // Indicate that response was sent
+    }
+    
+    if (next) next();
+    return true; // Indicate that request should continue
+  }
+
+  // Count a request against its IP's limit and set the rate limit headers; returns
+  // { allowed, retryAfter } and leaves responding to the caller
+  checkRateLimit(req, res) {
     const clientIP = this.getClientIP(req);
     const now = Date.now();
     
@@ -45,12 +63,10 @@ class SecurityService {
     // Check if rate limit exceeded
     if (rateLimitEntry.count >= this.maxRequestsPerWindow) {
       console.warn('⚠️ Rate limit exceeded for IP:', clientIP);
-      res.status(429).json({
-        error: 'Too Many Requests',
-        message: 'Rate limit exceeded. Please try again later.',
+      return {
+        allowed: false,
         retryAfter: Math.ceil((rateLimitEntry.windowStart + this.rateLimitWindow - now) / 1000)
-      });
-      return false; // Indicate that response was sent
+      };
     }
     
     // Increment counter
@@ -61,8 +77,7 @@ class SecurityService {
     res.setHeader('X-RateLimit-Remaining', Math.max(0, this.maxRequestsPerWindow - rateLimitEntry.count));
     res.setHeader('X-RateLimit-Reset', new Date(rateLimitEntry.windowStart + this.rateLimitWindow).toISOString());
     
-    if (next) next();
-    return true; // Indicate that request should continue
+    return { allowed: true, retryAfter: 0 };
   }
 
   // Get client IP address
@@ -0,0 +1,65 @@
+// Storage backends behind lib/database.js, picked with STORAGE_BACKEND:
+//
+//   supabase (default)  Supabase/PostgreSQL, set up with the migrations in migrations/
+//   memory              In-process tables for running the bot on a laptop; set STORAGE_FILE
+//                       to keep the data in a JSON file between restarts
+//
+// Every backend implements the same methods (rows use the column names of migrations/):
+//
+//   setUserContext(userId)
+//   createTask(data), listTasks(criteria), searchTasks(criteria), getTask(taskId, userId),
+//   getTaskByShortCode(shortCode, userId),
+//   updateTask(taskId, userId, changes, { activeOnly }), cleanupTasks(userId)
+//   createCompletion(data), listCompletions(userId, limit), createSnooze(data)
+//   saveTaskException(data), listTaskExceptions(taskIds)
+//   createTaskItem(data), listTaskItems(taskIds), getTaskItem(itemId, userId),
+//   updateTaskItem(itemId, userId, changes), updateTaskItems(taskId, userId, changes),
+//   deleteTaskItem(itemId, userId)
+//   getUserSettings(userId), saveUserSettings(data), saveUser(data), listUsers()
+//   createReminder(data), findReminderByDedupeKey(key), listReminders(taskId), listTaskReminders(taskIds),
+//   listDueReminders(beforeTime),
+//   claimReminder(reminder, changes), updateReminder(reminderId, changes),
+//   cancelPendingReminders(taskId), cleanupReminders()
+//   createScheduledMessage(data), listScheduledMessages(userId, status), listDueScheduledMessages(now),
+//   updateScheduledMessage(messageId, changes), updateScheduledMessageWhere(messageId, criteria, changes)
+//   createApiToken(data), findApiTokenByHash(hash), listApiTokens(userId), updateApiToken(tokenId, userId, changes)
+//   listAppliedMigrations()
+//
+// listTasks criteria: userId, isActive, status, isSpecial, isRecurring, scheduledFrom (>=),
+// scheduledTo (<=), scheduledBefore (<), legacyRecurrence and tags (tasks having all of them);
+// results are in time order, paged with limit and offset.
+// searchTasks criteria: userId, terms (every one must appear in the title, description or notes),
+// isSpecial, isRecurring, scheduledFrom, scheduledTo, scheduledBefore, tags, limit and offset; only a
+// user's pending tasks, best match first: tasks whose title has every term, then by the terms
+// that start a word of the title (then description, then notes), then in time order.
+// updateScheduledMessageWhere only updates a message that matches criteria { status, userId },
+// returning null when it doesn't (like claimReminder). listApiTokens leaves out revoked tokens.
+// listTaskItems returns the items of the tasks in position order; updateTaskItems changes every
+// item of a task. listCompletions returns every completion when no limit is given. Rows may be created with
+// a given id (to restore a backup).
+// Errors carry PostgreSQL/PostgREST codes whatever the backend: 'PGRST116' when a single
+// row isn't found, '23505' when a reminder's dedupe_key, a given id or a task's short_code
+// (unique per user, generated when not given) is already taken.
+
+const BACKENDS = ['supabase', 'memory'];
+
+// Create the configured backend. Nothing is connected until this is called, so modules
+// can be required without a database configured.
+function createStorage(backend = process.env.STORAGE_BACKEND || 'supabase') {
+  switch (backend) {
+    case 'supabase': {
+      const SupabaseStorage = require('./supabase-storage');
+      return new SupabaseStorage();
+    }
+
+    case 'memory': {
+      const MemoryStorage = require('./memory-storage');
+      return new MemoryStorage({ file: process.env.STORAGE_FILE || null });
+    }
+
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${BACKENDS.join(', ')}`);
+  }
+}
+
+module.exports = { createStorage, BACKENDS };
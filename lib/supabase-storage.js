@@ -0,0 +1,547 @@
+// Supabase (PostgreSQL) storage backend. See lib/storage.js for the interface.
+const { createClient } = require('@supabase/supabase-js');
+
+class SupabaseStorage {
+  constructor() {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      throw new Error('Missing Supabase environment variables');
+    }
+
+    this.name = 'supabase';
+    this.supabase = createClient(supabaseUrl, supabaseKey);
+  }
+
+  // Set user context for RLS
+  async setUserContext(userId) {
+    try {
+      await this.supabase.rpc('set_user_context', { user_id: userId });
+      console.log('✅ User context set for RLS:', userId);
+    } catch (error) {
+      console.warn('⚠️ Could not set user context for RLS:', error.message);
+      // Continue without RLS - application layer filtering will handle it
+    }
+  }
+
+  // Tasks
+
+  async createTask(taskData) {
+    const { data, error } = await this.supabase
+      .from('tasks')
+      .insert([taskData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listTasks(criteria = {}) {
+    let query = this.supabase
+      .from('tasks')
+      .select('*')
+      .order('scheduled_time', { ascending: true });
+
+    if ('userId' in criteria) query = query.eq('user_id', criteria.userId);
+    if (criteria.isActive !== undefined) query = query.eq('is_active', criteria.isActive);
+    if (criteria.status !== undefined) query = query.eq('status', criteria.status);
+    if (criteria.isSpecial !== undefined) query = query.eq('is_special', criteria.isSpecial);
+    if (criteria.isRecurring !== undefined) query = query.eq('is_recurring', criteria.isRecurring);
+    if (criteria.scheduledFrom) query = query.gte('scheduled_time', criteria.scheduledFrom);
+    if (criteria.scheduledTo) query = query.lte('scheduled_time', criteria.scheduledTo);
+    if (criteria.scheduledBefore) query = query.lt('scheduled_time', criteria.scheduledBefore);
+    if (criteria.legacyRecurrence) {
+      query = query.not('recurrence_pattern', 'is', null).is('recurrence_rule', null);
+    }
+    if (criteria.tags) query = query.contains('tags', criteria.tags);
+    if (criteria.limit) {
+      const offset = criteria.offset || 0;
+      query = query.range(offset, offset + criteria.limit - 1);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  // Ranked search, done by search_tasks() (migrations/014_task_tags.sql)
+  async searchTasks(criteria) {
+    const { data, error } = await this.supabase.rpc('search_tasks', {
+      p_user_id: criteria.userId,
+      p_terms: criteria.terms || [],
+      p_is_special: criteria.isSpecial ?? null,
+      p_is_recurring: criteria.isRecurring ?? null,
+      p_scheduled_from: criteria.scheduledFrom || null,
+      p_scheduled_to: criteria.scheduledTo || null,
+      p_scheduled_before: criteria.scheduledBefore || null,
+      p_limit: criteria.limit || 50,
+      p_offset: criteria.offset || 0,
+      p_tags: criteria.tags || null
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getTask(taskId, userId) {
+    const { data, error } = await this.supabase
+      .from('tasks')
+      .select('*')
+      .eq('id', taskId)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getTaskByShortCode(shortCode, userId) {
+    const { data, error } = await this.supabase
+      .from('tasks')
+      .select('*')
+      .eq('short_code', shortCode)
+      .eq('user_id', userId)
+      .eq('is_active', true)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateTask(taskId, userId, changes, { activeOnly = true } = {}) {
+    let query = this.supabase
+      .from('tasks')
+      .update(changes)
+      .eq('id', taskId)
+      .eq('user_id', userId);
+
+    if (activeOnly) {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query.select().single();
+    if (error) throw error;
+    return data;
+  }
+
+  async cleanupTasks(userId) {
+    const { data, error } = await this.supabase
+      .rpc('cleanup_old_tasks', { target_user_id: userId });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Completions, snoozes and exceptions
+
+  async createCompletion(completionData) {
+    const { data, error } = await this.supabase
+      .from('task_completions')
+      .insert([completionData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listCompletions(userId, limit) {
+    let query = this.supabase
+      .from('task_completions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('completed_at', { ascending: false });
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  async createSnooze(snoozeData) {
+    const { error } = await this.supabase
+      .from('task_snoozes')
+      .insert([snoozeData]);
+
+    if (error) throw error;
+  }
+
+  async saveTaskException(exceptionData) {
+    const { data, error } = await this.supabase
+      .from('task_exceptions')
+      .upsert([exceptionData], { onConflict: 'task_id,occurrence_time' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listTaskExceptions(taskIds) {
+    const { data, error } = await this.supabase
+      .from('task_exceptions')
+      .select('*')
+      .in('task_id', taskIds);
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Checklist items
+
+  async createTaskItem(itemData) {
+    const { data, error } = await this.supabase
+      .from('task_items')
+      .insert([itemData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listTaskItems(taskIds) {
+    const { data, error } = await this.supabase
+      .from('task_items')
+      .select('*')
+      .in('task_id', taskIds)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getTaskItem(itemId, userId) {
+    const { data, error } = await this.supabase
+      .from('task_items')
+      .select('*')
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateTaskItem(itemId, userId, changes) {
+    const { data, error } = await this.supabase
+      .from('task_items')
+      .update(changes)
+      .eq('id', itemId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateTaskItems(taskId, userId, changes) {
+    const { data, error } = await this.supabase
+      .from('task_items')
+      .update(changes)
+      .eq('task_id', taskId)
+      .eq('user_id', userId)
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteTaskItem(itemId, userId) {
+    const { error } = await this.supabase
+      .from('task_items')
+      .delete()
+      .eq('id', itemId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  // Users and settings
+
+  async getUserSettings(userId) {
+    const { data, error } = await this.supabase
+      .from('user_settings')
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async saveUserSettings(settingsData) {
+    const { data, error } = await this.supabase
+      .from('user_settings')
+      .upsert([settingsData], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async saveUser(userData) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .upsert([userData], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listUsers() {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('user_id, is_active');
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Reminders
+
+  async createReminder(reminderData) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .insert([reminderData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findReminderByDedupeKey(dedupeKey) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .neq('status', 'cancelled')
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listReminders(taskId) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .select('*')
+      .eq('task_id', taskId)
+      .order('scheduled_time', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listTaskReminders(taskIds) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .select('*')
+      .in('task_id', taskIds)
+      .order('scheduled_time', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listDueReminders(beforeTime) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .select(`
+        *,
+        tasks!inner(*)
+      `)
+      .lte('scheduled_time', beforeTime)
+      .or(`and(status.eq.pending,or(next_attempt_at.is.null,next_attempt_at.lte."${beforeTime}")),and(status.eq.sending,lease_expires_at.lt."${beforeTime}")`)
+      .eq('tasks.is_active', true)
+      .eq('tasks.status', 'pending')
+      .order('scheduled_time', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async claimReminder(reminder, changes) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .update(changes)
+      .eq('id', reminder.id)
+      .eq('status', reminder.status)
+      .eq('attempts', reminder.attempts || 0)
+      .select();
+
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  async updateReminder(reminderId, changes) {
+    const { data, error } = await this.supabase
+      .from('reminders')
+      .update(changes)
+      .eq('id', reminderId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async cancelPendingReminders(taskId) {
+    const { error } = await this.supabase
+      .from('reminders')
+      .update({
+        sent_at: new Date().toISOString(),
+        status: 'cancelled'
+      })
+      .eq('task_id', taskId)
+      .eq('status', 'pending');
+
+    if (error) throw error;
+  }
+
+  async cleanupReminders() {
+    const { data, error } = await this.supabase
+      .rpc('cleanup_old_reminders');
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Scheduled messages
+
+  async createScheduledMessage(messageData) {
+    const { data, error } = await this.supabase
+      .from('scheduled_messages')
+      .insert([messageData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listScheduledMessages(userId, status) {
+    const { data, error } = await this.supabase
+      .from('scheduled_messages')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('status', status)
+      .order('scheduled_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listDueScheduledMessages(now) {
+    const { data, error } = await this.supabase
+      .from('scheduled_messages')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('scheduled_at', now)
+      .order('scheduled_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateScheduledMessage(messageId, changes) {
+    const { data, error } = await this.supabase
+      .from('scheduled_messages')
+      .update(changes)
+      .eq('id', messageId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateScheduledMessageWhere(messageId, criteria, changes) {
+    let query = this.supabase
+      .from('scheduled_messages')
+      .update(changes)
+      .eq('id', messageId);
+
+    if (criteria.status !== undefined) query = query.eq('status', criteria.status);
+    if (criteria.userId !== undefined) query = query.eq('user_id', criteria.userId);
+
+    const { data, error } = await query.select();
+    if (error) throw error;
+    return data[0] || null;
+  }
+
+  // API tokens
+
+  async createApiToken(tokenData) {
+    const { data, error } = await this.supabase
+      .from('api_tokens')
+      .insert([tokenData])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findApiTokenByHash(tokenHash) {
+    const { data, error } = await this.supabase
+      .from('api_tokens')
+      .select('*')
+      .eq('token_hash', tokenHash)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async listApiTokens(userId) {
+    const { data, error } = await this.supabase
+      .from('api_tokens')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateApiToken(tokenId, userId, changes) {
+    const { data, error } = await this.supabase
+      .from('api_tokens')
+      .update(changes)
+      .eq('id', tokenId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Schema migrations
+
+  async listAppliedMigrations() {
+    const { data, error } = await this.supabase
+      .from('schema_migrations')
+      .select('version');
+
+    // No migrations table yet: nothing has been applied
+    if (error && (error.code === '42P01' || error.code === 'PGRST205')) return [];
+    if (error) throw error;
+    return data.map(row => row.version);
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,66 @@
+// Short codes that name a task in chat and in the API ("done T7K", GET /api/tasks/T7K).
+// A code is a letter, a digit and one to three more letters or digits, unique among a user's
+// tasks and kept for the life of the task. migrations/012_task_short_codes.sql generates them
+// in PostgreSQL with the same alphabet; lib/memory-storage.js uses generate() below.
+
+// No 0/O, 1/I/L: codes are read off a phone screen and typed back
+const LETTERS = 'ABCDEFGHJKMNPQRSTUVWXYZ';
+const DIGITS = '23456789';
+const ALPHABET = DIGITS + LETTERS;
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 5;
+// Random tries at one length before moving on to a longer code
+const TRIES_PER_LENGTH = 20;
+
+const CODE_PATTERN = /^[a-z]\d[a-z0-9]{1,3}$/i;
+// A code at the start of a command's text, ending at a space, quote or Chinese character
+const LEADING_CODE_PATTERN = /^([a-z]\d[a-z0-9]{1,3})(?![a-z0-9])/i;
+
+function pick(characters) {
+  return characters[Math.floor(Math.random() * characters.length)];
+}
+
+class TaskCodeService {
+  constructor() {
+    this.minLength = MIN_LENGTH;
+    this.maxLength = MAX_LENGTH;
+  }
+
+  // A new code that isn't in taken (a Set of a user's codes)
+  generate(taken = new Set()) {
+    for (let length = MIN_LENGTH; length <= MAX_LENGTH; length++) {
+      for (let i = 0; i < TRIES_PER_LENGTH; i++) {
+        let code = pick(LETTERS) + pick(DIGITS);
+        while (code.length < length) {
+          code += pick(ALPHABET);
+        }
+        if (!taken.has(code)) {
+          return code;
+        }
+      }
+    }
+    throw new Error('No free task code left');
+  }
+
+  // Whether a value is written like a code (any case)
+  isCode(value) {
+    return typeof value === 'string' && CODE_PATTERN.test(value.trim());
+  }
+
+  // Codes are stored upper case; "t7k" and "T7K" are the same task
+  normalize(code) {
+    return code.trim().toUpperCase();
+  }
+
+  // The code at the start of text, as { code, rest }, or null
+  matchLeading(text) {
+    const match = text.match(LEADING_CODE_PATTERN);
+    if (!match) {
+      return null;
+    }
+    return { code: this.normalize(match[1]), rest: text.substring(match[0].length) };
+  }
+}
+
+module.exports = new TaskCodeService();
@@ -0,0 +1,45 @@
+// Checklist items inside a task ("pack for trip": passport, charger, adapter), stored in
+// task_items (migration 016). Items are numbered 1, 2, ... in position order, so "check T7K.2"
+// is the second item of task T7K; the numbers shift up when an item is removed.
+
+const MAX_ITEMS = 20;
+const MAX_TEXT_LENGTH = 100;
+
+// Separators between items given in one command: "passport, charger、adapter"
+const SEPARATOR_PATTERN = /\s*[,，、;；\n]\s*/;
+
+class TaskItemService {
+  constructor() {
+    this.maxItems = MAX_ITEMS;
+  }
+
+  // An item's text, trimmed; throws when it is empty or too long
+  normalizeText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('A checklist item needs some text');
+    }
+
+    const value = text.trim().replace(/\s+/g, ' ');
+    if (value.length > MAX_TEXT_LENGTH) {
+      throw new Error(`Checklist items must be ${MAX_TEXT_LENGTH} characters or less`);
+    }
+    return value;
+  }
+
+  // "passport, charger, adapter" as ['passport', 'charger', 'adapter']
+  split(text) {
+    return String(text).split(SEPARATOR_PATTERN).filter(Boolean).map(item => this.normalizeText(item));
+  }
+
+  // The items that aren't checked yet
+  unchecked(items) {
+    return (items || []).filter(item => !item.checked);
+  }
+
+  // The checklist as numbered lines: "☑️ 1. passport", "⬜ 2. charger"
+  format(items) {
+    return items.map((item, index) => `${item.checked ? '☑️' : '⬜'} ${index + 1}. ${item.text}`).join('\n');
+  }
+}
+
+module.exports = new TaskItemService();
@@ -0,0 +1,60 @@
+// Task tags: "#work" and "#家庭" words group tasks ("list #work", "tags", "find #work") and
+// can keep tasks out of the morning digest ("settings mute #personal"). Tags are stored in
+// tasks.tags lower case and without the "#".
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const TAG_PATTERN = /^[\p{L}\p{N}_-]{1,30}$/u;
+// A "#tag" word anywhere in a command
+const TAG_WORD_PATTERN = /(^|\s)#([\p{L}\p{N}_-]{1,30})(?=\s|$)/gu;
+
+class TaskTagService {
+  constructor() {
+    this.maxTags = MAX_TAGS;
+  }
+
+  // "#Work" or "work" as "work"; throws for anything that can't be a tag
+  normalize(tag) {
+    if (typeof tag !== 'string') {
+      throw new Error('Tags must be strings');
+    }
+
+    const name = tag.trim().replace(/^#/, '').toLowerCase();
+    if (!TAG_PATTERN.test(name)) {
+      throw new Error(`Invalid tag "${tag}": use up to ${MAX_TAG_LENGTH} letters, digits, _ or -`);
+    }
+    return name;
+  }
+
+  // Validate a list of tags; returns them normalized and de-duplicated, in the order given
+  normalizeList(tags) {
+    if (!Array.isArray(tags)) {
+      throw new Error('tags must be an array of strings');
+    }
+
+    const names = [...new Set(tags.map(tag => this.normalize(tag)))];
+    if (names.length > MAX_TAGS) {
+      throw new Error(`A task can have at most ${MAX_TAGS} tags`);
+    }
+    return names;
+  }
+
+  // Take the "#tag" words out of a command: { tags, text } with the text left over
+  extract(text) {
+    const tags = [];
+    const rest = text.replace(TAG_WORD_PATTERN, (match, space, name) => {
+      tags.push(name);
+      return space;
+    });
+
+    return { tags: this.normalizeList(tags), text: rest.replace(/\s+/g, ' ').trim() };
+  }
+
+  // ['work', 'home'] as "#work #home"
+  format(tags) {
+    return (tags || []).map(tag => `#${tag}`).join(' ');
+  }
+}
+
+module.exports = new TaskTagService();
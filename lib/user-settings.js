@@ -0,0 +1,126 @@
+// Per-user settings (timezone, morning digest time, default reminders, time format, language,
+// tags muted in the digest).
+// Anything a user hasn't set falls back to the environment defaults.
+const moment = require('moment-timezone');
+const database = require('./database');
+const reminderOffsets = require('./reminder-offsets');
+const taskTags = require('./task-tags');
+
+const TIME_FORMATS = ['12h', '24h'];
+const LANGUAGES = ['en', 'zh'];
+
+class UserSettingsService {
+  constructor() {
+    this.defaults = {
+      timezone: process.env.TIMEZONE || 'Asia/Taipei',
+      digestTime: '05:30',
+      reminderOffsets: null, // null = the built-in plan in reminder-offsets.js
+      timeFormat: '12h',
+      language: null, // null = reply in the language of each message
+      digestMutedTags: [], // tasks with any of these tags are left out of the morning digest
+      lastDigestDate: null
+    };
+  }
+
+  // A user's settings with defaults filled in. Never throws: if the settings can't be
+  // read the defaults are used, so a missing table doesn't take the bot down.
+  async getSettings(userId) {
+    if (!userId) {
+      return { ...this.defaults };
+    }
+
+    try {
+      const row = await database.getUserSettings(userId);
+      return this.fromRow(row);
+    } catch (error) {
+      console.warn('⚠️ Could not load user settings, using defaults:', { userId, error: error.message });
+      return { ...this.defaults };
+    }
+  }
+
+  // Validate and save changes ({ timezone: 'Europe/London' }, { digestTime: '07:00' }, ...)
+  async updateSettings(userId, changes) {
+    const row = {};
+
+    for (const [key, value] of Object.entries(changes)) {
+      switch (key) {
+        case 'timezone':
+          row.timezone = this.resolveTimezone(value);
+          break;
+
+        case 'digestTime':
+          if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+            throw new Error('Digest time must look like 07:30');
+          }
+          row.digest_time = value;
+          break;
+
+        case 'reminderOffsets':
+          row.reminder_offsets = value === null ? null : reminderOffsets.normalize(value);
+          break;
+
+        case 'timeFormat':
+          if (!TIME_FORMATS.includes(value)) {
+            throw new Error('Time format must be 12h or 24h');
+          }
+          row.time_format = value;
+          break;
+
+        case 'language':
+          if (value !== null && !LANGUAGES.includes(value)) {
+            throw new Error('Language must be en, zh or auto');
+          }
+          row.language = value;
+          break;
+
+        case 'digestMutedTags':
+          row.digest_muted_tags = taskTags.normalizeList(value);
+          break;
+
+        default:
+          throw new Error(`Unknown setting: ${key}`);
+      }
+    }
+
+    const saved = await database.saveUserSettings(userId, row);
+    return this.fromRow(saved);
+  }
+
+  // Remember the day (YYYY-MM-DD in the user's timezone) the morning digest went out
+  async markDigestSent(userId, date) {
+    await database.saveUserSettings(userId, { last_digest_date: date });
+  }
+
+  // Case-insensitive lookup of an IANA timezone name ("europe/london" -> "Europe/London")
+  resolveTimezone(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Please give a timezone such as Asia/Taipei or Europe/London');
+    }
+
+    const wanted = name.trim().toLowerCase().replace(/\s+/g, '_');
+    const match = moment.tz.names().find(zone => zone.toLowerCase() === wanted);
+    if (!match) {
+      throw new Error(`Unknown timezone "${name.trim()}". Use a name such as Asia/Taipei or Europe/London`);
+    }
+    return match;
+  }
+
+  // Convert a user_settings row into settings, filling in defaults
+  fromRow(row) {
+    if (!row) {
+      return { ...this.defaults };
+    }
+
+    return {
+      timezone: row.timezone || this.defaults.timezone,
+      digestTime: row.digest_time ? row.digest_time.substring(0, 5) : this.defaults.digestTime,
+      reminderOffsets: Array.isArray(row.reminder_offsets) ? row.reminder_offsets : this.defaults.reminderOffsets,
+      timeFormat: row.time_format || this.defaults.timeFormat,
+      language: row.language || this.defaults.language,
+      digestMutedTags: Array.isArray(row.digest_muted_tags) ? row.digest_muted_tags : this.defaults.digestMutedTags,
+      lastDigestDate: row.last_digest_date || null
+    };
+  }
+}
+
+module.exports = new UserSettingsService();
@@ -0,0 +1,87 @@
+-- Tasks and reminders, row level security and the user context function.
+-- Written with IF NOT EXISTS so databases set up by hand from the old supabase-schema.sql
+-- can be brought under migrations as they are.
+
+-- Enable necessary extensions
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Create tasks table
+CREATE TABLE IF NOT EXISTS tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    scheduled_time TIMESTAMPTZ NOT NULL,
+    is_special BOOLEAN DEFAULT FALSE,
+    is_recurring BOOLEAN DEFAULT FALSE,
+    recurrence_pattern JSONB, -- Legacy JSON pattern, converted by scripts/migrate-recurrence.js
+    notes TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    is_active BOOLEAN DEFAULT TRUE
+);
+
+-- Create reminders table to track sent reminders
+CREATE TABLE IF NOT EXISTS reminders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    reminder_type TEXT NOT NULL, -- 'daily', 'before', 'special_day_of', 'snooze' (legacy: 'hourly', 'special_day_before')
+    scheduled_time TIMESTAMPTZ NOT NULL,
+    sent_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_scheduled_time ON tasks(scheduled_time);
+CREATE INDEX IF NOT EXISTS idx_tasks_is_active ON tasks(is_active);
+CREATE INDEX IF NOT EXISTS idx_tasks_is_recurring ON tasks(is_recurring);
+CREATE INDEX IF NOT EXISTS idx_reminders_scheduled_time ON reminders(scheduled_time);
+CREATE INDEX IF NOT EXISTS idx_reminders_sent_at ON reminders(sent_at);
+
+-- Create function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_tasks_updated_at ON tasks;
+CREATE TRIGGER update_tasks_updated_at
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Row Level Security (RLS) policies
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminders ENABLE ROW LEVEL SECURITY;
+
+-- Create policy for tasks (users can only access their own tasks)
+DROP POLICY IF EXISTS "Users can manage their own tasks" ON tasks;
+CREATE POLICY "Users can manage their own tasks" ON tasks
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+-- Create policy for reminders
+DROP POLICY IF EXISTS "Users can view their own reminders" ON reminders;
+CREATE POLICY "Users can view their own reminders" ON reminders
+    FOR SELECT USING (
+        task_id IN (
+            SELECT id FROM tasks WHERE user_id = current_setting('app.current_user_id', true)
+        )
+    );
+
+-- Create function to set user context for RLS
+CREATE OR REPLACE FUNCTION set_user_context(user_id TEXT)
+RETURNS void AS $$
+BEGIN
+    PERFORM set_config('app.current_user_id', user_id, true);
+END;
+$$ language 'plpgsql' SECURITY DEFINER;
+
+-- Grant necessary permissions
+GRANT ALL ON tasks TO authenticated;
+GRANT ALL ON reminders TO authenticated;
+GRANT EXECUTE ON FUNCTION set_user_context(TEXT) TO authenticated;
@@ -0,0 +1,26 @@
+-- Done command: task status and the completion history
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending'; -- 'pending', 'completed', 'cancelled'
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+-- Create task completions table (history of completed tasks and recurring occurrences)
+CREATE TABLE IF NOT EXISTS task_completions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL, -- Snapshot so history survives cleanup of the task
+    is_recurring BOOLEAN DEFAULT FALSE,
+    occurrence_time TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS idx_task_completions_user_completed ON task_completions(user_id, completed_at DESC);
+
+ALTER TABLE task_completions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own task completions" ON task_completions;
+CREATE POLICY "Users can manage their own task completions" ON task_completions
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON task_completions TO authenticated;
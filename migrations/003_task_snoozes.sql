@@ -0,0 +1,23 @@
+-- Snooze and postpone quick replies
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS snooze_count INTEGER NOT NULL DEFAULT 0;
+
+-- Create task snoozes table (every time a reminder was snoozed or a task postponed)
+CREATE TABLE IF NOT EXISTS task_snoozes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    action TEXT NOT NULL, -- 'snooze', 'postpone'
+    snoozed_until TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_snoozes_task_id ON task_snoozes(task_id);
+
+ALTER TABLE task_snoozes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own task snoozes" ON task_snoozes;
+CREATE POLICY "Users can manage their own task snoozes" ON task_snoozes
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON task_snoozes TO authenticated;
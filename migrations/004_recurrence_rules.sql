@@ -0,0 +1,7 @@
+-- RRULE recurrence. Existing JSON patterns are converted by scripts/migrate-recurrence.js;
+-- until then they are translated on the fly.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_rule TEXT; -- RFC 5545 RRULE, e.g. 'FREQ=WEEKLY;BYDAY=MO,WE,FR'
+
+-- Recurring task instances are expanded from recurrence_rule in lib/recurrence.js
+DROP VIEW IF EXISTS recurring_task_instances;
@@ -0,0 +1,23 @@
+-- Skipping and moving single occurrences of a recurring task
+
+-- Create task exceptions table (skipped or moved occurrences of a recurring task)
+CREATE TABLE IF NOT EXISTS task_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    occurrence_time TIMESTAMPTZ NOT NULL, -- The occurrence as generated by recurrence_rule
+    action TEXT NOT NULL, -- 'skip', 'move'
+    new_time TIMESTAMPTZ, -- Where a moved occurrence happens instead
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (task_id, occurrence_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_exceptions_task_id ON task_exceptions(task_id);
+
+ALTER TABLE task_exceptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own task exceptions" ON task_exceptions;
+CREATE POLICY "Users can manage their own task exceptions" ON task_exceptions
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON task_exceptions TO authenticated;
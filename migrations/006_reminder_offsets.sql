@@ -0,0 +1,4 @@
+-- Configurable reminder offsets per task
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminder_offsets INTEGER[]; -- Minutes before scheduled_time to remind; NULL = default plan
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS offset_minutes INTEGER; -- For 'before' reminders: how long before the task
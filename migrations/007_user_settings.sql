@@ -0,0 +1,28 @@
+-- Per-user settings
+
+-- Create user settings table (one row per user; NULL columns fall back to the defaults)
+CREATE TABLE IF NOT EXISTS user_settings (
+    user_id TEXT PRIMARY KEY,
+    timezone TEXT, -- IANA name, e.g. 'Asia/Taipei'; defaults to the TIMEZONE environment variable
+    digest_time TIME, -- Morning digest time, default 05:30
+    reminder_offsets INTEGER[], -- Default minutes-before reminders for tasks without their own
+    time_format TEXT, -- '12h', '24h'
+    language TEXT, -- 'en', 'zh'; NULL replies in the language of each message
+    last_digest_date DATE, -- Day the last morning digest was sent (in the user's timezone)
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_user_settings_updated_at ON user_settings;
+CREATE TRIGGER update_user_settings_updated_at
+    BEFORE UPDATE ON user_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own settings" ON user_settings;
+CREATE POLICY "Users can manage their own settings" ON user_settings
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON user_settings TO authenticated;
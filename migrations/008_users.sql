@@ -0,0 +1,55 @@
+-- Registered users, and cleanup per user. People who added the bot before this table
+-- existed are picked up when they block and re-add it; USER_LINE_ID is served until then.
+
+-- Create users table (everyone who added the bot; the cron jobs serve the active ones)
+CREATE TABLE IF NOT EXISTS users (
+    user_id TEXT PRIMARY KEY,
+    display_name TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE once the user blocks the bot
+    followed_at TIMESTAMPTZ,
+    unfollowed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own registration" ON users;
+CREATE POLICY "Users can view their own registration" ON users
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON users TO authenticated;
+
+-- The single-user cleanup_old_tasks() also deleted old reminders; that is now its own function
+DROP FUNCTION IF EXISTS cleanup_old_tasks();
+
+-- Create function to clean up a user's old completed tasks
+CREATE OR REPLACE FUNCTION cleanup_old_tasks(target_user_id TEXT)
+RETURNS void AS $$
+BEGIN
+    -- Delete non-recurring tasks that are more than 1 day old
+    -- (completed ones stay in task_completions)
+    DELETE FROM tasks
+    WHERE user_id = target_user_id
+    AND is_recurring = FALSE
+    AND scheduled_time < NOW() - INTERVAL '1 day'
+    AND is_active = TRUE;
+END;
+$$ language 'plpgsql';
+
+-- Create function to clean up old sent reminders
+CREATE OR REPLACE FUNCTION cleanup_old_reminders()
+RETURNS void AS $$
+BEGIN
+    -- Delete old sent reminders (keep for 30 days)
+    DELETE FROM reminders
+    WHERE sent_at IS NOT NULL
+    AND sent_at < NOW() - INTERVAL '30 days';
+END;
+$$ language 'plpgsql';
@@ -0,0 +1,33 @@
+-- Safe reminder delivery: claiming with a lease, retries and de-duplication.
+-- Reminders that already went out are marked sent.
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'pending'; -- 'pending', 'sending', 'sent', 'failed', 'cancelled'
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0; -- Send attempts so far (each claim counts as one)
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ; -- After a failed send: when to retry
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ; -- While 'sending': when another run may take the reminder over
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS last_error TEXT;
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS dedupe_key TEXT; -- task_id:reminder_type:scheduled_time
+
+UPDATE reminders SET status = 'sent' WHERE sent_at IS NOT NULL AND status = 'pending';
+UPDATE reminders SET dedupe_key = id::TEXT WHERE dedupe_key IS NULL;
+ALTER TABLE reminders ALTER COLUMN dedupe_key SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status);
+-- A reminder is only scheduled once; cancelled ones don't count, so a task can be rescheduled back to the same time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_dedupe_key ON reminders(dedupe_key) WHERE status <> 'cancelled';
+
+-- Create function to clean up old sent reminders
+CREATE OR REPLACE FUNCTION cleanup_old_reminders()
+RETURNS void AS $$
+BEGIN
+    -- Delete old sent reminders (keep for 30 days)
+    DELETE FROM reminders
+    WHERE sent_at IS NOT NULL
+    AND sent_at < NOW() - INTERVAL '30 days';
+
+    -- Delete reminders that gave up sending (keep for 30 days)
+    DELETE FROM reminders
+    WHERE status = 'failed'
+    AND scheduled_time < NOW() - INTERVAL '30 days';
+END;
+$$ language 'plpgsql';
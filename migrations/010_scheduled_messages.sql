@@ -0,0 +1,29 @@
+-- Scheduled messages, read by getPendingScheduledMessages() and updated by updateMessageStatus()
+
+-- Create scheduled messages table (messages pushed to a user at a set time)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id TEXT NOT NULL,
+    message TEXT NOT NULL,
+    scheduled_at TIMESTAMPTZ NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'sent', 'failed'
+    error_message TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_scheduled_at ON scheduled_messages(status, scheduled_at);
+
+DROP TRIGGER IF EXISTS update_scheduled_messages_updated_at ON scheduled_messages;
+CREATE TRIGGER update_scheduled_messages_updated_at
+    BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own scheduled messages" ON scheduled_messages;
+CREATE POLICY "Users can manage their own scheduled messages" ON scheduled_messages
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON scheduled_messages TO authenticated;
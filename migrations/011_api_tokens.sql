@@ -0,0 +1,31 @@
+-- Personal access tokens for the REST API, issued and revoked from chat ("token new", "token revoke").
+-- Only a SHA-256 hash of each token is stored; token_prefix is kept to tell tokens apart.
+
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['read', 'write'], -- 'read', 'write'
+    expires_at TIMESTAMPTZ NOT NULL,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
+
+DROP TRIGGER IF EXISTS update_api_tokens_updated_at ON api_tokens;
+CREATE TRIGGER update_api_tokens_updated_at
+    BEFORE UPDATE ON api_tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE api_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own API tokens" ON api_tokens;
+CREATE POLICY "Users can manage their own API tokens" ON api_tokens
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON api_tokens TO authenticated;
@@ -0,0 +1,70 @@
+-- Short codes for tasks (e.g. T7K), shown in chat and accepted by commands and the API in
+-- place of list positions. A code is a letter, a digit and up to three more letters or digits,
+-- unique per user and kept for the life of the task (see lib/task-codes.js).
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS short_code TEXT;
+
+-- A code the user doesn't have yet: 3 characters, one more after every 20 collisions.
+-- No 0/O or 1/I/L, as codes are typed back from a phone screen.
+CREATE OR REPLACE FUNCTION generate_task_short_code(p_user_id TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    letters CONSTANT TEXT := 'ABCDEFGHJKMNPQRSTUVWXYZ';
+    digits CONSTANT TEXT := '23456789';
+    alphabet CONSTANT TEXT := '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+    code_length INTEGER := 3;
+    tries INTEGER := 0;
+    code TEXT;
+BEGIN
+    LOOP
+        code := substr(letters, 1 + floor(random() * length(letters))::INTEGER, 1)
+            || substr(digits, 1 + floor(random() * length(digits))::INTEGER, 1);
+        WHILE length(code) < code_length LOOP
+            code := code || substr(alphabet, 1 + floor(random() * length(alphabet))::INTEGER, 1);
+        END LOOP;
+
+        IF NOT EXISTS (SELECT 1 FROM tasks WHERE user_id = p_user_id AND short_code = code) THEN
+            RETURN code;
+        END IF;
+
+        tries := tries + 1;
+        IF tries % 20 = 0 THEN
+            code_length := code_length + 1;
+        END IF;
+    END LOOP;
+END;
+$$ language 'plpgsql';
+
+-- Fill in the code of new tasks; a given one (from a restored backup) is kept, upper case
+CREATE OR REPLACE FUNCTION set_task_short_code()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.short_code IS NULL THEN
+        NEW.short_code := generate_task_short_code(NEW.user_id);
+    ELSE
+        NEW.short_code := upper(NEW.short_code);
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_tasks_short_code ON tasks;
+CREATE TRIGGER set_tasks_short_code
+    BEFORE INSERT ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION set_task_short_code();
+
+-- Existing tasks, one at a time so each sees the codes given before it
+DO $$
+DECLARE
+    task RECORD;
+BEGIN
+    FOR task IN SELECT id, user_id FROM tasks WHERE short_code IS NULL ORDER BY created_at LOOP
+        UPDATE tasks SET short_code = generate_task_short_code(task.user_id) WHERE id = task.id;
+    END LOOP;
+END;
+$$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_user_short_code ON tasks(user_id, short_code);
+
+ALTER TABLE tasks ALTER COLUMN short_code SET NOT NULL;
@@ -0,0 +1,17 @@
+-- Full-text search over task titles, descriptions and notes, behind the chat "find" command and
+-- the q= filter of GET /api/tasks (lib/supabase-storage.js searchTasks).
+-- The 'simple' configuration doesn't stem, so English and Chinese text are indexed alike.
+
+-- Title words weigh most (A), then the description (B), then notes (C)
+CREATE OR REPLACE FUNCTION task_search_vector(p_title TEXT, p_description TEXT, p_notes TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('simple'::regconfig, coalesce(p_title, '')), 'A')
+        || setweight(to_tsvector('simple'::regconfig, coalesce(p_description, '')), 'B')
+        || setweight(to_tsvector('simple'::regconfig, coalesce(p_notes, '')), 'C');
+$$ language 'sql' IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_search ON tasks
+    USING GIN (task_search_vector(title, description, notes));
+
+-- The search_tasks() function that uses this index is defined in 014_task_tags.sql, which added
+-- its tags filter; it is kept in one place so fixes to the search only go there.
@@ -0,0 +1,80 @@
+-- Tags on tasks ("#work"), stored lower case without the "#", and tags a user keeps out of the
+-- morning digest ("settings mute #personal"). See lib/task-tags.js.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_tasks_tags ON tasks USING GIN (tags);
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS digest_muted_tags TEXT[]; -- Tasks with these tags are left out of the morning digest
+
+-- Databases that applied 013 before it left this function here have the version without p_tags
+DROP FUNCTION IF EXISTS search_tasks(TEXT, TEXT[], BOOLEAN, BOOLEAN, TIMESTAMPTZ, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER);
+
+-- A user's pending tasks matching every search term, over the index of 013. Full-text search
+-- matches a term at the start of a word; text it can't split into words (Chinese has no spaces)
+-- is matched with ILIKE. A task whose title has every term ranks above the others, then by
+-- ts_rank, then the earliest task.
+-- The filters are skipped when NULL (p_tags: tasks having every tag given); p_terms may be empty
+-- to list by filters alone.
+
+CREATE OR REPLACE FUNCTION search_tasks(
+    p_user_id TEXT,
+    p_terms TEXT[],
+    p_is_special BOOLEAN DEFAULT NULL,
+    p_is_recurring BOOLEAN DEFAULT NULL,
+    p_scheduled_from TIMESTAMPTZ DEFAULT NULL,
+    p_scheduled_to TIMESTAMPTZ DEFAULT NULL,
+    p_scheduled_before TIMESTAMPTZ DEFAULT NULL,
+    p_limit INTEGER DEFAULT 50,
+    p_offset INTEGER DEFAULT 0,
+    p_tags TEXT[] DEFAULT NULL
+)
+RETURNS SETOF tasks AS $$
+DECLARE
+    terms TEXT[];
+    patterns TEXT[];
+    search_query tsquery;
+BEGIN
+    SELECT coalesce(array_agg(lower(term)), '{}') INTO terms
+    FROM unnest(coalesce(p_terms, '{}')) AS term
+    WHERE btrim(term) <> '';
+
+    -- LIKE patterns with the terms' own % and _ escaped
+    SELECT coalesce(array_agg('%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'), '{}')
+    INTO patterns
+    FROM unnest(terms) AS term;
+
+    -- Every term as a word prefix: 'dent':* & 'oct':*
+    IF array_length(terms, 1) > 0 THEN
+        SELECT to_tsquery('simple', string_agg(quote_literal(term) || ':*', ' & '))
+        INTO search_query
+        FROM unnest(terms) AS term;
+    END IF;
+
+    RETURN QUERY
+    SELECT t.*
+    FROM tasks t
+    WHERE t.user_id = p_user_id
+        AND t.is_active = true
+        AND t.status = 'pending'
+        AND (p_is_special IS NULL OR t.is_special = p_is_special)
+        AND (p_is_recurring IS NULL OR t.is_recurring = p_is_recurring)
+        AND (p_scheduled_from IS NULL OR t.scheduled_time >= p_scheduled_from)
+        AND (p_scheduled_to IS NULL OR t.scheduled_time <= p_scheduled_to)
+        AND (p_scheduled_before IS NULL OR t.scheduled_time < p_scheduled_before)
+        AND (p_tags IS NULL OR t.tags @> p_tags)
+        AND (
+            search_query IS NULL
+            OR task_search_vector(t.title, t.description, t.notes) @@ search_query
+            OR concat_ws(' ', t.title, t.description, t.notes) ILIKE ALL (patterns)
+        )
+    ORDER BY
+        (CASE WHEN search_query IS NOT NULL AND t.title ILIKE ALL (patterns) THEN 1 ELSE 0 END)
+            + coalesce(ts_rank(task_search_vector(t.title, t.description, t.notes), search_query), 0) DESC,
+        t.scheduled_time ASC
+    LIMIT p_limit
+    OFFSET p_offset;
+END;
+$$ language 'plpgsql' STABLE;
+
+GRANT EXECUTE ON FUNCTION search_tasks(TEXT, TEXT[], BOOLEAN, BOOLEAN, TIMESTAMPTZ, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER, TEXT[]) TO authenticated;
@@ -0,0 +1,47 @@
+-- Task priority: 1 (high), 2 (medium) or 3 (low), replacing the special flag as the measure of
+-- importance. is_special stays, kept equal to priority = 1, for clients and filters that only
+-- know the flag. See lib/task-priority.js.
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 2;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'tasks_priority_check') THEN
+        ALTER TABLE tasks ADD CONSTRAINT tasks_priority_check CHECK (priority BETWEEN 1 AND 3);
+    END IF;
+END;
+$$;
+
+-- Keep priority and is_special in step. A new special task is high priority; on update, a
+-- changed priority sets the flag, and a changed flag sets the priority (high, or back to
+-- medium when the flag is cleared on a high priority task).
+CREATE OR REPLACE FUNCTION sync_task_priority()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.is_special THEN
+            NEW.priority := 1;
+        END IF;
+    ELSIF NEW.priority IS DISTINCT FROM OLD.priority THEN
+        NULL;
+    ELSIF NEW.is_special IS DISTINCT FROM OLD.is_special THEN
+        NEW.priority := CASE
+            WHEN NEW.is_special THEN 1
+            WHEN OLD.priority = 1 THEN 2
+            ELSE OLD.priority
+        END;
+    END IF;
+
+    NEW.is_special := NEW.priority = 1;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sync_tasks_priority ON tasks;
+CREATE TRIGGER sync_tasks_priority
+    BEFORE INSERT OR UPDATE OF priority, is_special ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_task_priority();
+
+-- Special tasks become high priority
+UPDATE tasks SET priority = 1 WHERE is_special = true AND priority <> 1;
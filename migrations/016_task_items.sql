@@ -0,0 +1,30 @@
+-- Checklists inside a task ("pack for trip": passport, charger, adapter)
+
+-- Create task items table (the checklist of a task, in position order)
+CREATE TABLE IF NOT EXISTS task_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    position INTEGER NOT NULL, -- Order in the checklist; items are numbered 1, 2, ... in this order
+    text TEXT NOT NULL,
+    checked BOOLEAN NOT NULL DEFAULT false,
+    checked_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_items_task_id ON task_items(task_id, position);
+
+DROP TRIGGER IF EXISTS update_task_items_updated_at ON task_items;
+CREATE TRIGGER update_task_items_updated_at
+    BEFORE UPDATE ON task_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE task_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can manage their own task items" ON task_items;
+CREATE POLICY "Users can manage their own task items" ON task_items
+    FOR ALL USING (user_id = current_setting('app.current_user_id', true));
+
+GRANT ALL ON task_items TO authenticated;
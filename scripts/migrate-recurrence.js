@@ -0,0 +1,51 @@
+// Convert legacy recurrence_pattern JSON ({ type: 'weekly', dayOfWeek: 'monday' }, ...) into
+// RRULE strings in tasks.recurrence_rule. Run the migrations first (npm run migrate), which
+// add the column.
+//
+// Usage: node scripts/migrate-recurrence.js [--dry-run]
+// Safe to run more than once: tasks that already have a recurrence_rule are skipped.
+const database = require('../lib/database');
+const recurrence = require('../lib/recurrence');
+
+async function migrateRecurrence({ dryRun = false } = {}) {
+  console.log('🔍 Fetching tasks with a legacy recurrence pattern...', { dryRun });
+
+  let tasks;
+  try {
+    tasks = await database.storage.listTasks({ legacyRecurrence: true });
+  } catch (error) {
+    console.error('❌ Error fetching tasks:', error);
+    throw error;
+  }
+
+  console.log('✅ Found tasks to migrate:', { count: tasks.length });
+
+  const summary = { migrated: 0, failed: 0 };
+
+  for (const task of tasks) {
+    try {
+      const rule = recurrence.fromLegacyPattern(task.recurrence_pattern);
+      console.log('🔄 Converting recurrence:', { taskId: task.id, title: task.title, pattern: task.recurrence_pattern, rule });
+
+      if (!dryRun) {
+        await database.storage.updateTask(task.id, task.user_id, { recurrence_rule: rule }, { activeOnly: false });
+      }
+
+      summary.migrated++;
+    } catch (error) {
+      console.error('❌ Failed to convert recurrence:', { taskId: task.id, pattern: task.recurrence_pattern, error: error.message });
+      summary.failed++;
+    }
+  }
+
+  console.log('✅ Recurrence migration completed:', summary);
+  return summary;
+}
+
+if (require.main === module) {
+  migrateRecurrence({ dryRun: process.argv.includes('--dry-run') })
+    .then(summary => process.exit(summary.failed > 0 ? 1 : 0))
+    .catch(() => process.exit(1));
+}
+
+module.exports = migrateRecurrence;
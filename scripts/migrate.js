@@ -0,0 +1,65 @@
+// Apply or inspect the schema migrations in migrations/ (see lib/migrations.js).
+//
+// Usage: node scripts/migrate.js status          # applied and pending migrations
+//        node scripts/migrate.js up [--dry-run]  # apply the pending ones
+//
+// Needs DATABASE_URL, the PostgreSQL connection string of the Supabase project.
+// Databases set up by hand from the old supabase-schema.sql can run `up` as they are:
+// every migration only creates what is missing.
+const migrations = require('../lib/migrations');
+
+async function status() {
+  const client = await migrations.connect();
+
+  try {
+    const result = await migrations.inspect(client);
+
+    for (const migration of result.applied) {
+      const note = migration.modified ? ' (file changed since it was applied)' : '';
+      console.log(`  applied  ${migration.version}_${migration.name}  ${new Date(migration.appliedAt).toISOString()}${note}`);
+    }
+    for (const migration of result.pending) {
+      console.log(`  pending  ${migration.version}_${migration.name}`);
+    }
+    for (const version of result.unknown) {
+      console.log(`  unknown  ${version} (applied by a newer version of the code)`);
+    }
+
+    console.log('✅ Schema status:', { current: result.current, latest: result.latest, pending: result.pending.length });
+    return result;
+  } finally {
+    await client.end();
+  }
+}
+
+async function up({ dryRun = false } = {}) {
+  const client = await migrations.connect();
+
+  try {
+    const applied = await migrations.migrate(client, { dryRun });
+    console.log('✅ Migrations completed:', { applied: dryRun ? 0 : applied.length, dryRun });
+    return applied;
+  } finally {
+    await client.end();
+  }
+}
+
+const COMMANDS = { status, up };
+
+if (require.main === module) {
+  const command = process.argv[2] || 'status';
+
+  if (!COMMANDS[command]) {
+    console.error(`❌ Unknown command "${command}". Use: ${Object.keys(COMMANDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  COMMANDS[command]({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Migration command failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = COMMANDS;
@@ -0,0 +1,105 @@
+// Provision the bot's rich menu (Today, Week, Add and Settings, see lib/navigation.js) and make it
+// the default for every user.
+//
+// Usage: node scripts/setup-rich-menu.js --image menu.png   # create the menu and make it the default
+//        node scripts/setup-rich-menu.js --dry-run          # check the menu with LINE, change nothing
+//        node scripts/setup-rich-menu.js --remove           # delete the menu
+//
+// Needs LINE_CHANNEL_ACCESS_TOKEN. The image is a PNG or JPEG of 2500x843 pixels, at most 1MB,
+// with the four areas side by side. Safe to run again: an earlier menu of the bot is deleted
+// once the new one is the default.
+const fs = require('fs');
+const path = require('path');
+const line = require('@line/bot-sdk');
+const navigation = require('../lib/navigation');
+
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const CONTENT_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg' };
+
+function createClient() {
+  if (!process.env.LINE_CHANNEL_ACCESS_TOKEN) {
+    throw new Error('Missing LINE_CHANNEL_ACCESS_TOKEN');
+  }
+  return new line.Client({ channelAccessToken: process.env.LINE_CHANNEL_ACCESS_TOKEN });
+}
+
+// The image file as { data, contentType }, refusing what LINE would refuse
+function readImage(file) {
+  if (!file) {
+    throw new Error('Give the menu image with --image menu.png (2500x843 PNG or JPEG)');
+  }
+
+  const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()];
+  if (!contentType) {
+    throw new Error(`The image must be a .png or .jpg file: ${file}`);
+  }
+  if (fs.statSync(file).size > MAX_IMAGE_BYTES) {
+    throw new Error(`The image must be 1MB or smaller: ${file}`);
+  }
+  return { data: fs.readFileSync(file), contentType };
+}
+
+// The bot's menus already on the channel
+async function findMenus(client) {
+  const menus = await client.getRichMenuList();
+  return menus.filter(menu => menu.name === navigation.richMenuName);
+}
+
+async function setup({ image, dryRun = false } = {}) {
+  const client = createClient();
+  const richMenu = navigation.richMenu();
+  const menuImage = dryRun ? null : readImage(image);
+
+  await client.validateRichMenu(richMenu);
+  console.log('✅ Rich menu is valid:', { name: richMenu.name, areas: richMenu.areas.map(area => area.action.label) });
+
+  if (dryRun) {
+    console.log(JSON.stringify(richMenu, null, 2));
+    return null;
+  }
+
+  const previous = await findMenus(client);
+
+  const richMenuId = await client.createRichMenu(richMenu);
+  await client.setRichMenuImage(richMenuId, menuImage.data, menuImage.contentType);
+  await client.setDefaultRichMenu(richMenuId);
+  console.log('✅ Rich menu created and set as the default:', { richMenuId });
+
+  for (const menu of previous) {
+    await client.deleteRichMenu(menu.richMenuId);
+    console.log('🗑️ Deleted the previous rich menu:', { richMenuId: menu.richMenuId });
+  }
+
+  return richMenuId;
+}
+
+async function remove() {
+  const client = createClient();
+  const menus = await findMenus(client);
+
+  for (const menu of menus) {
+    await client.deleteRichMenu(menu.richMenuId);
+    console.log('🗑️ Deleted rich menu:', { richMenuId: menu.richMenuId });
+  }
+
+  console.log('✅ Rich menu removed:', { deleted: menus.length });
+  return menus.length;
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const imageIndex = args.indexOf('--image');
+  const run = args.includes('--remove')
+    ? remove()
+    : setup({ image: imageIndex === -1 ? null : args[imageIndex + 1], dryRun: args.includes('--dry-run') });
+
+  run
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Rich menu setup failed:', error.message);
+      console.error('LINE API error details:', error.originalError?.response?.data);
+      process.exit(1);
+    });
+}
+
+module.exports = { setup, remove };
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const i18n = require('../lib/i18n');
+
+// LINE refuses text messages longer than this
+const MAX_TEXT_LENGTH = 5000;
+
+test('every reply fits in one LINE message', () => {
+  for (const lang of i18n.supportedLanguages) {
+    for (const key of i18n.keys(lang)) {
+      const text = i18n.t(lang, key);
+      assert.ok(text.length <= MAX_TEXT_LENGTH, `${lang}.${key} is ${text.length} characters`);
+    }
+  }
+});
+
+test('every English message is translated into Chinese', () => {
+  const zh = new Set(i18n.keys('zh'));
+  assert.deepEqual(i18n.keys('en').filter(key => !zh.has(key)), []);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ical = require('../lib/ical');
+const userSettings = require('../lib/user-settings');
+
+const settings = { ...userSettings.defaults, timezone: 'Asia/Taipei' };
+
+const standup = {
+  id: 'task-1',
+  title: 'Standup, team; daily',
+  scheduled_time: '2030-01-07T02:00:00.000Z',
+  is_recurring: true,
+  recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+  reminder_offsets: [],
+  tags: ['work']
+};
+
+const exceptions = [
+  { task_id: 'task-1', action: 'skip', occurrence_time: '2030-01-14T02:00:00.000Z' },
+  { task_id: 'task-1', action: 'move', occurrence_time: '2030-01-21T02:00:00.000Z', new_time: '2030-01-22T03:00:00.000Z' }
+];
+
+// The calendar's lines, with folded lines joined back
+function lines(calendar) {
+  return calendar.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('a recurring task carries its rule, with skipped occurrences as EXDATEs', () => {
+  const calendar = lines(ical.buildCalendar([standup], exceptions, settings));
+
+  assert.ok(calendar.includes('RRULE:FREQ=WEEKLY;BYDAY=MO'));
+  assert.ok(calendar.includes('DTSTART;TZID=Asia/Taipei:20300107T100000'));
+  assert.deepEqual(calendar.filter(line => line.startsWith('EXDATE')), ['EXDATE;TZID=Asia/Taipei:20300114T100000']);
+});
+
+test('a moved occurrence overrides its slot instead of being excluded', () => {
+  const calendar = lines(ical.buildCalendar([standup], exceptions, settings));
+
+  assert.equal(calendar.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(calendar.includes('RECURRENCE-ID;TZID=Asia/Taipei:20300121T100000'));
+  assert.ok(calendar.includes('DTSTART;TZID=Asia/Taipei:20300122T110000'));
+  assert.ok(!calendar.includes('EXDATE;TZID=Asia/Taipei:20300121T100000'));
+});
+
+test('text is escaped and long lines are folded', () => {
+  const task = { ...standup, is_recurring: false, recurrence_rule: null, description: 'x'.repeat(200) };
+  const calendar = ical.buildCalendar([task], [], settings);
+
+  assert.ok(lines(calendar).includes('SUMMARY:Standup\\, team\\; daily'));
+  assert.ok(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('priority and special tasks become PRIORITY and CATEGORIES', () => {
+  const task = { ...standup, is_recurring: false, recurrence_rule: null, is_special: true, priority: 1 };
+  const calendar = lines(ical.buildCalendar([task], [], settings));
+
+  assert.ok(calendar.includes('CATEGORIES:SPECIAL,work'));
+  assert.ok(calendar.includes('PRIORITY:1'));
+});
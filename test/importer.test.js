@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const importer = require('../lib/importer');
+const ical = require('../lib/ical');
+const taskPriority = require('../lib/task-priority');
+const userSettings = require('../lib/user-settings');
+
+const settings = { ...userSettings.defaults, timezone: 'Asia/Taipei' };
+
+function calendar(...lines) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+}
+
+test('detectFormat goes by the file extension', () => {
+  assert.equal(importer.detectFormat('tasks.ICS'), 'ics');
+  assert.equal(importer.detectFormat('tasks.csv'), 'csv');
+  assert.equal(importer.detectFormat('tasks.txt'), null);
+});
+
+test('iCalendar series keep their EXDATEs and overrides as skipped and moved occurrences', () => {
+  const { items, skipped } = importer.parseIcs(calendar(
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Standup',
+    'DTSTART;TZID=Asia/Taipei:20300107T100000',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO',
+    'EXDATE;TZID=Asia/Taipei:20300114T100000',
+    'CATEGORIES:WORK,SPECIAL',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Standup',
+    'RECURRENCE-ID;TZID=Asia/Taipei:20300121T100000',
+    'DTSTART;TZID=Asia/Taipei:20300122T110000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:old@example.com',
+    'SUMMARY:Old',
+    'DTSTART:20000101T000000Z',
+    'END:VEVENT'
+  ), settings);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].scheduledTime, '2030-01-07T02:00:00.000Z');
+  assert.equal(items[0].recurrenceRule, 'FREQ=WEEKLY;BYDAY=MO');
+  assert.equal(items[0].priority, taskPriority.high);
+  assert.deepEqual(items[0].tags, ['work']);
+  assert.deepEqual(items[0].exceptions, [
+    { action: 'skip', occurrence_time: '2030-01-14T02:00:00.000Z' },
+    { action: 'move', occurrence_time: '2030-01-21T02:00:00.000Z', new_time: '2030-01-22T03:00:00.000Z' }
+  ]);
+  assert.deepEqual(skipped, [{ title: 'Old', reason: 'in the past' }]);
+});
+
+test('the calendar feed imports back as the same task', () => {
+  const task = {
+    id: 'task-1',
+    title: 'Standup, team',
+    scheduled_time: '2030-01-07T02:00:00.000Z',
+    is_recurring: true,
+    recurrence_rule: 'FREQ=WEEKLY;BYDAY=MO',
+    reminder_offsets: [],
+    tags: ['work'],
+    priority: taskPriority.low
+  };
+  const exceptions = [
+    { task_id: 'task-1', action: 'skip', occurrence_time: '2030-01-14T02:00:00.000Z' },
+    { task_id: 'task-1', action: 'move', occurrence_time: '2030-01-21T02:00:00.000Z', new_time: '2030-01-22T03:00:00.000Z' }
+  ];
+
+  const { items } = importer.parseIcs(ical.buildCalendar([task], exceptions, settings), settings);
+
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, task.title);
+  assert.equal(items[0].scheduledTime, task.scheduled_time);
+  assert.equal(items[0].recurrenceRule, task.recurrence_rule);
+  assert.equal(items[0].priority, taskPriority.low);
+  assert.deepEqual(items[0].tags, task.tags);
+  assert.deepEqual(items[0].exceptions, exceptions.map(({ task_id, ...exception }) => exception));
+});
+
+test('unsupported rules are reported, not imported', () => {
+  const { items, unsupported } = importer.parseIcs(calendar(
+    'BEGIN:VEVENT',
+    'SUMMARY:Hourly',
+    'DTSTART:20300101T000000Z',
+    'RRULE:FREQ=HOURLY',
+    'END:VEVENT'
+  ), settings);
+
+  assert.equal(items.length, 0);
+  assert.equal(unsupported.length, 1);
+  assert.equal(unsupported[0].title, 'Hourly');
+});
+
+test('files that are not iCalendar are refused', () => {
+  assert.throws(() => importer.parseIcs('hello', settings), { code: 'invalid_import_file' });
+});
+
+test('CSV rows become items, and bad rows are skipped with their line', () => {
+  const { items, skipped } = importer.parseCsv([
+    'title,date,time,recurrence,tags,priority,reminders',
+    'Dentist,2030-11-03,15:30,,health,,1d',
+    'Sync,2030-11-04,10:00,every monday,"work, #team",low,',
+    ',2030-01-01,,,,,',
+    'Bad,2030-13-01,,,,,'
+  ].join('\n'), settings);
+
+  assert.equal(items.length, 2);
+  assert.equal(items[0].scheduledTime, '2030-11-03T07:30:00.000Z');
+  assert.deepEqual(items[0].reminderOffsets, [1440]);
+  assert.deepEqual(items[0].tags, ['health']);
+  assert.equal(items[1].recurrenceRule, 'FREQ=WEEKLY;BYDAY=MO');
+  assert.equal(items[1].priority, taskPriority.low);
+  assert.deepEqual(items[1].tags, ['work', 'team']);
+  assert.deepEqual(skipped.map(row => row.line), [4, 5]);
+});
+
+test('CSV cells may be quoted', () => {
+  const { items } = importer.parseCsv('title,date,notes\n"Call ""Bob"", then Ann",2030-11-03,"line one\nline two"\n', settings);
+
+  assert.equal(items[0].title, 'Call "Bob", then Ann');
+  assert.equal(items[0].notes, 'line one\nline two');
+});
+
+test('CSV files need the title and date columns', () => {
+  assert.throws(() => importer.parseCsv('title,when\nx,y', settings), { code: 'invalid_import_file', message: /Unknown CSV column/ });
+  assert.throws(() => importer.parseCsv('title\nx', settings), { code: 'invalid_import_file', message: /"date" column/ });
+});
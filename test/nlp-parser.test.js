@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const parser = require('../lib/nlp-parser').forUser({ timezone: 'Asia/Taipei' });
+
+// The scheduled time of an "add" command, as a local time in Taipei
+function scheduled(message) {
+  return moment(parser.parseAddCommand(message).scheduledTime).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+}
+
+function fromNow(amount, unit) {
+  return moment().tz('Asia/Taipei').add(amount, unit);
+}
+
+test('dates with a year', () => {
+  assert.equal(scheduled('add Dentist 2030-03-05 3pm'), '2030-03-05 15:00');
+  assert.equal(scheduled('add Pay rent 12/25/2030'), '2030-12-25 09:00');
+  assert.equal(scheduled('add Pay rent 12/25/30 8:30'), '2030-12-25 08:30');
+  assert.equal(scheduled('add Review Oct 21 2030 10am'), '2030-10-21 10:00');
+  assert.equal(scheduled('add Review Oct 21 2030 10:30 pm'), '2030-10-21 22:30');
+  assert.equal(scheduled('add Call mom 21st October 2030'), '2030-10-21 09:00');
+});
+
+test('month and day without a year are the next one to come', () => {
+  const date = moment.tz(scheduled('add Party Jan 1'), 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+  assert.equal(date.format('MM-DD HH:mm'), '01-01 09:00');
+  assert.ok(date.isAfter(moment()));
+  assert.ok(date.isBefore(fromNow(1, 'year')));
+});
+
+test('relative dates', () => {
+  assert.equal(scheduled('add Walk tomorrow 7am'), `${fromNow(1, 'day').format('YYYY-MM-DD')} 07:00`);
+  assert.equal(scheduled('add Review end of next month'), `${fromNow(1, 'month').endOf('month').format('YYYY-MM-DD')} 09:00`);
+
+  const inTwoHours = moment.tz(scheduled('add Water plants in 2 hours'), 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+  assert.ok(Math.abs(inTwoHours.diff(fromNow(2, 'hours'), 'minutes')) <= 1);
+});
+
+test('weekdays are the next one after today', () => {
+  const friday = moment.tz(scheduled('add Groceries friday'), 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+  assert.equal(friday.day(), 5);
+  assert.ok(friday.isAfter(moment().tz('Asia/Taipei').endOf('day')));
+  assert.ok(friday.diff(moment().tz('Asia/Taipei').startOf('day'), 'days') <= 7);
+
+  const nextFriday = moment.tz(scheduled('add Groceries next friday'), 'YYYY-MM-DD HH:mm', 'Asia/Taipei');
+  assert.equal(nextFriday.diff(friday, 'days'), 7);
+});
+
+test('Chinese dates and times', () => {
+  assert.equal(scheduled('新增 看牙醫 2030年3月5日 下午3點'), '2030-03-05 15:00');
+});
+
+test('invalid dates are reported', () => {
+  assert.throws(() => parser.parseAddCommand('add Party 2/30/2030'), /Invalid date/);
+  assert.throws(() => parser.parseAddCommand('add Party'), /Command format/);
+});
+
+// The updates of an "update" command
+function updates(message) {
+  return parser.parseUpdateCommand(message).updates;
+}
+
+function local(time) {
+  return moment(time).tz('Asia/Taipei').format('YYYY-MM-DD HH:mm');
+}
+
+test('update takes the dates and times of add', () => {
+  assert.equal(local(updates('update T7K to oct 30 2030 10am').scheduled_time), '2030-10-30 10:00');
+  assert.equal(local(updates('update T7K to 2030-03-05 18:30').scheduled_time), '2030-03-05 18:30');
+
+  const friday = moment(updates('update T7K to friday 9am').scheduled_time).tz('Asia/Taipei');
+  assert.equal(friday.day(), 5);
+  assert.equal(friday.format('HH:mm'), '09:00');
+  assert.ok(friday.isAfter(moment()));
+
+  assert.equal(local(updates('update T7K to friday').scheduled_time), `${friday.format('YYYY-MM-DD')} 09:00`);
+});
+
+test('update to a time alone is its next time of day', () => {
+  const time = moment(updates('update T7K to 3:00 pm').scheduled_time).tz('Asia/Taipei');
+  assert.equal(time.format('HH:mm'), '15:00');
+  assert.ok(time.isAfter(moment()));
+  assert.ok(time.isBefore(fromNow(1, 'day')));
+});
+
+test('update to a recurrence starts at its first occurrence', () => {
+  const result = updates('update T7K to every monday 7am');
+  assert.equal(result.recurrence_rule, 'FREQ=WEEKLY;BYDAY=MO');
+  assert.equal(result.is_recurring, true);
+  assert.equal(moment(result.scheduled_time).tz('Asia/Taipei').day(), 1);
+});
+
+test('update keeps the case of new text and leaves quoted words out of the time', () => {
+  const result = parser.parseUpdateCommand('update t7k title "Call Mom" notes "Go to the Bank"');
+  assert.deepEqual(result.identifier, { type: 'code', value: 'T7K' });
+  assert.deepEqual(result.updates, { title: 'Call Mom', notes: 'Go to the Bank' });
+});
+
+test('update reports a time it does not understand', () => {
+  assert.throws(() => parser.parseUpdateCommand('update T7K to someday'), /Invalid date: someday/);
+});
+
+test('move targets count from the occurrence being moved', () => {
+  const occurrence = moment.tz('2030-01-07 10:00', 'Asia/Taipei'); // a Monday
+  const { target } = parser.parseMoveCommand('move T7K to friday 18:00');
+  const { date, time } = parser.relativeTo(occurrence).parseMoveTarget(target);
+
+  assert.equal(date.format('YYYY-MM-DD'), '2030-01-11');
+  assert.deepEqual(time, { hour: 18, minute: 0 });
+  assert.equal(parser.relativeTo(occurrence).parseMoveTarget('tomorrow').date.format('YYYY-MM-DD'), '2030-01-08');
+  assert.equal(parser.relativeTo(occurrence).parseMoveTarget('明天下午6點').date.format('YYYY-MM-DD'), '2030-01-08');
+  assert.throws(() => parser.parseMoveCommand('move T7K to someday'), /Invalid date/);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment-timezone');
+const recurrence = require('../lib/recurrence').withTimezone('Asia/Taipei');
+
+// Local times in Taipei, as the tasks store them
+function at(time) {
+  return moment.tz(time, 'Asia/Taipei');
+}
+
+function formatted(occurrences) {
+  return occurrences.map(occurrence => occurrence.format('YYYY-MM-DD HH:mm'));
+}
+
+test('normalize upper-cases a rule and drops the RRULE: prefix', () => {
+  assert.equal(recurrence.normalize('rrule:freq=weekly;byday=mo,we'), 'FREQ=WEEKLY;BYDAY=MO,WE');
+});
+
+test('parse rejects frequencies it does not support', () => {
+  assert.throws(() => recurrence.parse('FREQ=HOURLY'), /Unsupported recurrence frequency/);
+  assert.throws(() => recurrence.parse(''), /non-empty string/);
+});
+
+test('between expands weekdays and the last weekday of the month', () => {
+  const weekly = recurrence.between('FREQ=WEEKLY;BYDAY=MO,WE', at('2030-01-07 09:00'), at('2030-01-07 00:00'), at('2030-01-16 23:59'));
+  assert.deepEqual(formatted(weekly), ['2030-01-07 09:00', '2030-01-09 09:00', '2030-01-14 09:00', '2030-01-16 09:00']);
+
+  const monthly = recurrence.between('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', at('2030-01-25 18:00'), at('2030-01-01 00:00'), at('2030-12-31 00:00'));
+  assert.deepEqual(formatted(monthly), ['2030-01-25 18:00', '2030-02-22 18:00', '2030-03-29 18:00']);
+});
+
+test('between skips month days a month does not have', () => {
+  const occurrences = recurrence.between('FREQ=MONTHLY;BYMONTHDAY=31', at('2030-01-31 09:00'), at('2030-01-01 00:00'), at('2030-05-31 23:59'));
+  assert.deepEqual(formatted(occurrences), ['2030-01-31 09:00', '2030-03-31 09:00', '2030-05-31 09:00']);
+});
+
+test('next returns null once the series has ended', () => {
+  const rule = 'FREQ=DAILY;UNTIL=20300103T235959Z';
+  assert.equal(recurrence.next(rule, at('2030-01-01 09:00'), at('2030-01-02 09:00')).format('YYYY-MM-DD HH:mm'), '2030-01-03 09:00');
+  assert.equal(recurrence.next(rule, at('2030-01-01 09:00'), at('2030-01-03 09:00')), null);
+});
+
+test('occurrencesBetween leaves out skipped occurrences and places moved ones at their new time', () => {
+  const exceptions = [
+    { action: 'skip', occurrence_time: at('2030-01-02 09:00').toISOString() },
+    { action: 'move', occurrence_time: at('2030-01-03 09:00').toISOString(), new_time: at('2030-01-05 14:00').toISOString() }
+  ];
+  const occurrences = recurrence.occurrencesBetween('FREQ=DAILY', at('2030-01-01 09:00'), at('2030-01-01 00:00'), at('2030-01-05 23:59'), exceptions);
+
+  assert.deepEqual(occurrences.map(occurrence => occurrence.time.format('YYYY-MM-DD HH:mm')),
+    ['2030-01-01 09:00', '2030-01-04 09:00', '2030-01-05 09:00', '2030-01-05 14:00']);
+  assert.equal(occurrences[3].originalTime.format('YYYY-MM-DD HH:mm'), '2030-01-03 09:00');
+});
+
+test('nextUnskipped passes over skipped occurrences', () => {
+  const exceptions = [{ action: 'skip', occurrence_time: at('2030-01-02 09:00').toISOString() }];
+  const next = recurrence.nextUnskipped('FREQ=DAILY', at('2030-01-01 09:00'), at('2030-01-01 09:00'), exceptions);
+  assert.equal(next.format('YYYY-MM-DD HH:mm'), '2030-01-03 09:00');
+});
+
+test('effectiveTime and originalTime map a moved occurrence both ways', () => {
+  const exceptions = [{ action: 'move', occurrence_time: at('2030-01-03 09:00').toISOString(), new_time: at('2030-01-05 14:00').toISOString() }];
+
+  assert.equal(recurrence.effectiveTime(at('2030-01-03 09:00'), exceptions).format('YYYY-MM-DD HH:mm'), '2030-01-05 14:00');
+  assert.equal(recurrence.originalTime(at('2030-01-05 14:00'), exceptions).format('YYYY-MM-DD HH:mm'), '2030-01-03 09:00');
+  assert.equal(recurrence.effectiveTime(at('2030-01-04 09:00'), exceptions).format('YYYY-MM-DD HH:mm'), '2030-01-04 09:00');
+});
+
+test('rebase reduces COUNT by the occurrences passed over', () => {
+  assert.equal(recurrence.rebase('FREQ=DAILY;COUNT=5', at('2030-01-01 09:00'), at('2030-01-03 09:00')), 'FREQ=DAILY;COUNT=3');
+  assert.equal(recurrence.rebase('FREQ=DAILY', at('2030-01-01 09:00'), at('2030-01-03 09:00')), 'FREQ=DAILY');
+});
+
+test('getTaskRule converts legacy patterns and ignores tasks that do not recur', () => {
+  assert.equal(recurrence.getTaskRule({ is_recurring: false, recurrence_rule: 'FREQ=DAILY' }), null);
+  assert.equal(recurrence.getTaskRule({ is_recurring: true, recurrence_rule: 'FREQ=DAILY' }), 'FREQ=DAILY');
+  assert.equal(recurrence.getTaskRule({ is_recurring: true, recurrence_pattern: { type: 'biweekly', dayOfWeek: 'friday' } }), 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR');
+  assert.equal(recurrence.getTaskRule({ is_recurring: true, recurrence_pattern: '{"type":"monthly","weekdayOfMonth":{"week":"last","day":"monday"}}' }), 'FREQ=MONTHLY;BYDAY=-1MO');
+});
+
+test('describe reads a rule in English and Chinese', () => {
+  assert.equal(recurrence.describe('FREQ=WEEKLY;BYDAY=MO,WE'), 'Every Monday and Wednesday');
+  assert.equal(recurrence.describe('FREQ=WEEKLY;BYDAY=MO,WE', 'zh'), '每週一、三');
+});